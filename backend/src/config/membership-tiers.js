@@ -0,0 +1,25 @@
+// Wyatt World membership tiers, lowest to highest
+export const MEMBERSHIP_TIERS = [
+  {
+    id: 'free',
+    name: 'Free',
+    price: 0,
+    features: ['Access to public posts', 'Like and comment', 'Join public group chats', 'View schedule']
+  },
+  {
+    id: 'vip',
+    name: 'VIP',
+    price: 9.99,
+    features: ['All Free features', 'Exclusive VIP content', 'VIP group chat access', 'Direct message Wyatt', 'Early access to new content', 'Monthly live Q&A']
+  },
+  {
+    id: 'inner_circle',
+    name: 'Inner Circle',
+    price: 24.99,
+    features: ['All VIP features', 'Behind-the-scenes access', 'The Vault - exclusive archive', 'Priority DM responses', 'Exclusive merch discounts', 'Birthday shoutout', 'Vote on upcoming content']
+  }
+];
+
+export const TIER_ORDER = MEMBERSHIP_TIERS.map(tier => tier.id);
+
+export const PAID_TIERS = TIER_ORDER.filter(id => id !== 'free');
@@ -104,6 +104,7 @@ async function initDatabase() {
         category VARCHAR(100) NOT NULL,
         image_url VARCHAR(500),
         inventory_count INT DEFAULT 0,
+        weight DECIMAL(10,2),
         is_digital TINYINT(1) DEFAULT 0,
         digital_file_url VARCHAR(500),
         is_active TINYINT(1) DEFAULT 1,
@@ -114,6 +115,58 @@ async function initDatabase() {
       ) ENGINE=InnoDB
     `);
 
+    // Product option axes (e.g. Size: S, M, L)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS product_options (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        option_values JSON NOT NULL,
+        position INT DEFAULT 0,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_product_option (product_id, name)
+      ) ENGINE=InnoDB
+    `);
+
+    // Product variants (one per option combination, with their own SKU and stock)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        sku VARCHAR(100) UNIQUE NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        options JSON NOT NULL,
+        price DECIMAL(10,2),
+        weight DECIMAL(10,2),
+        inventory_count INT DEFAULT 0,
+        position INT DEFAULT 0,
+        is_active TINYINT(1) DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        INDEX idx_product_variants_product (product_id)
+      ) ENGINE=InnoDB
+    `);
+
+    // Print-on-demand routing: which provider makes a product (or one of its variants)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS pod_product_mappings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        variant_id INT,
+        provider VARCHAR(50) NOT NULL,
+        provider_product_id VARCHAR(255),
+        provider_variant_id VARCHAR(255),
+        files JSON,
+        is_active TINYINT(1) DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+        INDEX idx_pod_product_mappings_product (product_id, variant_id)
+      ) ENGINE=InnoDB
+    `);
+
     // Checkout sessions
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS checkout_sessions (
@@ -124,15 +177,148 @@ async function initDatabase() {
         shipping_address TEXT,
         billing_address TEXT,
         subtotal DECIMAL(10,2) NOT NULL,
+        discount DECIMAL(10,2) DEFAULT 0,
+        promotion_code VARCHAR(50),
         shipping_cost DECIMAL(10,2) DEFAULT 0,
         shipping_method VARCHAR(50) DEFAULT 'standard',
         tax_amount DECIMAL(10,2) DEFAULT 0,
+        tax_details JSON,
+        vat_id VARCHAR(50),
         total DECIMAL(10,2) NOT NULL,
+        currency CHAR(3) DEFAULT 'USD',
+        exchange_rate DECIMAL(18,8) DEFAULT 1,
+        prices_include_tax TINYINT(1) DEFAULT 0,
+        payment_provider VARCHAR(50),
+        payment_intent_id VARCHAR(255),
+        world_user_id INT,
         expires_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       ) ENGINE=InnoDB
     `);
 
+    // Reminders emailed for abandoned checkouts, and the orders they won back
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS checkout_recoveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(255) UNIQUE NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        token CHAR(32) UNIQUE,
+        items JSON NOT NULL,
+        total DECIMAL(10,2) NOT NULL,
+        currency CHAR(3) DEFAULT 'USD',
+        promotion_id INT,
+        promotion_code VARCHAR(50),
+        skip_reason VARCHAR(50),
+        sent_at TIMESTAMP NULL,
+        clicked_at TIMESTAMP NULL,
+        order_id INT,
+        recovered_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_checkout_recoveries_email (email, sent_at)
+      ) ENGINE=InnoDB
+    `);
+
+    // Stock held by checkout sessions until they complete or expire
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS inventory_reservations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(255) NOT NULL,
+        product_id INT NOT NULL,
+        variant_id INT,
+        quantity INT NOT NULL,
+        status VARCHAR(20) DEFAULT 'held',
+        expires_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        INDEX idx_inventory_reservations_session (session_id),
+        INDEX idx_inventory_reservations_product (product_id, status, expires_at)
+      ) ENGINE=InnoDB
+    `);
+
+    // Discount codes and automatic promotions
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS promotions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(50) UNIQUE,
+        name VARCHAR(255) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        value DECIMAL(10,2) DEFAULT 0,
+        min_subtotal DECIMAL(10,2),
+        max_uses INT,
+        max_uses_per_customer INT,
+        used_count INT DEFAULT 0,
+        product_ids JSON,
+        categories JSON,
+        tier VARCHAR(50),
+        is_automatic TINYINT(1) DEFAULT 0,
+        starts_at TIMESTAMP NULL,
+        ends_at TIMESTAMP NULL,
+        is_active TINYINT(1) DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_promotions_automatic (is_automatic, is_active)
+      ) ENGINE=InnoDB
+    `);
+
+    // Promotion uses: held by a checkout session, then redeemed by its order
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS promotion_redemptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        promotion_id INT NOT NULL,
+        session_id VARCHAR(255),
+        order_id INT,
+        customer_email VARCHAR(255),
+        world_user_id INT,
+        discount_amount DECIMAL(10,2) DEFAULT 0,
+        status VARCHAR(20) DEFAULT 'reserved',
+        expires_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+        INDEX idx_promotion_redemptions_session (session_id),
+        INDEX idx_promotion_redemptions_usage (promotion_id, status, customer_email)
+      ) ENGINE=InnoDB
+    `);
+
+    // Payment intents (one per attempt to pay for a checkout, tip, membership, ...)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS payment_intents (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        intent_id VARCHAR(255) UNIQUE NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        provider_intent_id VARCHAR(255),
+        reference_type VARCHAR(50) NOT NULL,
+        reference_id VARCHAR(255) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency VARCHAR(3) DEFAULT 'USD',
+        status VARCHAR(50) DEFAULT 'requires_payment',
+        redirect_url TEXT,
+        metadata JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_payment_intents_reference (reference_type, reference_id),
+        INDEX idx_payment_intents_provider_id (provider, provider_intent_id)
+      ) ENGINE=InnoDB
+    `);
+
+    // Payment webhook event log (deduplicated by provider event id)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(100),
+        intent_id VARCHAR(255),
+        payload JSON,
+        status VARCHAR(50) DEFAULT 'received',
+        error TEXT,
+        processed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_provider_event (provider, event_id)
+      ) ENGINE=InnoDB
+    `);
+
     // Shop orders
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS orders (
@@ -145,18 +331,245 @@ async function initDatabase() {
         billing_address TEXT,
         items JSON NOT NULL,
         subtotal DECIMAL(10,2) NOT NULL,
+        discount DECIMAL(10,2) DEFAULT 0,
+        promotion_code VARCHAR(50),
         shipping DECIMAL(10,2) DEFAULT 0,
         shipping_method VARCHAR(50) DEFAULT 'standard',
         tax DECIMAL(10,2) DEFAULT 0,
+        tax_details JSON,
+        vat_id VARCHAR(50),
         total DECIMAL(10,2) NOT NULL,
+        refunded_amount DECIMAL(10,2) DEFAULT 0,
+        currency CHAR(3) DEFAULT 'USD',
+        exchange_rate DECIMAL(18,8) DEFAULT 1,
+        prices_include_tax TINYINT(1) DEFAULT 0,
         status VARCHAR(50) DEFAULT 'pending',
+        stock_taken TINYINT(1) DEFAULT 1,
+        payment_provider VARCHAR(50),
         payment_intent_id VARCHAR(255),
+        world_user_id INT,
         tracking_number VARCHAR(255),
+        tracking_url TEXT,
+        carrier VARCHAR(100),
         shipped_at TIMESTAMP NULL,
         delivered_at TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_orders_status (status)
+        INDEX idx_orders_status (status),
+        INDEX idx_orders_email (customer_email),
+        INDEX idx_orders_world_user (world_user_id)
+      ) ENGINE=InnoDB
+    `);
+
+    // Provider orders placed for a shop order (one per POD provider)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS order_fulfillments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        provider_order_id VARCHAR(255),
+        items JSON NOT NULL,
+        status VARCHAR(50) DEFAULT 'pending',
+        provider_status VARCHAR(100),
+        cost DECIMAL(10,2),
+        carrier VARCHAR(100),
+        tracking_number VARCHAR(255),
+        tracking_url TEXT,
+        shipments JSON,
+        attempts INT DEFAULT 0,
+        error TEXT,
+        submitted_at TIMESTAMP NULL,
+        shipped_at TIMESTAMP NULL,
+        delivered_at TIMESTAMP NULL,
+        last_synced_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_order_provider (order_id, provider),
+        INDEX idx_order_fulfillments_status (status),
+        INDEX idx_order_fulfillments_provider_order (provider, provider_order_id)
+      ) ENGINE=InnoDB
+    `);
+
+    // Files delivered to buyers of digital products (stored outside the public uploads)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS digital_assets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        variant_id INT,
+        filename VARCHAR(255) NOT NULL,
+        storage_key VARCHAR(100) NOT NULL,
+        content_type VARCHAR(100),
+        size_bytes BIGINT,
+        checksum CHAR(64),
+        is_active TINYINT(1) DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        INDEX idx_digital_assets_product (product_id, variant_id)
+      ) ENGINE=InnoDB
+    `);
+
+    // Download rights per order line and file
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS download_grants (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        line_index INT NOT NULL,
+        asset_id INT NOT NULL,
+        token_version INT DEFAULT 1,
+        download_count INT DEFAULT 0,
+        resume_count INT DEFAULT 0,
+        max_downloads INT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        last_downloaded_at TIMESTAMP NULL,
+        revoked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (asset_id) REFERENCES digital_assets(id),
+        UNIQUE KEY unique_order_line_asset (order_id, line_index, asset_id)
+      ) ENGINE=InnoDB
+    `);
+
+    // Single-use magic links customers follow to see their orders
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS customer_login_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_customer_login_tokens_email (email, created_at)
+      ) ENGINE=InnoDB
+    `);
+
+    // Customer return requests (RMAs)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS return_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rma_number VARCHAR(50) UNIQUE NOT NULL,
+        order_id INT NOT NULL,
+        status VARCHAR(50) DEFAULT 'requested',
+        reason VARCHAR(50) NOT NULL,
+        items JSON NOT NULL,
+        received_items JSON,
+        customer_notes TEXT,
+        admin_notes TEXT,
+        instructions TEXT,
+        refund_id INT,
+        approved_at TIMESTAMP NULL,
+        received_at TIMESTAMP NULL,
+        refunded_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        INDEX idx_return_requests_status (status)
+      ) ENGINE=InnoDB
+    `);
+
+    // Refunds given back against an order (full, partial or per line)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS order_refunds (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        return_id INT,
+        amount DECIMAL(10,2) NOT NULL,
+        items_amount DECIMAL(10,2) DEFAULT 0,
+        shipping_amount DECIMAL(10,2) DEFAULT 0,
+        tax_amount DECIMAL(10,2) DEFAULT 0,
+        currency CHAR(3) DEFAULT 'USD',
+        items JSON,
+        reason VARCHAR(255),
+        status VARCHAR(50) DEFAULT 'pending',
+        provider VARCHAR(50),
+        provider_refund_id VARCHAR(255),
+        message TEXT,
+        restock TINYINT(1) DEFAULT 0,
+        restocked TINYINT(1) DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (return_id) REFERENCES return_requests(id) ON DELETE SET NULL,
+        INDEX idx_order_refunds_status (status)
+      ) ENGINE=InnoDB
+    `);
+
+    // Checkout payments that were taken but could not become an order (refunded)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS unplaced_checkout_payments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(255) NOT NULL,
+        payment_intent_id VARCHAR(255) UNIQUE NOT NULL,
+        provider VARCHAR(50),
+        email VARCHAR(255),
+        items JSON,
+        amount DECIMAL(10,2) NOT NULL,
+        currency VARCHAR(3) DEFAULT 'USD',
+        reason TEXT,
+        refund_status VARCHAR(50) DEFAULT 'pending',
+        provider_refund_id VARCHAR(255),
+        refund_message TEXT,
+        attempts INT DEFAULT 0,
+        resolved_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_unplaced_checkout_payments_resolved (resolved_at)
+      ) ENGINE=InnoDB
+    `);
+
+    // Combined state + local sales tax rates by ZIP (imported from CSV)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS tax_zip_rates (
+        zip CHAR(5) PRIMARY KEY,
+        state CHAR(2) NOT NULL,
+        region_name VARCHAR(255),
+        state_rate DECIMAL(7,6) NOT NULL DEFAULT 0,
+        county_rate DECIMAL(7,6) NOT NULL DEFAULT 0,
+        city_rate DECIMAL(7,6) NOT NULL DEFAULT 0,
+        special_rate DECIMAL(7,6) NOT NULL DEFAULT 0,
+        combined_rate DECIMAL(7,6) NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_tax_zip_rates_state (state)
+      ) ENGINE=InnoDB
+    `);
+
+    // Exchange rates from the base currency (USD), with price rounding rules
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        currency CHAR(3) PRIMARY KEY,
+        rate DECIMAL(18,8) NOT NULL,
+        rounding_increment DECIMAL(10,4),
+        price_ending DECIMAL(4,2),
+        is_active TINYINT(1) DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB
+    `);
+
+    // States where we are registered to collect sales tax
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS tax_registrations (
+        state CHAR(2) PRIMARY KEY,
+        registration_number VARCHAR(100),
+        registered_at DATE,
+        notes TEXT,
+        is_active TINYINT(1) DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB
+    `);
+
+    // Economic nexus warnings already raised (one per state, year and level)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS tax_nexus_alerts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        state CHAR(2) NOT NULL,
+        period_year INT NOT NULL,
+        level VARCHAR(20) NOT NULL,
+        sales DECIMAL(12,2) NOT NULL,
+        transactions INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_state_year_level (state, period_year, level)
       ) ENGINE=InnoDB
     `);
 
@@ -301,6 +714,25 @@ async function initDatabase() {
       ) ENGINE=InnoDB
     `);
 
+    // Resized images for product and portfolio galleries and site backgrounds
+    // (files in uploads/media/<storage_key>/, see services/media.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS media_images (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        owner_type VARCHAR(20) NOT NULL,
+        owner_id INT,
+        storage_key VARCHAR(64) UNIQUE NOT NULL,
+        alt_text VARCHAR(255),
+        width INT NOT NULL,
+        height INT NOT NULL,
+        original_bytes INT,
+        variants JSON NOT NULL,
+        position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_media_images_owner (owner_type, owner_id, position)
+      ) ENGINE=InnoDB
+    `);
+
     // Site settings
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS site_settings (
@@ -360,7 +792,10 @@ async function initDatabase() {
         bio TEXT,
         membership_tier VARCHAR(50) DEFAULT 'free',
         is_verified TINYINT(1) DEFAULT 0,
+        is_creator TINYINT(1) DEFAULT 0,
         is_active TINYINT(1) DEFAULT 1,
+        email_verified_at TIMESTAMP NULL,
+        token_version INT DEFAULT 0,
         last_seen TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -368,6 +803,34 @@ async function initDatabase() {
       ) ENGINE=InnoDB
     `);
 
+    // Wyatt World refresh tokens (rotated on every use)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS world_refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        family_id VARCHAR(64) NOT NULL,
+        user_agent VARCHAR(255),
+        expires_at TIMESTAMP NULL,
+        revoked_at TIMESTAMP NULL,
+        replaced_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES world_users(id) ON DELETE CASCADE,
+        INDEX idx_world_refresh_tokens_family (family_id)
+      ) ENGINE=InnoDB
+    `);
+
+    // Wyatt World revoked access tokens (kept until they would have expired)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS world_revoked_tokens (
+        jti VARCHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        expires_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_world_revoked_tokens_expires (expires_at)
+      ) ENGINE=InnoDB
+    `);
+
     // Wyatt World posts (feed)
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS world_posts (
@@ -382,6 +845,8 @@ async function initDatabase() {
         comments_count INT DEFAULT 0,
         reposts_count INT DEFAULT 0,
         ppv_price DECIMAL(10,2),
+        ppv_teaser VARCHAR(500),
+        ppv_preview_url VARCHAR(500),
         is_active TINYINT(1) DEFAULT 1,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -442,10 +907,14 @@ async function initDatabase() {
         question TEXT,
         options JSON NOT NULL,
         total_votes INT DEFAULT 0,
+        min_tier VARCHAR(50) DEFAULT 'free',
         ends_at TIMESTAMP NULL,
+        closed_at TIMESTAMP NULL,
         is_active TINYINT(1) DEFAULT 1,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (post_id) REFERENCES world_posts(id) ON DELETE CASCADE
+        FOREIGN KEY (post_id) REFERENCES world_posts(id) ON DELETE CASCADE,
+        INDEX idx_world_polls_post (post_id),
+        INDEX idx_world_polls_closing (closed_at, ends_at)
       ) ENGINE=InnoDB
     `);
 
@@ -486,11 +955,15 @@ async function initDatabase() {
         sender_id INT NOT NULL,
         content TEXT NOT NULL,
         media_url VARCHAR(500),
+        media_urls JSON,
+        price DECIMAL(10,2),
+        mass_message_id INT,
         is_read TINYINT(1) DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (conversation_id) REFERENCES world_conversations(id) ON DELETE CASCADE,
         FOREIGN KEY (sender_id) REFERENCES world_users(id) ON DELETE CASCADE,
-        INDEX idx_world_messages_convo (conversation_id)
+        INDEX idx_world_messages_convo (conversation_id),
+        INDEX idx_world_messages_mass (mass_message_id)
       ) ENGINE=InnoDB
     `);
 
@@ -501,6 +974,8 @@ async function initDatabase() {
         conversation_id INT NOT NULL,
         user_id INT NOT NULL,
         last_read_at TIMESTAMP NULL,
+        last_read_message_id INT,
+        last_delivered_message_id INT,
         is_admin TINYINT(1) DEFAULT 0,
         joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (conversation_id) REFERENCES world_conversations(id) ON DELETE CASCADE,
@@ -509,6 +984,17 @@ async function initDatabase() {
       ) ENGINE=InnoDB
     `);
 
+    // Events passed between server instances by the realtime gateway
+    // (REALTIME_PUBSUB=database only; rows are purged after a few minutes)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS realtime_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        payload JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_realtime_events_created (created_at)
+      ) ENGINE=InnoDB
+    `);
+
     // World follows
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS world_follows (
@@ -530,11 +1016,20 @@ async function initDatabase() {
         tier VARCHAR(50) NOT NULL,
         price DECIMAL(10,2),
         stripe_subscription_id VARCHAR(255),
+        payment_provider VARCHAR(50),
+        provider_subscription_id VARCHAR(255),
         status VARCHAR(50) DEFAULT 'active',
+        pending_tier VARCHAR(50),
+        cancel_at_period_end TINYINT(1) DEFAULT 0,
+        cancelled_at TIMESTAMP NULL,
+        grace_ends_at TIMESTAMP NULL,
         starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         ends_at TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES world_users(id) ON DELETE CASCADE
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES world_users(id) ON DELETE CASCADE,
+        INDEX idx_world_memberships_user_status (user_id, status),
+        INDEX idx_world_memberships_status_ends (status, ends_at)
       ) ENGINE=InnoDB
     `);
 
@@ -550,12 +1045,76 @@ async function initDatabase() {
         stripe_payment_id VARCHAR(255),
         status VARCHAR(50) DEFAULT 'pending',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (sender_id) REFERENCES world_users(id) ON DELETE CASCADE,
         FOREIGN KEY (recipient_id) REFERENCES world_users(id) ON DELETE SET NULL,
         FOREIGN KEY (post_id) REFERENCES world_posts(id) ON DELETE SET NULL
       ) ENGINE=InnoDB
     `);
 
+    // Pay-per-view post purchases (a post is unlocked while its row is paid)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS world_ppv_unlocks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        post_id INT NOT NULL,
+        user_id INT NOT NULL,
+        price DECIMAL(10,2) NOT NULL,
+        status VARCHAR(50) DEFAULT 'pending',
+        payment_intent_id VARCHAR(255),
+        unlocked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (post_id) REFERENCES world_posts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES world_users(id) ON DELETE CASCADE,
+        INDEX idx_world_ppv_unlocks_user (user_id, post_id, status),
+        INDEX idx_world_ppv_unlocks_post (post_id, status)
+      ) ENGINE=InnoDB
+    `);
+
+    // Creator messages sent to segments of members (each recipient gets a copy in world_messages)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS world_mass_messages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sender_id INT NOT NULL,
+        segments JSON NOT NULL,
+        tipper_days INT,
+        content TEXT NOT NULL,
+        media_urls JSON,
+        price DECIMAL(10,2),
+        recipient_ids JSON NOT NULL,
+        recipient_count INT DEFAULT 0,
+        sent_count INT DEFAULT 0,
+        status VARCHAR(50) DEFAULT 'sending',
+        completed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (sender_id) REFERENCES world_users(id) ON DELETE CASCADE,
+        INDEX idx_world_mass_messages_status (status, updated_at)
+      ) ENGINE=InnoDB
+    `);
+
+    // Paid message purchases (a message is unlocked while its row is paid)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS world_message_unlocks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        message_id INT NOT NULL,
+        user_id INT NOT NULL,
+        sender_id INT NOT NULL,
+        mass_message_id INT,
+        price DECIMAL(10,2) NOT NULL,
+        status VARCHAR(50) DEFAULT 'pending',
+        payment_intent_id VARCHAR(255),
+        unlocked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (message_id) REFERENCES world_messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES world_users(id) ON DELETE CASCADE,
+        INDEX idx_world_message_unlocks_user (user_id, message_id, status),
+        INDEX idx_world_message_unlocks_sender (sender_id, status),
+        INDEX idx_world_message_unlocks_mass (mass_message_id)
+      ) ENGINE=InnoDB
+    `);
+
     // World notifications
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS world_notifications (
@@ -628,6 +1187,70 @@ async function initDatabase() {
 
     console.log('Tables created successfully!');
 
+    // Add columns introduced after the initial schema to existing databases
+    const columnUpgrades = [
+      ['checkout_sessions', 'payment_provider VARCHAR(50)'],
+      ['checkout_sessions', 'payment_intent_id VARCHAR(255)'],
+      ['orders', 'payment_provider VARCHAR(50)'],
+      ['world_memberships', 'updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'],
+      ['world_tips', 'updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'],
+      ['payment_intents', 'metadata JSON'],
+      ['world_memberships', 'payment_provider VARCHAR(50)'],
+      ['world_memberships', 'provider_subscription_id VARCHAR(255)'],
+      ['world_memberships', 'pending_tier VARCHAR(50)'],
+      ['world_memberships', 'cancel_at_period_end TINYINT(1) DEFAULT 0'],
+      ['world_memberships', 'cancelled_at TIMESTAMP NULL'],
+      ['world_memberships', 'grace_ends_at TIMESTAMP NULL'],
+      ['world_users', 'token_version INT DEFAULT 0'],
+      ['products', 'weight DECIMAL(10,2)'],
+      ['inventory_reservations', 'variant_id INT'],
+      ['checkout_sessions', 'discount DECIMAL(10,2) DEFAULT 0'],
+      ['checkout_sessions', 'promotion_code VARCHAR(50)'],
+      ['checkout_sessions', 'world_user_id INT'],
+      ['orders', 'discount DECIMAL(10,2) DEFAULT 0'],
+      ['orders', 'promotion_code VARCHAR(50)'],
+      ['orders', 'tracking_url TEXT'],
+      ['orders', 'carrier VARCHAR(100)'],
+      ['checkout_sessions', 'tax_details JSON'],
+      ['checkout_sessions', 'vat_id VARCHAR(50)'],
+      ['orders', 'tax_details JSON'],
+      ['orders', 'vat_id VARCHAR(50)'],
+      ['checkout_sessions', "currency CHAR(3) DEFAULT 'USD'"],
+      ['checkout_sessions', 'exchange_rate DECIMAL(18,8) DEFAULT 1'],
+      ['checkout_sessions', 'prices_include_tax TINYINT(1) DEFAULT 0'],
+      ['orders', "currency CHAR(3) DEFAULT 'USD'"],
+      ['orders', 'exchange_rate DECIMAL(18,8) DEFAULT 1'],
+      ['orders', 'prices_include_tax TINYINT(1) DEFAULT 0'],
+      ['orders', 'refunded_amount DECIMAL(10,2) DEFAULT 0'],
+      ['orders', 'world_user_id INT'],
+      ['world_users', 'email_verified_at TIMESTAMP NULL'],
+      ['order_fulfillments', 'carrier VARCHAR(100)'],
+      ['order_fulfillments', 'tracking_number VARCHAR(255)'],
+      ['order_fulfillments', 'tracking_url TEXT'],
+      ['order_fulfillments', 'shipments JSON'],
+      ['order_fulfillments', 'shipped_at TIMESTAMP NULL'],
+      ['order_fulfillments', 'delivered_at TIMESTAMP NULL'],
+      ['order_fulfillments', 'last_synced_at TIMESTAMP NULL'],
+      ['world_conversation_participants', 'last_read_message_id INT'],
+      ['world_conversation_participants', 'last_delivered_message_id INT'],
+      ['world_posts', 'ppv_teaser VARCHAR(500)'],
+      ['world_posts', 'ppv_preview_url VARCHAR(500)'],
+      ['world_users', 'is_creator TINYINT(1) DEFAULT 0'],
+      ['world_messages', 'media_urls JSON'],
+      ['world_messages', 'price DECIMAL(10,2)'],
+      ['world_messages', 'mass_message_id INT'],
+      ['world_polls', "min_tier VARCHAR(50) DEFAULT 'free'"],
+      ['world_polls', 'closed_at TIMESTAMP NULL'],
+      ['download_grants', 'resume_count INT DEFAULT 0'],
+      ['orders', 'stock_taken TINYINT(1) DEFAULT 1'],
+      ['order_refunds', 'restock TINYINT(1) DEFAULT 0'],
+    ];
+
+    for (const [table, column] of columnUpgrades) {
+      await connection.execute(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column}`);
+    }
+    console.log('Schema upgrades applied!');
+
     // Seed default admin user
     const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
     const hashedPassword = bcrypt.hashSync(adminPassword, 10);
@@ -660,6 +1283,62 @@ async function initDatabase() {
     }
     console.log('Sample products seeded!');
 
+    // Seed sizes for the apparel that comes in sizes
+    const sizedProducts = [
+      ['wxc-logo-tee', 'WXC-TEE-BLK', ['S', 'M', 'L', 'XL', '2XL'], { '2XL': 38 }],
+      ['neon-rebel-hoodie', 'WXC-HOOD-RBL', ['S', 'M', 'L', 'XL', '2XL'], { '2XL': 70 }],
+    ];
+
+    for (const [slug, skuPrefix, sizes, priceOverrides] of sizedProducts) {
+      const [[product]] = await connection.execute('SELECT id, inventory_count FROM products WHERE slug = ?', [slug]);
+
+      await connection.execute(`
+        INSERT INTO product_options (product_id, name, option_values, position)
+        VALUES (?, 'Size', ?, 0)
+        ON DUPLICATE KEY UPDATE option_values = VALUES(option_values)
+      `, [product.id, JSON.stringify(sizes)]);
+
+      for (const [index, size] of sizes.entries()) {
+        await connection.execute(`
+          INSERT INTO product_variants (product_id, sku, title, options, price, inventory_count, position)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE title = VALUES(title)
+        `, [
+          product.id,
+          `${skuPrefix}-${size}`,
+          size,
+          JSON.stringify({ Size: size }),
+          priceOverrides[size] || null,
+          Math.floor(product.inventory_count / sizes.length),
+          index
+        ]);
+      }
+    }
+    console.log('Sample product sizes seeded!');
+
+    // Seed the Inner Circle merch discount
+    await connection.execute(`
+      INSERT INTO promotions (code, name, type, value, categories, tier, is_automatic)
+      SELECT NULL, 'Inner Circle merch discount', 'percentage', 10, ?, 'inner_circle', 1
+      WHERE NOT EXISTS (SELECT 1 FROM promotions WHERE is_automatic = 1 AND tier = 'inner_circle')
+    `, [JSON.stringify(['apparel', 'prints', 'limited'])]);
+    console.log('Member promotions seeded!');
+
+    // Seed currencies with their rounding rules. Inactive until an admin sets a current rate.
+    const currencies = [
+      ['EUR', 0.92, null, 0.99],
+      ['GBP', 0.79, null, 0.99],
+      ['CAD', 1.36, null, 0.99],
+      ['AUD', 1.52, null, 0.95],
+    ];
+    for (const currency of currencies) {
+      await connection.execute(`
+        INSERT IGNORE INTO exchange_rates (currency, rate, rounding_increment, price_ending, is_active)
+        VALUES (?, ?, ?, ?, 0)
+      `, currency);
+    }
+    console.log('Currencies seeded!');
+
     // Seed sample schedule locations
     const sampleLocations = [
       ['Los Angeles', null, null, 'Studio Shoots, Creator Collabs, Fan Meets', 1, 1],
@@ -0,0 +1,116 @@
+/**
+ * Background Jobs
+ * In-process interval scheduler for periodic maintenance work.
+ * Set DISABLE_JOBS=true on extra instances so only one server runs them.
+ */
+
+import { membershipBilling } from '../services/membership-billing.js';
+import { purgeExpiredTokens } from '../services/world-tokens.js';
+import { inventory } from '../services/inventory.js';
+import { promotions } from '../services/promotions.js';
+import { fulfillment } from '../services/fulfillment.js';
+import { nexusTracker } from '../services/nexus-tracker.js';
+import { checkoutRecovery } from '../services/checkout-recovery.js';
+import { realtime } from '../services/realtime.js';
+import { creatorMessages } from '../services/creator-messages.js';
+import { worldPolls } from '../services/world-polls.js';
+
+const MINUTE = 60 * 1000;
+
+export const JOBS = [
+    {
+        name: 'membership-lapse',
+        interval: 15 * MINUTE,
+        run: () => membershipBilling.processLapsedMemberships()
+    },
+    {
+        name: 'world-token-cleanup',
+        interval: 60 * MINUTE,
+        run: () => purgeExpiredTokens()
+    },
+    {
+        name: 'realtime-event-purge',
+        interval: 10 * MINUTE,
+        run: () => realtime.purgeEvents()
+    },
+    {
+        name: 'mass-message-resume',
+        interval: 5 * MINUTE,
+        run: () => creatorMessages.resumeStalled()
+    },
+    {
+        name: 'world-poll-close',
+        interval: 5 * MINUTE,
+        run: () => worldPolls.closeExpired()
+    },
+    {
+        name: 'inventory-reservation-sweep',
+        interval: 5 * MINUTE,
+        run: () => inventory.releaseExpired()
+    },
+    {
+        name: 'promotion-hold-sweep',
+        interval: 5 * MINUTE,
+        run: () => promotions.releaseExpired()
+    },
+    {
+        name: 'checkout-recovery-emails',
+        interval: 15 * MINUTE,
+        run: () => checkoutRecovery.sendReminders()
+    },
+    {
+        name: 'checkout-session-purge',
+        interval: 24 * 60 * MINUTE,
+        run: () => checkoutRecovery.purgeStale()
+    },
+    {
+        name: 'pod-fulfillment-retry',
+        interval: 10 * MINUTE,
+        run: () => fulfillment.retryFailed()
+    },
+    {
+        name: 'pod-status-sync',
+        interval: 15 * MINUTE,
+        run: () => fulfillment.syncActive()
+    },
+    {
+        name: 'tax-nexus-check',
+        interval: 24 * 60 * MINUTE,
+        run: () => nexusTracker.checkThresholds()
+    }
+];
+
+// Run a job, skipping the tick if the previous run is still going
+function schedule(job) {
+    let running = false;
+
+    const tick = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            const result = await job.run();
+            if (result && Object.values(result).some(count => count > 0)) {
+                console.log(`Job ${job.name}:`, result);
+            }
+        } catch (error) {
+            console.error(`Job ${job.name} error:`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    // unref() so pending timers never keep the process alive on shutdown
+    setTimeout(tick, 10 * 1000).unref();
+    setInterval(tick, job.interval).unref();
+}
+
+export function startJobs() {
+    if (process.env.DISABLE_JOBS === 'true') {
+        console.log('Background jobs disabled');
+        return;
+    }
+
+    JOBS.forEach(schedule);
+}
@@ -12,6 +12,11 @@ export const authenticateToken = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    // Only tokens from generateToken(): customer sessions carry a scope and
+    // World access tokens a jti, and either could share this secret
+    if (decoded.scope || decoded.jti || !decoded.id || !decoded.username) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
     req.user = decoded;
     next();
   } catch (error) {
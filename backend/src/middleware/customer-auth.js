@@ -0,0 +1,70 @@
+import db from '../config/database.js';
+import { customerOrders } from '../services/customer-orders.js';
+import { resolveWorldUser } from './world-auth.js';
+
+const bearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+/**
+ * Work out which customer is asking: a customer session from a magic link
+ * ({ email }) or a Wyatt World member ({ worldUserId, email }). A member's
+ * email only counts once they have verified it through a magic link.
+ */
+export async function resolveCustomer(token) {
+  try {
+    const { email } = customerOrders.verifySession(token);
+    return { email, worldUserId: null };
+  } catch (err) {
+    // Not a customer session; try it as a World token
+  }
+
+  const { user } = await resolveWorldUser(token);
+  if (!user) {
+    return null;
+  }
+
+  const account = await db.get('SELECT email, email_verified_at FROM world_users WHERE id = ?', [user.id]);
+  return {
+    email: account && account.email_verified_at ? account.email : null,
+    worldUserId: user.id
+  };
+}
+
+// Middleware requiring a customer session or World login
+export const authenticateCustomer = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const customer = await resolveCustomer(token);
+    if (!customer) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    req.customer = customer;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Optional - sets req.customer if a valid token is sent
+export const optionalCustomer = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (token) {
+    try {
+      const customer = await resolveCustomer(token);
+      if (customer) {
+        req.customer = customer;
+      }
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+};
@@ -0,0 +1,88 @@
+import { verifyAccessToken, isAccessTokenRevoked } from '../services/world-tokens.js';
+import { tierResolver } from '../services/tier-resolver.js';
+
+// Resolve a bearer token to the live world user, or explain why it was refused
+export async function resolveWorldUser(token) {
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  const user = await tierResolver.resolve(decoded.id);
+  if (!user) {
+    return { error: 'Invalid or expired token' };
+  }
+  if (!user.is_active) {
+    return { error: 'Account suspended' };
+  }
+  if ((decoded.ver || 0) !== user.token_version || await isAccessTokenRevoked(decoded.jti)) {
+    return { error: 'Token revoked' };
+  }
+
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      membership_tier: user.membership_tier,
+      jti: decoded.jti,
+      exp: decoded.exp
+    }
+  };
+}
+
+const bearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Middleware to verify Wyatt World user token
+export const authenticateWorldUser = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const { user, error } = await resolveWorldUser(token);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+    req.worldUser = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Optional auth - sets user if token exists, but doesn't require it
+export const optionalAuth = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (token) {
+    try {
+      const { user } = await resolveWorldUser(token);
+      if (user) {
+        req.worldUser = user;
+      }
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+};
+
+// Check membership tier (req.worldUser.membership_tier is resolved live, not from the token)
+export const requireTier = (minTier) => {
+  return (req, res, next) => {
+    if (!req.worldUser) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!tierResolver.meets(req.worldUser.membership_tier, minTier)) {
+      return res.status(403).json({ error: `${minTier} membership required` });
+    }
+    next();
+  };
+};
@@ -0,0 +1,98 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { customerOrders } from '../services/customer-orders.js';
+import { authenticateCustomer } from '../middleware/customer-auth.js';
+import { optionalAuth } from '../middleware/world-auth.js';
+
+const router = express.Router();
+
+// POST /api/account/magic-link - Email a sign-in link for viewing orders
+router.post('/magic-link', [
+  body('email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await customerOrders.requestLink(req.body.email, req.ip);
+
+    // Same answer whether or not the email has orders
+    res.json({ message: 'If that email has orders with us, a sign-in link is on its way' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Magic link error:', error);
+    res.status(500).json({ error: 'Failed to send sign-in link' });
+  }
+});
+
+// POST /api/account/verify - Exchange a magic link token for a customer session
+// (signed-in World members also get their account email verified and orders linked)
+router.post('/verify', optionalAuth, [
+  body('token').trim().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = await customerOrders.redeemLink(req.body.token);
+    if (!email) {
+      return res.status(400).json({ error: 'This sign-in link is invalid or has expired' });
+    }
+
+    const linkedOrders = req.worldUser ? await customerOrders.linkAccount(req.worldUser.id, email) : 0;
+
+    res.json({ ...customerOrders.signSession(email), email, linkedOrders });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Magic link verify error:', error);
+    res.status(500).json({ error: 'Failed to verify sign-in link' });
+  }
+});
+
+// GET /api/account/orders - The customer's orders, newest first, with status and tracking
+router.get('/orders', authenticateCustomer, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const { orders, total } = await customerOrders.list(req.customer, { page, limit });
+
+    res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: (page - 1) * limit + orders.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Customer orders fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// GET /api/account/orders/:orderNumber - Full details of one of the customer's orders
+router.get('/orders/:orderNumber', authenticateCustomer, async (req, res) => {
+  try {
+    const order = await customerOrders.getByNumber(req.params.orderNumber);
+    if (!order || !customerOrders.canView(order, req.customer)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(await customerOrders.detail(order, { verified: true }));
+  } catch (error) {
+    console.error('Customer order fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+export default router;
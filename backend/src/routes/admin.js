@@ -1,37 +1,35 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import multer from 'multer';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { unlink } from 'fs/promises';
 import db from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { catalog, BULK_PRODUCT_ACTIONS } from '../services/catalog.js';
+import { PROMOTION_TYPES } from '../services/promotions.js';
+import { TIER_ORDER } from '../config/membership-tiers.js';
+import { fulfillment } from '../services/fulfillment.js';
+import { podManager, POD_PROVIDERS } from '../services/pod-providers.js';
+import { taxCalculator } from '../services/tax-calculator.js';
+import { nexusTracker, ECONOMIC_NEXUS_THRESHOLDS } from '../services/nexus-tracker.js';
+import { vatReporter } from '../services/vat-report.js';
+import { currencyConverter, BASE_CURRENCY, minorUnits } from '../services/currency.js';
+import { refunds } from '../services/refunds.js';
+import { orderService } from '../services/order-service.js';
+import { digitalDelivery } from '../services/digital-delivery.js';
+import { returns, RETURN_STATUSES } from '../services/returns.js';
+import { checkoutRecovery } from '../services/checkout-recovery.js';
+import { ppv } from '../services/ppv.js';
+import { creatorMessages } from '../services/creator-messages.js';
+import { media } from '../services/media.js';
+import { parseCsv } from '../utils/csv.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const uploadDir = join(__dirname, '../../uploads/backgrounds');
-if (!existsSync(uploadDir)) {
-  mkdirSync(uploadDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = file.originalname.split('.').pop();
-    const type = req.body.type || 'background';
-    cb(null, `${type}-${Date.now()}.${ext}`);
-  }
-});
-
+// Images are held in memory and re-encoded by the media pipeline; the
+// uploaded file itself is never written to disk
 const upload = multer({
-  storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB max
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.MEDIA_MAX_MB) || 20) * 1024 * 1024, files: 10 },
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
@@ -41,6 +39,19 @@ const upload = multer({
   }
 });
 
+// CSV uploads are parsed in memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB max
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
 // All admin routes require authentication
 router.use(authenticateToken);
 
@@ -71,7 +82,7 @@ router.get('/stats', async (req, res) => {
       db.get('SELECT COUNT(*) as count FROM creator_collabs WHERE status = ?', ['pending']),
       db.get('SELECT COUNT(*) as count FROM orders'),
       db.get('SELECT COUNT(*) as count FROM orders WHERE status = ?', ['pending']),
-      db.get('SELECT COALESCE(SUM(total), 0) as sum FROM orders WHERE status != ?', ['cancelled']),
+      db.get('SELECT COALESCE(SUM((total - refunded_amount) / exchange_rate), 0) as sum FROM orders WHERE status != ?', ['cancelled']),
       db.get('SELECT COUNT(*) as count FROM newsletter_subscribers WHERE is_active = 1'),
       db.get('SELECT COUNT(*) as count FROM community_posts WHERE is_active = 1'),
       db.get('SELECT COUNT(*) as count FROM post_comments WHERE is_approved = 0')
@@ -90,7 +101,8 @@ router.get('/stats', async (req, res) => {
       orders: {
         total: ordersTotal.count,
         pending: ordersPending.count,
-        revenue: ordersRevenue.sum
+        revenue: Math.round(Number(ordersRevenue.sum) * 100) / 100,
+        currency: BASE_CURRENCY
       },
       subscribers: {
         total: subscribersTotal.count
@@ -223,7 +235,11 @@ router.patch('/collabs/:id', async (req, res) => {
 // GET /api/admin/products - Get all products (including inactive)
 router.get('/products', async (req, res) => {
   try {
-    const products = await db.all('SELECT * FROM products ORDER BY created_at DESC');
+    const products = await db.all(`
+      SELECT p.*, (SELECT COUNT(*) FROM product_variants v WHERE v.product_id = p.id) AS variant_count
+      FROM products p
+      ORDER BY p.created_at DESC
+    `);
     res.json({ products });
   } catch (error) {
     console.error('Products fetch error:', error);
@@ -244,12 +260,12 @@ router.post('/products', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { slug, title, description, price, category, imageUrl, inventoryCount, isDigital, digitalFileUrl } = req.body;
+    const { slug, title, description, price, category, imageUrl, inventoryCount, weight, isDigital, digitalFileUrl } = req.body;
 
     const result = await db.run(`
-      INSERT INTO products (slug, title, description, price, category, image_url, inventory_count, is_digital, digital_file_url)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [slug, title, description || null, price, category, imageUrl || null, inventoryCount || 0, isDigital ? 1 : 0, digitalFileUrl || null]);
+      INSERT INTO products (slug, title, description, price, category, image_url, inventory_count, weight, is_digital, digital_file_url)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [slug, title, description || null, price, category, imageUrl || null, inventoryCount || 0, weight || null, isDigital ? 1 : 0, digitalFileUrl || null]);
 
     res.status(201).json({ message: 'Product created', id: result.lastInsertRowid });
   } catch (error) {
@@ -261,7 +277,7 @@ router.post('/products', [
 // PATCH /api/admin/products/:id - Update product
 router.patch('/products/:id', async (req, res) => {
   try {
-    const { title, description, price, category, imageUrl, inventoryCount, isDigital, isActive } = req.body;
+    const { title, description, price, category, imageUrl, inventoryCount, weight, isDigital, isActive } = req.body;
 
     const updates = [];
     const params = [];
@@ -272,6 +288,7 @@ router.patch('/products/:id', async (req, res) => {
     if (category !== undefined) { updates.push('category = ?'); params.push(category); }
     if (imageUrl !== undefined) { updates.push('image_url = ?'); params.push(imageUrl); }
     if (inventoryCount !== undefined) { updates.push('inventory_count = ?'); params.push(inventoryCount); }
+    if (weight !== undefined) { updates.push('weight = ?'); params.push(weight); }
     if (isDigital !== undefined) { updates.push('is_digital = ?'); params.push(isDigital ? 1 : 0); }
     if (isActive !== undefined) { updates.push('is_active = ?'); params.push(isActive ? 1 : 0); }
 
@@ -295,67 +312,1040 @@ router.patch('/products/:id', async (req, res) => {
 router.delete('/products/:id', async (req, res) => {
   try {
     await db.run('DELETE FROM products WHERE id = ?', [req.params.id]);
+    await media.removeAll('product', req.params.id);
     res.json({ message: 'Product deleted' });
   } catch (error) {
-    console.error('Product delete error:', error);
-    res.status(500).json({ error: 'Failed to delete product' });
+    console.error('Product delete error:', error);
+    res.status(500).json({ error: 'Failed to delete product' });
+  }
+});
+
+// GET /api/admin/products/export - Download all products as CSV
+router.get('/products/export', async (req, res) => {
+  try {
+    const csv = await catalog.exportProducts();
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Product export error:', error);
+    res.status(500).json({ error: 'Failed to export products' });
+  }
+});
+
+// POST /api/admin/products/import - Create or update products from a CSV file, matched by slug
+// (?dryRun=true returns the per-row diff and errors without saving)
+router.post('/products/import', csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const rows = parseCsv(req.file.buffer.toString('utf8'));
+    const result = await catalog.importProducts(rows, { dryRun: req.query.dryRun === 'true' });
+
+    res.json({ message: result.dryRun ? 'Import preview' : 'Products imported', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Product import error:', error);
+    res.status(500).json({ error: 'Failed to import products' });
+  }
+});
+
+// POST /api/admin/products/bulk - Change price (by percent), active state or category of several products
+router.post('/products/bulk', [
+  body('ids').isArray({ min: 1, max: 1000 }).withMessage('Select at least one product'),
+  body('ids.*').isInt({ min: 1 }),
+  body('action').isIn(BULK_PRODUCT_ACTIONS),
+  body('percent')
+    .if(body('action').equals('price'))
+    .isFloat({ gt: -100, max: 1000 }).withMessage('Percent must be above -100')
+    .custom(value => Number(value) !== 0).withMessage('Percent cannot be 0'),
+  body('category')
+    .if(body('action').equals('category'))
+    .trim().notEmpty().isLength({ max: 100 }).withMessage('Category is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ids, action, percent, category } = req.body;
+    const result = await catalog.bulkUpdate(ids, { action, percent: Number(percent), category });
+
+    res.json({ message: 'Products updated', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Product bulk update error:', error);
+    res.status(500).json({ error: 'Failed to update products' });
+  }
+});
+
+// GET /api/admin/products/:id/variants - Get option axes and variants for a product
+router.get('/products/:id/variants', async (req, res) => {
+  try {
+    const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const options = await catalog.getOptions(product.id);
+    const variants = await catalog.getVariants(product.id, { activeOnly: false });
+
+    res.json({ options, variants: variants.map(v => catalog.formatVariant(v, product)) });
+  } catch (error) {
+    console.error('Variants fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch variants' });
+  }
+});
+
+// PUT /api/admin/products/:id/options - Replace a product's option axes
+router.put('/products/:id/options', [
+  body('options').isArray(),
+  body('options.*.name').trim().notEmpty(),
+  body('options.*.values').isArray({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { options } = req.body;
+    const names = options.map(o => o.name);
+    if (new Set(names).size !== names.length) {
+      return res.status(400).json({ error: 'Option names must be unique' });
+    }
+
+    await db.transaction(async (connection) => {
+      await connection.execute('DELETE FROM product_options WHERE product_id = ?', [product.id]);
+      for (const [position, option] of options.entries()) {
+        await connection.execute(`
+          INSERT INTO product_options (product_id, name, option_values, position)
+          VALUES (?, ?, ?, ?)
+        `, [product.id, option.name, JSON.stringify(option.values.map(String)), position]);
+      }
+    });
+
+    // Variants that no longer fit the options can't be sold until they are fixed
+    const productOptions = await catalog.getOptions(product.id);
+    const deactivated = [];
+    for (const variant of await catalog.getVariants(product.id)) {
+      const options = typeof variant.options === 'string' ? JSON.parse(variant.options) : variant.options;
+      if (catalog.validateVariantOptions(options, productOptions)) {
+        await db.run('UPDATE product_variants SET is_active = 0 WHERE id = ?', [variant.id]);
+        deactivated.push(variant.id);
+      }
+    }
+
+    res.json({ message: 'Options updated', options: productOptions, deactivatedVariants: deactivated });
+  } catch (error) {
+    console.error('Options update error:', error);
+    res.status(500).json({ error: 'Failed to update options' });
+  }
+});
+
+// Check variant options against the product and reject duplicate combinations
+async function validateVariant(product, options, variantId = null) {
+  const productOptions = await catalog.getOptions(product.id);
+  const invalid = catalog.validateVariantOptions(options, productOptions);
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  const title = catalog.variantTitle(options, productOptions);
+  const siblings = await catalog.getVariants(product.id, { activeOnly: false });
+  if (siblings.some(v => v.id !== variantId && v.title === title)) {
+    return { error: `A ${title} variant already exists` };
+  }
+
+  return { title };
+}
+
+// POST /api/admin/products/:id/variants - Create variant
+router.post('/products/:id/variants', [
+  body('sku').trim().notEmpty(),
+  body('options').isObject(),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('weight').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('inventoryCount').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { sku, options, price, weight, inventoryCount, isActive } = req.body;
+
+    const { title, error } = await validateVariant(product, options);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const position = await db.get('SELECT COUNT(*) as count FROM product_variants WHERE product_id = ?', [product.id]);
+
+    const result = await db.run(`
+      INSERT INTO product_variants (product_id, sku, title, options, price, weight, inventory_count, position, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      product.id,
+      sku,
+      title,
+      JSON.stringify(options),
+      price ?? null,
+      weight ?? null,
+      inventoryCount || 0,
+      position.count,
+      isActive === false ? 0 : 1
+    ]);
+
+    res.status(201).json({ message: 'Variant created', id: result.lastInsertRowid });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'SKU already in use' });
+    }
+    console.error('Variant create error:', error);
+    res.status(500).json({ error: 'Failed to create variant' });
+  }
+});
+
+// PATCH /api/admin/products/:id/variants/:variantId - Update variant
+router.patch('/products/:id/variants/:variantId', async (req, res) => {
+  try {
+    const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+    const variant = product && await db.get('SELECT * FROM product_variants WHERE id = ? AND product_id = ?',
+      [req.params.variantId, product.id]);
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const { sku, options, price, weight, inventoryCount, isActive } = req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (options !== undefined) {
+      const { title, error } = await validateVariant(product, options, variant.id);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.push('options = ?', 'title = ?');
+      params.push(JSON.stringify(options), title);
+    }
+    if (sku !== undefined) { updates.push('sku = ?'); params.push(sku); }
+    if (price !== undefined) { updates.push('price = ?'); params.push(price); }
+    if (weight !== undefined) { updates.push('weight = ?'); params.push(weight); }
+    if (inventoryCount !== undefined) { updates.push('inventory_count = ?'); params.push(inventoryCount); }
+    if (isActive !== undefined) { updates.push('is_active = ?'); params.push(isActive ? 1 : 0); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No updates provided' });
+    }
+
+    params.push(variant.id);
+
+    await db.run(`UPDATE product_variants SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    res.json({ message: 'Variant updated' });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'SKU already in use' });
+    }
+    console.error('Variant update error:', error);
+    res.status(500).json({ error: 'Failed to update variant' });
+  }
+});
+
+// DELETE /api/admin/products/:id/variants/:variantId - Delete variant
+router.delete('/products/:id/variants/:variantId', async (req, res) => {
+  try {
+    await db.run('DELETE FROM product_variants WHERE id = ? AND product_id = ?', [req.params.variantId, req.params.id]);
+    res.json({ message: 'Variant deleted' });
+  } catch (error) {
+    console.error('Variant delete error:', error);
+    res.status(500).json({ error: 'Failed to delete variant' });
+  }
+});
+
+// GET /api/admin/products/:id/pod-mappings - Get print-on-demand routing for a product
+router.get('/products/:id/pod-mappings', async (req, res) => {
+  try {
+    const mappings = await db.all(
+      'SELECT * FROM pod_product_mappings WHERE product_id = ? ORDER BY variant_id IS NOT NULL, variant_id',
+      [req.params.id]
+    );
+    mappings.forEach(mapping => {
+      mapping.files = mapping.files ? JSON.parse(mapping.files) : [];
+    });
+
+    res.json({ mappings, providers: podManager.getProviders() });
+  } catch (error) {
+    console.error('POD mappings fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch POD mappings' });
+  }
+});
+
+// PUT /api/admin/products/:id/pod-mappings - Map a product (or one variant) to a POD provider
+router.put('/products/:id/pod-mappings', [
+  body('provider').isIn(POD_PROVIDERS),
+  body('variantId').optional({ nullable: true }).isInt(),
+  body('providerProductId').optional({ nullable: true }).isString(),
+  body('providerVariantId').optional({ nullable: true }).isString(),
+  body('files').optional({ nullable: true }).isArray(),
+  body('files.*.url').optional().isURL()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provider, variantId, providerProductId, providerVariantId, files, isActive } = req.body;
+
+    const product = await db.get('SELECT id FROM products WHERE id = ?', [req.params.id]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (variantId) {
+      const variant = await db.get('SELECT id FROM product_variants WHERE id = ? AND product_id = ?', [variantId, product.id]);
+      if (!variant) {
+        return res.status(404).json({ error: 'Variant not found' });
+      }
+    }
+    if (!providerProductId && !providerVariantId) {
+      return res.status(400).json({ error: 'Provider product or variant id required' });
+    }
+
+    const existing = await db.get(
+      'SELECT id FROM pod_product_mappings WHERE product_id = ? AND variant_id <=> ?',
+      [product.id, variantId || null]
+    );
+
+    const params = [
+      provider,
+      providerProductId || null,
+      providerVariantId || null,
+      JSON.stringify(files || []),
+      isActive === false ? 0 : 1
+    ];
+
+    if (existing) {
+      await db.run(`
+        UPDATE pod_product_mappings
+        SET provider = ?, provider_product_id = ?, provider_variant_id = ?, files = ?, is_active = ?
+        WHERE id = ?
+      `, [...params, existing.id]);
+      return res.json({ message: 'POD mapping updated', id: existing.id });
+    }
+
+    const result = await db.run(`
+      INSERT INTO pod_product_mappings (provider, provider_product_id, provider_variant_id, files, is_active, product_id, variant_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [...params, product.id, variantId || null]);
+
+    res.status(201).json({ message: 'POD mapping created', id: result.lastInsertRowid });
+  } catch (error) {
+    console.error('POD mapping save error:', error);
+    res.status(500).json({ error: 'Failed to save POD mapping' });
+  }
+});
+
+// DELETE /api/admin/products/:id/pod-mappings/:mappingId - Remove a POD mapping
+router.delete('/products/:id/pod-mappings/:mappingId', async (req, res) => {
+  try {
+    await db.run('DELETE FROM pod_product_mappings WHERE id = ? AND product_id = ?', [req.params.mappingId, req.params.id]);
+    res.json({ message: 'POD mapping deleted' });
+  } catch (error) {
+    console.error('POD mapping delete error:', error);
+    res.status(500).json({ error: 'Failed to delete POD mapping' });
+  }
+});
+
+// ============================================
+// DIGITAL ASSETS
+// ============================================
+
+// Digital product files go to the private asset store, never to the public uploads
+const assetUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, digitalDelivery.ensureStorage());
+    },
+    filename: (req, file, cb) => {
+      cb(null, digitalDelivery.storageKey(file.originalname));
+    }
+  }),
+  limits: { fileSize: (parseInt(process.env.DIGITAL_ASSET_MAX_MB) || 500) * 1024 * 1024 }
+});
+
+// GET /api/admin/products/:id/assets - Get the files delivered to buyers of a product
+router.get('/products/:id/assets', async (req, res) => {
+  try {
+    const assets = await digitalDelivery.getAssets(req.params.id);
+    res.json({ assets });
+  } catch (error) {
+    console.error('Digital assets fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch digital assets' });
+  }
+});
+
+// POST /api/admin/products/:id/assets - Upload a file for a digital product (optional variantId)
+router.post('/products/:id/assets', assetUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const product = await db.get('SELECT id, is_digital FROM products WHERE id = ?', [req.params.id]);
+    const variantId = req.body.variantId ? parseInt(req.body.variantId) : null;
+    const variant = variantId
+      ? await db.get('SELECT id FROM product_variants WHERE id = ? AND product_id = ?', [variantId, req.params.id])
+      : null;
+
+    let problem = null;
+    if (!product) {
+      problem = [404, 'Product not found'];
+    } else if (!product.is_digital) {
+      problem = [400, 'Only digital products can have download files'];
+    } else if (variantId && !variant) {
+      problem = [400, 'Variant not found for this product'];
+    }
+    if (problem) {
+      await unlink(req.file.path).catch(() => {});
+      return res.status(problem[0]).json({ error: problem[1] });
+    }
+
+    const asset = await digitalDelivery.addAsset(product.id, { variantId, file: req.file });
+
+    res.status(201).json({ message: 'Digital asset uploaded', asset });
+  } catch (error) {
+    console.error('Digital asset upload error:', error);
+    res.status(500).json({ error: 'Failed to upload digital asset' });
+  }
+});
+
+// DELETE /api/admin/products/:id/assets/:assetId - Stop delivering a file (earlier buyers keep it)
+router.delete('/products/:id/assets/:assetId', async (req, res) => {
+  try {
+    const removed = await digitalDelivery.removeAsset(req.params.id, req.params.assetId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Digital asset not found' });
+    }
+    res.json({ message: 'Digital asset removed' });
+  } catch (error) {
+    console.error('Digital asset delete error:', error);
+    res.status(500).json({ error: 'Failed to remove digital asset' });
+  }
+});
+
+// ============================================
+// PROMOTIONS MANAGEMENT
+// ============================================
+
+// Request fields and the promotions columns they map to
+const PROMOTION_FIELDS = {
+  code: 'code',
+  name: 'name',
+  type: 'type',
+  value: 'value',
+  minSubtotal: 'min_subtotal',
+  maxUses: 'max_uses',
+  maxUsesPerCustomer: 'max_uses_per_customer',
+  productIds: 'product_ids',
+  categories: 'categories',
+  tier: 'tier',
+  isAutomatic: 'is_automatic',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  isActive: 'is_active'
+};
+
+// Normalise a request value for its promotions column
+function promotionValue(field, value) {
+  if (value === null) {
+    return null;
+  }
+  switch (field) {
+    case 'code': return String(value).trim().toUpperCase();
+    case 'productIds':
+    case 'categories': return JSON.stringify(value);
+    case 'isAutomatic':
+    case 'isActive': return value ? 1 : 0;
+    case 'startsAt':
+    case 'endsAt': return new Date(value);
+    default: return value;
+  }
+}
+
+// Rules that span several fields (checked against the merged promotion)
+function validatePromotion(promotion) {
+  if (promotion.type === 'percentage' && Number(promotion.value) > 100) {
+    return 'Percentage discounts cannot exceed 100';
+  }
+  if (promotion.type !== 'free_shipping' && !(Number(promotion.value) > 0)) {
+    return 'Discount value is required';
+  }
+  if (!promotion.code && !promotion.is_automatic) {
+    return 'A code is required unless the promotion is automatic';
+  }
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.starts_at) >= new Date(promotion.ends_at)) {
+    return 'Promotion must end after it starts';
+  }
+  return null;
+}
+
+// Name and type are required on create only
+const promotionValidators = (isUpdate) => {
+  const field = (name) => body(name).optional({ nullable: true });
+  const required = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    required('name').trim().notEmpty(),
+    required('type').isIn(PROMOTION_TYPES),
+    field('code').isString().isLength({ min: 3, max: 50 }),
+    field('value').isFloat({ min: 0 }),
+    field('minSubtotal').isFloat({ min: 0 }),
+    field('maxUses').isInt({ min: 1 }),
+    field('maxUsesPerCustomer').isInt({ min: 1 }),
+    field('productIds').isArray(),
+    field('categories').isArray(),
+    field('tier').isIn(TIER_ORDER),
+    field('startsAt').isISO8601(),
+    field('endsAt').isISO8601()
+  ];
+};
+
+// GET /api/admin/promotions - Get all promotions with usage
+router.get('/promotions', async (req, res) => {
+  try {
+    const promotions = await db.all(`
+      SELECT p.*,
+        (SELECT COALESCE(SUM(discount_amount), 0) FROM promotion_redemptions r
+         WHERE r.promotion_id = p.id AND r.status = 'redeemed') as total_discounted
+      FROM promotions p
+      ORDER BY p.created_at DESC
+    `);
+    res.json(promotions);
+  } catch (error) {
+    console.error('Promotions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+});
+
+// POST /api/admin/promotions - Create promotion
+router.post('/promotions', promotionValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const columns = [];
+    const params = [];
+    const promotion = {};
+
+    for (const [field, column] of Object.entries(PROMOTION_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        columns.push(column);
+        params.push(promotionValue(field, req.body[field]));
+        promotion[column] = params[params.length - 1];
+      }
+    }
+
+    const invalid = validatePromotion(promotion);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.run(
+      `INSERT INTO promotions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      params
+    );
+
+    res.status(201).json({ message: 'Promotion created', id: result.lastInsertRowid });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Code already in use' });
+    }
+    console.error('Promotion create error:', error);
+    res.status(500).json({ error: 'Failed to create promotion' });
+  }
+});
+
+// PATCH /api/admin/promotions/:id - Update promotion
+router.patch('/promotions/:id', promotionValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await db.get('SELECT * FROM promotions WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const updates = [];
+    const params = [];
+    const promotion = { ...existing };
+
+    for (const [field, column] of Object.entries(PROMOTION_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${column} = ?`);
+        params.push(promotionValue(field, req.body[field]));
+        promotion[column] = params[params.length - 1];
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No updates provided' });
+    }
+
+    const invalid = validatePromotion(promotion);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    params.push(existing.id);
+
+    await db.run(`UPDATE promotions SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    res.json({ message: 'Promotion updated' });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Code already in use' });
+    }
+    console.error('Promotion update error:', error);
+    res.status(500).json({ error: 'Failed to update promotion' });
+  }
+});
+
+// DELETE /api/admin/promotions/:id - Delete promotion (deactivated instead once it has been used)
+router.delete('/promotions/:id', async (req, res) => {
+  try {
+    const used = await db.get(
+      "SELECT COUNT(*) as count FROM promotion_redemptions WHERE promotion_id = ? AND status = 'redeemed'",
+      [req.params.id]
+    );
+
+    if (used.count > 0) {
+      await db.run('UPDATE promotions SET is_active = 0 WHERE id = ?', [req.params.id]);
+      return res.json({ message: 'Promotion has been used, so it was deactivated' });
+    }
+
+    await db.run('DELETE FROM promotions WHERE id = ?', [req.params.id]);
+    res.json({ message: 'Promotion deleted' });
+  } catch (error) {
+    console.error('Promotion delete error:', error);
+    res.status(500).json({ error: 'Failed to delete promotion' });
+  }
+});
+
+// GET /api/admin/promotions/:id/redemptions - Get orders that used a promotion
+router.get('/promotions/:id/redemptions', async (req, res) => {
+  try {
+    const redemptions = await db.all(`
+      SELECT r.id, r.customer_email, r.world_user_id, r.discount_amount, r.created_at,
+        o.order_number, o.total
+      FROM promotion_redemptions r
+      LEFT JOIN orders o ON o.id = r.order_id
+      WHERE r.promotion_id = ? AND r.status = 'redeemed'
+      ORDER BY r.created_at DESC
+    `, [req.params.id]);
+    res.json(redemptions);
+  } catch (error) {
+    console.error('Promotion redemptions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch redemptions' });
+  }
+});
+
+// GET /api/admin/checkout-recovery - Abandoned checkout reminders and the orders they recovered (?days=30)
+router.get('/checkout-recovery', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    res.json({
+      enabled: checkoutRecovery.enabled,
+      ...await checkoutRecovery.getReport(days)
+    });
+  } catch (error) {
+    console.error('Checkout recovery report error:', error);
+    res.status(500).json({ error: 'Failed to fetch checkout recovery report' });
+  }
+});
+
+// ============================================
+// ORDERS MANAGEMENT
+// ============================================
+
+// GET /api/admin/orders - Get all orders
+router.get('/orders', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let query = 'SELECT * FROM orders';
+    const params = [];
+
+    if (status) {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), offset);
+
+    const orders = await db.all(query, params);
+
+    // Parse items JSON and attach print-on-demand fulfillments
+    const fulfillments = await fulfillment.getForOrders(orders.map(order => order.id));
+    orders.forEach(order => {
+      order.items = JSON.parse(order.items);
+      order.fulfillments = fulfillments[order.id] || [];
+    });
+
+    const countQuery = status ? 'SELECT COUNT(*) as count FROM orders WHERE status = ?' : 'SELECT COUNT(*) as count FROM orders';
+    const totalResult = await db.get(countQuery, status ? [status] : []);
+
+    res.json({ orders, total: totalResult.count, page: parseInt(page), limit: parseInt(limit) });
+  } catch (error) {
+    console.error('Orders fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// PATCH /api/admin/orders/:id - Update order status
+router.patch('/orders/:id', async (req, res) => {
+  try {
+    const { status } = req.body;
+    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    // Accepting an unpaid order takes its stock
+    const order = await db.get('SELECT * FROM orders WHERE id = ?', [req.params.id]);
+    if (order && order.status === 'pending' && !['pending', 'cancelled'].includes(status)) {
+      await orderService.accept(order, status);
+      return res.json({ message: 'Order updated' });
+    }
+
+    await db.run('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, req.params.id]);
+
+    res.json({ message: 'Order updated' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Order update error:', error);
+    res.status(500).json({ error: 'Failed to update order' });
+  }
+});
+
+// POST /api/admin/orders/:id/fulfill - Submit (or retry) print-on-demand fulfillment
+router.post('/orders/:id/fulfill', async (req, res) => {
+  try {
+    const order = await db.get('SELECT id, status FROM orders WHERE id = ?', [req.params.id]);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!['paid', 'processing'].includes(order.status)) {
+      return res.status(400).json({ error: `Cannot fulfill a ${order.status} order` });
+    }
+
+    const result = await fulfillment.retryOrder(order.id);
+    const fulfillments = await fulfillment.getForOrders([order.id]);
+
+    res.json({ ...result, fulfillments: fulfillments[order.id] || [] });
+  } catch (error) {
+    console.error('Order fulfill error:', error);
+    res.status(500).json({ error: 'Failed to fulfill order' });
+  }
+});
+
+// GET /api/admin/orders/:id/downloads - Download grants for an order's digital items
+router.get('/orders/:id/downloads', async (req, res) => {
+  try {
+    const downloads = await digitalDelivery.getForOrder(req.params.id);
+    res.json({ downloads });
+  } catch (error) {
+    console.error('Downloads fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch downloads' });
+  }
+});
+
+// POST /api/admin/orders/:id/downloads/resend - Email fresh download links (old links stop working)
+router.post('/orders/:id/downloads/resend', [
+  body('resetCounts').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await digitalDelivery.deliver(parseInt(req.params.id), {
+      resend: true,
+      resetCounts: Boolean(req.body.resetCounts)
+    });
+    if (result.downloads.length === 0) {
+      return res.status(400).json({ error: 'Order has no digital downloads' });
+    }
+
+    res.json({ message: 'Download links sent', downloads: result.downloads.length, granted: result.granted });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Downloads resend error:', error);
+    res.status(500).json({ error: 'Failed to resend downloads' });
+  }
+});
+
+// ============================================
+// REFUNDS & RETURNS
+// ============================================
+
+// GET /api/admin/orders/:id/refunds - Refunds given against an order
+router.get('/orders/:id/refunds', async (req, res) => {
+  try {
+    const order = await db.get('SELECT id, total, refunded_amount, currency FROM orders WHERE id = ?', [req.params.id]);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      refunds: await refunds.getForOrder(order.id),
+      total: Number(order.total),
+      refundedAmount: Number(order.refunded_amount),
+      currency: order.currency
+    });
+  } catch (error) {
+    console.error('Refunds fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+// POST /api/admin/orders/:id/refunds - Refund lines, shipping or an amount through the payment provider
+// (items are order line indexes: [{ index, quantity }])
+router.post('/orders/:id/refunds', [
+  body('items').optional().isArray(),
+  body('items.*.index').isInt({ min: 0 }),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('refundShipping').optional().isBoolean(),
+  body('amount').optional({ nullable: true }).isFloat({ min: 0.01 }),
+  body('restock').optional().isBoolean(),
+  body('reason').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items = [], refundShipping = false, amount = null, restock = false, reason = null } = req.body;
+    if (items.length === 0 && !refundShipping && amount === null) {
+      return res.status(400).json({ error: 'Choose items, shipping or an amount to refund' });
+    }
+
+    const refund = await refunds.issue(parseInt(req.params.id), { items, refundShipping, amount, restock, reason });
+
+    res.status(201).json({ message: refund.status === 'pending' ? 'Refund recorded, waiting for the processor' : 'Refund issued', refund });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Refund error:', error);
+    res.status(500).json({ error: 'Failed to refund order' });
+  }
+});
+
+// GET /api/admin/checkout/unplaced-payments - Checkout payments taken without an order (?all=true includes resolved)
+router.get('/checkout/unplaced-payments', async (req, res) => {
+  try {
+    res.json({ payments: await refunds.listUnplaced({ includeResolved: req.query.all === 'true' }) });
+  } catch (error) {
+    console.error('Unplaced payments fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch unplaced payments' });
+  }
+});
+
+// POST /api/admin/checkout/unplaced-payments/:id/refund - Retry the refund through the payment provider
+router.post('/checkout/unplaced-payments/:id/refund', async (req, res) => {
+  try {
+    const payment = await refunds.retryUnplaced(parseInt(req.params.id));
+    res.json({ message: payment.refundStatus === 'succeeded' ? 'Payment refunded' : 'Refund not completed yet', payment });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Unplaced payment refund error:', error);
+    res.status(500).json({ error: 'Failed to refund payment' });
+  }
+});
+
+// POST /api/admin/checkout/unplaced-payments/:id/resolve - Mark as dealt with by hand (refunded in the portal, order placed manually)
+router.post('/checkout/unplaced-payments/:id/resolve', [
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await refunds.resolveUnplaced(parseInt(req.params.id), req.body.note || null);
+    res.json({ message: 'Payment marked as resolved', payment });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Unplaced payment resolve error:', error);
+    res.status(500).json({ error: 'Failed to resolve payment' });
+  }
+});
+
+// GET /api/admin/returns - List return requests
+router.get('/returns', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const result = await returns.list({ status, page: parseInt(page), limit: parseInt(limit) });
+
+    res.json({ ...result, page: parseInt(page), limit: parseInt(limit) });
+  } catch (error) {
+    console.error('Returns fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// GET /api/admin/returns/:id - Get a return request with its order's refunds
+router.get('/returns/:id', async (req, res) => {
+  try {
+    const request = await returns.get(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    res.json({ return: request, refunds: await refunds.getForOrder(request.orderId) });
+  } catch (error) {
+    console.error('Return fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch return' });
+  }
+});
+
+// POST /api/admin/returns/:id/approve - Accept a return; instructions (e.g. a label link) are emailed
+router.post('/returns/:id/approve', [
+  body('instructions').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const request = await returns.approve(req.params.id, {
+      instructions: req.body.instructions || null,
+      notes: req.body.notes || null
+    });
+
+    res.json({ message: 'Return approved', return: request });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Return approve error:', error);
+    res.status(500).json({ error: 'Failed to approve return' });
   }
 });
 
-// ============================================
-// ORDERS MANAGEMENT
-// ============================================
-
-// GET /api/admin/orders - Get all orders
-router.get('/orders', async (req, res) => {
+// POST /api/admin/returns/:id/reject - Turn a return down (notes are emailed to the customer)
+router.post('/returns/:id/reject', [
+  body('notes').trim().notEmpty().withMessage('Tell the customer why')
+], async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    let query = 'SELECT * FROM orders';
-    const params = [];
+    const request = await returns.reject(req.params.id, { notes: req.body.notes });
 
-    if (status) {
-      query += ' WHERE status = ?';
-      params.push(status);
+    res.json({ message: 'Return rejected', return: request });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Return reject error:', error);
+    res.status(500).json({ error: 'Failed to reject return' });
+  }
+});
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
-
-    const orders = await db.all(query, params);
+// POST /api/admin/returns/:id/receive - Record the items that came back and restock them
+router.post('/returns/:id/receive', [
+  body('items').optional().isArray({ min: 1 }),
+  body('items.*.index').isInt({ min: 0 }),
+  body('items.*.quantity').isInt({ min: 0 }),
+  body('items.*.restock').optional().isBoolean(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Parse items JSON
-    orders.forEach(order => {
-      order.items = JSON.parse(order.items);
+    const request = await returns.receive(req.params.id, {
+      items: req.body.items || null,
+      notes: req.body.notes || null
     });
 
-    const countQuery = status ? 'SELECT COUNT(*) as count FROM orders WHERE status = ?' : 'SELECT COUNT(*) as count FROM orders';
-    const totalResult = await db.get(countQuery, status ? [status] : []);
-
-    res.json({ orders, total: totalResult.count, page: parseInt(page), limit: parseInt(limit) });
+    res.json({ message: 'Return received', return: request });
   } catch (error) {
-    console.error('Orders fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch orders' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Return receive error:', error);
+    res.status(500).json({ error: 'Failed to receive return' });
   }
 });
 
-// PATCH /api/admin/orders/:id - Update order status
-router.patch('/orders/:id', async (req, res) => {
+// POST /api/admin/returns/:id/refund - Refund the received items
+router.post('/returns/:id/refund', [
+  body('refundShipping').optional().isBoolean(),
+  body('amount').optional({ nullable: true }).isFloat({ min: 0.01 })
+], async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    await db.run('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, req.params.id]);
+    const { refundShipping = false, amount = null } = req.body;
+    const result = await returns.refund(req.params.id, { refundShipping, amount });
 
-    res.json({ message: 'Order updated' });
+    res.json({ message: 'Return refunded', ...result });
   } catch (error) {
-    console.error('Order update error:', error);
-    res.status(500).json({ error: 'Failed to update order' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Return refund error:', error);
+    res.status(500).json({ error: 'Failed to refund return' });
   }
 });
 
@@ -550,6 +1540,67 @@ router.delete('/community/comments/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// WYATT WORLD
+// ============================================
+
+// GET /api/admin/world/ppv-sales - Pay-per-view sales per post (?authorId= for one creator, ?days= for recent unlocks)
+router.get('/world/ppv-sales', async (req, res) => {
+  try {
+    const days = req.query.days ? Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365) : null;
+    const authorId = req.query.authorId ? parseInt(req.query.authorId) : null;
+    res.json(await ppv.salesReport({ authorId, days }));
+  } catch (error) {
+    console.error('PPV sales report error:', error);
+    res.status(500).json({ error: 'Failed to fetch PPV sales' });
+  }
+});
+
+// PUT /api/admin/world/users/:id/creator - Let a member send paid and mass messages (or stop them)
+router.put('/world/users/:id/creator', [
+  body('isCreator').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isCreator = req.body.isCreator === true || req.body.isCreator === 'true';
+    const result = await db.run('UPDATE world_users SET is_creator = ? WHERE id = ?', [isCreator ? 1 : 0, parseInt(req.params.id)]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'World user not found' });
+    }
+
+    res.json({ message: isCreator ? 'Creator access granted' : 'Creator access removed', isCreator });
+  } catch (error) {
+    console.error('Creator update error:', error);
+    res.status(500).json({ error: 'Failed to update creator access' });
+  }
+});
+
+// GET /api/admin/world/message-sales - Paid message purchases (?senderId= for one creator, ?days= for recent unlocks)
+router.get('/world/message-sales', async (req, res) => {
+  try {
+    const days = req.query.days ? Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365) : null;
+    const senderId = req.query.senderId ? parseInt(req.query.senderId) : null;
+    res.json(await creatorMessages.salesReport({ senderId, days }));
+  } catch (error) {
+    console.error('Message sales report error:', error);
+    res.status(500).json({ error: 'Failed to fetch message sales' });
+  }
+});
+
+// GET /api/admin/world/mass-messages - Recent mass messages from every creator
+router.get('/world/mass-messages', async (req, res) => {
+  try {
+    res.json({ massMessages: await creatorMessages.listMass() });
+  } catch (error) {
+    console.error('Mass messages fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch mass messages' });
+  }
+});
+
 // ============================================
 // PORTFOLIO MANAGEMENT
 // ============================================
@@ -615,6 +1666,7 @@ router.patch('/portfolio/:id', async (req, res) => {
 router.delete('/portfolio/:id', async (req, res) => {
   try {
     await db.run('DELETE FROM portfolio_items WHERE id = ?', [req.params.id]);
+    await media.removeAll('portfolio', req.params.id);
     res.json({ message: 'Portfolio item deleted' });
   } catch (error) {
     console.error('Portfolio delete error:', error);
@@ -890,26 +1942,382 @@ router.post('/integrations/:provider/test', async (req, res) => {
   }
 });
 
+// ============================================
+// SALES TAX MANAGEMENT
+// ============================================
+
+// GET /api/admin/tax/rates - List imported ZIP rates
+router.get('/tax/rates', async (req, res) => {
+  try {
+    const { state, zip, page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const conditions = [];
+    const params = [];
+    if (state) {
+      conditions.push('state = ?');
+      params.push(String(state).toUpperCase());
+    }
+    if (zip) {
+      conditions.push('zip LIKE ?');
+      params.push(`${zip}%`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rates = await db.all(
+      `SELECT * FROM tax_zip_rates ${where} ORDER BY zip LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+    const totalResult = await db.get(`SELECT COUNT(*) as count FROM tax_zip_rates ${where}`, params);
+
+    res.json({ rates, total: totalResult.count, page: parseInt(page), limit: parseInt(limit) });
+  } catch (error) {
+    console.error('Tax rates fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch tax rates' });
+  }
+});
+
+// POST /api/admin/tax/rates/import - Import ZIP rates from a CSV file (?replace=true drops missing ZIPs)
+router.post('/tax/rates/import', csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const rows = parseCsv(req.file.buffer.toString('utf8'));
+    const result = await taxCalculator.importZipRates(rows, { replace: req.query.replace === 'true' });
+
+    res.json({ message: 'Tax rates imported', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Tax rate import error:', error);
+    res.status(500).json({ error: 'Failed to import tax rates' });
+  }
+});
+
+// GET /api/admin/tax/registrations - States where we collect sales tax
+router.get('/tax/registrations', async (req, res) => {
+  try {
+    const registrations = await db.all('SELECT * FROM tax_registrations ORDER BY state');
+    res.json({ registrations, nexusStates: taxCalculator.nexusStates });
+  } catch (error) {
+    console.error('Tax registrations fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch tax registrations' });
+  }
+});
+
+// PUT /api/admin/tax/registrations/:state - Record (or update) a state registration
+router.put('/tax/registrations/:state', [
+  body('registrationNumber').optional({ nullable: true }).trim(),
+  body('registeredAt').optional({ nullable: true }).isISO8601().withMessage('Invalid registration date'),
+  body('notes').optional({ nullable: true }).trim(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const state = req.params.state.toUpperCase();
+    if (!ECONOMIC_NEXUS_THRESHOLDS[state]) {
+      return res.status(400).json({ error: 'Unknown or non-taxing state' });
+    }
+
+    const { registrationNumber = null, registeredAt = null, notes = null, isActive = true } = req.body;
+
+    await db.run(`
+      INSERT INTO tax_registrations (state, registration_number, registered_at, notes, is_active)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        registration_number = VALUES(registration_number),
+        registered_at = VALUES(registered_at),
+        notes = VALUES(notes),
+        is_active = VALUES(is_active)
+    `, [state, registrationNumber, registeredAt, notes, isActive ? 1 : 0]);
+
+    await taxCalculator.load();
+
+    res.json({ message: 'Tax registration saved', nexusStates: taxCalculator.nexusStates });
+  } catch (error) {
+    console.error('Tax registration save error:', error);
+    res.status(500).json({ error: 'Failed to save tax registration' });
+  }
+});
+
+// DELETE /api/admin/tax/registrations/:state - Remove a state registration
+router.delete('/tax/registrations/:state', async (req, res) => {
+  try {
+    const result = await db.run('DELETE FROM tax_registrations WHERE state = ?', [req.params.state.toUpperCase()]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    await taxCalculator.load();
+
+    res.json({ message: 'Tax registration removed', nexusStates: taxCalculator.nexusStates });
+  } catch (error) {
+    console.error('Tax registration delete error:', error);
+    res.status(500).json({ error: 'Failed to remove tax registration' });
+  }
+});
+
+// GET /api/admin/tax/nexus - Economic nexus position per state
+router.get('/tax/nexus', async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const states = await nexusTracker.getReport(year);
+    const alerts = await db.all('SELECT * FROM tax_nexus_alerts WHERE period_year = ? ORDER BY created_at DESC', [year]);
+
+    res.json({
+      year,
+      states,
+      alerts,
+      summary: {
+        exceeded: states.filter(entry => entry.status === 'exceeded' && !entry.registered).map(entry => entry.state),
+        approaching: states.filter(entry => entry.status === 'approaching' && !entry.registered).map(entry => entry.state)
+      }
+    });
+  } catch (error) {
+    console.error('Tax nexus report error:', error);
+    res.status(500).json({ error: 'Failed to build nexus report' });
+  }
+});
+
+// GET /api/admin/tax/vat-report - Quarterly digital VAT totals (OSS / UK); ?format=csv&scheme=oss to export
+router.get('/tax/vat-report', async (req, res) => {
+  try {
+    const previous = vatReporter.previousQuarter();
+    const year = parseInt(req.query.year) || previous.year;
+    const quarter = parseInt(req.query.quarter) || previous.quarter;
+    if (quarter < 1 || quarter > 4) {
+      return res.status(400).json({ error: 'Quarter must be 1-4' });
+    }
+
+    const report = await vatReporter.getQuarter(year, quarter);
+
+    if (req.query.format === 'csv') {
+      const scheme = req.query.scheme || null;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="vat-${scheme || 'all'}-${year}-q${quarter}.csv"`);
+      return res.send(vatReporter.toCsv(report, scheme));
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('VAT report error:', error);
+    res.status(500).json({ error: 'Failed to build VAT report' });
+  }
+});
+
+// ============================================
+// CURRENCIES
+// ============================================
+
+// GET /api/admin/currencies - Exchange rates and rounding rules
+router.get('/currencies', async (req, res) => {
+  try {
+    const currencies = await db.all('SELECT * FROM exchange_rates ORDER BY currency');
+    res.json({ baseCurrency: BASE_CURRENCY, currencies });
+  } catch (error) {
+    console.error('Currencies fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch currencies' });
+  }
+});
+
+// PUT /api/admin/currencies/:code - Set a rate (units per 1 base currency) and its rounding rule
+router.put('/currencies/:code', [
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('roundingIncrement').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Rounding increment must be positive'),
+  body('priceEnding').optional({ nullable: true }).isFloat({ min: 0, lt: 1 }).withMessage('Price ending must be between 0 and 1'),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const code = req.params.code.toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code) || code === BASE_CURRENCY) {
+      return res.status(400).json({ error: 'Invalid currency' });
+    }
+
+    // Amounts are stored with two decimals, so only currencies with cents are supported
+    let decimals;
+    try {
+      decimals = minorUnits(code);
+    } catch (error) {
+      return res.status(400).json({ error: 'Unknown currency' });
+    }
+    if (decimals !== 2) {
+      return res.status(400).json({ error: 'Only currencies with two decimal places are supported' });
+    }
+
+    const { rate, roundingIncrement = null, priceEnding = null, isActive = true } = req.body;
+
+    await db.run(`
+      INSERT INTO exchange_rates (currency, rate, rounding_increment, price_ending, is_active)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        rate = VALUES(rate),
+        rounding_increment = VALUES(rounding_increment),
+        price_ending = VALUES(price_ending),
+        is_active = VALUES(is_active)
+    `, [code, rate, roundingIncrement, priceEnding, isActive ? 1 : 0]);
+
+    await currencyConverter.load();
+
+    const currency = await db.get('SELECT * FROM exchange_rates WHERE currency = ?', [code]);
+    res.json({ message: 'Currency saved', currency });
+  } catch (error) {
+    console.error('Currency save error:', error);
+    res.status(500).json({ error: 'Failed to save currency' });
+  }
+});
+
+// DELETE /api/admin/currencies/:code - Stop offering a currency
+router.delete('/currencies/:code', async (req, res) => {
+  try {
+    const result = await db.run('DELETE FROM exchange_rates WHERE currency = ?', [req.params.code.toUpperCase()]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Currency not found' });
+    }
+
+    await currencyConverter.load();
+
+    res.json({ message: 'Currency removed' });
+  } catch (error) {
+    console.error('Currency delete error:', error);
+    res.status(500).json({ error: 'Failed to remove currency' });
+  }
+});
+
+// ============================================
+// IMAGE GALLERIES
+// ============================================
+
+// Products and portfolio items share these routes: /products/:id/images and /portfolio/:id/images
+const GALLERY_PATH = '/:owner(products|portfolio)/:id/images';
+const galleryOwner = (req) => (req.params.owner === 'products' ? 'product' : 'portfolio');
+
+// GET /api/admin/{products,portfolio}/:id/images - Get a gallery, cover first
+router.get(GALLERY_PATH, async (req, res) => {
+  try {
+    const images = await media.list(galleryOwner(req), req.params.id);
+    res.json({ images });
+  } catch (error) {
+    console.error('Gallery fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch images' });
+  }
+});
+
+// POST /api/admin/{products,portfolio}/:id/images - Upload images (field "images", up to 10, optional altText)
+router.post(GALLERY_PATH, upload.array('images', 10), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    if (!await media.ownerExists(galleryOwner(req), req.params.id)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const images = await media.add(galleryOwner(req), Number(req.params.id), req.files, {
+      altText: req.body.altText ? String(req.body.altText).trim().slice(0, 255) : null
+    });
+
+    res.status(201).json({ message: 'Images uploaded', images });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Gallery upload error:', error);
+    res.status(500).json({ error: 'Failed to upload images' });
+  }
+});
+
+// PUT /api/admin/{products,portfolio}/:id/images/order - Reorder a gallery (the first image is the cover)
+router.put(`${GALLERY_PATH}/order`, [
+  body('ids').isArray({ min: 1 }).withMessage('Image ids are required'),
+  body('ids.*').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await media.reorder(galleryOwner(req), req.params.id, req.body.ids);
+    res.json({ message: 'Images reordered', images: await media.list(galleryOwner(req), req.params.id) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Gallery reorder error:', error);
+    res.status(500).json({ error: 'Failed to reorder images' });
+  }
+});
+
+// PATCH /api/admin/{products,portfolio}/:id/images/:imageId - Update alt text
+router.patch(`${GALLERY_PATH}/:imageId`, [
+  body('altText').optional({ nullable: true }).trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updated = await media.update(galleryOwner(req), req.params.id, req.params.imageId, { altText: req.body.altText });
+    if (!updated) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.json({ message: 'Image updated' });
+  } catch (error) {
+    console.error('Gallery image update error:', error);
+    res.status(500).json({ error: 'Failed to update image' });
+  }
+});
+
+// DELETE /api/admin/{products,portfolio}/:id/images/:imageId - Delete an image and its files
+router.delete(`${GALLERY_PATH}/:imageId`, async (req, res) => {
+  try {
+    const removed = await media.remove(galleryOwner(req), req.params.id, req.params.imageId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.json({ message: 'Image deleted' });
+  } catch (error) {
+    console.error('Gallery image delete error:', error);
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
 // ============================================
 // FILE UPLOADS
 // ============================================
 
-// POST /api/admin/upload/background - Upload background image
-router.post('/upload/background', upload.single('image'), (req, res) => {
+// POST /api/admin/upload/background - Upload background image (resized like gallery images)
+router.post('/upload/background', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const url = `/uploads/backgrounds/${req.file.filename}`;
+    const [image] = await media.add('background', null, [req.file]);
 
     res.json({
       message: 'Image uploaded successfully',
-      url,
-      filename: req.file.filename,
+      url: image.src,
+      image,
       size: req.file.size
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Upload error:', error);
     res.status(500).json({ error: 'Failed to upload image' });
   }
@@ -4,7 +4,13 @@ import { v4 as uuidv4 } from 'uuid';
 import db from '../config/database.js';
 import { taxCalculator } from '../services/tax-calculator.js';
 import { shippingCalculator } from '../services/shipping-calculator.js';
-import { sendOrderConfirmation } from '../utils/email.js';
+import { paymentManager } from '../services/payment-providers.js';
+import { inventory } from '../services/inventory.js';
+import { catalog } from '../services/catalog.js';
+import { promotions } from '../services/promotions.js';
+import { orderService, requestCountry } from '../services/order-service.js';
+import { refunds } from '../services/refunds.js';
+import { optionalAuth } from '../middleware/world-auth.js';
 
 const router = express.Router();
 
@@ -15,21 +21,36 @@ router.post('/shipping-rates', [
     body('country').notEmpty().withMessage('Country is required'),
     body('state').optional(),
     body('postalCode').optional(),
-    body('subtotal').isFloat({ min: 0 }).withMessage('Subtotal is required')
-], (req, res) => {
+    body('subtotal').isFloat({ min: 0 }).withMessage('Subtotal is required'),
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*.productId').notEmpty(),
+    body('items.*.variantId').optional({ nullable: true }).isInt(),
+    body('items.*.quantity').isInt({ min: 1 })
+], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { country, state, postalCode, subtotal, weight = 1 } = req.body;
+        const { country, state, postalCode, subtotal, items } = req.body;
+        let { weight = 1 } = req.body;
 
-        const rates = shippingCalculator.getAllRates({
+        // With the cart, print-on-demand items get live provider quotes
+        let pricedItems = null;
+        if (items) {
+            const priced = await catalog.priceItems(items);
+            pricedItems = priced.items;
+            weight = priced.totalWeight;
+        }
+
+        const rates = await shippingCalculator.getAllRates({
             country,
             state,
+            postalCode,
             weight,
-            subtotal
+            subtotal,
+            items: pricedItems
         });
 
         res.json({
@@ -37,6 +58,9 @@ router.post('/shipping-rates', [
             freeShipping: shippingCalculator.checkFreeShipping(country, subtotal)
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Shipping rates error:', error);
         res.status(500).json({ error: 'Failed to calculate shipping' });
     }
@@ -75,13 +99,38 @@ router.post('/calculate-tax', [
     }
 });
 
+// Public shape of the discounts applied to a cart (amount in the shopper's currency)
+const formatDiscount = (applied, amount) => ({
+    amount,
+    code: applied.code,
+    freeShipping: applied.freeShipping,
+    promotions: applied.promotions
+});
+
+// Public shape of a tax result
+const formatTax = (tax) => ({
+    rate: tax.taxRate,
+    amount: tax.taxAmount,
+    breakdown: tax.breakdown,
+    jurisdiction: tax.jurisdiction,
+    reverseCharge: Boolean(tax.reverseCharge)
+});
+
 // ============================================
 // CALCULATE ORDER TOTALS
 // ============================================
-router.post('/calculate', [
+router.post('/calculate', optionalAuth, [
     body('items').isArray({ min: 1 }).withMessage('Cart items required'),
+    body('items.*.productId').notEmpty(),
+    body('items.*.variantId').optional({ nullable: true }).isInt(),
+    body('items.*.quantity').isInt({ min: 1 }),
     body('country').notEmpty().withMessage('Country is required'),
-    body('shippingMethod').optional()
+    body('shippingMethod').optional(),
+    body('promotionCode').optional({ nullable: true }).isString(),
+    body('email').optional({ nullable: true }).isEmail(),
+    body('billingCountry').optional({ nullable: true }).isString(),
+    body('vatId').optional({ nullable: true }).isString(),
+    body('currency').optional({ nullable: true }).isString()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -89,73 +138,49 @@ router.post('/calculate', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { items, country, state, postalCode, shippingMethod = 'standard' } = req.body;
-
-        // Calculate subtotal from items
-        let subtotal = 0;
-        let totalWeight = 0;
-        const validatedItems = [];
-
-        for (const item of items) {
-            const product = await db.get('SELECT * FROM products WHERE id = ? AND is_active = 1', [item.productId]);
-
-            if (!product) {
-                return res.status(400).json({ error: `Product ${item.productId} not found` });
-            }
-
-            subtotal += product.price * item.quantity;
-            totalWeight += (product.weight || 0.5) * item.quantity;
+        const { items, country, state, postalCode, shippingMethod = 'standard', promotionCode, email, billingCountry, vatId } = req.body;
 
-            validatedItems.push({
-                productId: product.id,
-                title: product.title,
-                price: product.price,
-                quantity: item.quantity,
-                category: product.category
-            });
-        }
-
-        // Calculate shipping
-        const shipping = shippingCalculator.calculate({
-            country,
-            state,
-            weight: totalWeight,
-            subtotal,
-            method: shippingMethod
-        });
-
-        // Calculate tax
-        const tax = taxCalculator.calculate({
-            subtotal,
+        const cart = await orderService.price({
+            items,
             country,
             state,
             postalCode,
-            shipping: shipping.total
+            shippingMethod,
+            promotionCode,
+            email,
+            tier: req.worldUser ? req.worldUser.membership_tier : 'free',
+            currency: req.body.currency,
+            vatId,
+            billingCountry,
+            ipCountry: requestCountry(req)
         });
-
-        // Calculate totals
-        const total = subtotal + shipping.total + tax.taxAmount;
+        const { shipping, tax } = cart;
 
         res.json({
-            items: validatedItems,
-            subtotal: Math.round(subtotal * 100) / 100,
+            items: cart.items,
+            subtotal: cart.subtotal,
+            discount: formatDiscount(cart.applied, cart.discount),
             shipping: {
                 method: shipping.method,
                 methodName: shipping.methodName,
-                cost: shipping.total,
+                cost: cart.shippingCost,
                 deliveryEstimate: shipping.deliveryEstimate,
-                freeShipping: shipping.freeShipping
+                freeShipping: shipping.freeShipping,
+                source: shipping.source || 'table'
             },
             tax: {
-                rate: tax.taxRate,
-                amount: tax.taxAmount,
-                breakdown: tax.breakdown,
-                jurisdiction: tax.jurisdiction
+                ...formatTax(tax),
+                // Checkout will ask for a matching billing address
+                locationConfirmed: !tax.location || !tax.location.conflict
             },
-            total: Math.round(total * 100) / 100,
-            currency: 'USD'
+            total: cart.total,
+            currency: cart.currency.code,
+            pricesIncludeTax: cart.pricesIncludeTax
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Order calculation error:', error);
         res.status(500).json({ error: 'Failed to calculate order' });
     }
@@ -188,11 +213,18 @@ router.post('/validate-address', [
 // ============================================
 // CREATE CHECKOUT SESSION
 // ============================================
-router.post('/create-session', [
+router.post('/create-session', optionalAuth, [
     body('items').isArray({ min: 1 }).withMessage('Cart items required'),
+    body('items.*.productId').notEmpty(),
+    body('items.*.variantId').optional({ nullable: true }).isInt(),
+    body('items.*.quantity').isInt({ min: 1 }),
     body('email').isEmail().withMessage('Valid email required'),
     body('shippingAddress').isObject().withMessage('Shipping address required'),
-    body('shippingMethod').optional()
+    body('shippingMethod').optional(),
+    body('paymentProvider').optional().isString(),
+    body('promotionCode').optional({ nullable: true }).isString(),
+    body('vatId').optional({ nullable: true }).isString(),
+    body('currency').optional({ nullable: true }).isString()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -200,100 +232,121 @@ router.post('/create-session', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { items, email, shippingAddress, billingAddress, shippingMethod = 'standard' } = req.body;
+        const { items, email, shippingAddress, billingAddress, shippingMethod = 'standard', paymentProvider, promotionCode, vatId } = req.body;
 
-        // Generate session ID
-        const sessionId = 'cs_' + uuidv4();
-
-        // Calculate totals
-        let subtotal = 0;
-        let totalWeight = 0;
-        const orderItems = [];
-
-        for (const item of items) {
-            const product = await db.get('SELECT * FROM products WHERE id = ? AND is_active = 1', [item.productId]);
-
-            if (!product) {
-                return res.status(400).json({ error: `Product ${item.productId} not found` });
-            }
-
-            if (!product.is_digital && product.inventory_count < item.quantity) {
-                return res.status(400).json({ error: `Insufficient stock for ${product.title}` });
-            }
-
-            subtotal += product.price * item.quantity;
-            totalWeight += (product.weight || 0.5) * item.quantity;
-
-            orderItems.push({
-                productId: product.id,
-                title: product.title,
-                price: product.price,
-                quantity: item.quantity,
-                category: product.category,
-                isDigital: Boolean(product.is_digital)
-            });
+        if (paymentProvider && !paymentManager.getProvider(paymentProvider)) {
+            return res.status(400).json({ error: `Payment provider ${paymentProvider} is not available` });
         }
 
-        // Calculate shipping
-        const shipping = shippingCalculator.calculate({
-            country: shippingAddress.country,
-            state: shippingAddress.state,
-            weight: totalWeight,
-            subtotal,
-            method: shippingMethod
-        });
+        // Generate session ID
+        const sessionId = 'cs_' + uuidv4();
 
-        // Calculate tax
-        const tax = taxCalculator.calculate({
-            subtotal,
+        // Calculate totals (in the shopper's currency)
+        const worldUserId = req.worldUser ? req.worldUser.id : null;
+        const cart = await orderService.price({
+            items,
             country: shippingAddress.country,
             state: shippingAddress.state,
             postalCode: shippingAddress.postalCode,
-            shipping: shipping.total
+            address: shippingAddress,
+            shippingMethod,
+            promotionCode,
+            email,
+            tier: req.worldUser ? req.worldUser.membership_tier : 'free',
+            sessionId,
+            currency: req.body.currency,
+            vatId,
+            billingCountry: billingAddress ? billingAddress.country : null,
+            ipCountry: requestCountry(req),
+            requireLocation: true
         });
+        const { currency, baseItems: orderItems, applied, shipping, tax, total } = cart;
+
+        // Hold stock for the lifetime of the session
+        await inventory.reserve(sessionId, orderItems);
+
+        let payment;
+        try {
+            // Hold the promotions too, so usage limits hold across concurrent checkouts
+            await promotions.reserve(sessionId, { promotions: applied.promotions, email, worldUserId });
+
+            // Start the payment with the processor
+            payment = await paymentManager.createIntent(paymentProvider, {
+                amount: total,
+                currency: currency.code,
+                referenceType: 'checkout',
+                referenceId: sessionId,
+                email,
+                description: `WXXXC order (${orderItems.length} item${orderItems.length > 1 ? 's' : ''})`,
+                returnUrl: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/shop.html?session=${sessionId}` : undefined
+            });
 
-        const total = subtotal + shipping.total + tax.taxAmount;
-
-        // Store checkout session in database
-        await db.run(`
-            INSERT INTO checkout_sessions (
-                session_id, email, items, shipping_address, billing_address,
-                subtotal, shipping_cost, shipping_method, tax_amount, total, expires_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL 1 HOUR))
-        `, [
-            sessionId,
-            email,
-            JSON.stringify(orderItems),
-            JSON.stringify(shippingAddress),
-            JSON.stringify(billingAddress || shippingAddress),
-            subtotal,
-            shipping.total,
-            shippingMethod,
-            tax.taxAmount,
-            total
-        ]);
+            // Store checkout session in database
+            await db.run(`
+                INSERT INTO checkout_sessions (
+                    session_id, email, items, shipping_address, billing_address,
+                    subtotal, discount, promotion_code, shipping_cost, shipping_method, tax_amount, tax_details, vat_id, total,
+                    currency, exchange_rate, prices_include_tax,
+                    payment_provider, payment_intent_id, world_user_id, expires_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+            `, [
+                sessionId,
+                email,
+                JSON.stringify(cart.items),
+                JSON.stringify(shippingAddress),
+                JSON.stringify(billingAddress || shippingAddress),
+                cart.subtotal,
+                cart.discount,
+                applied.code,
+                cart.shippingCost,
+                shippingMethod,
+                tax.taxAmount,
+                JSON.stringify(orderService.taxDetails(tax, req.ip)),
+                tax.vatId || null,
+                total,
+                currency.code,
+                currency.rate,
+                cart.pricesIncludeTax ? 1 : 0,
+                payment.provider,
+                payment.intentId,
+                worldUserId,
+                inventory.holdMinutes
+            ]);
+        } catch (error) {
+            await inventory.release(sessionId);
+            await promotions.release(sessionId);
+            throw error;
+        }
 
         res.json({
             sessionId,
             email,
-            items: orderItems,
+            items: cart.items,
             shippingAddress,
+            discount: formatDiscount(applied, cart.discount),
             shipping: {
                 method: shippingMethod,
                 methodName: shipping.methodName,
-                cost: shipping.total,
+                cost: cart.shippingCost,
                 deliveryEstimate: shipping.deliveryEstimate
             },
-            tax: {
-                rate: tax.taxRate,
-                amount: tax.taxAmount,
-                breakdown: tax.breakdown
+            tax: formatTax(tax),
+            subtotal: cart.subtotal,
+            total,
+            currency: currency.code,
+            pricesIncludeTax: cart.pricesIncludeTax,
+            payment: {
+                provider: payment.provider,
+                intentId: payment.intentId,
+                redirectUrl: payment.redirectUrl,
+                requiresToken: payment.requiresToken
             },
-            subtotal: Math.round(subtotal * 100) / 100,
-            total: Math.round(total * 100) / 100,
-            expiresAt: new Date(Date.now() + 3600000).toISOString()
+            expiresAt: new Date(Date.now() + inventory.holdMinutes * 60000).toISOString()
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Create session error:', error);
         res.status(500).json({ error: 'Failed to create checkout session' });
     }
@@ -305,6 +358,7 @@ router.post('/create-session', [
 router.post('/complete', [
     body('sessionId').notEmpty().withMessage('Session ID required'),
     body('paymentIntentId').optional(),
+    body('paymentToken').optional().isString(),
     body('customerName').notEmpty().withMessage('Customer name required'),
     body('phone').optional()
 ], async (req, res) => {
@@ -314,7 +368,7 @@ router.post('/complete', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { sessionId, paymentIntentId, customerName, phone } = req.body;
+        const { sessionId, paymentIntentId, paymentToken, customerName, phone } = req.body;
 
         // Get checkout session
         const session = await db.get('SELECT * FROM checkout_sessions WHERE session_id = ?', [sessionId]);
@@ -323,64 +377,114 @@ router.post('/complete', [
             return res.status(404).json({ error: 'Checkout session not found or expired' });
         }
 
-        // Generate order number
-        const orderNumber = 'WXC-' + uuidv4().substring(0, 8).toUpperCase();
-
-        // Create order
-        await db.run(`
-            INSERT INTO orders (
-                order_number, customer_email, customer_name, customer_phone,
-                shipping_address, billing_address, items,
-                subtotal, shipping, tax, total, shipping_method,
-                payment_intent_id, status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'paid')
-        `, [
-            orderNumber,
-            session.email,
-            customerName,
-            phone || null,
-            session.shipping_address,
-            session.billing_address,
-            session.items,
-            session.subtotal,
-            session.shipping_cost,
-            session.tax_amount,
-            session.total,
-            session.shipping_method,
-            paymentIntentId || null
-        ]);
-
-        // Update inventory
+        if (!session.payment_intent_id) {
+            return res.status(400).json({ error: 'Checkout session has no payment attached' });
+        }
+
+        if (paymentIntentId && paymentIntentId !== session.payment_intent_id) {
+            return res.status(400).json({ error: 'Payment does not belong to this checkout session' });
+        }
+
         const items = JSON.parse(session.items);
-        for (const item of items) {
-            if (!item.isDigital) {
-                await db.run('UPDATE products SET inventory_count = inventory_count - ? WHERE id = ?', [item.quantity, item.productId]);
+
+        // Renew the stock hold before charging, so an expired hold fails before payment is taken
+        try {
+            await inventory.reserve(session.session_id, items);
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
             }
+            throw error;
         }
 
-        // Delete checkout session
-        await db.run('DELETE FROM checkout_sessions WHERE session_id = ?', [sessionId]);
-
-        // Send confirmation email
-        await sendOrderConfirmation({
-            order_number: orderNumber,
-            customer_email: session.email,
-            customer_name: customerName,
-            items: session.items,
-            subtotal: session.subtotal,
-            shipping: session.shipping_cost,
-            tax: session.tax_amount,
-            total: session.total
+        // Verify the payment with the processor before creating the order
+        const payment = await paymentManager.verifyIntent(session.payment_intent_id, {
+            amount: session.total,
+            currency: session.currency,
+            paymentToken
         });
 
+        if (!payment.verified) {
+            return res.status(402).json({
+                error: payment.message || 'Payment has not been completed',
+                paymentStatus: payment.status
+            });
+        }
+
+        // Take the stock, create the order and close the session in one transaction
+        let order;
+        try {
+            order = await orderService.place({
+                customer_email: session.email,
+                customer_name: customerName,
+                customer_phone: phone || null,
+                shipping_address: session.shipping_address,
+                billing_address: session.billing_address,
+                items: session.items,
+                subtotal: session.subtotal,
+                discount: session.discount,
+                promotion_code: session.promotion_code,
+                shipping: session.shipping_cost,
+                tax: session.tax_amount,
+                tax_details: session.tax_details,
+                vat_id: session.vat_id,
+                total: session.total,
+                shipping_method: session.shipping_method,
+                currency: session.currency,
+                exchange_rate: session.exchange_rate,
+                prices_include_tax: session.prices_include_tax,
+                payment_provider: session.payment_provider,
+                payment_intent_id: session.payment_intent_id,
+                world_user_id: session.world_user_id,
+                status: 'paid'
+            }, { sessionId });
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+
+            // A parallel /complete for the same session placed the order
+            const placed = await db.get('SELECT * FROM orders WHERE payment_intent_id = ?', [session.payment_intent_id]);
+            if (placed) {
+                return res.json({
+                    success: true,
+                    orderNumber: placed.order_number,
+                    message: 'Order placed successfully!',
+                    order: {
+                        orderNumber: placed.order_number,
+                        email: session.email,
+                        total: session.total,
+                        currency: session.currency,
+                        items: items
+                    }
+                });
+            }
+
+            // Paid for but not placed: give the money back (failures wait in the admin for a retry)
+            console.error(`Paid checkout ${sessionId} could not be completed:`, error.message);
+            const unplaced = await refunds.refundUnplacedCheckout(session, error.message);
+            return res.status(error.status).json({
+                error: error.message,
+                message: unplaced && unplaced.refundStatus === 'succeeded'
+                    ? 'Your payment has been refunded'
+                    : 'Your payment will be refunded',
+                paymentStatus: payment.status,
+                refundStatus: unplaced ? unplaced.refundStatus : null
+            });
+        }
+
+        // Hand print-on-demand items to their providers, email download links and the confirmation
+        await orderService.confirm(order);
+
         res.json({
             success: true,
-            orderNumber,
+            orderNumber: order.order_number,
             message: 'Order placed successfully!',
             order: {
-                orderNumber,
+                orderNumber: order.order_number,
                 email: session.email,
                 total: session.total,
+                currency: session.currency,
                 items: items
             }
         });
@@ -390,6 +494,16 @@ router.post('/complete', [
     }
 });
 
+// ============================================
+// GET PAYMENT PROVIDERS
+// ============================================
+router.get('/payment-providers', (req, res) => {
+    res.json({
+        providers: paymentManager.getProviders(),
+        default: paymentManager.defaultProvider
+    });
+});
+
 // ============================================
 // GET COUNTRIES & STATES
 // ============================================
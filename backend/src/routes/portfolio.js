@@ -1,5 +1,6 @@
 import express from 'express';
 import db from '../config/database.js';
+import { media } from '../services/media.js';
 
 const router = express.Router();
 
@@ -19,6 +20,7 @@ router.get('/items', async (req, res) => {
     query += ' ORDER BY sort_order, created_at DESC';
 
     const items = await db.all(query, params);
+    const images = await media.listFor('portfolio', items.map(item => item.id));
 
     res.json({
       items: items.map(item => ({
@@ -29,6 +31,7 @@ router.get('/items', async (req, res) => {
         imageUrl: item.image_url,
         videoUrl: item.video_url,
         thumbnailUrl: item.thumbnail_url,
+        images: images[item.id] || [],
         tags: item.tags ? item.tags.split(',').map(t => t.trim()) : []
       }))
     });
@@ -55,6 +58,7 @@ router.get('/items/:id', async (req, res) => {
       imageUrl: item.image_url,
       videoUrl: item.video_url,
       thumbnailUrl: item.thumbnail_url,
+      images: await media.list('portfolio', item.id),
       tags: item.tags ? item.tags.split(',').map(t => t.trim()) : []
     });
   } catch (error) {
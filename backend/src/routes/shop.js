@@ -1,42 +1,92 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { v4 as uuidv4 } from 'uuid';
 import db from '../config/database.js';
-import { sendOrderConfirmation, sendNewsletterWelcome } from '../utils/email.js';
+import { catalog } from '../services/catalog.js';
+import { currencyConverter } from '../services/currency.js';
+import { taxCalculator } from '../services/tax-calculator.js';
+import { returns, RETURN_REASONS } from '../services/returns.js';
+import { digitalDelivery } from '../services/digital-delivery.js';
+import { customerOrders, sameEmail } from '../services/customer-orders.js';
+import { orderService, requestCountry } from '../services/order-service.js';
+import { checkoutRecovery } from '../services/checkout-recovery.js';
+import { media } from '../services/media.js';
+import { optionalCustomer } from '../middleware/customer-auth.js';
+import { sendNewsletterWelcome } from '../utils/email.js';
 
 const router = express.Router();
 
+// Prices in the shopper's currency (?currency=EUR&country=DE), with VAT included
+// where shoppers expect it
+const displayPricing = async ({ currency: code, country }) => {
+  const currency = await currencyConverter.resolve(code);
+  const pricesIncludeTax = taxCalculator.pricesIncludeTax(country);
+  const taxRate = pricesIncludeTax ? taxCalculator.getTaxRate(String(country).toUpperCase()) : 0;
+
+  return {
+    currency: currency.code,
+    pricesIncludeTax,
+    price: (amount) => currencyConverter.convertPrice(Number(amount), currency, { taxRate })
+  };
+};
+
+// GET /api/shop/currencies - Currencies shoppers can pay in
+router.get('/currencies', async (req, res) => {
+  try {
+    const currencies = await currencyConverter.getActive();
+    res.json({ currencies: currencies.map(currency => ({ code: currency.code, rate: currency.rate })) });
+  } catch (error) {
+    console.error('Currencies fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch currencies' });
+  }
+});
+
 // GET /api/shop/products - Get all products
 router.get('/products', async (req, res) => {
   try {
     const { category } = req.query;
 
-    let query = 'SELECT * FROM products WHERE is_active = 1';
+    let query = `
+      SELECT p.*,
+        (SELECT COUNT(*) FROM product_variants v WHERE v.product_id = p.id AND v.is_active = 1) AS variant_count,
+        (SELECT COALESCE(SUM(v.inventory_count), 0) FROM product_variants v WHERE v.product_id = p.id AND v.is_active = 1) AS variant_stock
+      FROM products p
+      WHERE p.is_active = 1
+    `;
     const params = [];
 
     if (category && category !== 'all') {
-      query += ' AND category = ?';
+      query += ' AND p.category = ?';
       params.push(category);
     }
 
-    query += ' ORDER BY created_at DESC';
+    query += ' ORDER BY p.created_at DESC';
 
     const products = await db.all(query, params);
+    const pricing = await displayPricing(req.query);
+    const images = await media.listFor('product', products.map(p => p.id));
 
     res.json({
+      currency: pricing.currency,
+      pricesIncludeTax: pricing.pricesIncludeTax,
       products: products.map(p => ({
         id: p.id,
         slug: p.slug,
         title: p.title,
         description: p.description,
         price: p.price,
+        displayPrice: pricing.price(p.price),
         category: p.category,
         imageUrl: p.image_url,
-        inStock: p.inventory_count > 0,
+        images: images[p.id] || [],
+        inStock: p.variant_count > 0 ? Number(p.variant_stock) > 0 : p.inventory_count > 0,
+        hasVariants: p.variant_count > 0,
         isDigital: Boolean(p.is_digital)
       }))
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Products fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch products' });
   }
@@ -51,19 +101,38 @@ router.get('/products/:slug', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    const pricing = await displayPricing(req.query);
+    const options = await catalog.getOptions(product.id);
+    const variants = (await catalog.getVariants(product.id))
+      .map(v => catalog.formatVariant(v, product))
+      .map(v => ({ ...v, displayPrice: pricing.price(v.price) }));
+    const inventoryCount = variants.length > 0
+      ? variants.reduce((sum, v) => sum + v.inventoryCount, 0)
+      : product.inventory_count;
+
     res.json({
       id: product.id,
       slug: product.slug,
       title: product.title,
       description: product.description,
       price: product.price,
+      displayPrice: pricing.price(product.price),
+      currency: pricing.currency,
+      pricesIncludeTax: pricing.pricesIncludeTax,
       category: product.category,
       imageUrl: product.image_url,
-      inStock: product.inventory_count > 0,
-      inventoryCount: product.inventory_count,
-      isDigital: Boolean(product.is_digital)
+      images: await media.list('product', product.id),
+      weight: product.weight,
+      inStock: inventoryCount > 0,
+      inventoryCount,
+      isDigital: Boolean(product.is_digital),
+      options,
+      variants
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Product fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch product' });
   }
@@ -86,14 +155,18 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// POST /api/shop/orders - Create new order
+// POST /api/shop/orders - Create order (unpaid; kept for older clients, priced like checkout without promotions)
 router.post('/orders', [
   body('email').isEmail().withMessage('Valid email is required'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('items').isArray({ min: 1 }).withMessage('At least one item required'),
   body('items.*.productId').notEmpty(),
+  body('items.*.variantId').optional({ nullable: true }).isInt(),
   body('items.*.quantity').isInt({ min: 1 }),
-  body('shippingAddress').optional().trim()
+  body('shippingAddress').optional(),
+  body('country').optional().isString(),
+  body('shippingMethod').optional().isString(),
+  body('currency').optional({ nullable: true }).isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -101,106 +174,180 @@ router.post('/orders', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, name, items, shippingAddress } = req.body;
+    const { email, name, items, shippingMethod = 'standard' } = req.body;
 
-    // Validate and calculate order
-    let subtotal = 0;
-    const orderItems = [];
+    // Older clients send the address as one line of text; those are priced as US orders
+    const shippingAddress = typeof req.body.shippingAddress === 'object' && req.body.shippingAddress
+      ? req.body.shippingAddress
+      : { line1: req.body.shippingAddress ? String(req.body.shippingAddress).trim() : null, country: req.body.country || 'US' };
 
-    for (const item of items) {
-      const product = await db.get('SELECT * FROM products WHERE id = ? AND is_active = 1', [item.productId]);
+    const cart = await orderService.price({
+      items,
+      country: shippingAddress.country,
+      state: shippingAddress.state,
+      postalCode: shippingAddress.postalCode,
+      address: shippingAddress,
+      shippingMethod,
+      email,
+      currency: req.body.currency,
+      ipCountry: requestCountry(req),
+      requireLocation: true,
+      applyPromotions: false
+    });
+    const hasPhysical = cart.items.some(i => !i.isDigital);
 
-      if (!product) {
-        return res.status(400).json({ error: `Product ${item.productId} not found` });
-      }
+    // Nothing is paid yet, so the stock is only taken once an admin accepts the order
+    const order = await orderService.place({
+      customer_email: email,
+      customer_name: name,
+      shipping_address: hasPhysical ? JSON.stringify(shippingAddress) : null,
+      items: cart.items,
+      subtotal: cart.subtotal,
+      discount: cart.discount,
+      promotion_code: cart.applied.code,
+      shipping: cart.shippingCost,
+      tax: cart.tax.taxAmount,
+      tax_details: JSON.stringify(orderService.taxDetails(cart.tax, req.ip)),
+      vat_id: cart.tax.vatId || null,
+      total: cart.total,
+      shipping_method: shippingMethod,
+      currency: cart.currency.code,
+      exchange_rate: cart.currency.rate,
+      prices_include_tax: cart.pricesIncludeTax ? 1 : 0
+    }, { takeStock: false });
 
-      if (!product.is_digital && product.inventory_count < item.quantity) {
-        return res.status(400).json({ error: `Insufficient stock for ${product.title}` });
-      }
+    // Send confirmation email
+    await orderService.confirm(order);
 
-      subtotal += product.price * item.quantity;
-      orderItems.push({
-        productId: product.id,
-        title: product.title,
-        price: product.price,
-        quantity: item.quantity,
-        isDigital: Boolean(product.is_digital)
-      });
+    res.status(201).json({
+      message: 'Order created successfully',
+      orderNumber: order.order_number,
+      total: cart.total,
+      currency: cart.currency.code,
+      orderId: order.id
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Order creation error:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
 
-    // Calculate shipping (free for digital-only orders)
-    const hasPhysical = orderItems.some(i => !i.isDigital);
-    const shipping = hasPhysical ? 5.99 : 0;
-    const total = subtotal + shipping;
+// GET /api/shop/orders/:orderNumber - Get order status
+// Signed-in customers see their full order; anyone else needs the order email
+// (?email=) and gets the status with the address redacted
+router.get('/orders/:orderNumber', optionalCustomer, async (req, res) => {
+  try {
+    const order = await customerOrders.getByNumber(req.params.orderNumber);
+    const verified = Boolean(order) && customerOrders.canView(order, req.customer);
+    const emailMatches = Boolean(order) && sameEmail(order.customer_email, req.query.email);
 
-    // Generate order number
-    const orderNumber = 'WXC-' + uuidv4().substring(0, 8).toUpperCase();
+    if (!verified && !emailMatches) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
 
-    // Create order
-    const result = await db.run(`
-      INSERT INTO orders (order_number, customer_email, customer_name, shipping_address, items, subtotal, shipping, total)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      orderNumber,
-      email,
-      name,
-      hasPhysical ? shippingAddress : null,
-      JSON.stringify(orderItems),
-      subtotal,
-      shipping,
-      total
-    ]);
-
-    // Update inventory for physical products
-    for (const item of orderItems) {
-      if (!item.isDigital) {
-        await db.run('UPDATE products SET inventory_count = inventory_count - ? WHERE id = ?', [item.quantity, item.productId]);
+    res.json(await customerOrders.detail(order, { verified }));
+  } catch (error) {
+    console.error('Order fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+// GET /api/shop/downloads/:token - Download a purchased digital file (signed, expiring link)
+router.get('/downloads/:token', async (req, res) => {
+  try {
+    // Ranged requests that pick up part-way through may continue the last download without counting
+    const resume = Boolean(req.headers.range) && !/^bytes=0-/.test(req.headers.range);
+    const file = await digitalDelivery.open(req.params.token, { resume });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type(file.contentType || 'application/octet-stream');
+    res.download(file.path, file.filename, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download send error:', error);
+        res.status(404).json({ error: 'File not found' });
       }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
 
-    // Send confirmation email
-    await sendOrderConfirmation({
-      order_number: orderNumber,
-      customer_email: email,
-      items: JSON.stringify(orderItems),
-      subtotal,
-      shipping,
-      total
-    });
+// GET /api/shop/recover/:token - Cart from an abandoned checkout reminder, to refill the basket
+router.get('/recover/:token', async (req, res) => {
+  try {
+    const cart = await checkoutRecovery.restore(req.params.token);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+    res.json(cart);
+  } catch (error) {
+    console.error('Cart recovery error:', error);
+    res.status(500).json({ error: 'Failed to recover cart' });
+  }
+});
+
+// POST /api/shop/returns - Request a return (items are order line indexes)
+router.post('/returns', [
+  body('orderNumber').trim().notEmpty().withMessage('Order number is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item required'),
+  body('items.*.index').isInt({ min: 0 }),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('reason').isIn(RETURN_REASONS).withMessage('Invalid return reason'),
+  body('notes').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderNumber, email, items, reason, notes } = req.body;
+    const request = await returns.create({ orderNumber, email, items, reason, notes: notes || null });
 
     res.status(201).json({
-      message: 'Order created successfully',
-      orderNumber,
-      total,
-      orderId: result.lastInsertRowid
+      message: 'Return requested',
+      rmaNumber: request.rmaNumber,
+      status: request.status,
+      items: request.items
     });
   } catch (error) {
-    console.error('Order creation error:', error);
-    res.status(500).json({ error: 'Failed to create order' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Return request error:', error);
+    res.status(500).json({ error: 'Failed to request return' });
   }
 });
 
-// GET /api/shop/orders/:orderNumber - Get order status
-router.get('/orders/:orderNumber', async (req, res) => {
+// GET /api/shop/returns/:rmaNumber?email= - Get return status
+router.get('/returns/:rmaNumber', async (req, res) => {
   try {
-    const order = await db.get('SELECT * FROM orders WHERE order_number = ?', [req.params.orderNumber]);
+    const request = await returns.getByNumber(req.params.rmaNumber, req.query.email || '');
 
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (!request) {
+      return res.status(404).json({ error: 'Return not found' });
     }
 
     res.json({
-      orderNumber: order.order_number,
-      status: order.status,
-      items: JSON.parse(order.items),
-      subtotal: order.subtotal,
-      shipping: order.shipping,
-      total: order.total,
-      createdAt: order.created_at
+      rmaNumber: request.rmaNumber,
+      orderNumber: request.orderNumber,
+      status: request.status,
+      reason: request.reason,
+      items: request.items,
+      instructions: request.status === 'approved' ? request.instructions : null,
+      createdAt: request.createdAt
     });
   } catch (error) {
-    console.error('Order fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch order' });
+    console.error('Return fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch return' });
   }
 });
 
@@ -239,23 +386,25 @@ router.post('/newsletter', [
   }
 });
 
-// POST /api/shop/newsletter/unsubscribe - Unsubscribe from newsletter
+// POST /api/shop/newsletter/unsubscribe - Unsubscribe from newsletter and checkout reminders
 router.post('/newsletter/unsubscribe', [
   body('email').isEmail().withMessage('Valid email is required')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { email } = req.body;
 
-    const result = await db.run(`
-      UPDATE newsletter_subscribers
-      SET is_active = 0, unsubscribed_at = CURRENT_TIMESTAMP
-      WHERE email = ?
+    // Shoppers who never subscribed get an inactive row, so checkout reminders stop too
+    await db.run(`
+      INSERT INTO newsletter_subscribers (email, source, is_active, unsubscribed_at)
+      VALUES (?, 'unsubscribe', 0, CURRENT_TIMESTAMP)
+      ON DUPLICATE KEY UPDATE is_active = 0, unsubscribed_at = CURRENT_TIMESTAMP
     `, [email]);
 
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Email not found in subscriber list' });
-    }
-
     res.json({ message: 'Successfully unsubscribed' });
   } catch (error) {
     console.error('Unsubscribe error:', error);
@@ -0,0 +1,124 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { paymentManager } from '../services/payment-providers.js';
+import { applyPaymentEvent } from '../services/payment-events.js';
+import { podManager } from '../services/pod-providers.js';
+import { fulfillment } from '../services/fulfillment.js';
+
+const router = express.Router();
+
+// POST /api/webhooks/pod/:provider - Receive a print-on-demand order status update
+// (registered before /:provider so "pod" is not taken for a payment provider)
+router.post('/pod/:provider', async (req, res) => {
+  const provider = podManager.getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown POD provider' });
+  }
+
+  if (!provider.verifyWebhook(req.rawBody, req.headers, req.query)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const providerOrderId = provider.webhookOrderId(req.body);
+  if (!providerOrderId) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  try {
+    const result = await fulfillment.handleWebhook(req.params.provider, providerOrderId);
+    if (!result) {
+      // An order placed outside this shop
+      return res.json({ received: true, ignored: true });
+    }
+    res.json({ received: true, status: result.status });
+  } catch (error) {
+    console.error('POD webhook processing error:', error);
+    // A non-2xx response makes the provider retry later
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// POST /api/webhooks/:provider - Receive a payment processor notification
+router.post('/:provider', async (req, res) => {
+  const providerName = req.params.provider;
+  const provider = paymentManager.getProvider(providerName);
+
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown payment provider' });
+  }
+
+  const queryIndex = req.originalUrl.indexOf('?');
+  const rawQuery = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1);
+
+  if (!provider.verifyWebhook(req.rawBody, req.headers, rawQuery)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  // Only what the signature covers is read (the body, plus the query string for providers that sign it)
+  const payload = provider.webhookPayload(req.body || {}, req.query);
+
+  let event;
+  try {
+    event = provider.parseWebhook(payload);
+  } catch (error) {
+    console.error('Webhook parse error:', error);
+    return res.status(400).json({ error: 'Malformed webhook payload' });
+  }
+
+  try {
+    if (!event) {
+      // Probes and other notifications without a payment outcome are kept too (once per payload)
+      const digest = crypto.createHash('sha256').update(`${rawQuery}.${req.rawBody || ''}`).digest('hex');
+      await db.run(`
+        INSERT IGNORE INTO payment_events (provider, event_id, payload, status, error, processed_at)
+        VALUES (?, ?, ?, 'ignored', 'No payment outcome', CURRENT_TIMESTAMP)
+      `, [providerName, `unhandled:${digest}`, JSON.stringify(payload)]);
+      return res.json({ received: true, ignored: true });
+    }
+
+    const inserted = await db.run(`
+      INSERT IGNORE INTO payment_events (provider, event_id, event_type, intent_id, payload)
+      VALUES (?, ?, ?, ?, ?)
+    `, [providerName, String(event.id), event.type, event.intentId, JSON.stringify(payload)]);
+
+    if (inserted.changes === 0) {
+      const existing = await db.get('SELECT status FROM payment_events WHERE provider = ? AND event_id = ?',
+        [providerName, String(event.id)]);
+
+      // Only events that failed to process are retried
+      if (existing && existing.status !== 'failed') {
+        return res.json({ received: true, duplicate: true });
+      }
+    }
+
+    try {
+      const outcome = await applyPaymentEvent(providerName, event);
+
+      await db.run(`
+        UPDATE payment_events
+        SET status = ?, error = ?, processed_at = CURRENT_TIMESTAMP
+        WHERE provider = ? AND event_id = ?
+      `, [
+        outcome.applied ? 'processed' : 'ignored',
+        outcome.applied ? null : outcome.reason,
+        providerName,
+        String(event.id)
+      ]);
+
+      res.json({ received: true, applied: outcome.applied });
+    } catch (error) {
+      await db.run(`
+        UPDATE payment_events SET status = 'failed', error = ? WHERE provider = ? AND event_id = ?
+      `, [error.message, providerName, String(event.id)]);
+      throw error;
+    }
+  } catch (error) {
+    console.error('Webhook processing error:', error);
+    // A non-2xx response makes the processor retry later
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+export default router;
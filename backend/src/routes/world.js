@@ -1,14 +1,21 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import db from '../config/database.js';
+import { authenticateWorldUser, optionalAuth, requireTier } from '../middleware/world-auth.js';
+import { issueSession, rotateRefreshToken, revokeAccessToken, revokeRefreshToken, revokeAllSessions } from '../services/world-tokens.js';
+import { tierResolver } from '../services/tier-resolver.js';
+import { paymentManager } from '../services/payment-providers.js';
+import { applyIntentStatus } from '../services/payment-events.js';
+import { membershipBilling } from '../services/membership-billing.js';
+import { realtime } from '../services/realtime.js';
+import { ppv } from '../services/ppv.js';
+import { creatorMessages, MASS_MESSAGE_SEGMENTS } from '../services/creator-messages.js';
+import { worldPolls, POLL_OPTION_LIMITS, POLL_DURATION_LIMITS } from '../services/world-polls.js';
+import { MEMBERSHIP_TIERS, PAID_TIERS, TIER_ORDER } from '../config/membership-tiers.js';
 
 const router = express.Router();
 
-// JWT Secret for Wyatt World users
-const JWT_SECRET = process.env.WORLD_JWT_SECRET || process.env.JWT_SECRET || 'wyatt-world-secret-key-change-in-prod';
-
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -33,55 +40,16 @@ function getTimeAgo(date) {
   return 'Just now';
 }
 
-// Middleware to verify Wyatt World user token
-const authenticateWorldUser = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+// Posts a membership tier may see (SQL condition on world_posts p)
+function visibilityFilter(tier = 'free') {
+  if (tier === 'free') {
+    return "(p.visibility = 'public' OR p.visibility = 'free')";
   }
-
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.worldUser = decoded;
-    next();
-  } catch (err) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+  if (tier === 'vip') {
+    return "p.visibility != 'inner_circle'";
   }
-};
-
-// Optional auth - sets user if token exists, but doesn't require it
-const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (token) {
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.worldUser = decoded;
-    } catch (err) {
-      // Token invalid, continue without user
-    }
-  }
-  next();
-};
-
-// Check membership tier
-const requireTier = (minTier) => {
-  const tierOrder = ['free', 'vip', 'inner_circle'];
-  return (req, res, next) => {
-    if (!req.worldUser) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    const userTierIndex = tierOrder.indexOf(req.worldUser.membership_tier);
-    const requiredTierIndex = tierOrder.indexOf(minTier);
-    if (userTierIndex < requiredTierIndex) {
-      return res.status(403).json({ error: `${minTier} membership required` });
-    }
-    next();
-  };
-};
+  return '1 = 1';
+}
 
 // ============================================
 // AUTH ROUTES
@@ -114,16 +82,15 @@ router.post('/auth/register', [
       VALUES (?, ?, ?, ?, 'free')
     `, [username.toLowerCase(), email, passwordHash, display_name || username]);
 
-    // Generate token
-    const token = jwt.sign(
-      { id: result.lastInsertRowid, username: username.toLowerCase(), membership_tier: 'free' },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+    // Generate tokens
+    const session = await issueSession(
+      { id: result.lastInsertRowid, username: username.toLowerCase(), token_version: 0 },
+      req.headers['user-agent']
     );
 
     res.status(201).json({
       message: 'Welcome to Wyatt World!',
-      token,
+      ...session,
       user: {
         id: result.lastInsertRowid,
         username: username.toLowerCase(),
@@ -164,22 +131,19 @@ router.post('/auth/login', [
     // Update last seen
     await db.run('UPDATE world_users SET last_seen = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, username: user.username, membership_tier: user.membership_tier },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate tokens
+    const session = await issueSession(user, req.headers['user-agent']);
+    const account = await tierResolver.resolve(user.id);
 
     res.json({
       message: 'Welcome back!',
-      token,
+      ...session,
       user: {
         id: user.id,
         username: user.username,
         display_name: user.display_name,
         avatar_url: user.avatar_url,
-        membership_tier: user.membership_tier,
+        membership_tier: account.membership_tier,
         is_verified: user.is_verified
       }
     });
@@ -189,6 +153,57 @@ router.post('/auth/login', [
   }
 });
 
+// POST /api/world/auth/refresh - Exchange a refresh token for new tokens
+router.post('/auth/refresh', [
+  body('refresh_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await rotateRefreshToken(req.body.refresh_token, req.headers['user-agent']);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// POST /api/world/auth/logout - Revoke the current access token and its session
+router.post('/auth/logout', authenticateWorldUser, async (req, res) => {
+  try {
+    await revokeAccessToken({ jti: req.worldUser.jti, id: req.worldUser.id, exp: req.worldUser.exp });
+
+    if (req.body.refresh_token) {
+      await revokeRefreshToken(String(req.body.refresh_token), req.worldUser.id);
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// POST /api/world/auth/logout-all - Revoke every session for the current user
+router.post('/auth/logout-all', authenticateWorldUser, async (req, res) => {
+  try {
+    await revokeAllSessions(req.worldUser.id);
+    tierResolver.invalidate(req.worldUser.id);
+
+    res.json({ message: 'Logged out everywhere' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
 // GET /api/world/auth/me - Get current user
 router.get('/auth/me', authenticateWorldUser, async (req, res) => {
   try {
@@ -205,8 +220,9 @@ router.get('/auth/me', authenticateWorldUser, async (req, res) => {
       display_name: user.display_name,
       avatar_url: user.avatar_url,
       bio: user.bio,
-      membership_tier: user.membership_tier,
+      membership_tier: req.worldUser.membership_tier,
       is_verified: user.is_verified,
+      is_creator: Boolean(user.is_creator),
       created_at: user.created_at
     });
   } catch (error) {
@@ -231,12 +247,7 @@ router.get('/posts', optionalAuth, async (req, res) => {
     const params = [];
 
     // Filter by visibility based on user's membership
-    const userTier = req.worldUser?.membership_tier || 'free';
-    if (userTier === 'free') {
-      whereClause += " AND (p.visibility = 'public' OR p.visibility = 'free')";
-    } else if (userTier === 'vip') {
-      whereClause += " AND p.visibility != 'inner_circle'";
-    }
+    whereClause += ` AND ${visibilityFilter(req.worldUser?.membership_tier)}`;
 
     if (tab === 'wyatt') {
       whereClause += ' AND p.is_wyatt_post = 1';
@@ -245,52 +256,117 @@ router.get('/posts', optionalAuth, async (req, res) => {
       params.push(req.worldUser.id);
     }
 
-    const totalResult = await db.get(`SELECT COUNT(*) as count FROM world_posts p ${whereClause}`, params);
-    const total = totalResult.count;
+    // Each feed entry is a post, or (on the following tab) a repost of one by someone you follow
+    let entries;
+    let total;
+    if (tab === 'following' && req.worldUser) {
+      const activity = `
+        SELECT p.id AS post_id, NULL AS repost_id, p.is_pinned, p.created_at AS activity_at
+        FROM world_posts p ${whereClause}
+        UNION ALL
+        SELECT r.post_id, r.id, 0, r.created_at
+        FROM world_reposts r
+        JOIN world_posts p ON p.id = r.post_id
+        WHERE p.is_active = 1 AND ${visibilityFilter(req.worldUser.membership_tier)}
+          AND r.user_id IN (SELECT following_id FROM world_follows WHERE follower_id = ?)
+      `;
+      const activityParams = [...params, req.worldUser.id];
+
+      const totalResult = await db.get(`SELECT COUNT(*) as count FROM (${activity}) a`, activityParams);
+      total = Number(totalResult.count);
+      entries = await db.all(`${activity} ORDER BY is_pinned DESC, activity_at DESC LIMIT ? OFFSET ?`, [...activityParams, limit, offset]);
+    } else {
+      const totalResult = await db.get(`SELECT COUNT(*) as count FROM world_posts p ${whereClause}`, params);
+      total = totalResult.count;
+      entries = await db.all(`
+        SELECT p.id AS post_id, NULL AS repost_id FROM world_posts p
+        ${whereClause}
+        ORDER BY p.is_pinned DESC, p.created_at DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+    }
+
+    const postIds = [...new Set(entries.map(entry => entry.post_id))];
+    const repostIds = entries.filter(entry => entry.repost_id).map(entry => entry.repost_id);
 
-    const posts = await db.all(`
+    const posts = postIds.length === 0 ? [] : await db.all(`
       SELECT p.*, u.username, u.display_name, u.avatar_url, u.is_verified
       FROM world_posts p
       LEFT JOIN world_users u ON p.author_id = u.id
-      ${whereClause}
-      ORDER BY p.is_pinned DESC, p.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [...params, limit, offset]);
-
-    // Get user's likes if authenticated
+      WHERE p.id IN (${postIds.map(() => '?').join(', ')})
+    `, postIds);
+    const postsById = new Map(posts.map(post => [post.id, post]));
+
+    const reposts = repostIds.length === 0 ? [] : await db.all(`
+      SELECT r.*, u.username, u.display_name, u.avatar_url, u.is_verified
+      FROM world_reposts r
+      JOIN world_users u ON r.user_id = u.id
+      WHERE r.id IN (${repostIds.map(() => '?').join(', ')})
+    `, repostIds);
+    const repostsById = new Map(reposts.map(repost => [repost.id, repost]));
+
+    // Get user's likes and reposts if authenticated
     let userLikes = new Set();
+    let userReposts = new Set();
     if (req.worldUser) {
       const likes = await db.all('SELECT post_id FROM world_post_likes WHERE user_id = ?', [req.worldUser.id]);
       userLikes = new Set(likes.map(l => l.post_id));
+      const reposted = await db.all('SELECT post_id FROM world_reposts WHERE user_id = ?', [req.worldUser.id]);
+      userReposts = new Set(reposted.map(r => r.post_id));
     }
 
-    const formattedPosts = posts.map(post => ({
-      id: post.id,
-      author: post.is_wyatt_post ? {
-        username: 'WyattXXXCole',
-        display_name: 'Wyatt XXX Cole',
-        avatar_url: null,
-        is_verified: true,
-        is_wyatt: true
-      } : {
-        id: post.author_id,
-        username: post.username,
-        display_name: post.display_name,
-        avatar_url: post.avatar_url,
-        is_verified: Boolean(post.is_verified)
-      },
-      content: post.content,
-      media_urls: post.media_urls ? JSON.parse(post.media_urls) : [],
-      visibility: post.visibility,
-      is_pinned: Boolean(post.is_pinned),
-      likes_count: post.likes_count,
-      comments_count: post.comments_count,
-      reposts_count: post.reposts_count,
-      ppv_price: post.ppv_price,
-      is_liked: userLikes.has(post.id),
-      timestamp: getTimeAgo(new Date(post.created_at)),
-      created_at: post.created_at
-    }));
+    // Pay-per-view posts stay locked until bought (reposted ones too)
+    const viewerId = req.worldUser?.id || null;
+    const unlocked = await ppv.unlockedPostIds(viewerId, postIds);
+    const polls = await worldPolls.forPosts(posts, req.worldUser);
+
+    const formattedPosts = entries.map(entry => {
+      const post = postsById.get(entry.post_id);
+      const repost = entry.repost_id ? repostsById.get(entry.repost_id) : null;
+      const canView = ppv.canView(post, viewerId, unlocked);
+      return {
+        id: post.id,
+        author: post.is_wyatt_post ? {
+          username: 'WyattXXXCole',
+          display_name: 'Wyatt XXX Cole',
+          avatar_url: null,
+          is_verified: true,
+          is_wyatt: true
+        } : {
+          id: post.author_id,
+          username: post.username,
+          display_name: post.display_name,
+          avatar_url: post.avatar_url,
+          is_verified: Boolean(post.is_verified)
+        },
+        ...ppv.present(post, canView),
+        // A locked post's poll is locked with it
+        poll: canView ? polls[post.id] || null : null,
+        visibility: post.visibility,
+        is_pinned: Boolean(post.is_pinned) && !repost,
+        likes_count: post.likes_count,
+        comments_count: post.comments_count,
+        reposts_count: post.reposts_count,
+        is_liked: userLikes.has(post.id),
+        is_reposted: userReposts.has(post.id),
+        // Who shared it into your feed, and what they said about it
+        repost: repost ? {
+          id: repost.id,
+          user: {
+            id: repost.user_id,
+            username: repost.username,
+            display_name: repost.display_name,
+            avatar_url: repost.avatar_url,
+            is_verified: Boolean(repost.is_verified)
+          },
+          quote: repost.quote,
+          timestamp: getTimeAgo(new Date(repost.created_at)),
+          created_at: repost.created_at
+        } : null,
+        timestamp: getTimeAgo(new Date(post.created_at)),
+        created_at: post.created_at
+      };
+    });
 
     res.json({
       posts: formattedPosts,
@@ -299,7 +375,7 @@ router.get('/posts', optionalAuth, async (req, res) => {
         limit,
         total,
         totalPages: Math.ceil(total / limit),
-        hasMore: offset + posts.length < total
+        hasMore: offset + entries.length < total
       }
     });
   } catch (error) {
@@ -310,7 +386,17 @@ router.get('/posts', optionalAuth, async (req, res) => {
 
 // POST /api/world/posts - Create new post
 router.post('/posts', authenticateWorldUser, [
-  body('content').trim().isLength({ min: 1, max: 5000 })
+  body('content').trim().isLength({ min: 1, max: 5000 }),
+  body('ppv_price').optional({ nullable: true }).isFloat({ min: 1, max: 500 }).withMessage('PPV price must be between 1 and 500'),
+  body('ppv_teaser').optional({ nullable: true }).trim().isLength({ max: 500 }),
+  body('ppv_preview_url').optional({ nullable: true }).trim().isLength({ max: 500 }),
+  body('poll').optional({ nullable: true }).isObject(),
+  body('poll.question').optional({ nullable: true }).trim().isLength({ max: 300 }),
+  body('poll.options').if(body('poll').exists({ checkNull: true }))
+    .isArray(POLL_OPTION_LIMITS).withMessage(`Polls need ${POLL_OPTION_LIMITS.min} to ${POLL_OPTION_LIMITS.max} options`),
+  body('poll.options.*').trim().isLength({ min: 1, max: 100 }),
+  body('poll.duration_hours').optional().isInt({ min: POLL_DURATION_LIMITS.min, max: POLL_DURATION_LIMITS.max }),
+  body('poll.min_tier').optional().isIn(TIER_ORDER)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -318,22 +404,33 @@ router.post('/posts', authenticateWorldUser, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { content, media_urls, visibility = 'public', ppv_price } = req.body;
+    const { content, media_urls, visibility = 'public', ppv_price, ppv_teaser, ppv_preview_url, poll } = req.body;
 
+    // Locked posts show the teaser and preview image instead of the content and media
     const result = await db.run(`
-      INSERT INTO world_posts (author_id, content, media_urls, visibility, ppv_price, is_wyatt_post)
-      VALUES (?, ?, ?, ?, ?, 0)
+      INSERT INTO world_posts (author_id, content, media_urls, visibility, ppv_price, ppv_teaser, ppv_preview_url, is_wyatt_post)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0)
     `, [
       req.worldUser.id,
       content,
       media_urls ? JSON.stringify(media_urls) : null,
       visibility,
-      ppv_price || null
+      ppv_price || null,
+      ppv_price ? ppv_teaser || null : null,
+      ppv_price ? ppv_preview_url || null : null
     ]);
 
+    const pollId = poll ? await worldPolls.create(result.lastInsertRowid, {
+      question: poll.question || null,
+      options: poll.options,
+      durationHours: poll.duration_hours ? parseInt(poll.duration_hours) : undefined,
+      minTier: poll.min_tier
+    }) : null;
+
     res.status(201).json({
       message: 'Post created',
-      id: result.lastInsertRowid
+      id: result.lastInsertRowid,
+      poll_id: pollId
     });
   } catch (error) {
     console.error('Post create error:', error);
@@ -341,6 +438,144 @@ router.post('/posts', authenticateWorldUser, [
   }
 });
 
+// POST /api/world/posts/:id/unlock - Buy a pay-per-view post
+router.post('/posts/:id/unlock', authenticateWorldUser, [
+  body('payment_provider').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Only posts the member's tier can see are for sale to them
+    const post = await db.get(
+      `SELECT p.* FROM world_posts p WHERE p.id = ? AND ${visibilityFilter(req.worldUser.membership_tier)}`,
+      [parseInt(req.params.id)]
+    );
+    const { unlock, payment } = await ppv.startUnlock(post, req.worldUser, req.body.payment_provider);
+
+    res.status(201).json({
+      message: 'Unlock processing',
+      id: unlock.id,
+      price: Number(unlock.price),
+      checkout_url: payment.redirectUrl,
+      payment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('PPV unlock error:', error);
+    res.status(500).json({ error: 'Failed to unlock post' });
+  }
+});
+
+// POST /api/world/posts/:id/unlock/confirm - Pay for an unlock with a card token
+router.post('/posts/:id/unlock/confirm', authenticateWorldUser, [
+  body('payment_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unlock = await ppv.getUnlock(parseInt(req.params.id), req.worldUser.id);
+    if (!unlock) {
+      return res.status(404).json({ error: 'Unlock not found' });
+    }
+    if (unlock.status === 'paid') {
+      return res.json({ message: 'Post unlocked', id: unlock.id, status: 'paid' });
+    }
+
+    const intent = unlock.payment_intent_id ? await paymentManager.getIntent(unlock.payment_intent_id) : null;
+    if (!intent) {
+      return res.status(400).json({ error: 'Unlock has no payment attached' });
+    }
+
+    const payment = await paymentManager.verifyIntent(intent.intent_id, {
+      amount: unlock.price,
+      paymentToken: req.body.payment_token
+    });
+    await applyIntentStatus(intent, payment.status);
+
+    if (!payment.verified) {
+      return res.status(402).json({ error: payment.message || 'Payment failed', status: payment.status });
+    }
+
+    res.json({ message: 'Post unlocked', id: unlock.id, status: 'paid' });
+  } catch (error) {
+    console.error('PPV unlock confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm unlock' });
+  }
+});
+
+// GET /api/world/ppv/sales - Sales of your pay-per-view posts (?days=30 for recent unlocks only)
+router.get('/ppv/sales', authenticateWorldUser, async (req, res) => {
+  try {
+    const days = req.query.days ? Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365) : null;
+    const report = await ppv.salesReport({ authorId: req.worldUser.id, days });
+    res.json(report);
+  } catch (error) {
+    console.error('PPV sales report error:', error);
+    res.status(500).json({ error: 'Failed to fetch PPV sales' });
+  }
+});
+
+// The poll and its post, if the member's tier can see the post
+async function getVisiblePoll(pollId, tier) {
+  return db.get(`
+    SELECT pl.*, p.author_id, p.ppv_price FROM world_polls pl
+    JOIN world_posts p ON p.id = pl.post_id
+    WHERE pl.id = ? AND pl.is_active = 1 AND p.is_active = 1 AND ${visibilityFilter(tier)}
+  `, [pollId]);
+}
+
+// GET /api/world/polls/:id - Current state of a poll
+router.get('/polls/:id', optionalAuth, async (req, res) => {
+  try {
+    const poll = await getVisiblePoll(parseInt(req.params.id), req.worldUser?.membership_tier);
+    const viewerId = req.worldUser?.id || null;
+    if (!poll || !ppv.canView({ ...poll, id: poll.post_id }, viewerId, await ppv.unlockedPostIds(viewerId, [poll.post_id]))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    res.json({ poll: await worldPolls.get(poll.id, req.worldUser) });
+  } catch (error) {
+    console.error('Poll fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch poll' });
+  }
+});
+
+// POST /api/world/polls/:id/vote - Vote on a poll (one vote per member)
+router.post('/polls/:id/vote', authenticateWorldUser, [
+  body('option_index').isInt({ min: 0 }).withMessage('Valid option index required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Polls on locked pay-per-view posts can't be voted on until the post is bought
+    const poll = await getVisiblePoll(parseInt(req.params.id), req.worldUser.membership_tier);
+    if (!poll || !ppv.canView({ ...poll, id: poll.post_id }, req.worldUser.id, await ppv.unlockedPostIds(req.worldUser.id, [poll.post_id]))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    await worldPolls.vote(poll, req.worldUser, parseInt(req.body.option_index));
+
+    res.json({ message: 'Vote recorded', poll: await worldPolls.get(poll.id, req.worldUser) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Poll vote error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
 // POST /api/world/posts/:id/like - Like/unlike a post
 router.post('/posts/:id/like', authenticateWorldUser, async (req, res) => {
   try {
@@ -369,6 +604,113 @@ router.post('/posts/:id/like', authenticateWorldUser, async (req, res) => {
   }
 });
 
+// Posts a member can repost: active ones their tier can see
+async function getRepostablePost(postId, tier) {
+  return db.get(`SELECT p.* FROM world_posts p WHERE p.id = ? AND p.is_active = 1 AND ${visibilityFilter(tier)}`, [postId]);
+}
+
+// Tell a post's author someone shared it (not for Wyatt's posts or your own)
+async function notifyRepost(post, user, quote = null) {
+  if (!post.author_id || post.is_wyatt_post || post.author_id === user.id) {
+    return;
+  }
+  await db.run(`
+    INSERT INTO world_notifications (user_id, type, title, message)
+    VALUES (?, ?, ?, ?)
+  `, quote
+    ? [post.author_id, 'quote', 'New Quote', `@${user.username} quoted your post: "${quote.length > 100 ? quote.slice(0, 97) + '...' : quote}"`]
+    : [post.author_id, 'repost', 'New Repost', `@${user.username} reposted your post`]);
+}
+
+// POST /api/world/posts/:id/repost - Repost to your followers
+router.post('/posts/:id/repost', authenticateWorldUser, async (req, res) => {
+  try {
+    const post = await getRepostablePost(parseInt(req.params.id), req.worldUser.membership_tier);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const result = await db.run('INSERT IGNORE INTO world_reposts (post_id, user_id) VALUES (?, ?)', [post.id, req.worldUser.id]);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Post already reposted' });
+    }
+    await db.run('UPDATE world_posts SET reposts_count = reposts_count + 1 WHERE id = ?', [post.id]);
+    await notifyRepost(post, req.worldUser);
+
+    const updated = await db.get('SELECT reposts_count FROM world_posts WHERE id = ?', [post.id]);
+    res.status(201).json({ reposted: true, repost_id: result.lastInsertRowid, reposts_count: updated.reposts_count });
+  } catch (error) {
+    console.error('Repost error:', error);
+    res.status(500).json({ error: 'Failed to repost' });
+  }
+});
+
+// POST /api/world/posts/:id/quote - Repost with your own comment (or change the comment)
+router.post('/posts/:id/quote', authenticateWorldUser, [
+  body('quote').trim().isLength({ min: 1, max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await getRepostablePost(parseInt(req.params.id), req.worldUser.membership_tier);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // One repost per member and post: quoting a post you reposted adds the comment to it
+    const inserted = await db.run('INSERT IGNORE INTO world_reposts (post_id, user_id, quote) VALUES (?, ?, ?)',
+      [post.id, req.worldUser.id, req.body.quote]);
+    let announce = inserted.changes > 0;
+    if (inserted.changes > 0) {
+      await db.run('UPDATE world_posts SET reposts_count = reposts_count + 1 WHERE id = ?', [post.id]);
+    } else {
+      // Adding a comment to a plain repost is announced like a new quote; editing one is not
+      const added = await db.run('UPDATE world_reposts SET quote = ? WHERE post_id = ? AND user_id = ? AND quote IS NULL',
+        [req.body.quote, post.id, req.worldUser.id]);
+      announce = added.changes > 0;
+      if (!announce) {
+        await db.run('UPDATE world_reposts SET quote = ? WHERE post_id = ? AND user_id = ?', [req.body.quote, post.id, req.worldUser.id]);
+      }
+    }
+    if (announce) {
+      await notifyRepost(post, req.worldUser, req.body.quote);
+    }
+
+    const repost = await db.get('SELECT * FROM world_reposts WHERE post_id = ? AND user_id = ?', [post.id, req.worldUser.id]);
+    const updated = await db.get('SELECT reposts_count FROM world_posts WHERE id = ?', [post.id]);
+    res.status(inserted.changes > 0 ? 201 : 200).json({
+      reposted: true,
+      repost_id: repost.id,
+      quote: repost.quote,
+      reposts_count: updated.reposts_count
+    });
+  } catch (error) {
+    console.error('Quote post error:', error);
+    res.status(500).json({ error: 'Failed to quote post' });
+  }
+});
+
+// DELETE /api/world/posts/:id/repost - Undo a repost or quote
+router.delete('/posts/:id/repost', authenticateWorldUser, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const result = await db.run('DELETE FROM world_reposts WHERE post_id = ? AND user_id = ?', [postId, req.worldUser.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Repost not found' });
+    }
+    await db.run('UPDATE world_posts SET reposts_count = GREATEST(reposts_count - 1, 0) WHERE id = ?', [postId]);
+
+    const post = await db.get('SELECT reposts_count FROM world_posts WHERE id = ?', [postId]);
+    res.json({ reposted: false, reposts_count: post ? post.reposts_count : 0 });
+  } catch (error) {
+    console.error('Unrepost error:', error);
+    res.status(500).json({ error: 'Failed to undo repost' });
+  }
+});
+
 // GET /api/world/posts/:id/comments - Get post comments
 router.get('/posts/:id/comments', optionalAuth, async (req, res) => {
   try {
@@ -446,6 +788,7 @@ router.post('/posts/:id/comment', authenticateWorldUser, [
 // ============================================
 
 // GET /api/world/conversations - Get user's conversations
+// (?sort=priority puts unread, higher-tier and top-tipping members first; the default for creators)
 router.get('/conversations', authenticateWorldUser, async (req, res) => {
   try {
     const conversations = await db.all(`
@@ -459,6 +802,8 @@ router.get('/conversations', authenticateWorldUser, async (req, res) => {
       ORDER BY last_message_at DESC
     `, [req.worldUser.id, req.worldUser.id]);
 
+    const priority = await creatorMessages.inboxPriority(req.worldUser.id, conversations.map(conv => conv.id));
+
     // Get participants for each conversation
     const result = await Promise.all(conversations.map(async conv => {
       const participants = await db.all(`
@@ -476,11 +821,13 @@ router.get('/conversations', authenticateWorldUser, async (req, res) => {
         last_message: conv.last_message,
         last_message_at: conv.last_message_at,
         unread_count: conv.unread_count,
-        is_vip_only: Boolean(conv.is_vip_only)
+        is_vip_only: Boolean(conv.is_vip_only),
+        priority: priority[conv.id] || { tier: 'free', tips_total: 0 }
       };
     }));
 
-    res.json({ conversations: result });
+    const sort = req.query.sort || (await creatorMessages.isCreator(req.worldUser.id) ? 'priority' : 'recent');
+    res.json({ conversations: sort === 'priority' ? creatorMessages.sortByPriority(result) : result, sort });
   } catch (error) {
     console.error('Conversations fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch conversations' });
@@ -573,17 +920,17 @@ router.get('/conversations/:id/messages', authenticateWorldUser, async (req, res
       LIMIT ? OFFSET ?
     `, [conversationId, limit, offset]);
 
-    // Mark as read
-    await db.run(`
-      UPDATE world_messages SET is_read = 1
-      WHERE conversation_id = ? AND sender_id != ? AND is_read = 0
-    `, [conversationId, req.worldUser.id]);
+    // Mark as read (tells the other participants over the realtime gateway)
+    await realtime.markRead(conversationId, req.worldUser.id);
+    const statusOf = await realtime.receipts(conversationId, req.worldUser.id);
+
+    // Media on paid messages stays hidden until bought
+    const unlocked = await creatorMessages.unlockedMessageIds(req.worldUser.id, messages.map(m => m.id));
 
     res.json({
       messages: messages.reverse().map(m => ({
         id: m.id,
-        content: m.content,
-        media_url: m.media_url,
+        ...creatorMessages.present(m, creatorMessages.canView(m, req.worldUser.id, unlocked)),
         sender: {
           id: m.sender_id,
           username: m.username,
@@ -591,6 +938,8 @@ router.get('/conversations/:id/messages', authenticateWorldUser, async (req, res
           avatar_url: m.avatar_url,
           is_me: m.sender_id === req.worldUser.id
         },
+        // Only for your own messages: sent, delivered or read
+        status: m.sender_id === req.worldUser.id ? statusOf(m.id) : undefined,
         timestamp: getTimeAgo(new Date(m.created_at)),
         created_at: m.created_at
       })),
@@ -602,9 +951,13 @@ router.get('/conversations/:id/messages', authenticateWorldUser, async (req, res
   }
 });
 
-// POST /api/world/conversations/:id/messages - Send message
+// POST /api/world/conversations/:id/messages - Send message (creators can set a price to unlock its media)
 router.post('/conversations/:id/messages', authenticateWorldUser, [
-  body('content').trim().isLength({ min: 1, max: 2000 })
+  body('content').trim().isLength({ min: 1, max: 2000 }),
+  body('media_url').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  body('media_urls').optional({ nullable: true }).isArray({ max: 10 }),
+  body('media_urls.*').isString().trim().isLength({ min: 1, max: 500 }),
+  body('price').optional({ nullable: true }).isFloat({ min: 1, max: 500 }).withMessage('Price must be between 1 and 500')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -613,7 +966,7 @@ router.post('/conversations/:id/messages', authenticateWorldUser, [
     }
 
     const conversationId = parseInt(req.params.id);
-    const { content, media_url } = req.body;
+    const { content, media_url, media_urls, price } = req.body;
 
     // Verify user is in conversation
     const participant = await db.get('SELECT * FROM world_conversation_participants WHERE conversation_id = ? AND user_id = ?',
@@ -623,14 +976,33 @@ router.post('/conversations/:id/messages', authenticateWorldUser, [
       return res.status(403).json({ error: 'Not a participant in this conversation' });
     }
 
+    if (price) {
+      if (!await creatorMessages.isCreator(req.worldUser.id)) {
+        return res.status(403).json({ error: 'Only creators can send paid messages' });
+      }
+      if (!media_url && !(media_urls && media_urls.length > 0)) {
+        return res.status(400).json({ error: 'Paid messages need media attached' });
+      }
+    }
+
     const result = await db.run(`
-      INSERT INTO world_messages (conversation_id, sender_id, content, media_url)
-      VALUES (?, ?, ?, ?)
-    `, [conversationId, req.worldUser.id, content, media_url || null]);
+      INSERT INTO world_messages (conversation_id, sender_id, content, media_url, media_urls, price)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      conversationId,
+      req.worldUser.id,
+      content,
+      media_url || null,
+      media_urls && media_urls.length > 0 ? JSON.stringify(media_urls) : null,
+      price || null
+    ]);
 
     // Update conversation timestamp
     await db.run('UPDATE world_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [conversationId]);
 
+    // Push to everyone in the conversation who is connected
+    await creatorMessages.publish(result.lastInsertRowid);
+
     res.status(201).json({
       message: 'Message sent',
       id: result.lastInsertRowid
@@ -641,39 +1013,167 @@ router.post('/conversations/:id/messages', authenticateWorldUser, [
   }
 });
 
+// POST /api/world/messages/:id/unlock - Buy a paid message
+router.post('/messages/:id/unlock', authenticateWorldUser, [
+  body('payment_provider').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const message = await creatorMessages.getForParticipant(parseInt(req.params.id), req.worldUser.id);
+    const { unlock, payment } = await creatorMessages.startUnlock(message, req.worldUser, req.body.payment_provider);
+
+    res.status(201).json({
+      message: 'Unlock processing',
+      id: unlock.id,
+      price: Number(unlock.price),
+      checkout_url: payment.redirectUrl,
+      payment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Message unlock error:', error);
+    res.status(500).json({ error: 'Failed to unlock message' });
+  }
+});
+
+// POST /api/world/messages/:id/unlock/confirm - Pay for a message unlock with a card token
+router.post('/messages/:id/unlock/confirm', authenticateWorldUser, [
+  body('payment_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unlock = await creatorMessages.getUnlock(parseInt(req.params.id), req.worldUser.id);
+    if (!unlock) {
+      return res.status(404).json({ error: 'Unlock not found' });
+    }
+    if (unlock.status === 'paid') {
+      return res.json({ message: 'Message unlocked', id: unlock.id, status: 'paid' });
+    }
+
+    const intent = unlock.payment_intent_id ? await paymentManager.getIntent(unlock.payment_intent_id) : null;
+    if (!intent) {
+      return res.status(400).json({ error: 'Unlock has no payment attached' });
+    }
+
+    const payment = await paymentManager.verifyIntent(intent.intent_id, {
+      amount: unlock.price,
+      paymentToken: req.body.payment_token
+    });
+    await applyIntentStatus(intent, payment.status);
+
+    if (!payment.verified) {
+      return res.status(402).json({ error: payment.message || 'Payment failed', status: payment.status });
+    }
+
+    res.json({ message: 'Message unlocked', id: unlock.id, status: 'paid' });
+  } catch (error) {
+    console.error('Message unlock confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm unlock' });
+  }
+});
+
+// GET /api/world/messages/sales - Purchases of your paid messages (?days=30 for recent unlocks only)
+router.get('/messages/sales', authenticateWorldUser, async (req, res) => {
+  try {
+    const days = req.query.days ? Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365) : null;
+    res.json(await creatorMessages.salesReport({ senderId: req.worldUser.id, days }));
+  } catch (error) {
+    console.error('Message sales report error:', error);
+    res.status(500).json({ error: 'Failed to fetch message sales' });
+  }
+});
+
+// POST /api/world/mass-messages - Message segments of members at once (creators only)
+router.post('/mass-messages', authenticateWorldUser, [
+  body('segments').isArray({ min: 1 }).withMessage('Choose at least one segment'),
+  body('segments.*').isIn(MASS_MESSAGE_SEGMENTS),
+  body('tipper_days').optional().isInt({ min: 1, max: 365 }),
+  body('content').trim().isLength({ min: 1, max: 2000 }),
+  body('media_urls').optional({ nullable: true }).isArray({ max: 10 }),
+  body('media_urls.*').isString().trim().isLength({ min: 1, max: 500 }),
+  body('price').optional({ nullable: true }).isFloat({ min: 1, max: 500 }).withMessage('Price must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const massMessage = await creatorMessages.sendMass(req.worldUser, {
+      segments: [...new Set(req.body.segments)],
+      tipperDays: req.body.tipper_days ? parseInt(req.body.tipper_days) : undefined,
+      content: req.body.content,
+      mediaUrls: req.body.media_urls || [],
+      price: req.body.price ? Number(req.body.price) : null
+    });
+
+    // Copies go out in the background; poll GET /mass-messages for progress
+    res.status(202).json({ message: 'Mass message sending', mass_message: massMessage });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Mass message error:', error);
+    res.status(500).json({ error: 'Failed to send mass message' });
+  }
+});
+
+// GET /api/world/mass-messages - Your mass messages with delivery and purchase figures
+router.get('/mass-messages', authenticateWorldUser, async (req, res) => {
+  try {
+    res.json({ mass_messages: await creatorMessages.listMass(req.worldUser.id) });
+  } catch (error) {
+    console.error('Mass messages fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch mass messages' });
+  }
+});
+
 // ============================================
 // MEMBERSHIP ROUTES
 // ============================================
 
+// Shape a world_memberships row for API responses
+function formatMembership(membership) {
+  return membership ? {
+    id: membership.id,
+    tier: membership.tier,
+    status: membership.status,
+    price: parseFloat(membership.price),
+    starts_at: membership.starts_at,
+    ends_at: membership.ends_at,
+    cancel_at_period_end: Boolean(membership.cancel_at_period_end),
+    pending_tier: membership.pending_tier,
+    grace_ends_at: membership.grace_ends_at
+  } : null;
+}
+
+// Billing errors carry an HTTP status; anything else is a server error
+function sendBillingError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  return res.status(500).json({ error: fallback });
+}
+
 // GET /api/world/membership/tiers - Get membership tier info
 router.get('/membership/tiers', (req, res) => {
-  const tiers = [
-    {
-      id: 'free',
-      name: 'Free',
-      price: 0,
-      features: ['Access to public posts', 'Like and comment', 'Join public group chats', 'View schedule']
-    },
-    {
-      id: 'vip',
-      name: 'VIP',
-      price: 9.99,
-      features: ['All Free features', 'Exclusive VIP content', 'VIP group chat access', 'Direct message Wyatt', 'Early access to new content', 'Monthly live Q&A']
-    },
-    {
-      id: 'inner_circle',
-      name: 'Inner Circle',
-      price: 24.99,
-      features: ['All VIP features', 'Behind-the-scenes access', 'The Vault - exclusive archive', 'Priority DM responses', 'Exclusive merch discounts', 'Birthday shoutout', 'Vote on upcoming content']
-    }
-  ];
-
-  res.json({ tiers });
+  res.json({ tiers: MEMBERSHIP_TIERS });
 });
 
 // POST /api/world/membership/subscribe - Subscribe to tier
 router.post('/membership/subscribe', authenticateWorldUser, [
-  body('tier').isIn(['vip', 'inner_circle'])
+  body('tier').isIn(PAID_TIERS),
+  body('payment_provider').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -681,39 +1181,161 @@ router.post('/membership/subscribe', authenticateWorldUser, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { tier } = req.body;
+    const { tier, payment_provider } = req.body;
 
-    res.json({
+    if (payment_provider && !paymentManager.getProvider(payment_provider)) {
+      return res.status(400).json({ error: `Payment provider ${payment_provider} is not available` });
+    }
+
+    const user = await db.get('SELECT email FROM world_users WHERE id = ?', [req.worldUser.id]);
+    const { membership, payment } = await membershipBilling.subscribe(req.worldUser.id, {
+      tier,
+      provider: payment_provider,
+      email: user.email
+    });
+
+    res.status(201).json({
       message: 'Checkout session created',
-      checkout_url: `/checkout/membership/${tier}`,
-      tier
+      checkout_url: payment.redirectUrl,
+      tier,
+      membership: formatMembership(membership),
+      payment
     });
   } catch (error) {
     console.error('Subscription error:', error);
-    res.status(500).json({ error: 'Failed to create subscription' });
+    sendBillingError(res, error, 'Failed to create subscription');
+  }
+});
+
+// POST /api/world/membership/confirm - Pay a membership charge with a card token
+router.post('/membership/confirm', authenticateWorldUser, [
+  body('intent_id').isString().notEmpty(),
+  body('payment_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const intent = await db.get(`
+      SELECT pi.* FROM payment_intents pi
+      JOIN world_memberships m ON m.id = pi.reference_id
+      WHERE pi.intent_id = ? AND pi.reference_type IN ('membership', 'membership_renewal', 'membership_upgrade')
+        AND m.user_id = ?
+    `, [req.body.intent_id, req.worldUser.id]);
+
+    if (!intent) {
+      return res.status(404).json({ error: 'Membership payment not found' });
+    }
+
+    const payment = await paymentManager.verifyIntent(intent.intent_id, {
+      amount: intent.amount,
+      currency: intent.currency,
+      paymentToken: req.body.payment_token
+    });
+    await applyIntentStatus(intent, payment.status);
+
+    if (!payment.verified) {
+      return res.status(402).json({ error: payment.message || 'Payment failed', status: payment.status });
+    }
+
+    const membership = await membershipBilling.getMembership(intent.reference_id);
+    res.json({ message: 'Membership updated', membership: formatMembership(membership) });
+  } catch (error) {
+    console.error('Membership confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm membership payment' });
+  }
+});
+
+// POST /api/world/membership/change - Upgrade (prorated) or schedule a downgrade
+router.post('/membership/change', authenticateWorldUser, [
+  body('tier').isIn(PAID_TIERS),
+  body('payment_provider').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tier, payment_provider } = req.body;
+
+    if (payment_provider && !paymentManager.getProvider(payment_provider)) {
+      return res.status(400).json({ error: `Payment provider ${payment_provider} is not available` });
+    }
+
+    const result = await membershipBilling.changeTier(req.worldUser.id, tier, { provider: payment_provider });
+
+    res.json({
+      change: result.change,
+      amount: result.amount,
+      membership: formatMembership(result.membership),
+      checkout_url: result.payment?.redirectUrl || null,
+      payment: result.payment || null
+    });
+  } catch (error) {
+    console.error('Membership change error:', error);
+    sendBillingError(res, error, 'Failed to change membership');
+  }
+});
+
+// POST /api/world/membership/renew - Pay for the next period (providers without automatic rebilling)
+router.post('/membership/renew', authenticateWorldUser, [
+  body('payment_provider').optional().isString()
+], async (req, res) => {
+  try {
+    const { payment_provider } = req.body;
+
+    if (payment_provider && !paymentManager.getProvider(payment_provider)) {
+      return res.status(400).json({ error: `Payment provider ${payment_provider} is not available` });
+    }
+
+    const { membership, payment } = await membershipBilling.startRenewal(req.worldUser.id, { provider: payment_provider });
+
+    res.json({
+      membership: formatMembership(membership),
+      checkout_url: payment.redirectUrl,
+      payment
+    });
+  } catch (error) {
+    console.error('Membership renew error:', error);
+    sendBillingError(res, error, 'Failed to renew membership');
+  }
+});
+
+// POST /api/world/membership/cancel - Cancel at the end of the current period
+router.post('/membership/cancel', authenticateWorldUser, async (req, res) => {
+  try {
+    const membership = await membershipBilling.cancel(req.worldUser.id);
+    res.json({ message: 'Membership will not renew', membership: formatMembership(membership) });
+  } catch (error) {
+    console.error('Membership cancel error:', error);
+    sendBillingError(res, error, 'Failed to cancel membership');
+  }
+});
+
+// POST /api/world/membership/resume - Undo a pending cancellation
+router.post('/membership/resume', authenticateWorldUser, async (req, res) => {
+  try {
+    const membership = await membershipBilling.resume(req.worldUser.id);
+    res.json({ message: 'Membership will renew', membership: formatMembership(membership) });
+  } catch (error) {
+    console.error('Membership resume error:', error);
+    sendBillingError(res, error, 'Failed to resume membership');
   }
 });
 
 // GET /api/world/membership/status - Get current membership status
 router.get('/membership/status', authenticateWorldUser, async (req, res) => {
   try {
-    const membership = await db.get(`
-      SELECT * FROM world_memberships
-      WHERE user_id = ? AND status = 'active'
-      ORDER BY created_at DESC
-      LIMIT 1
-    `, [req.worldUser.id]);
+    const membership = await membershipBilling.getCurrentMembership(req.worldUser.id);
 
     const user = await db.get('SELECT membership_tier FROM world_users WHERE id = ?', [req.worldUser.id]);
 
     res.json({
       current_tier: user.membership_tier,
-      membership: membership ? {
-        tier: membership.tier,
-        status: membership.status,
-        starts_at: membership.starts_at,
-        ends_at: membership.ends_at
-      } : null
+      membership: formatMembership(membership)
     });
   } catch (error) {
     console.error('Membership status error:', error);
@@ -727,7 +1349,8 @@ router.get('/membership/status', authenticateWorldUser, async (req, res) => {
 
 // POST /api/world/tips - Send a tip
 router.post('/tips', authenticateWorldUser, [
-  body('amount').isFloat({ min: 1, max: 500 })
+  body('amount').isFloat({ min: 1, max: 500 }),
+  body('payment_provider').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -735,17 +1358,30 @@ router.post('/tips', authenticateWorldUser, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, message, post_id } = req.body;
+    const { amount, message, post_id, payment_provider } = req.body;
+
+    if (payment_provider && !paymentManager.getProvider(payment_provider)) {
+      return res.status(400).json({ error: `Payment provider ${payment_provider} is not available` });
+    }
 
     const result = await db.run(`
       INSERT INTO world_tips (sender_id, amount, message, post_id, status)
       VALUES (?, ?, ?, ?, 'pending')
     `, [req.worldUser.id, amount, message || null, post_id || null]);
 
+    const payment = await paymentManager.createIntent(payment_provider, {
+      amount: parseFloat(amount),
+      currency: 'USD',
+      referenceType: 'tip',
+      referenceId: result.lastInsertRowid,
+      description: 'Tip for Wyatt XXX Cole'
+    });
+
     res.status(201).json({
       message: 'Tip processing',
       id: result.lastInsertRowid,
-      checkout_url: `/checkout/tip/${result.lastInsertRowid}`
+      checkout_url: payment.redirectUrl,
+      payment
     });
   } catch (error) {
     console.error('Tip error:', error);
@@ -753,6 +1389,49 @@ router.post('/tips', authenticateWorldUser, [
   }
 });
 
+// POST /api/world/tips/:id/confirm - Pay a tip with a card token
+router.post('/tips/:id/confirm', authenticateWorldUser, [
+  body('payment_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tip = await db.get('SELECT * FROM world_tips WHERE id = ? AND sender_id = ?', [parseInt(req.params.id), req.worldUser.id]);
+    if (!tip) {
+      return res.status(404).json({ error: 'Tip not found' });
+    }
+
+    const intent = await db.get(`
+      SELECT * FROM payment_intents
+      WHERE reference_type = 'tip' AND reference_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [String(tip.id)]);
+
+    if (!intent) {
+      return res.status(400).json({ error: 'Tip has no payment attached' });
+    }
+
+    const payment = await paymentManager.verifyIntent(intent.intent_id, {
+      amount: tip.amount,
+      paymentToken: req.body.payment_token
+    });
+    await applyIntentStatus(intent, payment.status);
+
+    if (!payment.verified) {
+      return res.status(402).json({ error: payment.message || 'Payment failed', status: payment.status });
+    }
+
+    res.json({ message: 'Tip sent. Thank you!', id: tip.id, status: 'paid' });
+  } catch (error) {
+    console.error('Tip confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm tip' });
+  }
+});
+
 // ============================================
 // NOTIFICATIONS ROUTES
 // ============================================
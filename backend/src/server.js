@@ -19,7 +19,15 @@ import communityRoutes from './routes/community.js';
 import portfolioRoutes from './routes/portfolio.js';
 import adminRoutes from './routes/admin.js';
 import worldRoutes from './routes/world.js';
+import webhookRoutes from './routes/webhooks.js';
+import accountRoutes from './routes/account.js';
 import db from './config/database.js';
+import { paymentManager } from './services/payment-providers.js';
+import { podManager } from './services/pod-providers.js';
+import { taxCalculator } from './services/tax-calculator.js';
+import { media } from './services/media.js';
+import { realtime } from './services/realtime.js';
+import { startJobs } from './jobs/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,6 +35,10 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Register payment and print-on-demand providers configured in the environment
+paymentManager.initFromEnv();
+podManager.initFromEnv();
+
 // CORS configuration
 const corsOptions = {
   origin: process.env.FRONTEND_URL || '*',
@@ -47,13 +59,23 @@ const formLimiter = rateLimit({
   message: { error: 'Too many form submissions, please try again later.' }
 });
 
+// Keep the raw request body around for webhook signature checks
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+// Payment webhooks are mounted ahead of the rate limiter so processor retries are never throttled
+app.use('/api/webhooks', webhookRoutes);
+
 app.use('/api', limiter);
 
-// Serve static files from uploads
+// Serve static files from uploads (media files never change once written)
+app.use('/uploads/media', express.static(media.dir, { maxAge: '365d', immutable: true }));
 app.use('/uploads', express.static(join(__dirname, '../uploads')));
 
 // Health check
@@ -94,6 +116,8 @@ app.use('/api/community', communityRoutes);
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/world', worldRoutes);
+app.use('/api/account/magic-link', formLimiter);
+app.use('/api/account', accountRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -109,7 +133,7 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
@@ -120,6 +144,15 @@ app.listen(PORT, () => {
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+
+  taxCalculator.load()
+    .then(({ zipRates, nexusStates }) => console.log(`Tax rates loaded: ${zipRates} ZIP codes, ${nexusStates} nexus states`))
+    .catch(error => console.error('Tax rate load error:', error));
+
+  startJobs();
 });
 
+// WebSocket gateway for Wyatt World conversations (shares the HTTP port)
+realtime.attach(server);
+
 export default app;
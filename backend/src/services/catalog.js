@@ -0,0 +1,473 @@
+/**
+ * Product Catalog
+ * Product options (size, color, ...) and variants with their own SKU,
+ * price override, weight and stock, plus cart item pricing shared by the
+ * shop and checkout routes.
+ *
+ * Also CSV import/export of the product list and bulk edits for the admin.
+ * Imports match products by slug: rows for new slugs are created, the rest
+ * update only the columns the file has. A dry run returns the same per-row
+ * diff without writing anything.
+ */
+
+import db from '../config/database.js';
+import { toCsv } from '../utils/csv.js';
+
+// Weight used when neither the variant nor the product has one (lbs)
+const DEFAULT_WEIGHT = 0.5;
+
+const catalogError = (message, status = 400, details = undefined) => Object.assign(new Error(message), { status, details });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Columns in product CSV files, in export order
+export const PRODUCT_CSV_COLUMNS = [
+    'slug', 'title', 'description', 'price', 'category', 'image_url',
+    'inventory_count', 'weight', 'is_digital', 'is_active'
+];
+
+// Columns a new product must have
+const REQUIRED_PRODUCT_COLUMNS = ['title', 'price', 'category'];
+
+// Columns an empty cell sets to NULL (for the others it leaves the value alone)
+const NULLABLE_PRODUCT_COLUMNS = ['description', 'image_url', 'weight'];
+
+export const BULK_PRODUCT_ACTIONS = ['price', 'activate', 'deactivate', 'category'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const BOOLEAN_VALUES = { 1: 1, 0: 0, true: 1, false: 0, yes: 1, no: 0 };
+
+// Product row values as they are compared in an import diff
+const normalizeProduct = (product) => ({
+    slug: product.slug,
+    title: product.title,
+    description: product.description ?? null,
+    price: Number(product.price),
+    category: product.category,
+    image_url: product.image_url ?? null,
+    inventory_count: Number(product.inventory_count || 0),
+    weight: product.weight === null || product.weight === undefined ? null : Number(product.weight),
+    is_digital: Number(product.is_digital) ? 1 : 0,
+    is_active: Number(product.is_active) ? 1 : 0
+});
+
+export class ProductCatalog {
+    // Option axes for a product, in display order
+    async getOptions(productId) {
+        const rows = await db.all(
+            'SELECT * FROM product_options WHERE product_id = ? ORDER BY position, id',
+            [productId]
+        );
+        return rows.map(row => ({ id: row.id, name: row.name, values: parseJson(row.option_values) || [] }));
+    }
+
+    async getVariants(productId, { activeOnly = true } = {}) {
+        return db.all(`
+            SELECT * FROM product_variants
+            WHERE product_id = ? ${activeOnly ? 'AND is_active = 1' : ''}
+            ORDER BY position, id
+        `, [productId]);
+    }
+
+    // Public shape of a variant row (price falls back to the product price)
+    formatVariant(variant, product) {
+        return {
+            id: variant.id,
+            sku: variant.sku,
+            title: variant.title,
+            options: parseJson(variant.options) || {},
+            price: variant.price !== null ? variant.price : product.price,
+            weight: variant.weight !== null ? variant.weight : product.weight,
+            inventoryCount: variant.inventory_count,
+            inStock: variant.inventory_count > 0,
+            isActive: Boolean(variant.is_active)
+        };
+    }
+
+    /**
+     * Check a variant's option values against the product's option axes
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateVariantOptions(options, productOptions) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            return 'Variant options must be an object';
+        }
+        for (const axis of productOptions) {
+            if (!axis.values.includes(options[axis.name])) {
+                return `Invalid value for ${axis.name}`;
+            }
+        }
+        const unknown = Object.keys(options).filter(name => !productOptions.some(axis => axis.name === name));
+        if (unknown.length > 0) {
+            return `Unknown option ${unknown[0]}`;
+        }
+        return null;
+    }
+
+    // Variant title such as "M / Black", in option axis order
+    variantTitle(options, productOptions) {
+        return productOptions.map(axis => options[axis.name]).filter(Boolean).join(' / ');
+    }
+
+    /**
+     * Price a cart against the catalog
+     * @param {Array} items - [{ productId, variantId?, quantity }]
+     * @returns {Object} { items, subtotal, totalWeight }
+     * @throws {Error} status 400 for unknown products or missing/invalid variants
+     */
+    async priceItems(items) {
+        let subtotal = 0;
+        let totalWeight = 0;
+        const orderItems = [];
+
+        for (const item of items) {
+            const product = await db.get('SELECT * FROM products WHERE id = ? AND is_active = 1', [item.productId]);
+
+            if (!product) {
+                throw catalogError(`Product ${item.productId} not found`);
+            }
+
+            const quantity = parseInt(item.quantity);
+            let variant = null;
+
+            if (item.variantId) {
+                variant = await db.get(
+                    'SELECT * FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                    [item.variantId, product.id]
+                );
+                if (!variant) {
+                    throw catalogError(`Option not available for ${product.title}`);
+                }
+            } else {
+                const variantCount = await db.get(
+                    'SELECT COUNT(*) as count FROM product_variants WHERE product_id = ? AND is_active = 1',
+                    [product.id]
+                );
+                if (variantCount.count > 0) {
+                    throw catalogError(`Choose an option for ${product.title}`);
+                }
+            }
+
+            const price = Number(variant && variant.price !== null ? variant.price : product.price);
+            const weight = Number((variant && variant.weight) || product.weight || DEFAULT_WEIGHT);
+
+            subtotal += price * quantity;
+            totalWeight += weight * quantity;
+
+            orderItems.push({
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                sku: variant ? variant.sku : null,
+                title: variant ? `${product.title} (${variant.title})` : product.title,
+                options: variant ? parseJson(variant.options) : null,
+                price,
+                quantity,
+                weight,
+                category: product.category,
+                isDigital: Boolean(product.is_digital)
+            });
+        }
+
+        return { items: orderItems, subtotal, totalWeight };
+    }
+
+    // ============================================
+    // Import, export and bulk edits
+    // ============================================
+
+    /**
+     * Validate product CSV rows (objects keyed by header, from parseCsv)
+     * @returns {Object} { products: [{ line, slug, values }], errors } - values
+     *   holds only the columns to set; errors are "Row N: ..." messages
+     */
+    parseProductRows(rows) {
+        const products = [];
+        const errors = [];
+        const seen = new Map();
+
+        rows.forEach((row, index) => {
+            const line = index + 2; // header is line 1
+            const slug = (row.slug || '').toLowerCase();
+
+            if (!SLUG_PATTERN.test(slug) || slug.length > 255) {
+                errors.push(`Row ${line}: invalid slug "${row.slug || ''}" (lowercase letters, numbers and dashes)`);
+                return;
+            }
+            if (seen.has(slug)) {
+                errors.push(`Row ${line}: slug "${slug}" already appears on row ${seen.get(slug)}`);
+                return;
+            }
+            seen.set(slug, line);
+
+            const values = {};
+            const rowErrors = [];
+            for (const column of PRODUCT_CSV_COLUMNS.slice(1)) {
+                if (row[column] === undefined) {
+                    continue;
+                }
+                const raw = row[column];
+                if (raw === '') {
+                    if (NULLABLE_PRODUCT_COLUMNS.includes(column)) {
+                        values[column] = null;
+                    } else if (REQUIRED_PRODUCT_COLUMNS.includes(column)) {
+                        rowErrors.push(`${column} is required`);
+                    }
+                    continue;
+                }
+
+                switch (column) {
+                    case 'title':
+                        if (raw.length > 255) {
+                            rowErrors.push('title must be 255 characters or fewer');
+                        }
+                        values.title = raw;
+                        break;
+                    case 'category':
+                        if (raw.length > 100) {
+                            rowErrors.push('category must be 100 characters or fewer');
+                        }
+                        values.category = raw;
+                        break;
+                    case 'image_url':
+                        if (raw.length > 500) {
+                            rowErrors.push('image_url must be 500 characters or fewer');
+                        }
+                        values.image_url = raw;
+                        break;
+                    case 'price':
+                    case 'weight': {
+                        const number = Number(raw);
+                        if (!Number.isFinite(number) || number < 0) {
+                            rowErrors.push(`${column} must be a number of 0 or more`);
+                        }
+                        values[column] = Math.round(number * 100) / 100;
+                        break;
+                    }
+                    case 'inventory_count': {
+                        const number = Number(raw);
+                        if (!Number.isInteger(number) || number < 0) {
+                            rowErrors.push('inventory_count must be a whole number of 0 or more');
+                        }
+                        values.inventory_count = number;
+                        break;
+                    }
+                    case 'is_digital':
+                    case 'is_active': {
+                        const flag = BOOLEAN_VALUES[raw.toLowerCase()];
+                        if (flag === undefined) {
+                            rowErrors.push(`${column} must be 1/0, true/false or yes/no`);
+                        }
+                        values[column] = flag;
+                        break;
+                    }
+                    default:
+                        values[column] = raw;
+                }
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push(...rowErrors.map(message => `Row ${line}: ${message}`));
+                return;
+            }
+            products.push({ line, slug, values });
+        });
+
+        return { products, errors };
+    }
+
+    // What an import would do to each product, given the current rows for their slugs
+    planImport(products, existing) {
+        const bySlug = new Map(existing.map(product => [product.slug, product]));
+        const errors = [];
+
+        const plan = products.map(({ line, slug, values }) => {
+            const current = bySlug.get(slug);
+            const warnings = [];
+
+            if (!current) {
+                const missing = REQUIRED_PRODUCT_COLUMNS.filter(column => values[column] === undefined);
+                if (missing.length > 0) {
+                    errors.push(`Row ${line}: new product "${slug}" needs ${missing.join(', ')}`);
+                }
+                return {
+                    line,
+                    slug,
+                    action: 'create',
+                    changes: Object.fromEntries(Object.entries(values).map(([column, to]) => [column, { from: null, to }])),
+                    values,
+                    warnings
+                };
+            }
+
+            const before = normalizeProduct(current);
+            const changes = {};
+            for (const [column, to] of Object.entries(values)) {
+                if (before[column] !== to) {
+                    changes[column] = { from: before[column], to };
+                }
+            }
+            if (changes.inventory_count && Number(current.variant_count) > 0) {
+                warnings.push('Stock for this product is kept on its variants; inventory_count is not used');
+            }
+
+            return {
+                line,
+                slug,
+                id: current.id,
+                action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+                changes,
+                values,
+                warnings
+            };
+        });
+
+        return { plan, errors };
+    }
+
+    /**
+     * Import products from CSV rows, matched by slug
+     * @param {Array} rows - Objects keyed by CSV header (see PRODUCT_CSV_COLUMNS)
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Return the diff without saving anything
+     * @returns {Object} { dryRun, summary: { create, update, unchanged }, rows, errors }
+     * @throws {Error} status 400 with details when a real import has invalid rows
+     */
+    async importProducts(rows, { dryRun = false } = {}) {
+        if (rows.length === 0) {
+            throw catalogError('No products found in file');
+        }
+        if (rows[0].slug === undefined) {
+            throw catalogError('The file needs a slug column');
+        }
+
+        const { products, errors: rowErrors } = this.parseProductRows(rows);
+        const slugs = products.map(product => product.slug);
+        const existingQuery = `
+            SELECT p.*, (SELECT COUNT(*) FROM product_variants v WHERE v.product_id = p.id) AS variant_count
+            FROM products p
+            WHERE p.slug IN (${slugs.map(() => '?').join(', ') || 'NULL'})
+        `;
+
+        const result = (plan, errors) => {
+            const summary = { create: 0, update: 0, unchanged: 0 };
+            for (const row of plan) {
+                summary[row.action]++;
+            }
+            return {
+                dryRun,
+                summary,
+                rows: plan.map(({ values, ...row }) => row),
+                errors
+            };
+        };
+
+        if (dryRun) {
+            const { plan, errors } = this.planImport(products, await db.all(existingQuery, slugs));
+            return result(plan, [...rowErrors, ...errors]);
+        }
+
+        if (rowErrors.length > 0) {
+            throw catalogError(`${rowErrors.length} invalid row${rowErrors.length === 1 ? '' : 's'}`, 400, rowErrors.slice(0, 50));
+        }
+
+        return db.transaction(async (connection) => {
+            // Locked so the diff matches what is written
+            const [existing] = await connection.execute(`${existingQuery} FOR UPDATE`, slugs);
+            const { plan, errors } = this.planImport(products, existing);
+            if (errors.length > 0) {
+                throw catalogError(`${errors.length} invalid row${errors.length === 1 ? '' : 's'}`, 400, errors.slice(0, 50));
+            }
+
+            for (const row of plan) {
+                if (row.action === 'create') {
+                    const columns = ['slug', ...Object.keys(row.values)];
+                    await connection.execute(
+                        `INSERT INTO products (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                        [row.slug, ...Object.values(row.values)]
+                    );
+                } else if (row.action === 'update') {
+                    const columns = Object.keys(row.changes);
+                    await connection.execute(
+                        `UPDATE products SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [...columns.map(column => row.changes[column].to), row.id]
+                    );
+                }
+            }
+
+            return result(plan, []);
+        });
+    }
+
+    // The whole product list as CSV, in the format importProducts() reads
+    async exportProducts() {
+        const products = await db.all('SELECT * FROM products ORDER BY id');
+        return toCsv(products.map(normalizeProduct), PRODUCT_CSV_COLUMNS);
+    }
+
+    /**
+     * Apply one change to several products
+     * @param {Array<number>} ids - Product IDs
+     * @param {Object} change
+     * @param {string} change.action - price (by percent), activate, deactivate or category
+     * @param {number} change.percent - For price: e.g. 10 raises prices 10%, -25 cuts them by a quarter.
+     *   Variant price overrides change by the same percentage.
+     * @param {string} change.category - For category: the category to move the products to
+     * @returns {Object} { updated, variantsUpdated }
+     * @throws {Error} status 404 when any of the products does not exist
+     */
+    async bulkUpdate(ids, { action, percent = null, category = null }) {
+        const productIds = [...new Set(ids.map(Number))];
+        const placeholders = productIds.map(() => '?').join(', ');
+
+        return db.transaction(async (connection) => {
+            const [found] = await connection.execute(
+                `SELECT id FROM products WHERE id IN (${placeholders}) FOR UPDATE`,
+                productIds
+            );
+            const foundIds = new Set(found.map(row => row.id));
+            const missing = productIds.filter(id => !foundIds.has(id));
+            if (missing.length > 0) {
+                throw catalogError(`Products not found: ${missing.join(', ')}`, 404);
+            }
+
+            let variantsUpdated = 0;
+            let result;
+            switch (action) {
+                case 'price': {
+                    const factor = 1 + percent / 100;
+                    [result] = await connection.execute(
+                        `UPDATE products SET price = ROUND(price * ?, 2), updated_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`,
+                        [factor, ...productIds]
+                    );
+                    const [variants] = await connection.execute(
+                        `UPDATE product_variants SET price = ROUND(price * ?, 2) WHERE price IS NOT NULL AND product_id IN (${placeholders})`,
+                        [factor, ...productIds]
+                    );
+                    variantsUpdated = variants.affectedRows;
+                    break;
+                }
+                case 'activate':
+                case 'deactivate':
+                    [result] = await connection.execute(
+                        `UPDATE products SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`,
+                        [action === 'activate' ? 1 : 0, ...productIds]
+                    );
+                    break;
+                case 'category':
+                    [result] = await connection.execute(
+                        `UPDATE products SET category = ?, updated_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`,
+                        [category, ...productIds]
+                    );
+                    break;
+                default:
+                    throw catalogError(`Unknown bulk action: ${action}`);
+            }
+
+            return { updated: result.affectedRows, variantsUpdated };
+        });
+    }
+}
+
+// Create singleton instance
+export const catalog = new ProductCatalog();
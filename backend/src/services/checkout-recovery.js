@@ -0,0 +1,296 @@
+/**
+ * Abandoned Checkout Recovery
+ * Checkout sessions that expire without an order are left behind in
+ * checkout_sessions. When CHECKOUT_RECOVERY_EMAILS is on, a job emails the
+ * shopper a reminder with a link that restores their cart, optionally with a
+ * single-use discount code. Each reminder is kept in checkout_recoveries, and
+ * the next paid order from that email within the attribution window is
+ * counted as recovered.
+ *
+ * No reminder goes to an address that unsubscribed from the newsletter, that
+ * was reminded recently, that has ordered since, or that has started a newer
+ * checkout. Expired sessions are purged after the retention window.
+ */
+
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { sendCheckoutReminder } from '../utils/email.js';
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export class CheckoutRecovery {
+    constructor({
+        enabled = false,
+        maxAgeHours = 72,
+        discountPercent = 0,
+        codeDays = 7,
+        attributionDays = 7,
+        retentionDays = 30,
+        batchSize = 100,
+        linkUrl = ''
+    } = {}) {
+        this.enabled = enabled;
+        this.maxAgeHours = maxAgeHours;
+        this.discountPercent = discountPercent;
+        this.codeDays = codeDays;
+        this.attributionDays = attributionDays;
+        this.retentionDays = retentionDays;
+        this.batchSize = batchSize;
+        this.linkUrl = linkUrl;
+    }
+
+    /**
+     * Expired sessions not looked at yet. Sessions whose payment went
+     * through are left alone: the order is only waiting on /complete.
+     */
+    async findAbandoned() {
+        return db.all(`
+            SELECT s.* FROM checkout_sessions s
+            LEFT JOIN checkout_recoveries r ON r.session_id = s.session_id
+            LEFT JOIN payment_intents p ON p.intent_id = s.payment_intent_id
+            WHERE s.expires_at <= NOW()
+              AND s.created_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+              AND r.id IS NULL
+              AND (p.status IS NULL OR p.status <> 'succeeded')
+            ORDER BY s.created_at DESC
+            LIMIT ?
+        `, [this.maxAgeHours, this.batchSize]);
+    }
+
+    // Why a shopper should not be emailed about a session, or null
+    async skipReason(session) {
+        const unsubscribed = await db.get(
+            'SELECT id FROM newsletter_subscribers WHERE email = ? AND is_active = 0',
+            [session.email]
+        );
+        if (unsubscribed) {
+            return 'unsubscribed';
+        }
+
+        const reminded = await db.get(`
+            SELECT id FROM checkout_recoveries
+            WHERE email = ? AND sent_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+        `, [session.email, this.attributionDays]);
+        if (reminded) {
+            return 'recently reminded';
+        }
+
+        const ordered = await db.get(
+            'SELECT id FROM orders WHERE customer_email = ? AND created_at >= ?',
+            [session.email, session.created_at]
+        );
+        if (ordered) {
+            return 'ordered since';
+        }
+
+        const newer = await db.get(
+            'SELECT id FROM checkout_sessions WHERE email = ? AND created_at > ?',
+            [session.email, session.created_at]
+        );
+        return newer ? 'newer checkout' : null;
+    }
+
+    // Single-use discount code for one reminder
+    async createCode(email) {
+        const code = 'BACK-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+        const result = await db.run(`
+            INSERT INTO promotions (code, name, type, value, max_uses, max_uses_per_customer, ends_at)
+            VALUES (?, ?, 'percentage', ?, 1, 1, DATE_ADD(NOW(), INTERVAL ? DAY))
+        `, [code, `Checkout reminder for ${email}`, this.discountPercent, this.codeDays]);
+        return { id: result.lastInsertRowid, code };
+    }
+
+    /**
+     * Email reminders for abandoned checkouts (run by the scheduler)
+     * @returns {Object} { sent, skipped, failed }
+     */
+    async sendReminders() {
+        if (!this.enabled) {
+            return { sent: 0, skipped: 0, failed: 0 };
+        }
+
+        const counts = { sent: 0, skipped: 0, failed: 0 };
+        const seen = new Set();
+
+        for (const session of await this.findAbandoned()) {
+            // Only the latest abandoned cart per shopper
+            const email = session.email.toLowerCase();
+            const skipReason = seen.has(email) ? 'newer checkout' : await this.skipReason(session);
+            seen.add(email);
+            if (skipReason) {
+                // Recorded so the session is not looked at again
+                await db.run(
+                    'INSERT IGNORE INTO checkout_recoveries (session_id, email, items, total, currency, skip_reason) VALUES (?, ?, ?, ?, ?, ?)',
+                    [session.session_id, session.email, JSON.stringify(parseJson(session.items)), session.total, session.currency, skipReason]
+                );
+                counts.skipped++;
+                continue;
+            }
+
+            const promotion = this.discountPercent > 0 ? await this.createCode(session.email) : null;
+            const token = crypto.randomBytes(16).toString('hex');
+
+            const claimed = await db.run(`
+                INSERT IGNORE INTO checkout_recoveries (session_id, email, token, items, total, currency, promotion_id, promotion_code)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                session.session_id,
+                session.email,
+                token,
+                JSON.stringify(parseJson(session.items)),
+                session.total,
+                session.currency,
+                promotion ? promotion.id : null,
+                promotion ? promotion.code : null
+            ]);
+            if (claimed.changes === 0) {
+                // Another server got to it first
+                if (promotion) {
+                    await db.run('DELETE FROM promotions WHERE id = ?', [promotion.id]);
+                }
+                continue;
+            }
+
+            const result = await sendCheckoutReminder(session, {
+                url: `${this.linkUrl}?recover=${token}`,
+                code: promotion ? promotion.code : null,
+                discountPercent: this.discountPercent,
+                codeDays: this.codeDays
+            });
+
+            if (result.success) {
+                await db.run('UPDATE checkout_recoveries SET sent_at = CURRENT_TIMESTAMP WHERE token = ?', [token]);
+                counts.sent++;
+            } else {
+                // Try again on the next run
+                await db.run('DELETE FROM checkout_recoveries WHERE token = ?', [token]);
+                if (promotion) {
+                    await db.run('DELETE FROM promotions WHERE id = ?', [promotion.id]);
+                }
+                counts.failed++;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Cart behind a reminder link, for the shop to put back in the basket
+     * @returns {Object|null} { email, items: [{ productId, variantId, quantity }], promotionCode }
+     */
+    async restore(token) {
+        const recovery = await db.get('SELECT * FROM checkout_recoveries WHERE token = ? AND sent_at IS NOT NULL', [token]);
+        if (!recovery) {
+            return null;
+        }
+
+        await db.run(
+            'UPDATE checkout_recoveries SET clicked_at = COALESCE(clicked_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [recovery.id]
+        );
+
+        return {
+            email: recovery.email,
+            items: parseJson(recovery.items).map(item => ({
+                productId: item.productId,
+                variantId: item.variantId || null,
+                quantity: item.quantity
+            })),
+            promotionCode: recovery.promotion_code
+        };
+    }
+
+    /**
+     * Credit a paid order to the last reminder its customer was sent
+     * @returns {boolean} Whether the order counted as a recovery
+     */
+    async markRecovered(order) {
+        const result = await db.run(`
+            UPDATE checkout_recoveries
+            SET order_id = ?, recovered_at = CURRENT_TIMESTAMP
+            WHERE email = ? AND order_id IS NULL AND sent_at IS NOT NULL
+              AND sent_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+            ORDER BY sent_at DESC
+            LIMIT 1
+        `, [order.id, order.customer_email, this.attributionDays]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Delete sessions that expired more than retentionDays ago. Sessions
+     * that were paid for are kept so the order can still be completed.
+     */
+    async purgeStale() {
+        const result = await db.run(`
+            DELETE FROM checkout_sessions
+            WHERE expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+              AND NOT EXISTS (
+                SELECT 1 FROM payment_intents p
+                WHERE p.intent_id = checkout_sessions.payment_intent_id AND p.status = 'succeeded'
+              )
+        `, [this.retentionDays]);
+        return { purged: result.changes };
+    }
+
+    /**
+     * Reminder and conversion figures for the admin
+     * @param {number} days - Reminders sent in the last N days
+     */
+    async getReport(days = 30) {
+        const totals = await db.get(`
+            SELECT
+                COUNT(r.sent_at) AS sent,
+                COUNT(r.clicked_at) AS clicked,
+                COUNT(r.order_id) AS recovered,
+                COALESCE(SUM(o.total / o.exchange_rate), 0) AS recovered_revenue,
+                COUNT(CASE WHEN r.promotion_id IS NOT NULL AND o.promotion_code = r.promotion_code THEN 1 END) AS codes_used
+            FROM checkout_recoveries r
+            LEFT JOIN orders o ON o.id = r.order_id
+            WHERE r.sent_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+        `, [days]);
+
+        const recent = await db.all(`
+            SELECT r.*, o.order_number, o.total AS order_total, o.currency AS order_currency
+            FROM checkout_recoveries r
+            LEFT JOIN orders o ON o.id = r.order_id
+            WHERE r.sent_at IS NOT NULL
+            ORDER BY r.sent_at DESC
+            LIMIT 50
+        `);
+
+        const sent = Number(totals.sent);
+        return {
+            days,
+            sent,
+            clicked: Number(totals.clicked),
+            recovered: Number(totals.recovered),
+            conversionRate: sent > 0 ? Math.round(Number(totals.recovered) / sent * 1000) / 10 : 0,
+            recoveredRevenue: Math.round(Number(totals.recovered_revenue) * 100) / 100,
+            codesUsed: Number(totals.codes_used),
+            recent: recent.map(row => ({
+                id: row.id,
+                email: row.email,
+                total: Number(row.total),
+                currency: row.currency,
+                promotionCode: row.promotion_code,
+                sentAt: row.sent_at,
+                clickedAt: row.clicked_at,
+                recoveredAt: row.recovered_at,
+                orderNumber: row.order_number || null,
+                orderTotal: row.order_total !== null ? Number(row.order_total) : null,
+                orderCurrency: row.order_currency || null
+            }))
+        };
+    }
+}
+
+// Create singleton instance
+export const checkoutRecovery = new CheckoutRecovery({
+    enabled: process.env.CHECKOUT_RECOVERY_EMAILS === 'true',
+    maxAgeHours: parseInt(process.env.CHECKOUT_RECOVERY_MAX_AGE_HOURS) || 72,
+    discountPercent: parseFloat(process.env.CHECKOUT_RECOVERY_DISCOUNT_PERCENT) || 0,
+    codeDays: parseInt(process.env.CHECKOUT_RECOVERY_CODE_DAYS) || 7,
+    attributionDays: parseInt(process.env.CHECKOUT_RECOVERY_ATTRIBUTION_DAYS) || 7,
+    retentionDays: parseInt(process.env.CHECKOUT_SESSION_RETENTION_DAYS) || 30,
+    linkUrl: process.env.CHECKOUT_RECOVERY_URL || `${process.env.FRONTEND_URL || ''}/shop.html`
+});
@@ -0,0 +1,564 @@
+/**
+ * Creator Messaging
+ * Creators (world_users.is_creator, set from the admin) can put a price on a
+ * direct message with media attached. Everyone in the conversation sees the
+ * text, but the media is withheld until the recipient buys the message; the
+ * sender always sees it. Each purchase is a row in world_message_unlocks, paid
+ * through the payment layer (reference type 'message'). Refunds and
+ * chargebacks lock the message again.
+ *
+ * Creators can also send one message to a segment of members at once (a mass
+ * message). Every recipient gets their own copy in their DM with the creator,
+ * so replies stay private. Recipients are fixed when the message is sent, and
+ * delivery runs in the background: a stalled delivery is picked up again by a
+ * job, skipping recipients who already have their copy.
+ *
+ * Creators' inboxes are sorted by priority: unread conversations first, then
+ * by the other member's tier and how much they have tipped.
+ */
+
+import db from '../config/database.js';
+import { paymentManager } from './payment-providers.js';
+import { realtime } from './realtime.js';
+import { TIER_ORDER } from '../config/membership-tiers.js';
+
+// Who a mass message can go to (several segments can be combined)
+export const MASS_MESSAGE_SEGMENTS = ['vip', 'inner_circle', 'tippers'];
+
+const messageError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const round = (amount) => Math.round(Number(amount) * 100) / 100;
+
+export const isPaidMessage = (message) => Number(message.price) > 0;
+
+export class CreatorMessaging {
+    constructor({ tipperDays = 30, batchSize = 50, stalledMinutes = 10 } = {}) {
+        this.tipperDays = tipperDays;
+        this.batchSize = batchSize;
+        this.stalledMinutes = stalledMinutes;
+        // Mass messages this instance is delivering right now
+        this.delivering = new Set();
+    }
+
+    async isCreator(userId) {
+        const user = await db.get('SELECT is_creator FROM world_users WHERE id = ?', [userId]);
+        return Boolean(user && user.is_creator);
+    }
+
+    // ============================================
+    // Paid messages
+    // ============================================
+
+    /**
+     * Which of these messages a user has bought
+     * @returns {Set<number>} Message ids
+     */
+    async unlockedMessageIds(userId, messageIds) {
+        if (messageIds.length === 0) {
+            return new Set();
+        }
+        const rows = await db.all(`
+            SELECT DISTINCT message_id FROM world_message_unlocks
+            WHERE user_id = ? AND status = 'paid' AND message_id IN (${messageIds.map(() => '?').join(', ')})
+        `, [userId, ...messageIds]);
+        return new Set(rows.map(row => row.message_id));
+    }
+
+    canView(message, userId, unlocked) {
+        return !isPaidMessage(message) || message.sender_id === userId || unlocked.has(message.id);
+    }
+
+    /**
+     * Message fields that depend on whether the viewer has unlocked it
+     * @param {Object} message - world_messages row
+     * @param {boolean} canView - See canView()
+     */
+    present(message, canView) {
+        const mediaUrls = parseJson(message.media_urls) || [];
+        if (!isPaidMessage(message)) {
+            return { content: message.content, media_url: message.media_url, media_urls: mediaUrls, price: null };
+        }
+
+        const paid = {
+            price: Number(message.price),
+            media_count: mediaUrls.length + (message.media_url ? 1 : 0)
+        };
+        if (canView) {
+            return { content: message.content, media_url: message.media_url, media_urls: mediaUrls, ...paid, is_locked: false };
+        }
+        return { content: message.content, media_url: null, media_urls: [], ...paid, is_locked: true };
+    }
+
+    /**
+     * Push a new message to the conversation. Recipients of a paid message get
+     * it locked; the sender's devices get it in full.
+     * @param {number} messageId - world_messages id
+     */
+    async publish(messageId) {
+        const message = await db.get(`
+            SELECT m.*, u.username, u.display_name, u.avatar_url
+            FROM world_messages m
+            JOIN world_users u ON m.sender_id = u.id
+            WHERE m.id = ?
+        `, [messageId]);
+
+        const shape = (canView) => ({
+            id: message.id,
+            ...this.present(message, canView),
+            sender: {
+                id: message.sender_id,
+                username: message.username,
+                display_name: message.display_name,
+                avatar_url: message.avatar_url
+            },
+            created_at: message.created_at
+        });
+        await realtime.messageCreated(message.conversation_id, shape(true), isPaidMessage(message) ? shape(false) : null);
+    }
+
+    /**
+     * A message in one of the user's conversations
+     * @returns {Object|undefined} world_messages row
+     */
+    async getForParticipant(messageId, userId) {
+        return db.get(`
+            SELECT m.* FROM world_messages m
+            JOIN world_conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = ?
+            WHERE m.id = ?
+        `, [userId, messageId]);
+    }
+
+    /**
+     * Start buying a message: records a pending unlock and creates its payment
+     * @param {Object} message - From getForParticipant()
+     * @returns {Object} { unlock, payment }
+     * @throws {Error} 404 for messages that are not for sale, 409 when already unlocked
+     */
+    async startUnlock(message, user, providerName = null) {
+        if (!message || !isPaidMessage(message)) {
+            throw messageError('Message not found', 404);
+        }
+        if (message.sender_id === user.id) {
+            throw messageError('You cannot buy your own message');
+        }
+        if ((await this.unlockedMessageIds(user.id, [message.id])).size > 0) {
+            throw messageError('Message already unlocked', 409);
+        }
+        if (providerName && !paymentManager.getProvider(providerName)) {
+            throw messageError(`Payment provider ${providerName} is not available`);
+        }
+
+        // Reuse an earlier attempt that was never paid
+        const previous = await db.get(`
+            SELECT * FROM world_message_unlocks
+            WHERE message_id = ? AND user_id = ? AND status IN ('pending', 'failed')
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [message.id, user.id]);
+
+        let unlockId;
+        if (previous) {
+            unlockId = previous.id;
+            await db.run("UPDATE world_message_unlocks SET price = ?, status = 'pending' WHERE id = ?", [message.price, unlockId]);
+        } else {
+            const result = await db.run(`
+                INSERT INTO world_message_unlocks (message_id, user_id, sender_id, mass_message_id, price, status)
+                VALUES (?, ?, ?, ?, ?, 'pending')
+            `, [message.id, user.id, message.sender_id, message.mass_message_id || null, message.price]);
+            unlockId = result.lastInsertRowid;
+        }
+
+        const payment = await paymentManager.createIntent(providerName, {
+            amount: Number(message.price),
+            currency: 'USD',
+            referenceType: 'message',
+            referenceId: unlockId,
+            description: `Unlock message #${message.id}`,
+            metadata: { messageId: message.id, userId: user.id }
+        });
+        await db.run('UPDATE world_message_unlocks SET payment_intent_id = ? WHERE id = ?', [payment.intentId, unlockId]);
+
+        return { unlock: await db.get('SELECT * FROM world_message_unlocks WHERE id = ?', [unlockId]), payment };
+    }
+
+    // The user's latest unlock attempt for a message
+    async getUnlock(messageId, userId) {
+        return db.get(`
+            SELECT * FROM world_message_unlocks
+            WHERE message_id = ? AND user_id = ?
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [messageId, userId]);
+    }
+
+    /**
+     * Purchases of a creator's paid messages. A mass message counts as one
+     * line however many copies went out.
+     * @param {Object} options
+     * @param {number} options.senderId - Only this creator's messages (omit for all)
+     * @param {number} options.days - Only unlocks from the last N days (omit for all time)
+     * @returns {Object} { messages, totals: { unlocks, revenue, reversed, reversed_amount } }
+     */
+    async salesReport({ senderId = null, days = null } = {}) {
+        const joinParams = [];
+        let window = '';
+        if (days) {
+            window = 'AND u.created_at > DATE_SUB(NOW(), INTERVAL ? DAY)';
+            joinParams.push(days);
+        }
+        const conditions = ['m.price > 0'];
+        const params = [];
+        if (senderId) {
+            conditions.push('m.sender_id = ?');
+            params.push(senderId);
+        }
+
+        const rows = await db.all(`
+            SELECT MIN(m.id) AS message_id, m.mass_message_id, MIN(m.conversation_id) AS conversation_id,
+                   MIN(m.sender_id) AS sender_id, MIN(s.username) AS sender_username,
+                   MIN(m.content) AS content, MAX(m.price) AS price, MIN(m.created_at) AS created_at,
+                   COUNT(DISTINCT m.id) AS recipients,
+                   COUNT(CASE WHEN u.status = 'paid' THEN 1 END) AS unlocks,
+                   COALESCE(SUM(CASE WHEN u.status = 'paid' THEN u.price END), 0) AS revenue,
+                   COUNT(CASE WHEN u.status IN ('refunded', 'chargeback') THEN 1 END) AS reversed,
+                   COALESCE(SUM(CASE WHEN u.status IN ('refunded', 'chargeback') THEN u.price END), 0) AS reversed_amount,
+                   MAX(u.unlocked_at) AS last_unlocked_at
+            FROM world_messages m
+            JOIN world_users s ON s.id = m.sender_id
+            LEFT JOIN world_message_unlocks u ON u.message_id = m.id ${window}
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY COALESCE(m.mass_message_id, -m.id)
+            ORDER BY revenue DESC, created_at DESC
+        `, [...joinParams, ...params]);
+
+        const messages = rows.map(row => ({
+            message_id: row.mass_message_id ? null : row.message_id,
+            mass_message_id: row.mass_message_id,
+            conversation_id: row.mass_message_id ? null : row.conversation_id,
+            sender: row.sender_username,
+            content: row.content,
+            price: Number(row.price),
+            recipients: Number(row.recipients),
+            unlocks: Number(row.unlocks),
+            revenue: round(row.revenue),
+            reversed: Number(row.reversed),
+            reversed_amount: round(row.reversed_amount),
+            last_unlocked_at: row.last_unlocked_at,
+            created_at: row.created_at
+        }));
+
+        const sum = (field) => round(messages.reduce((total, message) => total + message[field], 0));
+        return {
+            days,
+            messages,
+            totals: {
+                unlocks: sum('unlocks'),
+                revenue: sum('revenue'),
+                reversed: sum('reversed'),
+                reversed_amount: sum('reversed_amount')
+            }
+        };
+    }
+
+    // ============================================
+    // Mass messages
+    // ============================================
+
+    /**
+     * Members in any of the segments, except the sender and deactivated accounts
+     * @param {Array<string>} segments - Values of MASS_MESSAGE_SEGMENTS
+     * @param {number} tipperDays - How far back 'tippers' looks
+     * @returns {Array<number>} world_users ids
+     */
+    async segmentRecipients(senderId, segments, tipperDays = this.tipperDays) {
+        const recipients = new Set();
+
+        const tiers = segments.filter(segment => TIER_ORDER.includes(segment));
+        if (tiers.length > 0) {
+            const rows = await db.all(`
+                SELECT id FROM world_users
+                WHERE is_active = 1 AND id != ? AND membership_tier IN (${tiers.map(() => '?').join(', ')})
+            `, [senderId, ...tiers]);
+            rows.forEach(row => recipients.add(row.id));
+        }
+
+        if (segments.includes('tippers')) {
+            // Tips without a recipient are tips to Wyatt, so they count for every creator
+            const rows = await db.all(`
+                SELECT DISTINCT t.sender_id FROM world_tips t
+                JOIN world_users u ON u.id = t.sender_id
+                WHERE t.status = 'paid' AND (t.recipient_id = ? OR t.recipient_id IS NULL)
+                  AND t.created_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+                  AND u.is_active = 1 AND u.id != ?
+            `, [senderId, tipperDays, senderId]);
+            rows.forEach(row => recipients.add(row.sender_id));
+        }
+
+        return [...recipients];
+    }
+
+    /**
+     * Send a message to segments of members. Returns once the recipients are
+     * known; the copies are delivered in the background.
+     * @param {Object} sender - req.worldUser (must be a creator)
+     * @param {Object} message
+     * @param {Array<string>} message.segments - Values of MASS_MESSAGE_SEGMENTS
+     * @param {number} message.tipperDays - How far back 'tippers' looks
+     * @param {string} message.content
+     * @param {Array<string>} message.mediaUrls
+     * @param {number} message.price - Unlock price for the media (omit for free)
+     * @returns {Object} The new mass message, formatted
+     * @throws {Error} 403 for non-creators, 400 for paid messages without media or segments with no one in them
+     */
+    async sendMass(sender, { segments, tipperDays = this.tipperDays, content, mediaUrls = [], price = null }) {
+        if (!await this.isCreator(sender.id)) {
+            throw messageError('Only creators can send mass messages', 403);
+        }
+        if (price && mediaUrls.length === 0) {
+            throw messageError('Paid messages need media attached');
+        }
+
+        const recipientIds = await this.segmentRecipients(sender.id, segments, tipperDays);
+        if (recipientIds.length === 0) {
+            throw messageError('No members in the chosen segments');
+        }
+
+        const result = await db.run(`
+            INSERT INTO world_mass_messages (sender_id, segments, tipper_days, content, media_urls, price, recipient_ids, recipient_count, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'sending')
+        `, [
+            sender.id,
+            JSON.stringify(segments),
+            segments.includes('tippers') ? tipperDays : null,
+            content,
+            mediaUrls.length > 0 ? JSON.stringify(mediaUrls) : null,
+            price || null,
+            JSON.stringify(recipientIds),
+            recipientIds.length
+        ]);
+
+        this.queue(result.lastInsertRowid);
+        return this.getMass(result.lastInsertRowid, sender.id);
+    }
+
+    // Deliver a mass message without waiting for it
+    queue(massMessageId) {
+        this.deliver(massMessageId).catch(error => {
+            console.error(`Mass message ${massMessageId} delivery error:`, error);
+        });
+    }
+
+    /**
+     * The DM between two members, created if they have none
+     * @returns {number} world_conversations id
+     */
+    async directConversation(creatorId, userId) {
+        const existing = await db.get(`
+            SELECT c.id FROM world_conversations c
+            JOIN world_conversation_participants cp1 ON c.id = cp1.conversation_id
+            JOIN world_conversation_participants cp2 ON c.id = cp2.conversation_id
+            WHERE c.type = 'dm' AND cp1.user_id = ? AND cp2.user_id = ?
+            ORDER BY c.id
+            LIMIT 1
+        `, [creatorId, userId]);
+        if (existing) {
+            return existing.id;
+        }
+
+        return db.transaction(async (connection) => {
+            const [result] = await connection.execute(
+                "INSERT INTO world_conversations (type, created_by) VALUES ('dm', ?)",
+                [creatorId]
+            );
+            await connection.execute(`
+                INSERT INTO world_conversation_participants (conversation_id, user_id, is_admin)
+                VALUES (?, ?, 1), (?, ?, 0)
+            `, [result.insertId, creatorId, result.insertId, userId]);
+            return result.insertId;
+        });
+    }
+
+    /**
+     * Put a copy of a mass message in each recipient's DM. Safe to run again:
+     * recipients who already have their copy are skipped.
+     * @returns {Object} { sent } - Copies delivered by this run
+     */
+    async deliver(massMessageId) {
+        if (this.delivering.has(massMessageId)) {
+            return { sent: 0 };
+        }
+        this.delivering.add(massMessageId);
+
+        try {
+            const mass = await db.get("SELECT * FROM world_mass_messages WHERE id = ? AND status = 'sending'", [massMessageId]);
+            if (!mass) {
+                return { sent: 0 };
+            }
+
+            const delivered = await db.all(`
+                SELECT cp.user_id FROM world_messages m
+                JOIN world_conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id != m.sender_id
+                WHERE m.mass_message_id = ?
+            `, [mass.id]);
+            const done = new Set(delivered.map(row => row.user_id));
+            const remaining = parseJson(mass.recipient_ids).filter(userId => !done.has(userId));
+
+            let sent = 0;
+            for (const userId of remaining) {
+                const conversationId = await this.directConversation(mass.sender_id, userId);
+                const result = await db.run(`
+                    INSERT INTO world_messages (conversation_id, sender_id, content, media_urls, price, mass_message_id)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [conversationId, mass.sender_id, mass.content, mass.media_urls, mass.price, mass.id]);
+                await db.run('UPDATE world_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [conversationId]);
+                await this.publish(result.lastInsertRowid);
+
+                sent++;
+                // Progress also tells the stalled-delivery job this run is still going
+                if (sent % this.batchSize === 0) {
+                    await db.run('UPDATE world_mass_messages SET sent_count = ? WHERE id = ?', [done.size + sent, mass.id]);
+                }
+            }
+
+            await db.run(`
+                UPDATE world_mass_messages SET sent_count = ?, status = 'sent', completed_at = CURRENT_TIMESTAMP WHERE id = ?
+            `, [done.size + sent, mass.id]);
+            return { sent };
+        } finally {
+            this.delivering.delete(massMessageId);
+        }
+    }
+
+    /**
+     * Resume mass messages whose delivery stopped part way (e.g. the server
+     * restarted). Run by the scheduler.
+     * @returns {Object} { resumed, sent }
+     */
+    async resumeStalled() {
+        const stalled = await db.all(`
+            SELECT id FROM world_mass_messages
+            WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        `, [this.stalledMinutes]);
+
+        let sent = 0;
+        for (const { id } of stalled) {
+            try {
+                sent += (await this.deliver(id)).sent;
+            } catch (error) {
+                console.error(`Mass message ${id} delivery error:`, error);
+            }
+        }
+        return { resumed: stalled.length, sent };
+    }
+
+    /**
+     * A creator's mass messages with their delivery and purchase figures
+     * @param {number} senderId - Only this creator's (omit for all)
+     */
+    async listMass(senderId = null, { limit = 50 } = {}) {
+        const rows = await this.queryMass(senderId ? 'mm.sender_id = ?' : '1 = 1', senderId ? [senderId] : [], limit);
+        return rows.map(row => this.formatMass(row));
+    }
+
+    async getMass(massMessageId, senderId) {
+        const [row] = await this.queryMass('mm.id = ? AND mm.sender_id = ?', [massMessageId, senderId], 1);
+        return row ? this.formatMass(row) : null;
+    }
+
+    async queryMass(where, params, limit) {
+        return db.all(`
+            SELECT mm.*, s.username AS sender_username,
+                   COUNT(CASE WHEN u.status = 'paid' THEN 1 END) AS unlocks,
+                   COALESCE(SUM(CASE WHEN u.status = 'paid' THEN u.price END), 0) AS revenue
+            FROM world_mass_messages mm
+            JOIN world_users s ON s.id = mm.sender_id
+            LEFT JOIN world_message_unlocks u ON u.mass_message_id = mm.id
+            WHERE ${where}
+            GROUP BY mm.id
+            ORDER BY mm.created_at DESC
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    formatMass(row) {
+        return {
+            id: row.id,
+            sender: row.sender_username,
+            segments: parseJson(row.segments),
+            tipper_days: row.tipper_days,
+            content: row.content,
+            media_urls: parseJson(row.media_urls) || [],
+            price: row.price !== null ? Number(row.price) : null,
+            status: row.status,
+            recipient_count: row.recipient_count,
+            sent_count: row.sent_count,
+            unlocks: Number(row.unlocks || 0),
+            revenue: round(row.revenue || 0),
+            created_at: row.created_at,
+            completed_at: row.completed_at
+        };
+    }
+
+    // ============================================
+    // Priority inbox
+    // ============================================
+
+    /**
+     * What ranks each conversation in the user's inbox: the best tier among
+     * the other participants and how much they have tipped the user
+     * @returns {Object} { tier, tips_total } keyed by conversation id
+     */
+    async inboxPriority(userId, conversationIds) {
+        if (conversationIds.length === 0) {
+            return {};
+        }
+        const isCreator = await this.isCreator(userId);
+
+        // Tips without a recipient went to Wyatt, so count for creators only
+        const rows = await db.all(`
+            SELECT cp.conversation_id,
+                   MAX(FIELD(u.membership_tier, ${TIER_ORDER.map(() => '?').join(', ')})) AS tier_rank,
+                   COALESCE(SUM(t.total), 0) AS tips_total
+            FROM world_conversation_participants cp
+            JOIN world_users u ON u.id = cp.user_id
+            LEFT JOIN (
+                SELECT sender_id, SUM(amount) AS total FROM world_tips
+                WHERE status = 'paid' AND (recipient_id = ? OR (recipient_id IS NULL AND ? = 1))
+                GROUP BY sender_id
+            ) t ON t.sender_id = cp.user_id
+            WHERE cp.user_id != ? AND cp.conversation_id IN (${conversationIds.map(() => '?').join(', ')})
+            GROUP BY cp.conversation_id
+        `, [...TIER_ORDER, userId, isCreator ? 1 : 0, userId, ...conversationIds]);
+
+        const priority = {};
+        for (const row of rows) {
+            priority[row.conversation_id] = {
+                tier: TIER_ORDER[Number(row.tier_rank) - 1] || TIER_ORDER[0],
+                tips_total: round(row.tips_total)
+            };
+        }
+        return priority;
+    }
+
+    /**
+     * Order an inbox by priority: unread first, then higher tiers, bigger
+     * tippers and the latest message
+     * @param {Array} conversations - With unread_count, last_message_at and priority
+     */
+    sortByPriority(conversations) {
+        const rank = (conversation) => TIER_ORDER.indexOf(conversation.priority.tier);
+        return [...conversations].sort((a, b) =>
+            (Number(b.unread_count) > 0) - (Number(a.unread_count) > 0)
+            || rank(b) - rank(a)
+            || b.priority.tips_total - a.priority.tips_total
+            || new Date(b.last_message_at || 0) - new Date(a.last_message_at || 0)
+        );
+    }
+}
+
+// Create singleton instance
+export const creatorMessages = new CreatorMessaging({
+    tipperDays: parseInt(process.env.MASS_MESSAGE_TIPPER_DAYS) || 30
+});
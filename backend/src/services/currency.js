@@ -0,0 +1,159 @@
+/**
+ * Currency Conversion
+ * Catalog prices, promotions and shipping tables are in the base currency
+ * (USD). Shoppers can see prices and pay in any currency with an active
+ * exchange rate (exchange_rates, maintained by admins).
+ *
+ * Converted item prices follow the currency's rounding rule so they look
+ * like real prices (e.g. 23.40 -> 23.99); every other amount is converted
+ * to the currency's minor unit. Checkout sessions and orders keep the
+ * currency and rate they used, so totals can be reproduced and reported in
+ * the base currency later (amount / exchange_rate).
+ */
+
+import db from '../config/database.js';
+
+export const BASE_CURRENCY = 'USD';
+
+const currencyError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Digits after the decimal point (JPY 0, USD 2, ...). Throws RangeError for unknown codes.
+export const minorUnits = (code) => new Intl.NumberFormat('en-US', { style: 'currency', currency: code })
+    .resolvedOptions().maximumFractionDigits;
+
+const roundTo = (amount, decimals) => {
+    const factor = 10 ** decimals;
+    return Math.round(amount * factor) / factor;
+};
+
+export class CurrencyConverter {
+    constructor({ cacheSeconds = 60 } = {}) {
+        this.cacheSeconds = cacheSeconds;
+        this.rates = new Map();
+        this.loadedAt = 0;
+    }
+
+    async load() {
+        const rows = await db.all('SELECT * FROM exchange_rates');
+        this.rates = new Map(rows.map(row => [row.currency, {
+            code: row.currency,
+            rate: Number(row.rate),
+            roundingIncrement: row.rounding_increment !== null ? Number(row.rounding_increment) : null,
+            priceEnding: row.price_ending !== null ? Number(row.price_ending) : null,
+            decimals: minorUnits(row.currency),
+            isActive: Boolean(row.is_active),
+            updatedAt: row.updated_at
+        }]));
+        this.loadedAt = Date.now();
+        return this.rates;
+    }
+
+    // Rates can be changed from any server instance, so they are re-read now and then
+    async getRates() {
+        if (Date.now() - this.loadedAt > this.cacheSeconds * 1000) {
+            await this.load();
+        }
+        return this.rates;
+    }
+
+    baseCurrency() {
+        return {
+            code: BASE_CURRENCY,
+            rate: 1,
+            roundingIncrement: null,
+            priceEnding: null,
+            decimals: minorUnits(BASE_CURRENCY),
+            isActive: true
+        };
+    }
+
+    /**
+     * Look up a currency shoppers can pay in
+     * @param {string} code - ISO 4217 code (defaults to the base currency)
+     * @returns {Object} { code, rate, roundingIncrement, priceEnding, decimals }
+     * @throws {Error} status 400 when the currency has no active rate
+     */
+    async resolve(code) {
+        const currency = String(code || BASE_CURRENCY).trim().toUpperCase();
+        if (currency === BASE_CURRENCY) {
+            return this.baseCurrency();
+        }
+
+        const rate = (await this.getRates()).get(currency);
+        if (!rate || !rate.isActive || !(rate.rate > 0)) {
+            throw currencyError(`Currency ${currency} is not supported`);
+        }
+        return rate;
+    }
+
+    // Currencies shoppers can choose from
+    async getActive() {
+        const rates = [...(await this.getRates()).values()].filter(rate => rate.isActive && rate.rate > 0);
+        return [this.baseCurrency(), ...rates.sort((a, b) => a.code.localeCompare(b.code))];
+    }
+
+    // Convert an amount from the base currency, rounded to the currency's minor unit
+    convert(amount, currency) {
+        return roundTo(amount * currency.rate, currency.decimals);
+    }
+
+    /**
+     * Convert a catalog price and apply the currency's rounding rule
+     * @param {number} amount - Price in the base currency
+     * @param {Object} currency - Currency from resolve()
+     * @param {Object} options
+     * @param {number} options.taxRate - Tax to build into the price (tax-inclusive display)
+     */
+    convertPrice(amount, currency, { taxRate = 0 } = {}) {
+        const converted = amount * currency.rate * (1 + taxRate);
+
+        if (currency.priceEnding !== null) {
+            // Up to the next price with this ending, e.g. 23.40 -> 23.99
+            const whole = Math.ceil(roundTo(converted - currency.priceEnding, 6));
+            return roundTo(whole + currency.priceEnding, currency.decimals);
+        }
+        if (currency.roundingIncrement) {
+            const steps = Math.round(roundTo(converted / currency.roundingIncrement, 6));
+            return roundTo(steps * currency.roundingIncrement, currency.decimals);
+        }
+        return roundTo(converted, currency.decimals);
+    }
+
+    /**
+     * Convert a priced cart into the shopper's currency
+     * @param {Object} params
+     * @param {Array} params.items - Priced items from catalog.priceItems (base currency)
+     * @param {number} params.discount - Discount in the base currency
+     * @param {number} params.shipping - Shipping cost in the base currency
+     * @param {Object} params.currency - Currency from resolve()
+     * @param {number} params.taxRate - Tax built into displayed prices, 0 when prices exclude tax
+     * @returns {Object} { items, subtotal, discount, shipping } - items keep their basePrice
+     */
+    presentCart({ items, discount = 0, shipping = 0, currency, taxRate = 0 }) {
+        const presented = items.map(item => ({
+            ...item,
+            basePrice: item.price,
+            price: this.convertPrice(item.price, currency, { taxRate })
+        }));
+        const subtotal = roundTo(presented.reduce((sum, item) => sum + item.price * item.quantity, 0), currency.decimals);
+
+        return {
+            items: presented,
+            subtotal,
+            discount: Math.min(this.convert(discount * (1 + taxRate), currency), subtotal),
+            shipping: this.convert(shipping * (1 + taxRate), currency)
+        };
+    }
+
+    format(amount, code = BASE_CURRENCY, locale = 'en-US') {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: code
+        }).format(amount);
+    }
+}
+
+// Create singleton instance
+export const currencyConverter = new CurrencyConverter({
+    cacheSeconds: parseInt(process.env.EXCHANGE_RATE_CACHE_SECONDS) || 60
+});
@@ -0,0 +1,292 @@
+/**
+ * Customer Order Access
+ * Lets shoppers see their own orders without a shop account.
+ *
+ * A customer proves they own an email address by following a single-use
+ * magic link, which is exchanged for a short-lived customer session token.
+ * Wyatt World members can verify their account email the same way; their
+ * guest orders with that email are then linked to the account
+ * (orders.world_user_id), as are later orders placed with it.
+ *
+ * Anyone else gets order status only, with the address redacted.
+ *
+ * Sessions are signed with their own secret (CUSTOMER_JWT_SECRET), never the
+ * admin one: anyone can get a customer session for their own inbox. Without
+ * it, customer sign-in is switched off.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../config/database.js';
+import { fulfillment } from './fulfillment.js';
+import { sendOrderAccessLink } from '../utils/email.js';
+
+const customerError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Orders from the old shop form kept the address as one line of text
+const parseAddress = (value) => {
+    try {
+        return parseJson(value);
+    } catch (error) {
+        return { line1: value };
+    }
+};
+
+export const sameEmail = (a, b) => Boolean(a && b) && String(a).toLowerCase() === String(b).toLowerCase();
+
+// "jane.doe@example.com" -> "j***@example.com"
+const maskEmail = (email) => String(email || '').replace(/^(.)[^@]*/, '$1***');
+
+export class CustomerOrderService {
+    constructor({ secret, sessionTtl = '24h', linkMinutes = 30, linkUrl = '' }) {
+        this.secret = secret;
+        this.sessionTtl = sessionTtl;
+        this.linkMinutes = linkMinutes;
+        this.linkUrl = linkUrl;
+    }
+
+    // ============================================
+    // Magic links and sessions
+    // ============================================
+
+    // Customer sign-in needs its own signing secret (see the header)
+    assertEnabled() {
+        if (!this.secret) {
+            throw customerError('Customer sign-in is not configured', 503);
+        }
+    }
+
+    /**
+     * Email a sign-in link. Nothing tells the caller whether the address has
+     * orders; at most one link is sent per address per minute.
+     */
+    async requestLink(email, ipAddress = null) {
+        this.assertEnabled();
+        const normalized = String(email).trim().toLowerCase();
+
+        const recent = await db.get(`
+            SELECT id FROM customer_login_tokens
+            WHERE email = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 MINUTE)
+        `, [normalized]);
+        if (recent) {
+            return false;
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        await db.run(`
+            INSERT INTO customer_login_tokens (email, token_hash, ip_address, expires_at)
+            VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+        `, [normalized, hashToken(token), ipAddress, this.linkMinutes]);
+
+        await sendOrderAccessLink(normalized, `${this.linkUrl}?token=${encodeURIComponent(token)}`, this.linkMinutes);
+        return true;
+    }
+
+    /**
+     * Use up a magic link
+     * @returns {string|null} The verified email, or null for unknown, used or expired links
+     */
+    async redeemLink(token) {
+        this.assertEnabled();
+        const stored = await db.get(`
+            SELECT * FROM customer_login_tokens
+            WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+        `, [hashToken(String(token))]);
+        if (!stored) {
+            return null;
+        }
+
+        // Conditional so the same link cannot be redeemed twice at once
+        const claimed = await db.run(
+            'UPDATE customer_login_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+            [stored.id]
+        );
+        return claimed.changes > 0 ? stored.email : null;
+    }
+
+    signSession(email) {
+        this.assertEnabled();
+        const token = jwt.sign({ email, scope: 'customer' }, this.secret, { expiresIn: this.sessionTtl });
+        const { exp, iat } = jwt.decode(token);
+        return { token, expires_in: exp - iat };
+    }
+
+    // Verify a customer session token (throws if invalid)
+    verifySession(token) {
+        this.assertEnabled();
+        const decoded = jwt.verify(token, this.secret);
+        if (decoded.scope !== 'customer' || !decoded.email) {
+            throw new Error('Not a customer session');
+        }
+        return decoded;
+    }
+
+    /**
+     * A World member has proved they own their account email: mark it
+     * verified and attach their guest orders
+     * @returns {number} Orders linked
+     */
+    async linkAccount(worldUserId, email) {
+        const user = await db.get('SELECT id, email FROM world_users WHERE id = ?', [worldUserId]);
+        if (!user || !sameEmail(user.email, email)) {
+            return 0;
+        }
+
+        await db.run(
+            'UPDATE world_users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [user.id]
+        );
+        const result = await db.run(
+            'UPDATE orders SET world_user_id = ? WHERE LOWER(customer_email) = LOWER(?) AND world_user_id IS NULL',
+            [user.id, user.email]
+        );
+        return result.changes;
+    }
+
+    // Account a new order with this email belongs to (members with a verified email only)
+    async verifiedAccountId(email) {
+        const user = await db.get(
+            'SELECT id FROM world_users WHERE LOWER(email) = LOWER(?) AND email_verified_at IS NOT NULL',
+            [email]
+        );
+        return user ? user.id : null;
+    }
+
+    // ============================================
+    // Orders
+    // ============================================
+
+    /**
+     * Who is asking: { email } for customer sessions, { worldUserId, email }
+     * for World members (email only once verified), or null
+     */
+    canView(order, requester) {
+        if (!requester) {
+            return false;
+        }
+        return (requester.worldUserId && order.world_user_id === requester.worldUserId) ||
+            sameEmail(order.customer_email, requester.email);
+    }
+
+    async list(requester, { page = 1, limit = 20 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (requester.worldUserId) {
+            conditions.push('world_user_id = ?');
+            params.push(requester.worldUserId);
+        }
+        if (requester.email) {
+            conditions.push('LOWER(customer_email) = LOWER(?)');
+            params.push(requester.email);
+        }
+        const where = `WHERE (${conditions.join(' OR ')}) AND status <> 'pending'`;
+
+        const orders = await db.all(
+            `SELECT * FROM orders ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+        const total = await db.get(`SELECT COUNT(*) as count FROM orders ${where}`, params);
+
+        const fulfillments = await fulfillment.getForOrders(orders.map(order => order.id));
+        return {
+            orders: orders.map(order => this.summary(order, fulfillments[order.id] || [])),
+            total: total.count
+        };
+    }
+
+    async getByNumber(orderNumber) {
+        return db.get('SELECT * FROM orders WHERE order_number = ?', [orderNumber]);
+    }
+
+    // Carrier tracking for the whole order and each provider shipment
+    tracking(order, fulfillments) {
+        const tracking = [];
+        if (order.tracking_number) {
+            tracking.push({ carrier: order.carrier, trackingNumber: order.tracking_number, trackingUrl: order.tracking_url });
+        }
+        for (const row of fulfillments) {
+            const shipments = row.shipments.length > 0
+                ? row.shipments
+                : row.trackingNumber ? [{ carrier: row.carrier, trackingNumber: row.trackingNumber, trackingUrl: row.trackingUrl }] : [];
+            tracking.push(...shipments.map(shipment => ({
+                carrier: shipment.carrier || null,
+                trackingNumber: shipment.trackingNumber,
+                trackingUrl: shipment.trackingUrl || null
+            })));
+        }
+        return tracking;
+    }
+
+    summary(order, fulfillments) {
+        return {
+            orderNumber: order.order_number,
+            status: order.status,
+            items: parseJson(order.items).map(item => ({
+                title: item.title,
+                quantity: item.quantity,
+                price: item.price,
+                isDigital: Boolean(item.isDigital)
+            })),
+            total: Number(order.total),
+            refundedAmount: Number(order.refunded_amount || 0),
+            currency: order.currency,
+            tracking: this.tracking(order, fulfillments),
+            shippedAt: order.shipped_at,
+            deliveredAt: order.delivered_at,
+            createdAt: order.created_at
+        };
+    }
+
+    /**
+     * Order details for a customer. Verified requesters see everything;
+     * anyone else gets the status with the address cut down to city/region.
+     */
+    async detail(order, { verified }) {
+        const fulfillments = (await fulfillment.getForOrders([order.id]))[order.id] || [];
+        const shippingAddress = parseAddress(order.shipping_address) || null;
+
+        const detail = {
+            ...this.summary(order, fulfillments),
+            subtotal: Number(order.subtotal),
+            discount: Number(order.discount || 0),
+            shipping: Number(order.shipping || 0),
+            tax: Number(order.tax || 0),
+            pricesIncludeTax: Boolean(Number(order.prices_include_tax)),
+            shippingMethod: order.shipping_method,
+            verified
+        };
+
+        if (verified) {
+            return {
+                ...detail,
+                customerName: order.customer_name,
+                customerEmail: order.customer_email,
+                shippingAddress,
+                billingAddress: parseAddress(order.billing_address) || null
+            };
+        }
+
+        return {
+            ...detail,
+            customerEmail: maskEmail(order.customer_email),
+            shippingAddress: shippingAddress
+                ? { city: shippingAddress.city || null, state: shippingAddress.state || null, country: shippingAddress.country || null }
+                : null
+        };
+    }
+}
+
+// Create singleton instance
+export const customerOrders = new CustomerOrderService({
+    // Shared with the admin JWT_SECRET, customer sessions would pass as admin tokens
+    secret: process.env.CUSTOMER_JWT_SECRET && process.env.CUSTOMER_JWT_SECRET !== process.env.JWT_SECRET
+        ? process.env.CUSTOMER_JWT_SECRET
+        : null,
+    sessionTtl: process.env.CUSTOMER_SESSION_TTL || '24h',
+    linkMinutes: parseInt(process.env.ORDER_LINK_MINUTES) || 30,
+    linkUrl: process.env.ORDER_LOOKUP_URL || `${process.env.FRONTEND_URL || ''}/orders.html`
+});
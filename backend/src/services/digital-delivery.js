@@ -0,0 +1,343 @@
+/**
+ * Digital Delivery
+ * Files for digital products are kept in a private store (never served
+ * statically) and handed out through signed, expiring download links.
+ *
+ * When an order is paid, each digital order line gets a download grant per
+ * file of its product (variant files first, then product-wide ones). A link
+ * is "<grant>.<version>.<expires>.<signature>": it stops working when it
+ * expires, when the grant's download limit is used up, when the order is
+ * refunded, or when it is re-sent (re-sending bumps the grant's version).
+ */
+
+import crypto from 'crypto';
+import { join, extname, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync, mkdirSync, createReadStream } from 'fs';
+import { unlink } from 'fs/promises';
+import db from '../config/database.js';
+import { sendDigitalDownloads } from '../utils/email.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Orders whose buyers may download
+const DOWNLOADABLE_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+const deliveryError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export class DigitalDelivery {
+    constructor({ storageDir, secret, linkDays = 7, downloadLimit = 5, resumeMinutes = 30, maxResumes = 3, baseUrl = '' }) {
+        this.storageDir = storageDir;
+        this.secret = secret;
+        this.linkDays = linkDays;
+        this.downloadLimit = downloadLimit;
+        this.resumeMinutes = resumeMinutes;
+        this.maxResumes = maxResumes;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    ensureStorage() {
+        if (!existsSync(this.storageDir)) {
+            mkdirSync(this.storageDir, { recursive: true });
+        }
+        return this.storageDir;
+    }
+
+    // Random on-disk name; the original filename is only used for the download
+    storageKey(originalName) {
+        const ext = extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+        return crypto.randomBytes(16).toString('hex') + ext;
+    }
+
+    // ============================================
+    // Assets
+    // ============================================
+
+    async getAssets(productId) {
+        return db.all(`
+            SELECT id, product_id, variant_id, filename, content_type, size_bytes, checksum, is_active, created_at
+            FROM digital_assets WHERE product_id = ? ORDER BY variant_id IS NOT NULL, variant_id, id
+        `, [productId]);
+    }
+
+    /**
+     * Record a file already written to the store by the upload middleware
+     * @param {number} productId
+     * @param {Object} params
+     * @param {number} params.variantId - Only deliver to buyers of this variant
+     * @param {Object} params.file - multer file ({ filename, originalname, mimetype, size, path })
+     */
+    async addAsset(productId, { variantId = null, file }) {
+        const checksum = await new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            createReadStream(file.path)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+
+        const result = await db.run(`
+            INSERT INTO digital_assets (product_id, variant_id, filename, storage_key, content_type, size_bytes, checksum)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [productId, variantId, file.originalname, file.filename, file.mimetype || 'application/octet-stream', file.size, checksum]);
+
+        return db.get('SELECT * FROM digital_assets WHERE id = ?', [result.lastInsertRowid]);
+    }
+
+    /**
+     * Stop delivering a file to new buyers. Files that were already granted
+     * stay on disk so earlier buyers keep their downloads.
+     */
+    async removeAsset(productId, assetId) {
+        const asset = await db.get('SELECT * FROM digital_assets WHERE id = ? AND product_id = ?', [assetId, productId]);
+        if (!asset) {
+            return false;
+        }
+
+        const granted = await db.get('SELECT COUNT(*) as count FROM download_grants WHERE asset_id = ?', [asset.id]);
+        if (granted.count > 0) {
+            await db.run('UPDATE digital_assets SET is_active = 0 WHERE id = ?', [asset.id]);
+        } else {
+            await db.run('DELETE FROM digital_assets WHERE id = ?', [asset.id]);
+            await unlink(join(this.storageDir, asset.storage_key)).catch(() => {});
+        }
+        return true;
+    }
+
+    // Active files for an order item (variant-specific and product-wide)
+    async assetsFor(item) {
+        return db.all(`
+            SELECT * FROM digital_assets
+            WHERE product_id = ? AND (variant_id = ? OR variant_id IS NULL) AND is_active = 1
+            ORDER BY id
+        `, [item.productId, item.variantId || null]);
+    }
+
+    // ============================================
+    // Links
+    // ============================================
+
+    signature(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    sign(grant) {
+        const expires = Math.floor(new Date(grant.expires_at).getTime() / 1000);
+        const payload = `${grant.id}.${grant.token_version}.${expires}`;
+        return `${payload}.${this.signature(payload)}`;
+    }
+
+    /**
+     * Check a link's signature and expiry
+     * @returns {Object|null} { grantId, version, expires } or null when forged or malformed
+     */
+    verify(token) {
+        const match = /^(\d+)\.(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+        if (!match) {
+            return null;
+        }
+        const [, grantId, version, expires, received] = match;
+        const expected = this.signature(`${grantId}.${version}.${expires}`);
+        const a = Buffer.from(received);
+        const b = Buffer.from(expected);
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+            return null;
+        }
+        return { grantId: parseInt(grantId), version: parseInt(version), expires: parseInt(expires) * 1000 };
+    }
+
+    url(grant) {
+        return `${this.baseUrl}/api/shop/downloads/${this.sign(grant)}`;
+    }
+
+    // ============================================
+    // Grants
+    // ============================================
+
+    /**
+     * Give a paid order's digital lines their downloads and email the links
+     * @param {number} orderId
+     * @param {Object} options
+     * @param {boolean} options.resend - Issue fresh links for existing grants (old links stop working)
+     * @param {boolean} options.resetCounts - With resend, give back the used downloads
+     * @returns {Object} { granted, downloads }
+     */
+    async deliver(orderId, { resend = false, resetCounts = false } = {}) {
+        const order = await db.get('SELECT * FROM orders WHERE id = ?', [orderId]);
+        if (!order) {
+            throw deliveryError('Order not found', 404);
+        }
+        if (!DOWNLOADABLE_STATUSES.includes(order.status)) {
+            throw deliveryError(`Cannot deliver downloads for a ${order.status} order`);
+        }
+
+        const items = parseJson(order.items);
+        let granted = 0;
+
+        for (const [index, item] of items.entries()) {
+            if (!item.isDigital) {
+                continue;
+            }
+            for (const asset of await this.assetsFor(item)) {
+                const result = await db.run(`
+                    INSERT IGNORE INTO download_grants (order_id, line_index, asset_id, max_downloads, expires_at)
+                    VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+                `, [order.id, index, asset.id, this.downloadLimit, this.linkDays]);
+                granted += result.changes;
+            }
+        }
+
+        if (resend) {
+            await db.run(`
+                UPDATE download_grants
+                SET token_version = token_version + 1,
+                    expires_at = DATE_ADD(NOW(), INTERVAL ? DAY),
+                    download_count = IF(?, 0, download_count)
+                WHERE order_id = ? AND revoked_at IS NULL
+            `, [this.linkDays, resetCounts ? 1 : 0, order.id]);
+        } else if (granted === 0) {
+            // Already delivered (e.g. a payment webhook after /complete)
+            return { granted: 0, downloads: [] };
+        }
+
+        const grants = await db.all(`
+            SELECT g.*, a.filename FROM download_grants g
+            JOIN digital_assets a ON a.id = g.asset_id
+            WHERE g.order_id = ? AND g.revoked_at IS NULL
+            ORDER BY g.line_index, g.id
+        `, [order.id]);
+
+        const downloads = grants.map(grant => ({
+            title: items[grant.line_index]?.title,
+            filename: grant.filename,
+            url: this.url(grant),
+            remaining: Math.max(grant.max_downloads - grant.download_count, 0),
+            expiresAt: grant.expires_at
+        }));
+
+        if (downloads.length > 0) {
+            await sendDigitalDownloads(order, downloads);
+        }
+
+        return { granted, downloads };
+    }
+
+    // Deliver in the background; failures are logged and can be re-sent from the admin
+    queue(orderId) {
+        this.deliver(orderId).catch(error => {
+            console.error(`Digital delivery for order ${orderId} error:`, error);
+        });
+    }
+
+    async getForOrder(orderId) {
+        const rows = await db.all(`
+            SELECT g.*, a.filename, a.size_bytes FROM download_grants g
+            JOIN digital_assets a ON a.id = g.asset_id
+            WHERE g.order_id = ?
+            ORDER BY g.line_index, g.id
+        `, [orderId]);
+
+        return rows.map(row => ({
+            id: row.id,
+            lineIndex: row.line_index,
+            assetId: row.asset_id,
+            filename: row.filename,
+            sizeBytes: row.size_bytes,
+            downloadCount: row.download_count,
+            maxDownloads: row.max_downloads,
+            expiresAt: row.expires_at,
+            lastDownloadedAt: row.last_downloaded_at,
+            revokedAt: row.revoked_at
+        }));
+    }
+
+    // Refunded order lines lose their downloads
+    async revokeLines(orderId, lineIndexes) {
+        if (lineIndexes.length === 0) {
+            return 0;
+        }
+        const result = await db.run(`
+            UPDATE download_grants SET revoked_at = CURRENT_TIMESTAMP
+            WHERE order_id = ? AND line_index IN (${lineIndexes.map(() => '?').join(', ')}) AND revoked_at IS NULL
+        `, [orderId, ...lineIndexes]);
+        return result.changes;
+    }
+
+    /**
+     * Resolve a download link and count the download
+     * @param {string} token - Link token from sign()
+     * @param {Object} options
+     * @param {boolean} options.resume - A ranged request continuing a download. It is not counted
+     *   again if it comes within resumeMinutes of the last counted download, up to maxResumes
+     *   times per download; otherwise it counts like any other request.
+     * @returns {Object} { path, filename, contentType }
+     * @throws {Error} status 404 for unknown links, 410 for expired or used-up ones
+     */
+    async open(token, { resume = false } = {}) {
+        const link = this.verify(token);
+        if (!link) {
+            throw deliveryError('Download not found', 404);
+        }
+        if (link.expires < Date.now()) {
+            throw deliveryError('This download link has expired', 410);
+        }
+
+        const grant = await db.get(`
+            SELECT g.*, a.filename, a.storage_key, a.content_type, o.status AS order_status
+            FROM download_grants g
+            JOIN digital_assets a ON a.id = g.asset_id
+            JOIN orders o ON o.id = g.order_id
+            WHERE g.id = ?
+        `, [link.grantId]);
+        if (!grant || grant.token_version !== link.version) {
+            throw deliveryError('This download link has been replaced by a newer one', 410);
+        }
+        if (grant.revoked_at || !DOWNLOADABLE_STATUSES.includes(grant.order_status)) {
+            throw deliveryError('This download is no longer available', 410);
+        }
+
+        let resumed = false;
+        if (resume) {
+            // Free only while continuing the last counted download through this same link
+            const result = await db.run(`
+                UPDATE download_grants SET resume_count = resume_count + 1
+                WHERE id = ? AND token_version = ? AND download_count > 0 AND resume_count < ?
+                  AND last_downloaded_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+                  AND revoked_at IS NULL AND expires_at > NOW()
+            `, [grant.id, link.version, this.maxResumes, this.resumeMinutes]);
+            resumed = result.changes > 0;
+        }
+
+        if (!resumed) {
+            // Conditional on the limit so parallel requests cannot go over it
+            const result = await db.run(`
+                UPDATE download_grants
+                SET download_count = download_count + 1, resume_count = 0, last_downloaded_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND token_version = ? AND download_count < max_downloads
+                  AND revoked_at IS NULL AND expires_at > NOW()
+            `, [grant.id, link.version]);
+            if (result.changes === 0) {
+                throw deliveryError('This download link has been used the maximum number of times', 410);
+            }
+        }
+
+        return {
+            path: join(this.storageDir, grant.storage_key),
+            filename: grant.filename,
+            contentType: grant.content_type
+        };
+    }
+}
+
+// Create singleton instance
+export const digitalDelivery = new DigitalDelivery({
+    storageDir: process.env.DIGITAL_ASSET_DIR || join(__dirname, '../../storage/digital'),
+    secret: process.env.DOWNLOAD_LINK_SECRET || process.env.JWT_SECRET || 'download-secret-change-in-production',
+    linkDays: parseInt(process.env.DOWNLOAD_LINK_DAYS) || 7,
+    downloadLimit: parseInt(process.env.DOWNLOAD_LIMIT) || 5,
+    resumeMinutes: parseInt(process.env.DOWNLOAD_RESUME_MINUTES) || 30,
+    maxResumes: parseInt(process.env.DOWNLOAD_MAX_RESUMES) || 3,
+    baseUrl: process.env.API_URL || process.env.FRONTEND_URL || ''
+});
@@ -0,0 +1,435 @@
+/**
+ * Print-on-Demand Fulfillment
+ * Routes paid orders to the POD providers their products are mapped to.
+ *
+ * Each order item is matched to a pod_product_mappings row (variant mapping
+ * first, then the product-wide one). Items are grouped per provider and each
+ * group becomes one order_fulfillments row and one provider order. Items with
+ * no mapping are left for manual fulfillment.
+ */
+
+import db from '../config/database.js';
+import { podManager } from './pod-providers.js';
+import { sendShippingNotification, sendDeliveryNotification } from '../utils/email.js';
+
+// Give up retrying a failed submission after this many attempts
+const MAX_ATTEMPTS = 5;
+
+// How far along each fulfillment status is; provider updates never move a fulfillment backwards
+const STATUS_RANK = { pending: 0, submitting: 0, failed: 0, submitted: 1, in_production: 2, shipped: 3, delivered: 4 };
+
+// A submission still unanswered after this long was cut off (e.g. the process stopped mid-request)
+const SUBMITTING_TIMEOUT_MINUTES = 15;
+
+// Stop polling shipped fulfillments for a delivery date after this many days
+const SHIPPED_SYNC_DAYS = 30;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Split "First Last" for providers that want the parts separately
+function splitName(name = '') {
+    const [firstName, ...rest] = name.trim().split(/\s+/);
+    return { firstName: firstName || '', lastName: rest.join(' ') };
+}
+
+export class FulfillmentService {
+    // Mapping for an order item (variant-level mapping wins over product-level)
+    async findMapping(item) {
+        const mapping = await db.get(`
+            SELECT * FROM pod_product_mappings
+            WHERE product_id = ? AND (variant_id = ? OR variant_id IS NULL) AND is_active = 1
+            ORDER BY variant_id IS NULL
+            LIMIT 1
+        `, [item.productId, item.variantId || null]);
+
+        return mapping ? { ...mapping, files: parseJson(mapping.files) || [] } : null;
+    }
+
+    /**
+     * Group an order's items by the provider that will make them
+     * @returns {Object} { groups: Map(provider -> [{ item, mapping }]), unmapped: [item] }
+     */
+    async routeItems(items) {
+        const groups = new Map();
+        const unmapped = [];
+
+        for (const item of items) {
+            if (item.isDigital) {
+                continue;
+            }
+            const mapping = await this.findMapping(item);
+            if (!mapping) {
+                unmapped.push(item);
+                continue;
+            }
+            const group = groups.get(mapping.provider) || [];
+            group.push({ item, mapping });
+            groups.set(mapping.provider, group);
+        }
+
+        return { groups, unmapped };
+    }
+
+    // Provider-neutral order payload (see the createOrder methods in pod-providers.js)
+    buildOrderData(order, provider, lines) {
+        const address = parseJson(order.shipping_address) || {};
+        const podProvider = podManager.getProvider(provider);
+
+        return {
+            orderNumber: order.order_number,
+            customerId: order.customer_email,
+            customerName: order.customer_name,
+            ...splitName(order.customer_name),
+            email: order.customer_email,
+            phone: order.customer_phone,
+            address,
+            currency: 'USD',
+            items: lines.map(({ item, mapping }) => podProvider.buildItem(mapping, item.quantity))
+        };
+    }
+
+    /**
+     * Send a paid order to its POD providers. Safe to call more than once:
+     * groups already submitted are skipped and failed ones are retried.
+     * @param {number} orderId - orders.id
+     * @returns {Object} { submitted, failed, unmapped }
+     */
+    async fulfillOrder(orderId) {
+        const order = await db.get('SELECT * FROM orders WHERE id = ?', [orderId]);
+        if (!order || !['paid', 'processing'].includes(order.status)) {
+            return { submitted: 0, failed: 0, unmapped: 0 };
+        }
+
+        const { groups, unmapped } = await this.routeItems(parseJson(order.items));
+        let submitted = 0;
+        let failed = 0;
+
+        for (const [provider, lines] of groups) {
+            await db.run(`
+                INSERT IGNORE INTO order_fulfillments (order_id, provider, items, status)
+                VALUES (?, ?, ?, 'pending')
+            `, [order.id, provider, JSON.stringify(lines.map(({ item, mapping }) => ({
+                productId: item.productId,
+                variantId: item.variantId,
+                title: item.title,
+                quantity: item.quantity,
+                providerProductId: mapping.provider_product_id,
+                providerVariantId: mapping.provider_variant_id
+            })))]);
+
+            // Claim the group so concurrent calls cannot submit it twice
+            const claimed = await db.run(`
+                UPDATE order_fulfillments
+                SET status = 'submitting', attempts = attempts + 1
+                WHERE order_id = ? AND provider = ? AND status IN ('pending', 'failed') AND attempts < ?
+            `, [order.id, provider, MAX_ATTEMPTS]);
+
+            if (claimed.changes === 0) {
+                continue;
+            }
+
+            try {
+                if (!podManager.getProvider(provider)) {
+                    throw new Error(`Provider ${provider} not configured`);
+                }
+                const response = await podManager.createOrder(provider, this.buildOrderData(order, provider, lines));
+                const providerOrder = podManager.getProvider(provider).parseOrder(response);
+
+                await db.run(`
+                    UPDATE order_fulfillments
+                    SET status = 'submitted', provider_order_id = ?, provider_status = ?, cost = ?,
+                        error = NULL, submitted_at = CURRENT_TIMESTAMP
+                    WHERE order_id = ? AND provider = ?
+                `, [providerOrder.id, providerOrder.status, providerOrder.cost, order.id, provider]);
+                submitted++;
+            } catch (error) {
+                console.error(`Fulfillment ${order.order_number} (${provider}) error:`, error.message);
+                await db.run(`
+                    UPDATE order_fulfillments SET status = 'failed', error = ?
+                    WHERE order_id = ? AND provider = ?
+                `, [error.message, order.id, provider]);
+                failed++;
+            }
+        }
+
+        // The order is in production once every provider has accepted its part
+        const pending = await db.get(`
+            SELECT COUNT(*) as count FROM order_fulfillments
+            WHERE order_id = ? AND status IN ('pending', 'submitting', 'failed')
+        `, [order.id]);
+        if (groups.size > 0 && pending.count === 0) {
+            await db.run(`
+                UPDATE orders SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'paid'
+            `, [order.id]);
+        }
+
+        return { submitted, failed, unmapped: unmapped.length };
+    }
+
+    // Admin retry: give failed groups a fresh set of attempts and submit again
+    async retryOrder(orderId) {
+        await db.run(`
+            UPDATE order_fulfillments SET status = 'pending', attempts = 0
+            WHERE order_id = ? AND status = 'failed'
+        `, [orderId]);
+        return this.fulfillOrder(orderId);
+    }
+
+    // Fulfil an order in the background; failures are recorded and retried by the job
+    queue(orderId) {
+        this.fulfillOrder(orderId).catch(error => {
+            console.error(`Fulfillment for order ${orderId} error:`, error);
+        });
+    }
+
+    // Fulfillment rows for a set of orders, keyed by order id
+    async getForOrders(orderIds) {
+        if (orderIds.length === 0) {
+            return {};
+        }
+        const rows = await db.all(`
+            SELECT * FROM order_fulfillments WHERE order_id IN (${orderIds.map(() => '?').join(', ')})
+            ORDER BY id
+        `, orderIds);
+
+        const byOrder = {};
+        for (const row of rows) {
+            (byOrder[row.order_id] = byOrder[row.order_id] || []).push({
+                id: row.id,
+                provider: row.provider,
+                providerOrderId: row.provider_order_id,
+                status: row.status,
+                providerStatus: row.provider_status,
+                cost: row.cost,
+                items: parseJson(row.items),
+                carrier: row.carrier,
+                trackingNumber: row.tracking_number,
+                trackingUrl: row.tracking_url,
+                shipments: parseJson(row.shipments) || [],
+                attempts: row.attempts,
+                error: row.error,
+                submittedAt: row.submitted_at,
+                shippedAt: row.shipped_at,
+                deliveredAt: row.delivered_at
+            });
+        }
+        return byOrder;
+    }
+
+    /**
+     * Job: retry failed submissions, and pick up paid orders that were never
+     * routed (e.g. the process stopped before the background submission ran).
+     * Submissions cut off mid-request may have reached the provider, so they
+     * are marked failed for an admin to check and retry rather than resent.
+     */
+    async retryFailed() {
+        const interrupted = await db.run(`
+            UPDATE order_fulfillments
+            SET status = 'failed', attempts = GREATEST(attempts, ?),
+                error = 'Submission was interrupted. Check the provider for this order before retrying'
+            WHERE status = 'submitting' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        `, [MAX_ATTEMPTS, SUBMITTING_TIMEOUT_MINUTES]);
+
+        const orders = await db.all(`
+            SELECT DISTINCT o.id FROM orders o
+            LEFT JOIN order_fulfillments f ON f.order_id = o.id
+            WHERE o.status IN ('paid', 'processing')
+              AND ((f.status IN ('pending', 'failed') AND f.attempts < ?)
+                OR (f.id IS NULL AND o.status = 'paid' AND o.created_at < DATE_SUB(NOW(), INTERVAL 5 MINUTE)
+                    AND o.created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)))
+            LIMIT 50
+        `, [MAX_ATTEMPTS]);
+
+        let submitted = 0;
+        let failed = 0;
+        for (const { id } of orders) {
+            const result = await this.fulfillOrder(id);
+            submitted += result.submitted;
+            failed += result.failed;
+        }
+        return { submitted, failed, interrupted: interrupted.changes };
+    }
+
+    /**
+     * Record the provider's view of a fulfillment: status, tracking and
+     * shipping dates. Emails the customer when the package ships, then moves
+     * the order along once all of its fulfillments agree.
+     * @param {Object} row - order_fulfillments row
+     * @param {Object} providerOrder - Normalized order from the provider's parseOrder
+     * @returns {Object} { changed, status }
+     */
+    async applyProviderOrder(row, providerOrder) {
+        const current = row.status;
+        let status = providerOrder.state;
+        if (status !== 'cancelled' && (STATUS_RANK[status] ?? 0) < (STATUS_RANK[current] ?? 0)) {
+            status = current;
+        }
+        if (current === 'delivered') {
+            status = current;
+        }
+
+        const shipments = providerOrder.shipments.filter(shipment => shipment.trackingNumber);
+        const latest = shipments[shipments.length - 1];
+        const isShipped = status === 'shipped' || status === 'delivered';
+
+        const shippedAt = row.shipped_at || (isShipped ? (shipments[0] && shipments[0].shippedAt) || new Date() : null);
+        const deliveredAt = row.delivered_at || (status === 'delivered'
+            ? shipments.map(shipment => shipment.deliveredAt).filter(Boolean).pop() || new Date()
+            : null);
+
+        // Conditional on the status we read, so a webhook and the poller cannot both send the email
+        const result = await db.run(`
+            UPDATE order_fulfillments
+            SET status = ?, provider_status = ?, shipments = ?, carrier = ?, tracking_number = ?, tracking_url = ?,
+                shipped_at = ?, delivered_at = ?, last_synced_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `, [
+            status,
+            providerOrder.status,
+            JSON.stringify(shipments),
+            latest ? latest.carrier : row.carrier,
+            latest ? latest.trackingNumber : row.tracking_number,
+            latest ? latest.trackingUrl : row.tracking_url,
+            shippedAt,
+            deliveredAt,
+            row.id,
+            current
+        ]);
+
+        if (result.changes === 0 || status === current) {
+            return { changed: false, status };
+        }
+
+        const order = await db.get('SELECT * FROM orders WHERE id = ?', [row.order_id]);
+
+        if (isShipped && (STATUS_RANK[current] ?? 0) < STATUS_RANK.shipped) {
+            await sendShippingNotification(order, {
+                items: parseJson(row.items),
+                shipments
+            });
+        }
+
+        await this.updateOrderStatus(order);
+
+        return { changed: true, status };
+    }
+
+    /**
+     * Move an order to shipped or delivered once every provider has reached
+     * that point. Orders with items no provider handles are left for the
+     * admin to update by hand.
+     */
+    async updateOrderStatus(order) {
+        if (!['paid', 'processing', 'shipped'].includes(order.status)) {
+            return;
+        }
+
+        const rows = await db.all('SELECT * FROM order_fulfillments WHERE order_id = ?', [order.id]);
+        if (rows.length === 0) {
+            return;
+        }
+
+        const physicalUnits = parseJson(order.items)
+            .filter(item => !item.isDigital)
+            .reduce((sum, item) => sum + item.quantity, 0);
+        const routedUnits = rows
+            .flatMap(row => parseJson(row.items))
+            .reduce((sum, item) => sum + item.quantity, 0);
+        if (routedUnits < physicalUnits) {
+            return;
+        }
+
+        const allDelivered = rows.every(row => row.status === 'delivered');
+        const allShipped = rows.every(row => row.status === 'shipped' || row.status === 'delivered');
+
+        if (allDelivered) {
+            const result = await db.run(`
+                UPDATE orders
+                SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = ?
+            `, [order.id, order.status]);
+            if (result.changes > 0) {
+                await sendDeliveryNotification(order);
+            }
+        } else if (allShipped && order.status !== 'shipped') {
+            const tracked = rows.filter(row => row.tracking_number);
+            await db.run(`
+                UPDATE orders
+                SET status = 'shipped', shipped_at = CURRENT_TIMESTAMP, tracking_number = ?, tracking_url = ?, carrier = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = ?
+            `, [
+                tracked.map(row => row.tracking_number).join(', ') || null,
+                tracked[0] ? tracked[0].tracking_url : null,
+                tracked[0] ? tracked[0].carrier : null,
+                order.id,
+                order.status
+            ]);
+        }
+    }
+
+    // Fetch a fulfillment's current state from its provider and apply it
+    async syncFulfillment(row) {
+        const provider = podManager.getProvider(row.provider);
+        if (!provider || !row.provider_order_id) {
+            return { changed: false, status: row.status };
+        }
+
+        try {
+            const providerOrder = await provider.fetchOrder(row.provider_order_id);
+            return await this.applyProviderOrder(row, providerOrder);
+        } finally {
+            await db.run('UPDATE order_fulfillments SET last_synced_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+        }
+    }
+
+    /**
+     * Apply a provider status webhook. The payload only identifies the
+     * order; its state is re-fetched from the provider rather than trusted.
+     * @returns {Object|null} Sync result, or null if the order is not ours
+     */
+    async handleWebhook(providerName, providerOrderId) {
+        const row = await db.get(
+            'SELECT * FROM order_fulfillments WHERE provider = ? AND provider_order_id = ?',
+            [providerName, String(providerOrderId)]
+        );
+        if (!row) {
+            return null;
+        }
+        return this.syncFulfillment(row);
+    }
+
+    /**
+     * Job: poll providers for fulfillments that have not reached the customer
+     * yet, for providers whose webhooks are not set up or were missed
+     */
+    async syncActive() {
+        const rows = await db.all(`
+            SELECT * FROM order_fulfillments
+            WHERE (status IN ('submitted', 'in_production')
+                OR (status = 'shipped' AND shipped_at > DATE_SUB(NOW(), INTERVAL ? DAY)))
+              AND (last_synced_at IS NULL OR last_synced_at < DATE_SUB(NOW(), INTERVAL 30 MINUTE))
+            ORDER BY last_synced_at IS NOT NULL, last_synced_at
+            LIMIT 25
+        `, [SHIPPED_SYNC_DAYS]);
+
+        let updated = 0;
+        let failed = 0;
+        for (const row of rows) {
+            try {
+                const result = await this.syncFulfillment(row);
+                if (result.changed) {
+                    updated++;
+                }
+            } catch (error) {
+                console.error(`Fulfillment sync ${row.id} (${row.provider}) error:`, error.message);
+                failed++;
+            }
+        }
+        return { updated, failed };
+    }
+}
+
+// Create singleton instance
+export const fulfillment = new FulfillmentService();
@@ -0,0 +1,200 @@
+/**
+ * Inventory Reservations
+ * Holds stock for a checkout session until it expires, so two buyers cannot
+ * pay for the last unit of a limited item.
+ *
+ * Stock is tracked per product, or per variant for products with variants.
+ * Holds do not change inventory_count. Available stock is the count minus
+ * unexpired holds from other sessions; the count is only decremented when a
+ * hold is committed together with the order.
+ */
+
+import db from '../config/database.js';
+
+const stockError = (message, status = 409) => Object.assign(new Error(message), { status });
+
+// Total quantity per stock unit (product, or variant of a product), ordered so
+// row locks are always taken in the same order
+function quantitiesByStockUnit(items) {
+    const quantities = new Map();
+    for (const item of items) {
+        if (item.isDigital) {
+            continue;
+        }
+        const productId = parseInt(item.productId);
+        const variantId = item.variantId ? parseInt(item.variantId) : null;
+        const key = `${productId}:${variantId || 0}`;
+        const unit = quantities.get(key) || { productId, variantId, quantity: 0 };
+        unit.quantity += parseInt(item.quantity);
+        quantities.set(key, unit);
+    }
+    return [...quantities.values()].sort((a, b) => a.productId - b.productId || (a.variantId || 0) - (b.variantId || 0));
+}
+
+export class InventoryService {
+    constructor({ holdMinutes = 60 } = {}) {
+        this.holdMinutes = holdMinutes;
+    }
+
+    /**
+     * Lock each product or variant row and check it against stock held by other sessions.
+     * Must run inside a transaction.
+     * @throws {Error} status 409 when an item is short
+     */
+    async lockAndCheck(connection, sessionId, units) {
+        for (const { productId, variantId, quantity } of units) {
+            const [[stock]] = variantId
+                ? await connection.execute(`
+                    SELECT v.id, CONCAT(p.title, ' (', v.title, ')') AS title, v.inventory_count
+                    FROM product_variants v
+                    JOIN products p ON p.id = v.product_id
+                    WHERE v.id = ? AND v.product_id = ?
+                    FOR UPDATE
+                `, [variantId, productId])
+                : await connection.execute(
+                    'SELECT id, title, inventory_count FROM products WHERE id = ? FOR UPDATE',
+                    [productId]
+                );
+            if (!stock) {
+                throw stockError(`Product ${productId} not found`, 400);
+            }
+
+            const [[held]] = await connection.execute(`
+                SELECT COALESCE(SUM(quantity), 0) AS quantity FROM inventory_reservations
+                WHERE product_id = ? AND variant_id <=> ? AND status = 'held' AND expires_at > NOW()
+                  AND (session_id <> ? OR ? IS NULL)
+            `, [productId, variantId, sessionId, sessionId]);
+
+            if (stock.inventory_count - Number(held.quantity) < quantity) {
+                throw stockError(`Insufficient stock for ${stock.title}`);
+            }
+        }
+    }
+
+    /**
+     * Hold stock for a checkout session. Calling again for the same session
+     * replaces its holds and restarts the hold period.
+     * @param {string} sessionId - checkout_sessions.session_id
+     * @param {Array} items - Cart items ({ productId, variantId, quantity, isDigital })
+     */
+    async reserve(sessionId, items) {
+        const units = quantitiesByStockUnit(items);
+        if (units.length === 0) {
+            return;
+        }
+
+        await db.transaction(async (connection) => {
+            await this.lockAndCheck(connection, sessionId, units);
+
+            await connection.execute(
+                "UPDATE inventory_reservations SET status = 'released' WHERE session_id = ? AND status = 'held'",
+                [sessionId]
+            );
+
+            for (const { productId, variantId, quantity } of units) {
+                await connection.execute(`
+                    INSERT INTO inventory_reservations (session_id, product_id, variant_id, quantity, status, expires_at)
+                    VALUES (?, ?, ?, ?, 'held', DATE_ADD(NOW(), INTERVAL ? MINUTE))
+                `, [sessionId, productId, variantId, quantity, this.holdMinutes]);
+            }
+        });
+    }
+
+    /**
+     * Take reserved stock out of inventory. Runs inside the caller's
+     * transaction so the decrement and the order insert succeed or fail
+     * together. Items whose hold has lapsed are re-checked against what is
+     * still available.
+     * @param {Object} connection - Transaction connection from db.transaction
+     * @param {string|null} sessionId - Session holding the stock (null for direct orders)
+     * @param {Array} items - Cart items ({ productId, variantId, quantity, isDigital })
+     */
+    async commit(connection, sessionId, items) {
+        const units = quantitiesByStockUnit(items);
+
+        await this.lockAndCheck(connection, sessionId, units);
+
+        for (const { productId, variantId, quantity } of units) {
+            if (variantId) {
+                await connection.execute(
+                    'UPDATE product_variants SET inventory_count = inventory_count - ? WHERE id = ?',
+                    [quantity, variantId]
+                );
+            } else {
+                await connection.execute(
+                    'UPDATE products SET inventory_count = inventory_count - ? WHERE id = ?',
+                    [quantity, productId]
+                );
+            }
+        }
+
+        if (sessionId) {
+            await connection.execute(
+                "UPDATE inventory_reservations SET status = 'committed' WHERE session_id = ? AND status = 'held'",
+                [sessionId]
+            );
+        }
+    }
+
+    /**
+     * Put returned or refunded items back into stock. Runs inside the
+     * caller's transaction; digital items are skipped.
+     * @param {Object} connection - Transaction connection from db.transaction
+     * @param {Array} items - Order items ({ productId, variantId, quantity, isDigital })
+     */
+    async restock(connection, items) {
+        for (const { productId, variantId, quantity } of quantitiesByStockUnit(items)) {
+            if (variantId) {
+                await connection.execute(
+                    'UPDATE product_variants SET inventory_count = inventory_count + ? WHERE id = ?',
+                    [quantity, variantId]
+                );
+            } else {
+                await connection.execute(
+                    'UPDATE products SET inventory_count = inventory_count + ? WHERE id = ?',
+                    [quantity, productId]
+                );
+            }
+        }
+    }
+
+    // Give back everything a session is holding
+    async release(sessionId) {
+        const result = await db.run(
+            "UPDATE inventory_reservations SET status = 'released' WHERE session_id = ? AND status = 'held'",
+            [sessionId]
+        );
+        return result.changes;
+    }
+
+    // Sweeper: release holds whose session has run out of time
+    async releaseExpired() {
+        const result = await db.run(`
+            UPDATE inventory_reservations SET status = 'released'
+            WHERE status = 'held' AND expires_at <= NOW()
+        `);
+        return { released: result.changes };
+    }
+
+    // Units that can still be sold right now
+    async getAvailable(productId, variantId = null) {
+        const stock = variantId
+            ? await db.get('SELECT inventory_count FROM product_variants WHERE id = ? AND product_id = ?', [variantId, productId])
+            : await db.get('SELECT inventory_count FROM products WHERE id = ?', [productId]);
+        if (!stock) {
+            return 0;
+        }
+
+        const held = await db.get(`
+            SELECT COALESCE(SUM(quantity), 0) AS quantity FROM inventory_reservations
+            WHERE product_id = ? AND variant_id <=> ? AND status = 'held' AND expires_at > NOW()
+        `, [productId, variantId]);
+
+        return Math.max(stock.inventory_count - Number(held.quantity), 0);
+    }
+}
+
+// Create singleton instance
+export const inventory = new InventoryService({
+    holdMinutes: parseInt(process.env.CHECKOUT_SESSION_MINUTES) || 60
+});
@@ -0,0 +1,308 @@
+/**
+ * Media Pipeline
+ * Product and portfolio galleries, plus site background images. Uploads are
+ * re-encoded here rather than stored as sent: each image is turned upright,
+ * resized to a set of widths in AVIF and WebP, and given a square thumbnail.
+ * Re-encoding drops EXIF and other metadata (camera details, GPS position),
+ * and the original file is not kept.
+ *
+ * Files are written to <dir>/<key>/ (e.g. 640.avif, 640.webp, thumb.webp) and
+ * served statically from baseUrl. format() gives the URLs as srcset strings.
+ * The first image in a gallery is the cover: it is copied into the owner's
+ * image_url (and a portfolio item's thumbnail_url) for older clients.
+ */
+
+import crypto from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { mkdir, rm } from 'fs/promises';
+import sharp from 'sharp';
+import db from '../config/database.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Output formats, best compression first (the order <picture> sources go in)
+const FORMATS = ['avif', 'webp'];
+
+// What images can belong to, and the columns their cover is copied into
+export const MEDIA_OWNERS = {
+    product: { table: 'products', cover: { image_url: 'src' } },
+    portfolio: { table: 'portfolio_items', cover: { image_url: 'src', thumbnail_url: 'thumbnail' } },
+    background: null
+};
+
+const mediaError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export class MediaLibrary {
+    constructor({ dir, baseUrl = '/uploads/media', widths = [320, 640, 1024, 1600], thumbnailSize = 240, quality = 75 }) {
+        this.dir = dir;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.widths = [...widths].sort((a, b) => a - b);
+        this.thumbnailSize = thumbnailSize;
+        this.quality = quality;
+    }
+
+    /**
+     * Read an upload's size without decoding it
+     * @returns {Object} { width, height } as displayed (EXIF rotation applied)
+     * @throws {Error} status 400 for files sharp cannot read
+     */
+    async inspect(buffer) {
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (error) {
+            throw mediaError('Unsupported or damaged image file');
+        }
+        if (!metadata.width || !metadata.height) {
+            throw mediaError('Unsupported or damaged image file');
+        }
+        // Orientations 5-8 are stored on their side
+        return metadata.orientation >= 5
+            ? { width: metadata.height, height: metadata.width }
+            : { width: metadata.width, height: metadata.height };
+    }
+
+    // Widths to generate: the configured ones smaller than the image, plus the
+    // image itself (capped at the largest width). Images are never upscaled.
+    targetWidths(width) {
+        const largest = Math.min(width, this.widths[this.widths.length - 1]);
+        return [...new Set([...this.widths.filter(target => target < largest), largest])];
+    }
+
+    /**
+     * Write all the variants of an image
+     * @returns {Object} { key, width, height, variants: [{ format, width, height, bytes }] }
+     */
+    async render(buffer) {
+        const key = crypto.randomBytes(12).toString('hex');
+        const folder = join(this.dir, key);
+        await mkdir(folder, { recursive: true });
+
+        try {
+            // rotate() with no angle applies the EXIF orientation; sharp writes no
+            // metadata to its output unless asked to
+            const image = sharp(buffer, { failOn: 'error' }).rotate();
+            const { width } = await this.inspect(buffer);
+            const variants = [];
+
+            for (const target of this.targetWidths(width)) {
+                for (const format of FORMATS) {
+                    const info = await image.clone()
+                        .resize({ width: target, withoutEnlargement: true })
+                        .toFormat(format, { quality: this.quality })
+                        .toFile(join(folder, `${target}.${format}`));
+                    variants.push({ format, width: target, height: info.height, bytes: info.size });
+                }
+            }
+
+            await image.clone()
+                .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'cover', position: sharp.strategy.attention })
+                .webp({ quality: this.quality })
+                .toFile(join(folder, 'thumb.webp'));
+
+            const largest = variants[variants.length - 1];
+            return { key, width: largest.width, height: largest.height, variants };
+        } catch (error) {
+            await rm(folder, { recursive: true, force: true });
+            throw error.status ? error : mediaError('Could not process image');
+        }
+    }
+
+    // ============================================
+    // Galleries
+    // ============================================
+
+    async ownerExists(ownerType, ownerId) {
+        const owner = MEDIA_OWNERS[ownerType];
+        if (!owner) {
+            return false;
+        }
+        return Boolean(await db.get(`SELECT id FROM ${owner.table} WHERE id = ?`, [ownerId]));
+    }
+
+    async list(ownerType, ownerId) {
+        const rows = await db.all(
+            'SELECT * FROM media_images WHERE owner_type = ? AND owner_id = ? ORDER BY position, id',
+            [ownerType, ownerId]
+        );
+        return rows.map(row => this.format(row));
+    }
+
+    /**
+     * Galleries for several owners at once (for listings)
+     * @returns {Object} Formatted images keyed by owner id
+     */
+    async listFor(ownerType, ownerIds) {
+        if (ownerIds.length === 0) {
+            return {};
+        }
+        const rows = await db.all(`
+            SELECT * FROM media_images
+            WHERE owner_type = ? AND owner_id IN (${ownerIds.map(() => '?').join(', ')})
+            ORDER BY position, id
+        `, [ownerType, ...ownerIds]);
+
+        const byOwner = {};
+        for (const row of rows) {
+            (byOwner[row.owner_id] = byOwner[row.owner_id] || []).push(this.format(row));
+        }
+        return byOwner;
+    }
+
+    /**
+     * Process and store uploaded images, appended to the end of a gallery.
+     * Every file is read before any is processed, so one unreadable file adds nothing.
+     * @param {string} ownerType - Key of MEDIA_OWNERS
+     * @param {number|null} ownerId - null for backgrounds
+     * @param {Array} files - multer files held in memory ({ buffer, size })
+     * @param {Object} options
+     * @param {string} options.altText - Alt text for all the images
+     * @returns {Array} The new images, formatted
+     */
+    async add(ownerType, ownerId, files, { altText = null } = {}) {
+        for (const file of files) {
+            await this.inspect(file.buffer);
+        }
+
+        const last = await db.get(
+            'SELECT MAX(position) AS position FROM media_images WHERE owner_type = ? AND owner_id <=> ?',
+            [ownerType, ownerId]
+        );
+        let position = last && last.position !== null ? Number(last.position) + 1 : 0;
+
+        const added = [];
+        for (const file of files) {
+            const rendered = await this.render(file.buffer);
+            try {
+                const result = await db.run(`
+                    INSERT INTO media_images (owner_type, owner_id, storage_key, alt_text, width, height, original_bytes, variants, position)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [ownerType, ownerId, rendered.key, altText, rendered.width, rendered.height, file.size, JSON.stringify(rendered.variants), position++]);
+                added.push(this.format(await db.get('SELECT * FROM media_images WHERE id = ?', [result.lastInsertRowid])));
+            } catch (error) {
+                await rm(join(this.dir, rendered.key), { recursive: true, force: true });
+                throw error;
+            }
+        }
+
+        await this.syncCover(ownerType, ownerId);
+        return added;
+    }
+
+    async update(ownerType, ownerId, imageId, { altText }) {
+        const result = await db.run(
+            'UPDATE media_images SET alt_text = ? WHERE id = ? AND owner_type = ? AND owner_id = ?',
+            [altText || null, imageId, ownerType, ownerId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Put a gallery in a new order (the first image becomes the cover)
+     * @param {Array<number>} imageIds - Every image in the gallery, in the new order
+     * @throws {Error} status 400 unless the ids are exactly the gallery's images
+     */
+    async reorder(ownerType, ownerId, imageIds) {
+        const rows = await db.all('SELECT id FROM media_images WHERE owner_type = ? AND owner_id = ?', [ownerType, ownerId]);
+        const current = rows.map(row => row.id).sort((a, b) => a - b);
+        const requested = imageIds.map(Number).sort((a, b) => a - b);
+        if (current.length !== requested.length || current.some((id, index) => id !== requested[index])) {
+            throw mediaError('Send every image in the gallery, each once');
+        }
+
+        await db.transaction(async (connection) => {
+            for (const [position, imageId] of imageIds.entries()) {
+                await connection.execute('UPDATE media_images SET position = ? WHERE id = ?', [position, imageId]);
+            }
+        });
+        await this.syncCover(ownerType, ownerId);
+    }
+
+    async remove(ownerType, ownerId, imageId) {
+        const image = await db.get(
+            'SELECT * FROM media_images WHERE id = ? AND owner_type = ? AND owner_id = ?',
+            [imageId, ownerType, ownerId]
+        );
+        if (!image) {
+            return false;
+        }
+
+        await db.run('DELETE FROM media_images WHERE id = ?', [image.id]);
+        await rm(join(this.dir, image.storage_key), { recursive: true, force: true });
+        await this.syncCover(ownerType, ownerId);
+        return true;
+    }
+
+    // Delete a gallery and its files (when its product or portfolio item is deleted)
+    async removeAll(ownerType, ownerId) {
+        const images = await db.all('SELECT * FROM media_images WHERE owner_type = ? AND owner_id = ?', [ownerType, ownerId]);
+        await db.run('DELETE FROM media_images WHERE owner_type = ? AND owner_id = ?', [ownerType, ownerId]);
+        for (const image of images) {
+            await rm(join(this.dir, image.storage_key), { recursive: true, force: true });
+        }
+        return images.length;
+    }
+
+    /**
+     * Copy the cover image into the owner's own columns. When the gallery is
+     * emptied, columns still pointing into the media library are cleared;
+     * URLs set by hand are left alone.
+     */
+    async syncCover(ownerType, ownerId) {
+        const owner = MEDIA_OWNERS[ownerType];
+        if (!owner) {
+            return;
+        }
+
+        const [cover] = await this.list(ownerType, ownerId);
+        const columns = Object.entries(owner.cover);
+        if (cover) {
+            await db.run(
+                `UPDATE ${owner.table} SET ${columns.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(([, field]) => cover[field]), ownerId]
+            );
+        } else {
+            await db.run(
+                `UPDATE ${owner.table} SET ${columns.map(([column]) => `${column} = IF(${column} LIKE ?, NULL, ${column})`).join(', ')} WHERE id = ?`,
+                [...columns.map(() => `${this.baseUrl}/%`), ownerId]
+            );
+        }
+    }
+
+    /**
+     * Public shape of an image, ready for <img srcset> or <picture>:
+     * src and srcset are WebP; sources lists AVIF then WebP
+     */
+    format(row) {
+        const variants = parseJson(row.variants);
+        const url = (file) => `${this.baseUrl}/${row.storage_key}/${file}`;
+        const srcset = (format) => variants
+            .filter(variant => variant.format === format)
+            .map(variant => `${url(`${variant.width}.${format}`)} ${variant.width}w`)
+            .join(', ');
+
+        return {
+            id: row.id,
+            alt: row.alt_text || '',
+            width: row.width,
+            height: row.height,
+            src: url(`${row.width}.webp`),
+            srcset: srcset('webp'),
+            sources: FORMATS.map(format => ({ type: `image/${format}`, srcset: srcset(format) })),
+            thumbnail: url('thumb.webp'),
+            position: row.position
+        };
+    }
+}
+
+// Create singleton instance
+export const media = new MediaLibrary({
+    dir: process.env.MEDIA_DIR || join(__dirname, '../../uploads/media'),
+    baseUrl: process.env.MEDIA_BASE_URL || '/uploads/media',
+    widths: (process.env.MEDIA_WIDTHS || '320,640,1024,1600').split(',').map(Number).filter(width => width > 0),
+    thumbnailSize: parseInt(process.env.MEDIA_THUMBNAIL_SIZE) || 240,
+    quality: parseInt(process.env.MEDIA_QUALITY) || 75
+});
@@ -0,0 +1,449 @@
+/**
+ * Membership Billing
+ * Subscription lifecycle for Wyatt World tiers: signup, 30-day renewals,
+ * grace periods, cancellation at period end and prorated tier changes.
+ *
+ * Membership statuses:
+ *   pending   - created, waiting for the first payment
+ *   active    - paid through ends_at
+ *   past_due  - period ended without a renewal, access kept until grace_ends_at
+ *   cancelled - ended at period end after the member cancelled
+ *   expired   - grace period ran out without a renewal
+ *   failed, refunded, chargeback - payment outcomes
+ */
+
+import db from '../config/database.js';
+import { paymentManager } from './payment-providers.js';
+import { tierResolver } from './tier-resolver.js';
+import { MEMBERSHIP_TIERS, TIER_ORDER, PAID_TIERS } from '../config/membership-tiers.js';
+
+// Statuses that still grant the member their tier
+const ENTITLED_STATUSES = ['active', 'past_due'];
+
+const MEMBERSHIP_TRANSITIONS = {
+    pending: ['active', 'failed', 'cancelled'],
+    failed: ['active', 'cancelled'],
+    active: ['past_due', 'cancelled', 'refunded', 'chargeback'],
+    past_due: ['active', 'cancelled', 'expired', 'refunded', 'chargeback'],
+    cancelled: ['refunded', 'chargeback'],
+    expired: ['refunded', 'chargeback'],
+    refunded: ['chargeback']
+};
+
+// Length of a membership period. Processors rebill every 30 days, so periods are kept to the same length
+const PERIOD_DAYS = 30;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const billingError = (message, status) => Object.assign(new Error(message), { status });
+
+const intentMetadata = (intent) => (typeof intent.metadata === 'string' ? JSON.parse(intent.metadata) : intent.metadata) || {};
+
+export class MembershipBilling {
+    constructor({ gracePeriodDays = 3, minimumCharge = 0.5 } = {}) {
+        this.gracePeriodDays = gracePeriodDays;
+        // Upgrades cheaper than this are applied without charging
+        this.minimumCharge = minimumCharge;
+    }
+
+    getTier(tierId) {
+        return MEMBERSHIP_TIERS.find(tier => tier.id === tierId) || null;
+    }
+
+    // Current membership that grants access (active or in its grace period)
+    async getCurrentMembership(userId) {
+        return db.get(`
+            SELECT * FROM world_memberships
+            WHERE user_id = ? AND status IN ('active', 'past_due')
+            ORDER BY ends_at DESC
+            LIMIT 1
+        `, [userId]);
+    }
+
+    async getMembership(membershipId) {
+        return db.get('SELECT * FROM world_memberships WHERE id = ?', [membershipId]);
+    }
+
+    /**
+     * Start a new subscription. The membership stays pending until the
+     * first payment succeeds.
+     * @param {number} userId - World user
+     * @param {Object} params
+     * @param {string} params.tier - vip or inner_circle
+     * @param {string} params.provider - Payment provider (defaults to PAYMENT_PROVIDER)
+     * @param {string} params.email - Billing email passed to the processor
+     * @returns {Object} { membership, payment }
+     */
+    async subscribe(userId, { tier, provider, email }) {
+        const tierInfo = this.getTier(tier);
+        if (!tierInfo || !PAID_TIERS.includes(tier)) {
+            throw billingError('Unknown membership tier', 400);
+        }
+
+        if (await this.getCurrentMembership(userId)) {
+            throw billingError('Already subscribed, change tier instead', 409);
+        }
+
+        const providerName = paymentManager.resolveProviderName(provider);
+
+        // Abandon earlier signups that were never paid
+        await db.run(`
+            UPDATE world_memberships SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND status IN ('pending', 'failed')
+        `, [userId]);
+
+        const result = await db.run(`
+            INSERT INTO world_memberships (user_id, tier, price, payment_provider, status)
+            VALUES (?, ?, ?, ?, 'pending')
+        `, [userId, tier, tierInfo.price, providerName]);
+
+        const payment = await paymentManager.createIntent(providerName, {
+            amount: tierInfo.price,
+            currency: 'USD',
+            referenceType: 'membership',
+            referenceId: result.lastInsertRowid,
+            email,
+            description: `Wyatt World ${tierInfo.name} membership`,
+            recurring: { periodDays: PERIOD_DAYS }
+        });
+
+        return { membership: await this.getMembership(result.lastInsertRowid), payment };
+    }
+
+    /**
+     * Charge for the next period up front. Used by members whose provider
+     * does not rebill automatically, or to settle a past-due membership.
+     */
+    async startRenewal(userId, { provider } = {}) {
+        const membership = await this.getCurrentMembership(userId);
+        if (!membership) {
+            throw billingError('No active membership', 404);
+        }
+        if (membership.cancel_at_period_end) {
+            throw billingError('Membership is set to cancel, resume it first', 400);
+        }
+
+        const tierInfo = this.getTier(membership.pending_tier || membership.tier);
+        const payment = await paymentManager.createIntent(provider || membership.payment_provider, {
+            amount: tierInfo.price,
+            currency: 'USD',
+            referenceType: 'membership_renewal',
+            referenceId: membership.id,
+            description: `Wyatt World ${tierInfo.name} renewal`
+        });
+
+        return { membership, payment };
+    }
+
+    /**
+     * Remaining value of the current period when moving to another tier
+     * @returns {number} Amount to charge (0 or more)
+     */
+    calculateProration(membership, newTier, now = new Date()) {
+        const periodEnd = new Date(membership.ends_at);
+        const periodLength = PERIOD_DAYS * 24 * 60 * 60 * 1000;
+        const remaining = Math.min(Math.max((periodEnd - now) / periodLength, 0), 1);
+        const difference = this.getTier(newTier).price - this.getTier(membership.tier).price;
+
+        return Math.max(roundCurrency(difference * remaining), 0);
+    }
+
+    /**
+     * Move between paid tiers. Upgrades take effect once the prorated
+     * difference is paid; downgrades are scheduled for the next renewal.
+     * Not available for subscriptions rebilled by CCBill, Segpay or Epoch.
+     * @returns {Object} { membership, change, amount, payment }
+     */
+    async changeTier(userId, newTier, { provider } = {}) {
+        if (!PAID_TIERS.includes(newTier)) {
+            throw billingError('Unknown membership tier', 400);
+        }
+
+        const membership = await this.getCurrentMembership(userId);
+        if (!membership) {
+            throw billingError('No active membership', 404);
+        }
+
+        if (newTier === membership.tier) {
+            if (!membership.pending_tier) {
+                throw billingError('Already on this tier', 400);
+            }
+            // Switching back before the renewal cancels a scheduled downgrade
+            await db.run('UPDATE world_memberships SET pending_tier = NULL WHERE id = ?', [membership.id]);
+            return { membership: await this.getMembership(membership.id), change: 'kept' };
+        }
+
+        // The processor keeps rebilling the price the subscription started with
+        if (paymentManager.rebillsSubscriptions(membership.payment_provider)) {
+            throw billingError('This membership is billed by the processor and cannot change tier. Cancel it and subscribe to the new tier once it ends', 409);
+        }
+
+        if (TIER_ORDER.indexOf(newTier) < TIER_ORDER.indexOf(membership.tier)) {
+            await db.run('UPDATE world_memberships SET pending_tier = ? WHERE id = ?', [newTier, membership.id]);
+            return { membership: await this.getMembership(membership.id), change: 'downgrade_scheduled' };
+        }
+
+        const amount = this.calculateProration(membership, newTier);
+        if (amount < this.minimumCharge) {
+            await this.applyUpgrade(membership, newTier);
+            return { membership: await this.getMembership(membership.id), change: 'upgraded', amount: 0 };
+        }
+
+        const payment = await paymentManager.createIntent(provider || membership.payment_provider, {
+            amount,
+            currency: 'USD',
+            referenceType: 'membership_upgrade',
+            referenceId: membership.id,
+            description: `Wyatt World upgrade to ${this.getTier(newTier).name}`,
+            metadata: { tier: newTier, from_tier: membership.tier }
+        });
+
+        return { membership, change: 'upgrade_pending', amount, payment };
+    }
+
+    // Stop renewing; access continues until the end of the paid period
+    async cancel(userId) {
+        const membership = await this.getCurrentMembership(userId);
+        if (!membership) {
+            throw billingError('No active membership', 404);
+        }
+
+        if (membership.status === 'past_due') {
+            // Nothing left to wait for, end it now
+            await this.endMembership(membership, 'cancelled');
+        } else {
+            await db.run(`
+                UPDATE world_memberships SET cancel_at_period_end = 1, cancelled_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [membership.id]);
+        }
+
+        return this.getMembership(membership.id);
+    }
+
+    // Undo a cancellation before the period ends
+    async resume(userId) {
+        const membership = await this.getCurrentMembership(userId);
+        if (!membership || membership.status !== 'active' || !membership.cancel_at_period_end) {
+            throw billingError('No cancelled membership to resume', 400);
+        }
+
+        await db.run(`
+            UPDATE world_memberships SET cancel_at_period_end = 0, cancelled_at = NULL
+            WHERE id = ?
+        `, [membership.id]);
+
+        return this.getMembership(membership.id);
+    }
+
+    // First payment succeeded: start the first period
+    async activate(membership, providerSubscriptionId = null) {
+        const result = await db.run(`
+            UPDATE world_memberships
+            SET status = 'active', starts_at = CURRENT_TIMESTAMP,
+                ends_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY),
+                provider_subscription_id = COALESCE(?, provider_subscription_id)
+            WHERE id = ? AND status IN ('pending', 'failed')
+        `, [PERIOD_DAYS, providerSubscriptionId, membership.id]);
+
+        if (result.changes > 0) {
+            await this.syncUserTier(membership.user_id);
+            await this.notify(membership.user_id, 'Welcome to the club', `Your ${this.getTier(membership.tier).name} membership is active`);
+        }
+        return result.changes > 0;
+    }
+
+    /**
+     * Renewal paid: extend by one period from the previous end, applying any scheduled downgrade.
+     * A processor rebill was charged at the subscription's original price, so it keeps the tier
+     * that price pays for.
+     */
+    async renew(membership, { rebilledByProcessor = false } = {}) {
+        const tier = rebilledByProcessor ? membership.tier : membership.pending_tier || membership.tier;
+
+        const result = await db.run(`
+            UPDATE world_memberships
+            SET status = 'active', tier = ?, price = ?, pending_tier = NULL, grace_ends_at = NULL,
+                ends_at = DATE_ADD(ends_at, INTERVAL ? DAY)
+            WHERE id = ? AND status IN ('active', 'past_due')
+        `, [tier, this.getTier(tier).price, PERIOD_DAYS, membership.id]);
+
+        if (result.changes > 0) {
+            await this.syncUserTier(membership.user_id);
+        }
+        return result.changes > 0;
+    }
+
+    async applyUpgrade(membership, tier) {
+        const result = await db.run(`
+            UPDATE world_memberships SET tier = ?, price = ?, pending_tier = NULL
+            WHERE id = ? AND status IN ('active', 'past_due')
+        `, [tier, this.getTier(tier).price, membership.id]);
+
+        if (result.changes > 0) {
+            await this.syncUserTier(membership.user_id);
+        }
+        return result.changes > 0;
+    }
+
+    // Move a membership to a final (or payment-failure) status and drop access if needed
+    async endMembership(membership, toStatus) {
+        if (!(MEMBERSHIP_TRANSITIONS[membership.status] || []).includes(toStatus)) {
+            return false;
+        }
+
+        const result = await db.run(`
+            UPDATE world_memberships SET status = ?, grace_ends_at = NULL
+            WHERE id = ? AND status = ?
+        `, [toStatus, membership.id, membership.status]);
+
+        if (result.changes > 0) {
+            await this.syncUserTier(membership.user_id);
+        }
+        return result.changes > 0;
+    }
+
+    // Period ended without a renewal: keep access for the grace period
+    async markPastDue(membership) {
+        const result = await db.run(`
+            UPDATE world_memberships
+            SET status = 'past_due', grace_ends_at = DATE_ADD(GREATEST(ends_at, CURRENT_TIMESTAMP), INTERVAL ? DAY)
+            WHERE id = ? AND status = 'active'
+        `, [this.gracePeriodDays, membership.id]);
+
+        if (result.changes > 0) {
+            await this.notify(membership.user_id, 'Membership payment due',
+                `Renew within ${this.gracePeriodDays} days to keep your ${this.getTier(membership.tier).name} access`);
+        }
+        return result.changes > 0;
+    }
+
+    // Set world_users.membership_tier to the best tier the user is still entitled to
+    async syncUserTier(userId) {
+        const rows = await db.all(`
+            SELECT tier FROM world_memberships
+            WHERE user_id = ? AND status IN (${ENTITLED_STATUSES.map(() => '?').join(', ')})
+        `, [userId, ...ENTITLED_STATUSES]);
+
+        const tier = rows
+            .map(row => row.tier)
+            .reduce((best, current) => TIER_ORDER.indexOf(current) > TIER_ORDER.indexOf(best) ? current : best, 'free');
+
+        await db.run('UPDATE world_users SET membership_tier = ? WHERE id = ?', [tier, userId]);
+        tierResolver.invalidate(userId);
+        return tier;
+    }
+
+    async notify(userId, title, message) {
+        await db.run(`
+            INSERT INTO world_notifications (user_id, type, title, message, link)
+            VALUES (?, 'membership', ?, ?, '/world/membership')
+        `, [userId, title, message]);
+    }
+
+    /**
+     * Apply a payment outcome for a membership intent
+     * (membership, membership_renewal or membership_upgrade)
+     */
+    async applyPayment(intent, status) {
+        const membership = await this.getMembership(intent.reference_id);
+        if (!membership) {
+            return { target: 'membership', changed: false, decision: 'missing' };
+        }
+
+        let changed = false;
+        if (status === 'refunded' || status === 'chargeback') {
+            if (intent.reference_type === 'membership_upgrade' && status === 'refunded') {
+                changed = await this.applyUpgrade(membership, intentMetadata(intent).from_tier || membership.tier);
+            } else {
+                changed = await this.endMembership(membership, status);
+            }
+        } else if (intent.reference_type === 'membership') {
+            changed = status === 'succeeded'
+                ? await this.activate(membership, intent.provider_intent_id)
+                : await this.endMembership(membership, 'failed');
+        } else if (intent.reference_type === 'membership_renewal' && status === 'succeeded') {
+            changed = await this.renew(membership);
+        } else if (intent.reference_type === 'membership_upgrade' && status === 'succeeded') {
+            changed = await this.applyUpgrade(membership, intentMetadata(intent).tier);
+        }
+
+        return { target: 'membership', id: membership.id, changed };
+    }
+
+    /**
+     * Apply a processor-managed subscription event (rebills, cancellations)
+     * @param {Object} intent - The membership's initial payment intent
+     * @param {Object} event - Normalized webhook event
+     */
+    async applySubscriptionEvent(intent, event) {
+        const membership = await this.getMembership(intent.reference_id);
+        if (!membership) {
+            return { target: 'membership', changed: false, decision: 'missing' };
+        }
+
+        let changed = false;
+        switch (event.type) {
+            case 'subscription.renewed':
+                changed = await this.renew(membership, { rebilledByProcessor: true });
+                break;
+            case 'subscription.renewal_failed':
+                changed = new Date(membership.ends_at) <= new Date() && await this.markPastDue(membership);
+                break;
+            case 'subscription.cancelled': {
+                const result = await db.run(`
+                    UPDATE world_memberships SET cancel_at_period_end = 1, cancelled_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND cancel_at_period_end = 0
+                `, [membership.id]);
+                changed = result.changes > 0;
+                break;
+            }
+            case 'subscription.expired':
+                changed = await this.endMembership(membership, membership.cancel_at_period_end ? 'cancelled' : 'expired');
+                break;
+        }
+
+        return { target: 'membership', id: membership.id, changed };
+    }
+
+    /**
+     * Scheduled sweep: close out ended periods and expire lapsed grace periods
+     * @returns {Object} Counts of memberships moved to each status
+     */
+    async processLapsedMemberships() {
+        const counts = { cancelled: 0, past_due: 0, expired: 0 };
+
+        const ended = await db.all(`
+            SELECT * FROM world_memberships
+            WHERE status = 'active' AND ends_at <= CURRENT_TIMESTAMP
+        `);
+        for (const membership of ended) {
+            if (membership.cancel_at_period_end) {
+                if (await this.endMembership(membership, 'cancelled')) {
+                    counts.cancelled++;
+                }
+            } else if (await this.markPastDue(membership)) {
+                counts.past_due++;
+            }
+        }
+
+        const lapsed = await db.all(`
+            SELECT * FROM world_memberships
+            WHERE status = 'past_due' AND grace_ends_at <= CURRENT_TIMESTAMP
+        `);
+        for (const membership of lapsed) {
+            if (await this.endMembership(membership, 'expired')) {
+                counts.expired++;
+                await this.notify(membership.user_id, 'Membership expired',
+                    `Your ${this.getTier(membership.tier).name} membership has ended`);
+            }
+        }
+
+        return counts;
+    }
+}
+
+// Create singleton instance
+export const membershipBilling = new MembershipBilling({
+    gracePeriodDays: parseInt(process.env.MEMBERSHIP_GRACE_DAYS) || 3
+});
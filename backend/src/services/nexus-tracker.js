@@ -0,0 +1,208 @@
+/**
+ * Economic Nexus Tracker
+ * Sums shipped-to revenue and transaction counts per US state from paid
+ * orders and compares them with each state's economic nexus threshold, so
+ * we know when we have to register and start collecting sales tax there.
+ *
+ * Thresholds are measured per calendar year (current and previous year);
+ * a state is crossed when either year meets it. Revenue is in the base
+ * currency and excludes the tax we collected. States with no statewide
+ * sales tax are not tracked.
+ */
+
+import db from '../config/database.js';
+import { sendEmail } from '../utils/email.js';
+import { taxCalculator } from './tax-calculator.js';
+
+// Remote seller thresholds (2024). transactions: null means sales only;
+// requireBoth means both limits must be met. Check the state's guidance
+// before relying on these.
+const DEFAULT_THRESHOLD = { sales: 100000, transactions: 200 };
+
+export const ECONOMIC_NEXUS_THRESHOLDS = {
+    'AL': { sales: 250000, transactions: null },
+    'AZ': { sales: 100000, transactions: null },
+    'AR': DEFAULT_THRESHOLD,
+    'CA': { sales: 500000, transactions: null },
+    'CO': { sales: 100000, transactions: null },
+    'CT': { sales: 100000, transactions: 200, requireBoth: true },
+    'DC': DEFAULT_THRESHOLD,
+    'FL': { sales: 100000, transactions: null },
+    'GA': DEFAULT_THRESHOLD,
+    'HI': DEFAULT_THRESHOLD,
+    'ID': { sales: 100000, transactions: null },
+    'IL': DEFAULT_THRESHOLD,
+    'IN': { sales: 100000, transactions: null },
+    'IA': { sales: 100000, transactions: null },
+    'KS': { sales: 100000, transactions: null },
+    'KY': { sales: 100000, transactions: null },
+    'LA': { sales: 100000, transactions: null },
+    'ME': { sales: 100000, transactions: null },
+    'MD': DEFAULT_THRESHOLD,
+    'MA': { sales: 100000, transactions: null },
+    'MI': DEFAULT_THRESHOLD,
+    'MN': DEFAULT_THRESHOLD,
+    'MS': { sales: 250000, transactions: null },
+    'MO': { sales: 100000, transactions: null },
+    'NE': DEFAULT_THRESHOLD,
+    'NV': DEFAULT_THRESHOLD,
+    'NJ': DEFAULT_THRESHOLD,
+    'NM': { sales: 100000, transactions: null },
+    'NY': { sales: 500000, transactions: 100, requireBoth: true },
+    'NC': { sales: 100000, transactions: null },
+    'ND': { sales: 100000, transactions: null },
+    'OH': DEFAULT_THRESHOLD,
+    'OK': { sales: 100000, transactions: null },
+    'PA': { sales: 100000, transactions: null },
+    'PR': DEFAULT_THRESHOLD,
+    'RI': DEFAULT_THRESHOLD,
+    'SC': { sales: 100000, transactions: null },
+    'SD': { sales: 100000, transactions: null },
+    'TN': { sales: 100000, transactions: null },
+    'TX': { sales: 500000, transactions: null },
+    'UT': { sales: 100000, transactions: null },
+    'VT': DEFAULT_THRESHOLD,
+    'VA': DEFAULT_THRESHOLD,
+    'WA': { sales: 100000, transactions: null },
+    'WV': DEFAULT_THRESHOLD,
+    'WI': { sales: 100000, transactions: null },
+    'WY': { sales: 100000, transactions: null },
+};
+
+// Orders that count as sales into a state
+const COUNTED_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+export class NexusTracker {
+    constructor({ warningRatio = 0.8, alertEmail = null } = {}) {
+        // Share of a threshold at which we start warning
+        this.warningRatio = warningRatio;
+        this.alertEmail = alertEmail;
+    }
+
+    // Revenue (excluding tax) and order count per state for a calendar year
+    async getStateTotals(year) {
+        const rows = await db.all(`
+            SELECT UPPER(JSON_UNQUOTE(JSON_EXTRACT(shipping_address, '$.state'))) AS state,
+                   COALESCE(SUM((total - tax) / exchange_rate), 0) AS sales,
+                   COUNT(*) AS transactions
+            FROM orders
+            WHERE JSON_UNQUOTE(JSON_EXTRACT(shipping_address, '$.country')) = 'US'
+              AND status IN (${COUNTED_STATUSES.map(() => '?').join(', ')})
+              AND created_at >= ? AND created_at < ?
+            GROUP BY state
+        `, [...COUNTED_STATUSES, `${year}-01-01`, `${year + 1}-01-01`]);
+
+        return new Map(rows.filter(row => row.state).map(row => [row.state, {
+            sales: Math.round(Number(row.sales) * 100) / 100,
+            transactions: Number(row.transactions)
+        }]));
+    }
+
+    // How far a state's totals are towards its threshold (1 = crossed)
+    progress(totals, threshold) {
+        const salesRatio = totals.sales / threshold.sales;
+        if (!threshold.transactions) {
+            return salesRatio;
+        }
+        const transactionRatio = totals.transactions / threshold.transactions;
+        return threshold.requireBoth
+            ? Math.min(salesRatio, transactionRatio)
+            : Math.max(salesRatio, transactionRatio);
+    }
+
+    /**
+     * Nexus position for every tracked state
+     * @param {number} year - Calendar year to report on (defaults to the current year)
+     * @returns {Array} [{ state, threshold, currentYear, previousYear, progress, status, registered }]
+     *   status is 'exceeded', 'approaching' or 'below'
+     */
+    async getReport(year = new Date().getFullYear()) {
+        const [current, previous] = await Promise.all([
+            this.getStateTotals(year),
+            this.getStateTotals(year - 1)
+        ]);
+        const registered = await db.all('SELECT state FROM tax_registrations WHERE is_active = 1');
+        const registeredStates = new Set(registered.map(registration => registration.state));
+
+        const empty = { sales: 0, transactions: 0 };
+
+        return Object.entries(ECONOMIC_NEXUS_THRESHOLDS).map(([state, threshold]) => {
+            const currentYear = current.get(state) || empty;
+            const previousYear = previous.get(state) || empty;
+            const progress = Math.max(this.progress(currentYear, threshold), this.progress(previousYear, threshold));
+
+            let status = 'below';
+            if (progress >= 1) {
+                status = 'exceeded';
+            } else if (progress >= this.warningRatio) {
+                status = 'approaching';
+            }
+
+            return {
+                state,
+                threshold,
+                currentYear,
+                previousYear,
+                progress: Math.round(progress * 1000) / 1000,
+                status,
+                registered: registeredStates.has(state)
+            };
+        }).sort((a, b) => b.progress - a.progress);
+    }
+
+    /**
+     * Job: warn about unregistered states that are approaching or over their
+     * threshold. Each state/year/level is only reported once.
+     */
+    async checkThresholds() {
+        // Keep this instance's rates and registrations fresh as well
+        await taxCalculator.load();
+
+        const year = new Date().getFullYear();
+        const report = await this.getReport(year);
+        const alerts = [];
+
+        for (const entry of report) {
+            if (entry.registered || entry.status === 'below') {
+                continue;
+            }
+
+            const result = await db.run(`
+                INSERT IGNORE INTO tax_nexus_alerts (state, period_year, level, sales, transactions)
+                VALUES (?, ?, ?, ?, ?)
+            `, [entry.state, year, entry.status, entry.currentYear.sales, entry.currentYear.transactions]);
+
+            if (result.changes > 0) {
+                alerts.push(entry);
+            }
+        }
+
+        if (alerts.length > 0) {
+            const lines = alerts.map(entry => {
+                const { sales, transactions } = entry.currentYear;
+                const limit = entry.threshold.transactions
+                    ? `$${entry.threshold.sales} ${entry.threshold.requireBoth ? 'and' : 'or'} ${entry.threshold.transactions} orders`
+                    : `$${entry.threshold.sales}`;
+                return `${entry.state}: ${entry.status} - $${sales.toFixed(2)} / ${transactions} orders this year (threshold ${limit})`;
+            });
+
+            console.warn('Economic nexus thresholds:\n' + lines.join('\n'));
+
+            if (this.alertEmail) {
+                await sendEmail({
+                    to: this.alertEmail,
+                    subject: `Sales tax nexus alert: ${alerts.map(entry => entry.state).join(', ')}`,
+                    text: `The following states are approaching or over their economic nexus threshold and are not registered for sales tax:\n\n${lines.join('\n')}\n`
+                });
+            }
+        }
+
+        return { alerts: alerts.length };
+    }
+}
+
+// Create singleton instance
+export const nexusTracker = new NexusTracker({
+    warningRatio: parseFloat(process.env.TAX_NEXUS_WARNING_RATIO) || 0.8,
+    alertEmail: process.env.TAX_ALERT_EMAIL || process.env.BOOKING_EMAIL || null
+});
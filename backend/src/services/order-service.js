@@ -0,0 +1,287 @@
+/**
+ * Order Service
+ * The one place shop orders are priced and created. Checkout
+ * (/api/checkout/calculate, /create-session and /complete) and the older
+ * POST /api/shop/orders both go through it, so a cart gets the same prices,
+ * shipping and tax whichever way it is ordered.
+ *
+ * price() works out catalog prices, discounts, shipping and tax in the
+ * shopper's currency. place() takes the stock, records the order and uses up
+ * its promotions in one transaction. confirm() hands a placed order to
+ * fulfillment and emails the customer.
+ *
+ * Orders from POST /api/shop/orders are not paid for, so they get no
+ * promotions and take no stock until an admin accepts them (accept()).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { catalog } from './catalog.js';
+import { inventory } from './inventory.js';
+import { promotions } from './promotions.js';
+import { shippingCalculator } from './shipping-calculator.js';
+import { taxCalculator } from './tax-calculator.js';
+import { currencyConverter } from './currency.js';
+import { fulfillment } from './fulfillment.js';
+import { digitalDelivery } from './digital-delivery.js';
+import { customerOrders } from './customer-orders.js';
+import { checkoutRecovery } from './checkout-recovery.js';
+import { sendOrderConfirmation } from '../utils/email.js';
+
+export const LOCATION_CONFLICT_ERROR = 'We could not confirm your country for VAT on digital items. Make sure your billing address is where you live.';
+
+// Columns place() fills in (anything not given is stored as NULL)
+const ORDER_COLUMNS = [
+    'customer_email', 'customer_name', 'customer_phone',
+    'shipping_address', 'billing_address', 'items',
+    'subtotal', 'discount', 'promotion_code', 'shipping', 'tax', 'tax_details', 'vat_id', 'total', 'shipping_method',
+    'currency', 'exchange_rate', 'prices_include_tax',
+    'payment_provider', 'payment_intent_id', 'world_user_id'
+];
+
+const orderError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Promotions result for carts priced without promotions
+const NO_PROMOTIONS = { discount: 0, freeShipping: false, code: null, promotions: [] };
+
+// Country the request came from, as reported by the CDN or proxy in front of us
+export const requestCountry = (req) => {
+    const country = String(req.get(process.env.GEOIP_COUNTRY_HEADER || 'CF-IPCountry') || '').toUpperCase();
+    // XX = unknown, T1 = Tor
+    return /^[A-Z]{2}$/.test(country) && !['XX', 'T1'].includes(country) ? country : null;
+};
+
+// Where the buyer of digital items is, for VAT. The delivery country only
+// counts as separate evidence when a different billing address was given.
+const locationEvidence = ({ country, billingCountry, ipCountry, items }) => ({
+    billingCountry: billingCountry || country,
+    ipCountry,
+    shippingCountry: billingCountry && items.some(item => !item.isDigital) ? country : null
+});
+
+// Digital items' share of the discounted subtotal
+const digitalSubtotal = (items, subtotal, discountedSubtotal) => {
+    const digital = items.filter(item => item.isDigital).reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return subtotal > 0 ? Math.round(digital * discountedSubtotal / subtotal * 100) / 100 : 0;
+};
+
+export class OrderService {
+    generateNumber() {
+        return 'WXC-' + uuidv4().substring(0, 8).toUpperCase();
+    }
+
+    // Convert a cart priced in the base currency into the shopper's currency.
+    // EU, UK and Australian shoppers get prices with VAT/GST included.
+    presentCart(currency, { items, discount, shippingCost, country, vatId }) {
+        const pricesIncludeTax = taxCalculator.pricesIncludeTax(country, vatId);
+        return {
+            pricesIncludeTax,
+            ...currencyConverter.presentCart({
+                items,
+                discount,
+                shipping: shippingCost,
+                currency,
+                taxRate: pricesIncludeTax ? taxCalculator.getTaxRate(country) : 0
+            })
+        };
+    }
+
+    /**
+     * Price a cart for delivery to an address
+     * @param {Object} params
+     * @param {Array} params.items - [{ productId, variantId, quantity }]
+     * @param {string} params.country - Destination country (state and postalCode refine it)
+     * @param {Object} params.address - Full shipping address, for live POD quotes
+     * @param {string} params.promotionCode - Discount code entered by the shopper
+     * @param {string} params.tier - Member tier, for member discounts
+     * @param {string} params.sessionId - Checkout session, so its own promotion holds are not counted against it
+     * @param {string} params.currency - Currency to price in (defaults to the base currency)
+     * @param {string} params.billingCountry - Billing country, when different from the destination
+     * @param {string} params.ipCountry - Country of the request (see requestCountry())
+     * @param {boolean} params.requireLocation - Refuse carts whose VAT location evidence conflicts
+     * @param {boolean} params.applyPromotions - False to price without discounts (unpaid orders)
+     * @returns {Object} { currency, baseItems, items, subtotal, discount, applied, shipping, shippingCost, tax, total, pricesIncludeTax }
+     *   Everything except baseItems and shipping (the quote) is in the shopper's currency.
+     * @throws {Error} status 400 for unknown products, unshippable carts or conflicting location evidence
+     */
+    async price({
+        items, country, state = null, postalCode = null, address = null, shippingMethod = 'standard',
+        promotionCode = null, email = null, tier = 'free', sessionId = null, currency: currencyCode = null,
+        vatId = null, billingCountry = null, ipCountry = null, requireLocation = false, applyPromotions = true
+    }) {
+        const currency = await currencyConverter.resolve(currencyCode);
+
+        // Calculate subtotal from items
+        const { items: baseItems, subtotal, totalWeight } = await catalog.priceItems(items);
+
+        // Apply discount codes and member discounts (before shipping and tax)
+        const applied = applyPromotions
+            ? await promotions.evaluate({ items: baseItems, code: promotionCode, tier, email, sessionId })
+            : NO_PROMOTIONS;
+        const discountedSubtotal = subtotal - applied.discount;
+
+        // Calculate shipping
+        const shipping = await shippingCalculator.calculateForCart({
+            country,
+            state,
+            postalCode,
+            address,
+            weight: totalWeight,
+            subtotal: discountedSubtotal,
+            method: shippingMethod,
+            items: baseItems
+        });
+        const shippingCost = applied.freeShipping ? 0 : shipping.total;
+
+        // Everything from here on is in the shopper's currency
+        const cart = this.presentCart(currency, { items: baseItems, discount: applied.discount, shippingCost, country, vatId });
+        const cartSubtotal = cart.subtotal - cart.discount;
+
+        // Calculate tax
+        const tax = taxCalculator.calculate({
+            subtotal: cartSubtotal,
+            country,
+            state,
+            postalCode,
+            shipping: cart.shipping,
+            digitalSubtotal: digitalSubtotal(cart.items, cart.subtotal, cartSubtotal),
+            evidence: locationEvidence({ country, billingCountry, ipCountry, items: cart.items }),
+            vatId,
+            pricesIncludeTax: cart.pricesIncludeTax
+        });
+
+        if (requireLocation && tax.location && tax.location.conflict) {
+            throw orderError(LOCATION_CONFLICT_ERROR);
+        }
+
+        return {
+            currency,
+            baseItems,
+            items: cart.items,
+            subtotal: cart.subtotal,
+            discount: cart.discount,
+            applied,
+            shipping,
+            shippingCost: cart.shipping,
+            tax,
+            total: Math.round(tax.total * 100) / 100,
+            pricesIncludeTax: cart.pricesIncludeTax
+        };
+    }
+
+    // Tax result as kept with the order (VAT evidence included)
+    taxDetails(tax, ipAddress = null) {
+        return {
+            jurisdiction: tax.jurisdiction,
+            breakdown: tax.breakdown,
+            location: tax.location ? { ...tax.location, ipAddress } : null,
+            digital: tax.digital || null,
+            reverseCharge: Boolean(tax.reverseCharge)
+        };
+    }
+
+    /**
+     * Create an order. Takes the stock, inserts the order and uses up its
+     * promotions in one transaction.
+     * @param {Object} fields - orders columns (see ORDER_COLUMNS), plus status (default 'pending')
+     * @param {Object} options
+     * @param {string} options.sessionId - Checkout session being completed. It is closed in the
+     *   same transaction, and its stock and promotion holds become the order's.
+     * @param {Array} options.promotions - Promotions to use up, for orders placed without a session
+     * @param {boolean} options.takeStock - False to leave the stock until the order is accepted (unpaid orders)
+     * @returns {Object} The new orders row
+     * @throws {Error} status 409 when the session was already completed or stock/promotions ran out
+     */
+    async place(fields, { sessionId = null, promotions: applied = [], takeStock = true } = {}) {
+        const items = typeof fields.items === 'string' ? JSON.parse(fields.items) : fields.items;
+        const orderNumber = this.generateNumber();
+
+        // Signed-in members keep their orders; guests with a verified member email are linked too
+        const worldUserId = fields.world_user_id || await customerOrders.verifiedAccountId(fields.customer_email);
+
+        // Without a checkout session, hold the promotions under the order number while it is placed
+        const reference = sessionId || orderNumber;
+        if (!sessionId) {
+            await promotions.reserve(reference, { promotions: applied, email: fields.customer_email, worldUserId });
+        }
+
+        let orderId;
+        try {
+            orderId = await db.transaction(async (connection) => {
+                if (sessionId) {
+                    // Deleting first makes a concurrent /complete for the same session wait, then find nothing
+                    const [deleted] = await connection.execute('DELETE FROM checkout_sessions WHERE session_id = ?', [sessionId]);
+                    if (deleted.affectedRows === 0) {
+                        throw orderError('Checkout session already completed', 409);
+                    }
+                }
+
+                if (takeStock) {
+                    await inventory.commit(connection, sessionId, items);
+                }
+
+                const values = {
+                    ...fields,
+                    items: JSON.stringify(items),
+                    world_user_id: worldUserId
+                };
+                const [result] = await connection.execute(`
+                    INSERT INTO orders (order_number, ${ORDER_COLUMNS.join(', ')}, status, stock_taken)
+                    VALUES (?, ${ORDER_COLUMNS.map(() => '?').join(', ')}, ?, ?)
+                `, [orderNumber, ...ORDER_COLUMNS.map(column => values[column] ?? null), fields.status || 'pending', takeStock ? 1 : 0]);
+
+                await promotions.redeem(connection, reference, result.insertId);
+                return result.insertId;
+            });
+        } catch (error) {
+            if (!sessionId) {
+                await promotions.release(reference);
+            }
+            throw error;
+        }
+
+        return db.get('SELECT * FROM orders WHERE id = ?', [orderId]);
+    }
+
+    /**
+     * Accept an unpaid order (paid outside the shop), taking its stock if
+     * place() left it
+     * @param {Object} order - orders row, still pending
+     * @param {string} status - Status to move it to
+     * @returns {boolean} False if the order was no longer pending
+     * @throws {Error} status 409 when the stock has run out since
+     */
+    async accept(order, status) {
+        return db.transaction(async (connection) => {
+            const [result] = await connection.execute(`
+                UPDATE orders SET status = ?, stock_taken = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'pending'
+            `, [status, order.id]);
+            if (result.affectedRows === 0) {
+                return false;
+            }
+            if (!order.stock_taken) {
+                const items = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
+                await inventory.commit(connection, null, items);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * After an order is placed: paid orders go to the POD providers, get
+     * their download links and count towards checkout reminders, and the
+     * customer is emailed a confirmation
+     */
+    async confirm(order) {
+        if (order.status === 'paid') {
+            fulfillment.queue(order.id);
+            digitalDelivery.queue(order.id);
+            await checkoutRecovery.markRecovered(order);
+        }
+        await sendOrderConfirmation(order);
+    }
+}
+
+// Create singleton instance
+export const orderService = new OrderService();
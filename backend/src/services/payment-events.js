@@ -0,0 +1,245 @@
+/**
+ * Payment Event Processing
+ * Applies payment outcomes (from webhooks or server-side captures) to the
+ * payment intent and to whatever it paid for: orders, tips, PPV unlocks or
+ * memberships.
+ * Membership events are handed to the membership billing service.
+ */
+
+import db from '../config/database.js';
+import { membershipBilling } from './membership-billing.js';
+import { fulfillment } from './fulfillment.js';
+import { refunds } from './refunds.js';
+import { digitalDelivery } from './digital-delivery.js';
+
+// Intent status implied by each normalized webhook event type
+const INTENT_STATUS_FOR_EVENT = {
+    'payment.succeeded': 'succeeded',
+    'payment.failed': 'failed',
+    'payment.refunded': 'refunded',
+    'payment.chargeback': 'chargeback'
+};
+
+// Processor-managed subscription events, applied to the membership directly
+const SUBSCRIPTION_EVENTS = [
+    'subscription.renewed',
+    'subscription.renewal_failed',
+    'subscription.cancelled',
+    'subscription.expired'
+];
+
+// Allowed status transitions (anything not listed is rejected)
+const INTENT_TRANSITIONS = {
+    requires_payment: ['succeeded', 'failed'],
+    // Claimed by verifyIntent while a card token is charged
+    capturing: ['succeeded', 'failed'],
+    failed: ['succeeded'],
+    succeeded: ['refunded', 'chargeback'],
+    refunded: ['chargeback']
+};
+
+export const ORDER_TRANSITIONS = {
+    pending: ['paid', 'failed', 'cancelled'],
+    failed: ['paid'],
+    paid: ['processing', 'shipped', 'delivered', 'refunded', 'chargeback'],
+    processing: ['shipped', 'delivered', 'refunded', 'chargeback'],
+    shipped: ['delivered', 'refunded', 'chargeback'],
+    delivered: ['refunded', 'chargeback'],
+    refunded: ['chargeback']
+};
+
+const TIP_TRANSITIONS = {
+    pending: ['paid', 'failed'],
+    failed: ['paid'],
+    paid: ['refunded', 'chargeback'],
+    refunded: ['chargeback']
+};
+
+// Status of the paid-for record for each intent status
+const ORDER_STATUS_FOR_INTENT = { succeeded: 'paid', failed: 'failed', refunded: 'refunded', chargeback: 'chargeback' };
+const TIP_STATUS_FOR_INTENT = { succeeded: 'paid', failed: 'failed', refunded: 'refunded', chargeback: 'chargeback' };
+
+// PPV post and paid message unlocks move like tips
+const PPV_TRANSITIONS = TIP_TRANSITIONS;
+const MESSAGE_UNLOCK_TRANSITIONS = TIP_TRANSITIONS;
+
+/**
+ * Check a status change against a transition table
+ * @returns {string} 'apply', 'noop' (already there) or 'reject'
+ */
+export function checkTransition(transitions, from, to) {
+    if (from === to) {
+        return 'noop';
+    }
+    return (transitions[from] || []).includes(to) ? 'apply' : 'reject';
+}
+
+/**
+ * Move a row to a new status if the transition is allowed.
+ * The UPDATE is conditional on the current status so concurrent events
+ * cannot both apply.
+ */
+async function transitionRow(table, transitions, row, toStatus) {
+    const decision = checkTransition(transitions, row.status, toStatus);
+    if (decision !== 'apply') {
+        return { changed: false, decision, from: row.status, to: toStatus };
+    }
+
+    const result = await db.run(`
+        UPDATE ${table}
+        SET status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = ?
+    `, [toStatus, row.id, row.status]);
+
+    return { changed: result.changes > 0, decision, from: row.status, to: toStatus };
+}
+
+export async function transitionOrder(order, toStatus) {
+    return transitionRow('orders', ORDER_TRANSITIONS, order, toStatus);
+}
+
+async function applyToCheckout(intent, status) {
+    // The order only exists once /complete has run; until then the intent
+    // status alone is what /complete verifies against.
+    const order = await db.get('SELECT * FROM orders WHERE payment_intent_id = ?', [intent.intent_id]);
+    if (!order) {
+        return { target: 'checkout', changed: false };
+    }
+
+    // Refunds issued from the admin settle here; the order only becomes
+    // refunded once all of it has been given back
+    if (status === 'refunded' && Number(order.refunded_amount) > 0) {
+        await refunds.settlePending(order.id);
+        if (Number(order.refunded_amount) < Number(order.total)) {
+            return { target: 'order', id: order.id, changed: false, decision: 'partial' };
+        }
+    }
+
+    const result = await transitionOrder(order, ORDER_STATUS_FOR_INTENT[status]);
+    if (result.changed && result.to === 'paid') {
+        fulfillment.queue(order.id);
+        digitalDelivery.queue(order.id);
+    }
+    return { target: 'order', id: order.id, ...result };
+}
+
+async function applyToTip(intent, status) {
+    const tip = await db.get('SELECT * FROM world_tips WHERE id = ?', [intent.reference_id]);
+    if (!tip) {
+        return { target: 'tip', changed: false, decision: 'missing' };
+    }
+
+    const result = await transitionRow('world_tips', TIP_TRANSITIONS, tip, TIP_STATUS_FOR_INTENT[status]);
+    if (result.changed && status === 'succeeded') {
+        await db.run('UPDATE world_tips SET stripe_payment_id = ? WHERE id = ?', [intent.intent_id, tip.id]);
+    }
+    return { target: 'tip', id: tip.id, ...result };
+}
+
+async function applyToPpvUnlock(intent, status) {
+    const unlock = await db.get('SELECT * FROM world_ppv_unlocks WHERE id = ?', [intent.reference_id]);
+    if (!unlock) {
+        return { target: 'ppv', changed: false, decision: 'missing' };
+    }
+
+    const result = await transitionRow('world_ppv_unlocks', PPV_TRANSITIONS, unlock, TIP_STATUS_FOR_INTENT[status]);
+    if (result.changed && status === 'succeeded') {
+        await db.run(
+            'UPDATE world_ppv_unlocks SET payment_intent_id = ?, unlocked_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [intent.intent_id, unlock.id]
+        );
+    }
+    return { target: 'ppv', id: unlock.id, ...result };
+}
+
+async function applyToMessageUnlock(intent, status) {
+    const unlock = await db.get('SELECT * FROM world_message_unlocks WHERE id = ?', [intent.reference_id]);
+    if (!unlock) {
+        return { target: 'message', changed: false, decision: 'missing' };
+    }
+
+    const result = await transitionRow('world_message_unlocks', MESSAGE_UNLOCK_TRANSITIONS, unlock, TIP_STATUS_FOR_INTENT[status]);
+    if (result.changed && status === 'succeeded') {
+        await db.run(
+            'UPDATE world_message_unlocks SET payment_intent_id = ?, unlocked_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [intent.intent_id, unlock.id]
+        );
+    }
+    return { target: 'message', id: unlock.id, ...result };
+}
+
+// Membership lifecycles (periods, upgrades, renewals) live in the billing service
+const applyToMembership = (intent, status) => membershipBilling.applyPayment(intent, status);
+
+const REFERENCE_HANDLERS = {
+    checkout: applyToCheckout,
+    tip: applyToTip,
+    ppv: applyToPpvUnlock,
+    message: applyToMessageUnlock,
+    membership: applyToMembership,
+    membership_renewal: applyToMembership,
+    membership_upgrade: applyToMembership
+};
+
+/**
+ * Record a new intent status and propagate it to the paid-for record
+ * @param {Object} intent - payment_intents row
+ * @param {string} status - New intent status
+ * @param {string} providerIntentId - Processor transaction/subscription id, if known
+ */
+export async function applyIntentStatus(intent, status, providerIntentId = null) {
+    const decision = checkTransition(INTENT_TRANSITIONS, intent.status, status);
+    if (decision === 'reject') {
+        return { applied: false, reason: `Intent cannot move from ${intent.status} to ${status}` };
+    }
+
+    if (decision === 'apply' || (providerIntentId && !intent.provider_intent_id)) {
+        await db.run(`
+            UPDATE payment_intents
+            SET status = ?, provider_intent_id = COALESCE(provider_intent_id, ?), updated_at = CURRENT_TIMESTAMP
+            WHERE intent_id = ?
+        `, [status, providerIntentId, intent.intent_id]);
+    }
+
+    const handler = REFERENCE_HANDLERS[intent.reference_type];
+    const target = handler
+        ? await handler({ ...intent, provider_intent_id: intent.provider_intent_id || providerIntentId }, status)
+        : null;
+
+    return { applied: true, intentStatus: status, target };
+}
+
+/**
+ * Apply a normalized webhook event
+ * @param {string} providerName - Provider the webhook came from
+ * @param {Object} event - Output of provider.parseWebhook()
+ */
+export async function applyPaymentEvent(providerName, event) {
+    const status = INTENT_STATUS_FOR_EVENT[event.type];
+    const isSubscriptionEvent = SUBSCRIPTION_EVENTS.includes(event.type);
+    if (!status && !isSubscriptionEvent) {
+        return { applied: false, reason: `Unsupported event type ${event.type}` };
+    }
+
+    let intent = null;
+    if (event.intentId) {
+        intent = await db.get('SELECT * FROM payment_intents WHERE intent_id = ? AND provider = ?', [event.intentId, providerName]);
+    }
+    if (!intent && event.providerIntentId) {
+        intent = await db.get('SELECT * FROM payment_intents WHERE provider = ? AND provider_intent_id = ?', [providerName, event.providerIntentId]);
+    }
+    if (!intent) {
+        return { applied: false, reason: 'No matching payment intent' };
+    }
+
+    if (isSubscriptionEvent) {
+        // Rebills and cancellations refer back to the subscription's first payment
+        if (intent.reference_type !== 'membership') {
+            return { applied: false, reason: `Subscription event for ${intent.reference_type} intent` };
+        }
+        const target = await membershipBilling.applySubscriptionEvent(intent, event);
+        return { applied: true, target };
+    }
+
+    return applyIntentStatus(intent, status, event.providerIntentId);
+}
@@ -0,0 +1,781 @@
+/**
+ * Payment Provider Integrations
+ * Supports: CCBill, Segpay, Epoch, NMI-compatible card gateways, local mock
+ *
+ * Intents are recorded in the payment_intents table, which is the source of
+ * truth for whether something has been paid. Hosted payment pages (CCBill,
+ * Segpay, Epoch) report results via postbacks; card gateways and the mock
+ * provider are charged server-side with a client token.
+ */
+
+import crypto from 'crypto';
+import db from '../config/database.js';
+
+// ISO 4217 numeric codes (CCBill expects numeric currency codes)
+const NUMERIC_CURRENCY_CODES = {
+    USD: '840',
+    EUR: '978',
+    GBP: '826',
+    CAD: '124',
+    AUD: '036',
+    JPY: '392'
+};
+
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+// Charging in a currency the processor cannot bill is refused, never converted silently
+const unsupportedCurrency = (provider, currency) => Object.assign(
+    new Error(`${provider} cannot take payments in ${currency}`),
+    { status: 400 }
+);
+
+// Constant-time comparison of hex signatures
+const signaturesMatch = (received, expected) => {
+    const a = Buffer.from(String(received || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Base payment provider class
+class PaymentProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        // Hosted processors rebill subscriptions themselves at the price they were started with
+        this.rebillsSubscriptions = false;
+    }
+
+    /**
+     * Start a payment with the processor
+     * @returns {Object} { providerIntentId, redirectUrl, requiresToken, status }
+     */
+    async createIntent() {
+        throw new Error(`${this.name} does not support creating payments`);
+    }
+
+    /**
+     * Look up the current status of a payment at the processor.
+     * Hosted payment pages only report results through postbacks, so by
+     * default the locally recorded status is returned unchanged.
+     */
+    async fetchStatus(intent) {
+        return { status: intent.status };
+    }
+
+    /**
+     * Capture a payment using a client-side token (card gateways only)
+     */
+    async capture() {
+        throw new Error(`${this.name} does not support token capture`);
+    }
+
+    /**
+     * Refund all or part of a captured payment.
+     * Hosted payment pages are refunded from the processor's merchant portal,
+     * so by default the refund stays pending until their refund postback arrives.
+     * @returns {Object} { status: 'succeeded' | 'pending' | 'failed', providerRefundId, message }
+     */
+    async refund() {
+        return {
+            status: 'pending',
+            providerRefundId: null,
+            message: `Issue the refund in the ${this.name} merchant portal`
+        };
+    }
+
+    /**
+     * Verify a webhook's HMAC-SHA256 signature over the raw request body.
+     * The signature is read from X-Webhook-Signature (optionally "sha256=" prefixed).
+     */
+    verifyWebhook(rawBody, headers) {
+        if (!this.config.webhookSecret) {
+            return false;
+        }
+        const received = String(headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+        const expected = crypto.createHmac('sha256', this.config.webhookSecret)
+            .update(rawBody || '')
+            .digest('hex');
+        return signaturesMatch(received, expected);
+    }
+
+    /**
+     * Fields to parse from a verified webhook. Only the signed body by
+     * default: providers that send details in the query string must cover it
+     * in their own verifyWebhook before using it here.
+     */
+    webhookPayload(body) {
+        return body;
+    }
+
+    /**
+     * Normalize a webhook payload
+     * @returns {Object|null} { id, type, intentId, providerIntentId, amount, currency }
+     * or null for notifications that carry no payment outcome
+     */
+    parseWebhook() {
+        return null;
+    }
+}
+
+// ============================================
+// CCBILL Integration (FlexForms dynamic pricing)
+// https://ccbill.com/doc/dynamic-pricing
+// ============================================
+export class CCBillProvider extends PaymentProvider {
+    constructor({ accountNumber, subAccount, flexFormId, salt, webhookSecret }) {
+        super('CCBill', { accountNumber, subAccount, flexFormId, salt, webhookSecret });
+        this.rebillsSubscriptions = true;
+    }
+
+    async createIntent({ intentId, amount, currency = 'USD', email, recurring }) {
+        const currencyCode = NUMERIC_CURRENCY_CODES[currency];
+        if (!currencyCode) {
+            throw unsupportedCurrency(this.name, currency);
+        }
+        const initialPrice = formatAmount(amount);
+        const pricing = { initialPrice, initialPeriod: recurring ? String(recurring.periodDays) : '2' };
+
+        if (recurring) {
+            // Recurring sales rebill the same amount every period until cancelled
+            pricing.recurringPrice = initialPrice;
+            pricing.recurringPeriod = String(recurring.periodDays);
+            pricing.numRebills = '99';
+        }
+
+        const formDigest = crypto.createHash('md5')
+            .update(Object.values(pricing).join('') + currencyCode + this.config.salt)
+            .digest('hex');
+
+        const params = new URLSearchParams({
+            clientAccnum: this.config.accountNumber,
+            clientSubacc: this.config.subAccount,
+            ...pricing,
+            currencyCode,
+            formDigest,
+            email: email || '',
+            // Custom fields are echoed back in CCBill webhooks
+            intent_id: intentId
+        });
+
+        return {
+            providerIntentId: null,
+            redirectUrl: `https://api.ccbill.com/wap-frontflex/flexforms/${this.config.flexFormId}?${params}`,
+            status: 'requires_payment'
+        };
+    }
+
+    // CCBill sends the event type in the query string, so the signature covers
+    // "<query string>.<raw body>"
+    verifyWebhook(rawBody, headers, rawQuery = '') {
+        if (!this.config.webhookSecret) {
+            return false;
+        }
+        const received = String(headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+        const expected = crypto.createHmac('sha256', this.config.webhookSecret)
+            .update(`${rawQuery}.${rawBody || ''}`)
+            .digest('hex');
+        return signaturesMatch(received, expected);
+    }
+
+    webhookPayload(body, query) {
+        return { ...query, ...body };
+    }
+
+    // https://ccbill.com/doc/webhooks-user-guide
+    parseWebhook(payload) {
+        const types = {
+            NewSaleSuccess: 'payment.succeeded',
+            NewSaleFailure: 'payment.failed',
+            Refund: 'payment.refunded',
+            Void: 'payment.refunded',
+            Chargeback: 'payment.chargeback',
+            RenewalSuccess: 'subscription.renewed',
+            RenewalFailure: 'subscription.renewal_failed',
+            Cancellation: 'subscription.cancelled',
+            Expiration: 'subscription.expired'
+        };
+        const type = types[payload.eventType];
+        if (!type) {
+            return null;
+        }
+
+        return {
+            id: `${payload.eventType}:${payload.transactionId || payload.subscriptionId}`,
+            type,
+            intentId: payload['X-intent_id'] || payload.intent_id || null,
+            providerIntentId: payload.subscriptionId || payload.transactionId,
+            amount: payload.billedInitialPrice || payload.amount || null,
+            currency: payload.billedCurrency || null
+        };
+    }
+}
+
+// ============================================
+// SEGPAY Integration (dynamic pricing)
+// https://gethelp.segpay.com/docs/Content/DeveloperDocs/DynamicPricing.htm
+// ============================================
+export class SegpayProvider extends PaymentProvider {
+    constructor({ packageId, pricePointId, webhookSecret }) {
+        super('Segpay', { packageId, pricePointId, webhookSecret });
+        this.rebillsSubscriptions = true;
+    }
+
+    // Dynamic prices are always billed in US dollars
+    async createIntent({ intentId, amount, currency = 'USD', description, email }) {
+        if (currency !== 'USD') {
+            throw unsupportedCurrency(this.name, currency);
+        }
+        const price = formatAmount(amount);
+
+        // Dynamic prices must be signed by Segpay's pricing hash service
+        const response = await fetch(`https://srs.segpay.com/PricingHash/PricingHash.svc/GetDynamicTrans?value=${price}`);
+        if (!response.ok) {
+            throw new Error('Segpay pricing hash request failed');
+        }
+        const hash = (await response.text()).replace(/<[^>]+>/g, '').trim();
+
+        const params = new URLSearchParams({
+            'x-eticketid': `${this.config.packageId}:${this.config.pricePointId}`,
+            amount: price,
+            dynamictrans: hash,
+            dynamicdesc: description || 'Order',
+            'x-billemail': email || '',
+            // Pass-through reference returned in Segpay postbacks
+            REF1: intentId
+        });
+
+        return {
+            providerIntentId: null,
+            redirectUrl: `https://secure2.segpay.com/billing/poset.cgi?${params}`,
+            status: 'requires_payment'
+        };
+    }
+
+    // Segpay postbacks report a transaction stage plus an approved flag;
+    // membership cancellations and expirations arrive as Cancel/Disable actions
+    parseWebhook(payload) {
+        const action = String(payload.action || '').toLowerCase();
+        const stage = String(payload.stage || action).toLowerCase();
+        const approved = String(payload.approved || '').toLowerCase() === 'yes';
+
+        let type = null;
+        if (action === 'cancel') {
+            type = 'subscription.cancelled';
+        } else if (action === 'disable') {
+            type = 'subscription.expired';
+        } else if (stage === 'initial' || stage === 'conversion') {
+            type = approved ? 'payment.succeeded' : 'payment.failed';
+        } else if (stage === 'rebill') {
+            type = approved ? 'subscription.renewed' : 'subscription.renewal_failed';
+        } else if (stage === 'refund' || stage === 'void') {
+            type = 'payment.refunded';
+        } else if (stage === 'chargeback') {
+            type = 'payment.chargeback';
+        }
+        if (!type) {
+            return null;
+        }
+
+        return {
+            id: `${stage}:${payload.tranid || payload.purchaseid}`,
+            type,
+            intentId: payload.REF1 || payload.ref1 || null,
+            providerIntentId: payload.purchaseid,
+            amount: payload.price || null,
+            currency: payload.currencycode || null
+        };
+    }
+}
+
+// ============================================
+// EPOCH Integration (FlexPost)
+// https://epoch.com/merchant-support
+// ============================================
+export class EpochProvider extends PaymentProvider {
+    constructor({ companyCode, productCode, hmacKey, webhookSecret, currencies = ['USD'] }) {
+        super('Epoch', { companyCode, productCode, hmacKey, webhookSecret, currencies });
+        this.rebillsSubscriptions = true;
+    }
+
+    // The product code only bills in the currencies enabled on the Epoch account
+    async createIntent({ intentId, amount, currency = 'USD', email, returnUrl }) {
+        if (!this.config.currencies.includes(currency)) {
+            throw unsupportedCurrency(this.name, currency);
+        }
+        const fields = {
+            api: 'join',
+            co_code: this.config.companyCode,
+            pi_code: this.config.productCode,
+            reseller: 'a',
+            amount: formatAmount(amount),
+            currency,
+            email: email || '',
+            pi_returnurl: returnUrl || '',
+            x_intent_id: intentId
+        };
+
+        // Epoch signs FlexPost requests with an HMAC over the sorted fields
+        const digestSource = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+        const epochDigest = crypto.createHmac('md5', this.config.hmacKey).update(digestSource).digest('hex');
+
+        const params = new URLSearchParams({ ...fields, epoch_digest: epochDigest });
+
+        return {
+            providerIntentId: null,
+            redirectUrl: `https://wnu.com/secure/fpost.cgi?${params}`,
+            status: 'requires_payment'
+        };
+    }
+
+    // Epoch postbacks: "ans" starts with Y when approved; credits and chargebacks carry an event type
+    parseWebhook(payload) {
+        const eventType = String(payload.event_type || 'sale').toLowerCase();
+
+        const approved = String(payload.ans || '').startsWith('Y');
+
+        let type;
+        if (eventType === 'credit') {
+            type = 'payment.refunded';
+        } else if (eventType === 'chargeback') {
+            type = 'payment.chargeback';
+        } else if (eventType === 'rebill') {
+            type = approved ? 'subscription.renewed' : 'subscription.renewal_failed';
+        } else if (eventType === 'cancel') {
+            type = 'subscription.cancelled';
+        } else {
+            type = approved ? 'payment.succeeded' : 'payment.failed';
+        }
+
+        return {
+            id: `${eventType}:${payload.transaction_id || payload.member_id}`,
+            type,
+            intentId: payload.x_intent_id || null,
+            providerIntentId: payload.member_id || payload.transaction_id,
+            amount: payload.amount || null,
+            currency: payload.currency || null
+        };
+    }
+}
+
+// ============================================
+// CARD GATEWAY Integration (NMI-compatible Payment API)
+// https://secure.nmi.com/merchants/resources/integration/integration_portal.php
+// ============================================
+export class CardGatewayProvider extends PaymentProvider {
+    constructor({ securityKey, apiUrl, webhookSecret }) {
+        super('Card', { securityKey, apiUrl: apiUrl || 'https://secure.nmi.com/api/transact.php', webhookSecret });
+    }
+
+    async createIntent() {
+        // Card details are tokenized in the browser, the charge happens on capture
+        return {
+            providerIntentId: null,
+            redirectUrl: null,
+            requiresToken: true,
+            status: 'requires_payment'
+        };
+    }
+
+    async request(fields) {
+        const response = await fetch(this.config.apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ security_key: this.config.securityKey, ...fields })
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.name} gateway error`);
+        }
+
+        return Object.fromEntries(new URLSearchParams(await response.text()));
+    }
+
+    async capture(intent, paymentToken) {
+        const result = await this.request({
+            type: 'sale',
+            amount: formatAmount(intent.amount),
+            currency: intent.currency,
+            payment_token: paymentToken,
+            // Echoed back as order_id in webhooks
+            orderid: intent.intent_id
+        });
+
+        return {
+            status: result.response === '1' ? 'succeeded' : 'failed',
+            providerIntentId: result.transactionid || null,
+            message: result.responsetext
+        };
+    }
+
+    async refund(intent, { amount }) {
+        const result = await this.request({
+            type: 'refund',
+            transactionid: intent.provider_intent_id,
+            amount: formatAmount(amount)
+        });
+
+        return {
+            status: result.response === '1' ? 'succeeded' : 'failed',
+            providerRefundId: result.transactionid || null,
+            message: result.responsetext
+        };
+    }
+
+    async fetchStatus(intent) {
+        if (!intent.provider_intent_id) {
+            return { status: intent.status };
+        }
+
+        const result = await this.request({
+            report_type: 'transaction',
+            transaction_id: intent.provider_intent_id
+        });
+
+        return { status: result.condition === 'complete' || result.condition === 'pendingsettlement' ? 'succeeded' : intent.status };
+    }
+
+    // NMI signs webhooks as "t=<nonce>,s=<hmac of nonce.body>"
+    verifyWebhook(rawBody, headers) {
+        if (!this.config.webhookSecret) {
+            return false;
+        }
+        const parts = Object.fromEntries(String(headers['webhook-signature'] || '')
+            .split(',')
+            .map(part => part.split('=')));
+        const expected = crypto.createHmac('sha256', this.config.webhookSecret)
+            .update(`${parts.t}.${rawBody || ''}`)
+            .digest('hex');
+        return Boolean(parts.t) && signaturesMatch(parts.s, expected);
+    }
+
+    parseWebhook(payload) {
+        const types = {
+            'transaction.sale.success': 'payment.succeeded',
+            'transaction.sale.failure': 'payment.failed',
+            'transaction.refund.success': 'payment.refunded',
+            'chargeback.batch.complete': 'payment.chargeback'
+        };
+        const type = types[payload.event_type];
+        if (!type) {
+            return null;
+        }
+
+        const eventBody = payload.event_body || {};
+        return {
+            id: payload.event_id,
+            type,
+            intentId: eventBody.order_id || null,
+            providerIntentId: eventBody.transaction_id || null,
+            amount: eventBody.action?.amount || null,
+            currency: eventBody.currency || null
+        };
+    }
+}
+
+// ============================================
+// MOCK Provider (local development and offline testing)
+// ============================================
+export class MockPaymentProvider extends PaymentProvider {
+    constructor({ webhookSecret } = {}) {
+        super('Mock', { webhookSecret });
+    }
+
+    async createIntent({ intentId }) {
+        // Behaves like a card gateway: pay by passing any token to /complete
+        return {
+            providerIntentId: `mock_${intentId}`,
+            redirectUrl: null,
+            requiresToken: true,
+            status: 'requires_payment'
+        };
+    }
+
+    async capture(intent, paymentToken) {
+        // Any token succeeds except ones containing "decline"
+        const declined = String(paymentToken).includes('decline');
+        return {
+            status: declined ? 'failed' : 'succeeded',
+            providerIntentId: intent.provider_intent_id,
+            message: declined ? 'Card declined' : 'Approved'
+        };
+    }
+
+    async refund(intent) {
+        return {
+            status: 'succeeded',
+            providerRefundId: `mock_refund_${crypto.randomUUID().replace(/-/g, '')}`,
+            message: 'Refunded'
+        };
+    }
+
+    // Mock webhooks are already in normalized form
+    parseWebhook(payload) {
+        if (!payload.id || !payload.type) {
+            return null;
+        }
+        return {
+            id: payload.id,
+            type: payload.type,
+            intentId: payload.intentId || null,
+            providerIntentId: payload.providerIntentId || null,
+            amount: payload.amount || null,
+            currency: payload.currency || null
+        };
+    }
+}
+
+// ============================================
+// Payment Manager - Unified Interface
+// ============================================
+export class PaymentManager {
+    constructor() {
+        this.providers = {};
+        this.defaultProvider = null;
+    }
+
+    // Register a provider
+    registerProvider(name, provider) {
+        this.providers[name] = provider;
+    }
+
+    // Initialize all providers from env
+    initFromEnv() {
+        if (process.env.CCBILL_ACCOUNT_NUMBER && process.env.CCBILL_FLEXFORM_ID && process.env.CCBILL_SALT) {
+            this.registerProvider('ccbill', new CCBillProvider({
+                accountNumber: process.env.CCBILL_ACCOUNT_NUMBER,
+                subAccount: process.env.CCBILL_SUBACCOUNT || '0000',
+                flexFormId: process.env.CCBILL_FLEXFORM_ID,
+                salt: process.env.CCBILL_SALT,
+                webhookSecret: process.env.CCBILL_WEBHOOK_SECRET
+            }));
+        }
+        if (process.env.SEGPAY_PACKAGE_ID && process.env.SEGPAY_PRICEPOINT_ID) {
+            this.registerProvider('segpay', new SegpayProvider({
+                packageId: process.env.SEGPAY_PACKAGE_ID,
+                pricePointId: process.env.SEGPAY_PRICEPOINT_ID,
+                webhookSecret: process.env.SEGPAY_WEBHOOK_SECRET
+            }));
+        }
+        if (process.env.EPOCH_CO_CODE && process.env.EPOCH_PI_CODE && process.env.EPOCH_HMAC_KEY) {
+            this.registerProvider('epoch', new EpochProvider({
+                companyCode: process.env.EPOCH_CO_CODE,
+                productCode: process.env.EPOCH_PI_CODE,
+                hmacKey: process.env.EPOCH_HMAC_KEY,
+                webhookSecret: process.env.EPOCH_WEBHOOK_SECRET,
+                currencies: (process.env.EPOCH_CURRENCIES || 'USD').split(',').map(code => code.trim().toUpperCase()).filter(Boolean)
+            }));
+        }
+        if (process.env.CARD_GATEWAY_SECURITY_KEY) {
+            this.registerProvider('card', new CardGatewayProvider({
+                securityKey: process.env.CARD_GATEWAY_SECURITY_KEY,
+                apiUrl: process.env.CARD_GATEWAY_URL,
+                webhookSecret: process.env.CARD_GATEWAY_WEBHOOK_SECRET
+            }));
+        }
+        // The mock provider approves any token, so it is only ever switched on by hand
+        if (process.env.PAYMENT_MOCK_ENABLED === 'true') {
+            if (process.env.MOCK_WEBHOOK_SECRET) {
+                this.registerProvider('mock', new MockPaymentProvider({
+                    webhookSecret: process.env.MOCK_WEBHOOK_SECRET
+                }));
+            } else {
+                console.warn('PAYMENT_MOCK_ENABLED is set without MOCK_WEBHOOK_SECRET; mock payments are off');
+            }
+        }
+
+        // Mock payments are only the default when PAYMENT_PROVIDER names them
+        const preferred = process.env.PAYMENT_PROVIDER;
+        this.defaultProvider = this.providers[preferred]
+            ? preferred
+            : this.getProviders().find(name => name !== 'mock') || null;
+    }
+
+    // Get provider
+    getProvider(name) {
+        return this.providers[name];
+    }
+
+    // Get all registered providers
+    getProviders() {
+        return Object.keys(this.providers);
+    }
+
+    // Whether memberships paid through this provider are rebilled by the processor
+    rebillsSubscriptions(name) {
+        return Boolean(this.providers[name] && this.providers[name].rebillsSubscriptions);
+    }
+
+    // Resolve a requested provider name, falling back to the default
+    resolveProviderName(name) {
+        const providerName = name || this.defaultProvider;
+        if (!providerName || !this.providers[providerName]) {
+            throw new Error(`Payment provider ${providerName || '(none)'} not configured`);
+        }
+        return providerName;
+    }
+
+    /**
+     * Create a payment intent and record it locally
+     * @param {string} providerName - Registered provider (defaults to PAYMENT_PROVIDER)
+     * @param {Object} params
+     * @param {number} params.amount - Amount to charge
+     * @param {string} params.currency - ISO currency code
+     * @param {string} params.referenceType - What is being paid for (checkout, tip, ...)
+     * @param {string} params.referenceId - Identifier of the thing being paid for
+     * @param {Object} params.recurring - { periodDays } for processor-managed subscriptions
+     * @param {Object} params.metadata - Extra details kept with the intent
+     * @returns {Object} Stored intent plus redirect details
+     */
+    async createIntent(providerName, { amount, currency = 'USD', referenceType, referenceId, email, description, returnUrl, recurring, metadata }) {
+        const name = this.resolveProviderName(providerName);
+        const provider = this.providers[name];
+        const intentId = 'pi_' + crypto.randomUUID().replace(/-/g, '');
+
+        const created = await provider.createIntent({
+            intentId,
+            amount,
+            currency,
+            email,
+            description,
+            returnUrl,
+            recurring
+        });
+
+        await db.run(`
+            INSERT INTO payment_intents (
+                intent_id, provider, provider_intent_id, reference_type, reference_id,
+                amount, currency, status, redirect_url, metadata
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            intentId,
+            name,
+            created.providerIntentId || null,
+            referenceType,
+            String(referenceId),
+            amount,
+            currency,
+            created.status || 'requires_payment',
+            created.redirectUrl || null,
+            metadata ? JSON.stringify(metadata) : null
+        ]);
+
+        return {
+            intentId,
+            provider: name,
+            status: created.status || 'requires_payment',
+            redirectUrl: created.redirectUrl || null,
+            requiresToken: Boolean(created.requiresToken)
+        };
+    }
+
+    // Get a stored intent
+    async getIntent(intentId) {
+        return db.get('SELECT * FROM payment_intents WHERE intent_id = ?', [intentId]);
+    }
+
+    // Record a new status (and processor transaction id) for an intent
+    async updateIntentStatus(intentId, status, providerIntentId = null) {
+        await db.run(`
+            UPDATE payment_intents
+            SET status = ?, provider_intent_id = COALESCE(?, provider_intent_id), updated_at = CURRENT_TIMESTAMP
+            WHERE intent_id = ?
+        `, [status, providerIntentId, intentId]);
+    }
+
+    /**
+     * Verify server-side that an intent has been paid in full.
+     * Captures token-based payments first when a token is supplied. The
+     * intent is claimed ('capturing') before the charge, so concurrent
+     * confirms with the same token cannot charge the card twice; the ones
+     * that lose the claim report the current status instead.
+     * @returns {Object} { verified, status, intent, message }
+     */
+    async verifyIntent(intentId, { amount, currency = 'USD', paymentToken } = {}) {
+        const intent = await this.getIntent(intentId);
+        if (!intent) {
+            return { verified: false, status: 'missing', intent: null, message: 'Payment not found' };
+        }
+
+        const provider = this.providers[intent.provider];
+        if (!provider) {
+            return { verified: false, status: intent.status, intent, message: `Payment provider ${intent.provider} not configured` };
+        }
+
+        let status = intent.status;
+        let message;
+
+        if (status !== 'succeeded' && paymentToken) {
+            const claimed = await db.run(`
+                UPDATE payment_intents SET status = 'capturing', updated_at = CURRENT_TIMESTAMP
+                WHERE intent_id = ? AND status IN ('requires_payment', 'failed')
+            `, [intentId]);
+
+            if (claimed.changes === 0) {
+                // Another request is charging (or has charged) this payment
+                status = (await this.getIntent(intentId)).status;
+                message = status === 'capturing' ? 'Payment is being processed' : undefined;
+            } else {
+                let result;
+                try {
+                    result = await provider.capture(intent, paymentToken);
+                } catch (error) {
+                    await this.updateIntentStatus(intentId, intent.status);
+                    throw error;
+                }
+
+                message = result.message;
+                status = result.status;
+                await this.updateIntentStatus(intentId, status, result.providerIntentId);
+            }
+        } else if (status !== 'succeeded') {
+            const result = await provider.fetchStatus(intent);
+
+            message = result.message;
+            if (result.status !== intent.status || result.providerIntentId) {
+                status = result.status;
+                await this.updateIntentStatus(intentId, status, result.providerIntentId);
+            }
+        }
+
+        const amountMatches = Math.round(Number(intent.amount) * 100) === Math.round(Number(amount) * 100);
+        const currencyMatches = intent.currency === currency;
+
+        if (status === 'succeeded' && (!amountMatches || !currencyMatches)) {
+            return { verified: false, status, intent, message: 'Payment amount does not match order total' };
+        }
+
+        return { verified: status === 'succeeded', status, intent, message };
+    }
+
+    /**
+     * Refund all or part of a paid intent with the processor that took it
+     * @param {string} intentId - payment_intents.intent_id
+     * @param {Object} params
+     * @param {number} params.amount - Amount to give back, in the intent's currency
+     * @param {string} params.currency - Must match the intent's currency
+     * @returns {Object} { status: 'succeeded' | 'pending' | 'failed', providerRefundId, message }
+     */
+    async refund(intentId, { amount, currency = 'USD', reason } = {}) {
+        const intent = await this.getIntent(intentId);
+        if (!intent) {
+            throw new Error('Payment not found');
+        }
+
+        const provider = this.providers[intent.provider];
+        if (!provider) {
+            throw new Error(`Payment provider ${intent.provider} not configured`);
+        }
+        // A partial refund already moves the intent to refunded; later partial refunds are still allowed
+        if (!['succeeded', 'refunded'].includes(intent.status)) {
+            throw new Error(`Cannot refund a ${intent.status} payment`);
+        }
+        if (intent.currency !== currency) {
+            throw new Error(`Payment was taken in ${intent.currency}, not ${currency}`);
+        }
+
+        return provider.refund(intent, { amount, reason });
+    }
+}
+
+// Create singleton instance
+export const paymentManager = new PaymentManager();
@@ -3,6 +3,49 @@
  * Supports: Printful, Printify, Gooten, SPOD, Gelato, Prodigi
  */
 
+import crypto from 'crypto';
+
+/**
+ * Normalized fulfillment states, in the order an order moves through them.
+ * Provider statuses are mapped onto these by each provider's parseOrder.
+ */
+export const FULFILLMENT_STATES = ['submitted', 'in_production', 'shipped', 'delivered', 'cancelled', 'failed'];
+
+// Constant-time string comparison
+const secretsMatch = (received, expected) => {
+    const a = Buffer.from(String(received || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Map a provider's shipping method name onto the shop's methods (standard, express, overnight)
+const normalizeMethod = (name) => {
+    const value = String(name || '').toLowerCase();
+    if (/overnight|next.?day/.test(value)) return 'overnight';
+    if (/express|priority|expedited|rush/.test(value)) return 'express';
+    return 'standard';
+};
+
+// Keep the cheapest quote for each shop shipping method
+const cheapestPerMethod = (quotes) => {
+    const byMethod = new Map();
+    for (const quote of quotes) {
+        const current = byMethod.get(quote.method);
+        if (!current || quote.cost < current.cost) {
+            byMethod.set(quote.method, quote);
+        }
+    }
+    return [...byMethod.values()];
+};
+
+// Unix seconds or date string to Date (or null)
+const toDate = (value) => {
+    if (!value) {
+        return null;
+    }
+    return typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+};
+
 // Base POD Provider class
 class PODProvider {
     constructor(name, apiKey, apiUrl) {
@@ -40,6 +83,57 @@ class PODProvider {
     getAuthHeaders() {
         return { 'Authorization': `Bearer ${this.apiKey}` };
     }
+
+    // Line item in this provider's order format, from a pod_product_mappings row
+    buildItem(mapping, quantity) {
+        return { variantId: mapping.provider_variant_id, quantity, files: mapping.files };
+    }
+
+    /**
+     * Normalize a provider order response
+     * @returns {Object} { id, status (provider's own), state (FULFILLMENT_STATES), cost,
+     * shipments: [{ carrier, trackingNumber, trackingUrl, shippedAt, deliveredAt }] }
+     */
+    parseOrder(response) {
+        return { id: String(response.id), status: response.status || null, state: 'submitted', cost: null, shipments: [] };
+    }
+
+    // Current state of an order at the provider, normalized by parseOrder
+    async fetchOrder(orderId) {
+        return this.parseOrder(await this.getOrder(orderId));
+    }
+
+    /**
+     * Verify a status webhook. Providers that can sign send an HMAC-SHA256 of
+     * the raw body in X-Webhook-Signature; the others are given a callback URL
+     * carrying the secret as ?token=.
+     */
+    verifyWebhook(rawBody, headers, query = {}) {
+        if (!this.webhookSecret) {
+            return false;
+        }
+        if (query.token) {
+            return secretsMatch(query.token, this.webhookSecret);
+        }
+        const received = String(headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+        const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody || '').digest('hex');
+        return secretsMatch(received, expected);
+    }
+
+    // Provider order id a webhook is about (the order itself is then re-fetched)
+    webhookOrderId(payload) {
+        return payload.id || null;
+    }
+
+    /**
+     * Live shipping quote for this provider's share of a cart
+     * @param {Object} address - { line1, city, state, country, postalCode }
+     * @param {Array} lines - [{ item, mapping }] (mapping is a pod_product_mappings row)
+     * @returns {Array} [{ method, cost, currency, minDays, maxDays }], one per shop shipping method
+     */
+    async quoteShipping() {
+        throw new Error(`${this.name} does not support shipping quotes`);
+    }
 }
 
 // ============================================
@@ -127,6 +221,46 @@ export class PrintfulProvider extends PODProvider {
             body: JSON.stringify({ items })
         });
     }
+
+    parseOrder(response) {
+        const order = response.result;
+        const states = {
+            draft: 'submitted', pending: 'submitted', inprocess: 'in_production', onhold: 'in_production',
+            partial: 'in_production', fulfilled: 'shipped', canceled: 'cancelled', failed: 'failed'
+        };
+        return {
+            id: String(order.id),
+            status: order.status,
+            state: states[order.status] || 'submitted',
+            cost: order.costs ? Number(order.costs.total) : null,
+            shipments: (order.shipments || []).map(shipment => ({
+                carrier: shipment.carrier,
+                trackingNumber: shipment.tracking_number,
+                trackingUrl: shipment.tracking_url,
+                shippedAt: toDate(shipment.shipped_at || shipment.ship_date),
+                deliveredAt: null
+            }))
+        };
+    }
+
+    // { type: 'package_shipped', data: { order: { id }, shipment } }
+    webhookOrderId(payload) {
+        return payload.data && payload.data.order ? payload.data.order.id : null;
+    }
+
+    async quoteShipping(address, lines) {
+        const response = await this.calculateShipping(address, lines.map(({ item, mapping }) => ({
+            variantId: mapping.provider_variant_id,
+            quantity: item.quantity
+        })));
+        return cheapestPerMethod(response.result.map(rate => ({
+            method: normalizeMethod(`${rate.id} ${rate.name}`),
+            cost: Number(rate.rate),
+            currency: rate.currency || 'USD',
+            minDays: rate.minDeliveryDays || null,
+            maxDays: rate.maxDeliveryDays || null
+        })));
+    }
 }
 
 // ============================================
@@ -214,6 +348,64 @@ export class PrintifyProvider extends PODProvider {
     async getOrder(orderId) {
         return this.request(`/shops/${this.shopId}/orders/${orderId}.json`);
     }
+
+    buildItem(mapping, quantity) {
+        return {
+            productId: mapping.provider_product_id,
+            variantId: parseInt(mapping.provider_variant_id),
+            quantity
+        };
+    }
+
+    parseOrder(response) {
+        // Costs are in cents and only present once Printify has priced the order
+        const cost = response.total_price !== undefined
+            ? (response.total_price + (response.total_shipping || 0)) / 100
+            : null;
+        const shipments = (response.shipments || []).map(shipment => ({
+            carrier: shipment.carrier,
+            trackingNumber: shipment.number,
+            trackingUrl: shipment.url,
+            shippedAt: toDate(response.fulfilled_at),
+            deliveredAt: toDate(shipment.delivered_at)
+        }));
+        const states = {
+            pending: 'submitted', 'on-hold': 'submitted', 'sending-to-production': 'submitted',
+            'in-production': 'in_production', 'partially-fulfilled': 'in_production',
+            fulfilled: 'shipped', canceled: 'cancelled'
+        };
+        let state = states[response.status] || 'submitted';
+        if (state === 'shipped' && shipments.length > 0 && shipments.every(shipment => shipment.deliveredAt)) {
+            state = 'delivered';
+        }
+        return { id: String(response.id), status: response.status || 'pending', state, cost, shipments };
+    }
+
+    // { type: 'order:shipment:created', resource: { id, type: 'order' } }
+    webhookOrderId(payload) {
+        return payload.resource ? payload.resource.id : null;
+    }
+
+    async quoteShipping(address, lines) {
+        // Response is { standard: 499, express: 999, ... } in US cents
+        const response = await this.calculateShipping({
+            items: lines.map(({ item, mapping }) => ({
+                product_id: mapping.provider_product_id,
+                variant_id: parseInt(mapping.provider_variant_id),
+                quantity: item.quantity
+            })),
+            address: {
+                country: address.country,
+                region: address.state,
+                city: address.city,
+                address1: address.line1,
+                zip: address.postalCode
+            }
+        });
+        return cheapestPerMethod(Object.entries(response)
+            .filter(([, cents]) => typeof cents === 'number')
+            .map(([name, cents]) => ({ method: normalizeMethod(name), cost: cents / 100, currency: 'USD', minDays: null, maxDays: null })));
+    }
 }
 
 // ============================================
@@ -288,6 +480,89 @@ export class GootenProvider extends PODProvider {
     async getOrder(orderId) {
         return this.request(`/orders/${orderId}`);
     }
+
+    buildItem(mapping, quantity) {
+        return {
+            SKU: mapping.provider_variant_id,
+            Quantity: quantity,
+            ShipType: 'standard',
+            Images: (mapping.files || []).map((file, index) => ({ Url: file.url, Index: index }))
+        };
+    }
+
+    parseOrder(response) {
+        // Gooten reports status per item; the order is as far along as its slowest item
+        const items = response.Items || [];
+        const itemState = (item) => {
+            const status = String(item.Status || '').toLowerCase();
+            if (status.includes('cancel')) return 'cancelled';
+            if (status.includes('deliver')) return 'delivered';
+            if (status.includes('ship')) return 'shipped';
+            if (status.includes('production') || status.includes('printing')) return 'in_production';
+            return 'submitted';
+        };
+        const progress = ['submitted', 'in_production', 'shipped', 'delivered'];
+        const states = items.map(itemState);
+        const active = states.filter(state => state !== 'cancelled');
+        const state = states.length > 0 && active.length === 0
+            ? 'cancelled'
+            : progress[Math.min(...active.map(state => progress.indexOf(state)))] || 'submitted';
+
+        return {
+            id: String(response.Id),
+            status: response.Status || (items[0] && items[0].Status) || null,
+            state,
+            cost: null,
+            shipments: items.filter(item => item.TrackingNumber).map(item => ({
+                carrier: item.Carrier || item.ShipCarrierName || null,
+                trackingNumber: item.TrackingNumber,
+                trackingUrl: item.TrackingUrl || null,
+                shippedAt: toDate(item.ShippedDate),
+                deliveredAt: null
+            }))
+        };
+    }
+
+    webhookOrderId(payload) {
+        return payload.Id || payload.OrderId || null;
+    }
+
+    async quoteShipping(address, lines) {
+        const response = await this.getShippingPrices({
+            postalCode: address.postalCode,
+            country: address.country,
+            state: address.state,
+            items: lines.map(({ item, mapping }) => ({
+                SKU: mapping.provider_variant_id,
+                ShipType: 'standard',
+                Quantity: item.quantity
+            }))
+        });
+
+        // Prices come back per SKU; a method is only offered if every SKU can use it
+        const perSku = (response.Result || []).map(entry => cheapestPerMethod((entry.ShipOptions || []).map(option => ({
+            method: normalizeMethod(option.MethodType || option.Name),
+            cost: Number(option.Price ? option.Price.Price : 0),
+            currency: option.Price && option.Price.CurrencyCode || 'USD',
+            minDays: option.EstBusinessDaysTilDelivery || null,
+            maxDays: option.EstBusinessDaysTilDelivery || null
+        }))));
+        if (perSku.length === 0) {
+            return [];
+        }
+        return perSku[0]
+            .filter(quote => perSku.every(quotes => quotes.some(q => q.method === quote.method)))
+            .map(quote => {
+                const matches = perSku.map(quotes => quotes.find(q => q.method === quote.method));
+                return {
+                    method: quote.method,
+                    cost: matches.reduce((sum, q) => sum + q.cost, 0),
+                    currency: quote.currency,
+                    minDays: Math.max(...matches.map(q => q.minDays || 0)) || null,
+                    maxDays: Math.max(...matches.map(q => q.maxDays || 0)) || null
+                };
+            });
+    }
 }
 
 // ============================================
@@ -349,6 +624,47 @@ export class SPODProvider extends PODProvider {
     async getOrder(orderId) {
         return this.request(`/orders/${orderId}`);
     }
+
+    buildItem(mapping, quantity) {
+        return { articleId: mapping.provider_product_id, quantity, designs: mapping.files };
+    }
+
+    // Get shipments for an order
+    async getShipments(orderId) {
+        return this.request(`/orders/${orderId}/shipments`);
+    }
+
+    parseOrder(response, shipments = []) {
+        const states = {
+            NEW: 'submitted', CONFIRMED: 'submitted', PROCESSED: 'in_production',
+            SENT: 'shipped', CANCELLED: 'cancelled'
+        };
+        return {
+            id: String(response.id),
+            status: response.state || null,
+            state: states[response.state] || 'submitted',
+            cost: null,
+            shipments: shipments.flatMap(shipment => (shipment.tracking || []).map(tracking => ({
+                carrier: shipment.shipmentType ? shipment.shipmentType.name : null,
+                trackingNumber: tracking.code,
+                trackingUrl: tracking.url,
+                shippedAt: toDate(shipment.shippedAt),
+                deliveredAt: null
+            })))
+        };
+    }
+
+    // Tracking lives on a separate endpoint once the order has been sent
+    async fetchOrder(orderId) {
+        const order = await this.getOrder(orderId);
+        const shipments = order.state === 'SENT' ? await this.getShipments(orderId) : [];
+        return this.parseOrder(order, shipments);
+    }
+
+    // { eventType: 'Shipment.sent', data: { order: { id } } }
+    webhookOrderId(payload) {
+        return payload.data && payload.data.order ? payload.data.order.id : null;
+    }
 }
 
 // ============================================
@@ -424,6 +740,41 @@ export class GelatoProvider extends PODProvider {
     async getShipment(orderId) {
         return this.request(`/orders/${orderId}/shipment`);
     }
+
+    buildItem(mapping, quantity) {
+        return {
+            id: `${mapping.product_id}-${mapping.variant_id || 0}`,
+            productUid: mapping.provider_variant_id,
+            quantity,
+            files: mapping.files
+        };
+    }
+
+    parseOrder(response) {
+        const states = {
+            created: 'submitted', passed: 'submitted', pending_approval: 'submitted', uploading: 'submitted',
+            in_production: 'in_production', printed: 'in_production',
+            shipped: 'shipped', delivered: 'delivered', canceled: 'cancelled', failed: 'failed'
+        };
+        return {
+            id: String(response.id),
+            status: response.fulfillmentStatus || null,
+            state: states[response.fulfillmentStatus] || 'submitted',
+            cost: null,
+            shipments: (response.items || []).flatMap(item => item.fulfillments || []).map(fulfillment => ({
+                carrier: fulfillment.shipmentMethodName || null,
+                trackingNumber: fulfillment.trackingCode,
+                trackingUrl: fulfillment.trackingUrl,
+                shippedAt: toDate(fulfillment.createdAt),
+                deliveredAt: null
+            }))
+        };
+    }
+
+    // { event: 'order_status_updated', orderId, fulfillmentStatus }
+    webhookOrderId(payload) {
+        return payload.orderId || null;
+    }
 }
 
 // ============================================
@@ -506,11 +857,64 @@ export class ProdigiProvider extends PODProvider {
             method: 'POST'
         });
     }
+
+    buildItem(mapping, quantity) {
+        return {
+            sku: mapping.provider_variant_id,
+            quantity,
+            assets: (mapping.files || []).map(file => ({ printArea: file.type || 'default', url: file.url }))
+        };
+    }
+
+    parseOrder(response) {
+        const order = response.order;
+        const stage = order.status ? order.status.stage : null;
+        const shipments = (order.shipments || []).map(shipment => ({
+            carrier: shipment.carrier ? shipment.carrier.name : null,
+            trackingNumber: shipment.tracking ? shipment.tracking.number : null,
+            trackingUrl: shipment.tracking ? shipment.tracking.url : null,
+            shippedAt: toDate(shipment.dispatchDate),
+            deliveredAt: null
+        }));
+        const states = { InProgress: 'in_production', Complete: 'shipped', Cancelled: 'cancelled' };
+        return { id: String(order.id), status: stage, state: states[stage] || 'submitted', cost: null, shipments };
+    }
+
+    // CloudEvents: { type: 'com.prodigi.order.status.stage.changed#Complete', data: { order: { id } } }
+    webhookOrderId(payload) {
+        return payload.data && payload.data.order ? payload.data.order.id : null;
+    }
+
+    async quoteShipping(address, lines) {
+        const items = lines.map(({ item, mapping }) => ({
+            sku: mapping.provider_variant_id,
+            quantity: item.quantity,
+            assets: (mapping.files || []).map(file => ({ printArea: file.type || 'default' }))
+        }));
+
+        // One quote per Prodigi shipping method; methods it cannot do for the destination are skipped
+        const results = await Promise.allSettled(['Budget', 'Standard', 'Express', 'Overnight'].map(shippingMethod =>
+            this.createQuote({ shippingMethod, address, items })
+        ));
+
+        return cheapestPerMethod(results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value.quotes || [])
+            .map(quote => ({
+                method: normalizeMethod(quote.shipmentMethod),
+                cost: Number(quote.costSummary.shipping.amount),
+                currency: quote.costSummary.shipping.currency || 'USD',
+                minDays: null,
+                maxDays: null
+            })));
+    }
 }
 
 // ============================================
 // POD Manager - Unified Interface
 // ============================================
+export const POD_PROVIDERS = ['printful', 'printify', 'gooten', 'spod', 'gelato', 'prodigi'];
+
 export class PODManager {
     constructor() {
         this.providers = {};
@@ -547,6 +951,11 @@ export class PODManager {
         if (process.env.PRODIGI_API_KEY) {
             this.registerProvider('prodigi', new ProdigiProvider(process.env.PRODIGI_API_KEY));
         }
+
+        // Status webhook secrets, e.g. PRINTFUL_WEBHOOK_SECRET
+        for (const [name, provider] of Object.entries(this.providers)) {
+            provider.webhookSecret = process.env[`${name.toUpperCase()}_WEBHOOK_SECRET`];
+        }
     }
 
     // Get provider
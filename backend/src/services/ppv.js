@@ -0,0 +1,191 @@
+/**
+ * Pay-Per-View Posts
+ * World posts with a ppv_price are locked until the viewer buys them. Locked
+ * posts show only the creator's teaser text and preview image; the content
+ * and media_urls are withheld. Authors always see their own posts.
+ *
+ * Each purchase is a row in world_ppv_unlocks, paid through the payment layer
+ * (reference type 'ppv'). A post stays unlocked while its unlock is paid;
+ * refunds and chargebacks lock it again.
+ */
+
+import db from '../config/database.js';
+import { paymentManager } from './payment-providers.js';
+
+const ppvError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export const isPpvPost = (post) => Number(post.ppv_price) > 0;
+
+export class PayPerView {
+    /**
+     * Which of these posts a user has bought
+     * @returns {Set<number>} Post ids
+     */
+    async unlockedPostIds(userId, postIds) {
+        if (!userId || postIds.length === 0) {
+            return new Set();
+        }
+        const rows = await db.all(`
+            SELECT DISTINCT post_id FROM world_ppv_unlocks
+            WHERE user_id = ? AND status = 'paid' AND post_id IN (${postIds.map(() => '?').join(', ')})
+        `, [userId, ...postIds]);
+        return new Set(rows.map(row => row.post_id));
+    }
+
+    canView(post, userId, unlocked) {
+        return !isPpvPost(post) || (userId && post.author_id === userId) || unlocked.has(post.id);
+    }
+
+    /**
+     * Post fields that depend on whether the viewer has unlocked it
+     * @param {Object} post - world_posts row
+     * @param {boolean} canView - See canView()
+     */
+    present(post, canView) {
+        const mediaUrls = parseJson(post.media_urls) || [];
+        if (!isPpvPost(post)) {
+            return { content: post.content, media_urls: mediaUrls, ppv_price: null };
+        }
+
+        const ppv = {
+            ppv_price: Number(post.ppv_price),
+            ppv_preview_url: post.ppv_preview_url || null,
+            media_count: mediaUrls.length
+        };
+        if (canView) {
+            return { content: post.content, media_urls: mediaUrls, ...ppv, is_locked: false };
+        }
+        return { content: post.ppv_teaser || '', media_urls: [], ...ppv, is_locked: true };
+    }
+
+    /**
+     * Start buying a post: records a pending unlock and creates its payment
+     * @returns {Object} { unlock, payment }
+     * @throws {Error} 404 for posts that are not for sale, 409 when already unlocked
+     */
+    async startUnlock(post, user, providerName = null) {
+        if (!post || !post.is_active || !isPpvPost(post)) {
+            throw ppvError('Post not found', 404);
+        }
+        if (post.author_id === user.id) {
+            throw ppvError('You cannot buy your own post');
+        }
+        if ((await this.unlockedPostIds(user.id, [post.id])).size > 0) {
+            throw ppvError('Post already unlocked', 409);
+        }
+        if (providerName && !paymentManager.getProvider(providerName)) {
+            throw ppvError(`Payment provider ${providerName} is not available`);
+        }
+
+        // Reuse an earlier attempt that was never paid
+        const previous = await db.get(`
+            SELECT * FROM world_ppv_unlocks
+            WHERE post_id = ? AND user_id = ? AND status IN ('pending', 'failed')
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [post.id, user.id]);
+
+        let unlockId;
+        if (previous) {
+            unlockId = previous.id;
+            await db.run("UPDATE world_ppv_unlocks SET price = ?, status = 'pending' WHERE id = ?", [post.ppv_price, unlockId]);
+        } else {
+            const result = await db.run(`
+                INSERT INTO world_ppv_unlocks (post_id, user_id, price, status)
+                VALUES (?, ?, ?, 'pending')
+            `, [post.id, user.id, post.ppv_price]);
+            unlockId = result.lastInsertRowid;
+        }
+
+        const payment = await paymentManager.createIntent(providerName, {
+            amount: Number(post.ppv_price),
+            currency: 'USD',
+            referenceType: 'ppv',
+            referenceId: unlockId,
+            description: `Unlock post #${post.id}`,
+            metadata: { postId: post.id, userId: user.id }
+        });
+        await db.run('UPDATE world_ppv_unlocks SET payment_intent_id = ? WHERE id = ?', [payment.intentId, unlockId]);
+
+        return { unlock: await db.get('SELECT * FROM world_ppv_unlocks WHERE id = ?', [unlockId]), payment };
+    }
+
+    // The user's latest unlock attempt for a post
+    async getUnlock(postId, userId) {
+        return db.get(`
+            SELECT * FROM world_ppv_unlocks
+            WHERE post_id = ? AND user_id = ?
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [postId, userId]);
+    }
+
+    /**
+     * Sales per PPV post, best sellers first
+     * @param {Object} options
+     * @param {number} options.authorId - Only this creator's posts (omit for all)
+     * @param {number} options.days - Only unlocks from the last N days (omit for all time)
+     * @returns {Object} { posts, totals: { unlocks, revenue, reversed, reversed_amount } }
+     */
+    async salesReport({ authorId = null, days = null } = {}) {
+        const joinParams = [];
+        let window = '';
+        if (days) {
+            window = 'AND u.created_at > DATE_SUB(NOW(), INTERVAL ? DAY)';
+            joinParams.push(days);
+        }
+        const conditions = ['p.ppv_price > 0'];
+        const params = [];
+        if (authorId) {
+            conditions.push('p.author_id = ?');
+            params.push(authorId);
+        }
+
+        const rows = await db.all(`
+            SELECT p.id, p.author_id, p.is_wyatt_post, p.ppv_teaser, p.ppv_price, p.is_active, p.created_at,
+                   a.username AS author_username,
+                   COUNT(CASE WHEN u.status = 'paid' THEN 1 END) AS unlocks,
+                   COALESCE(SUM(CASE WHEN u.status = 'paid' THEN u.price END), 0) AS revenue,
+                   COUNT(CASE WHEN u.status IN ('refunded', 'chargeback') THEN 1 END) AS reversed,
+                   COALESCE(SUM(CASE WHEN u.status IN ('refunded', 'chargeback') THEN u.price END), 0) AS reversed_amount,
+                   MAX(u.unlocked_at) AS last_unlocked_at
+            FROM world_posts p
+            LEFT JOIN world_users a ON a.id = p.author_id
+            LEFT JOIN world_ppv_unlocks u ON u.post_id = p.id ${window}
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY p.id
+            ORDER BY revenue DESC, p.created_at DESC
+        `, [...joinParams, ...params]);
+
+        const posts = rows.map(row => ({
+            post_id: row.id,
+            author: row.is_wyatt_post ? 'WyattXXXCole' : row.author_username,
+            teaser: row.ppv_teaser,
+            price: Number(row.ppv_price),
+            is_active: Boolean(row.is_active),
+            unlocks: Number(row.unlocks),
+            revenue: Math.round(Number(row.revenue) * 100) / 100,
+            reversed: Number(row.reversed),
+            reversed_amount: Math.round(Number(row.reversed_amount) * 100) / 100,
+            last_unlocked_at: row.last_unlocked_at,
+            created_at: row.created_at
+        }));
+
+        const sum = (field) => Math.round(posts.reduce((total, post) => total + post[field], 0) * 100) / 100;
+        return {
+            days,
+            posts,
+            totals: {
+                unlocks: sum('unlocks'),
+                revenue: sum('revenue'),
+                reversed: sum('reversed'),
+                reversed_amount: sum('reversed_amount')
+            }
+        };
+    }
+}
+
+// Create singleton instance
+export const ppv = new PayPerView();
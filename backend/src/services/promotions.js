@@ -0,0 +1,277 @@
+/**
+ * Promotions Engine
+ * Discount codes and automatic promotions (including Wyatt World tier perks).
+ *
+ * Types:
+ *   percentage    - value% off eligible items
+ *   fixed         - value off eligible items (capped at their total)
+ *   free_shipping - shipping cost waived
+ *
+ * At most one item discount applies per order (the larger of the entered
+ * code and any automatic promotion); free shipping combines with it.
+ * Discounts come off the merchandise subtotal before tax is calculated.
+ */
+
+import db from '../config/database.js';
+import { tierResolver } from './tier-resolver.js';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const promotionError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Redemptions that count towards usage limits: completed ones plus live session holds
+const COUNTED_REDEMPTIONS = `(status = 'redeemed' OR (status = 'reserved' AND expires_at > NOW()))`;
+
+export class PromotionEngine {
+    constructor({ holdMinutes = 60 } = {}) {
+        this.holdMinutes = holdMinutes;
+    }
+
+    async findByCode(code) {
+        return db.get('SELECT * FROM promotions WHERE code = ? AND is_active = 1', [String(code).trim().toUpperCase()]);
+    }
+
+    async getAutomaticPromotions() {
+        return db.all(`
+            SELECT * FROM promotions
+            WHERE is_automatic = 1 AND is_active = 1
+              AND (starts_at IS NULL OR starts_at <= NOW())
+              AND (ends_at IS NULL OR ends_at > NOW())
+        `);
+    }
+
+    // Items a promotion applies to (all items unless scoped to products or categories)
+    eligibleItems(promotion, items) {
+        const productIds = parseJson(promotion.product_ids);
+        const categories = parseJson(promotion.categories);
+
+        return items.filter(item => {
+            if (productIds && productIds.length > 0 && !productIds.map(Number).includes(Number(item.productId))) {
+                return false;
+            }
+            if (categories && categories.length > 0 && !categories.includes(item.category)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Work out what a promotion is worth for a cart
+     * @returns {Object} { amount, freeShipping } or { error }
+     */
+    applyPromotion(promotion, items) {
+        const now = new Date();
+        if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+            return { error: 'Promotion has not started yet' };
+        }
+        if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+            return { error: 'Promotion has expired' };
+        }
+
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        if (promotion.min_subtotal && subtotal < Number(promotion.min_subtotal)) {
+            return { error: `Spend at least $${Number(promotion.min_subtotal).toFixed(2)} to use this promotion` };
+        }
+
+        if (promotion.type === 'free_shipping') {
+            return { amount: 0, freeShipping: true };
+        }
+
+        const eligible = this.eligibleItems(promotion, items);
+        const eligibleTotal = eligible.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        if (eligibleTotal === 0) {
+            return { error: 'Promotion does not apply to any items in your cart' };
+        }
+
+        const amount = promotion.type === 'percentage'
+            ? eligibleTotal * Number(promotion.value) / 100
+            : Math.min(Number(promotion.value), eligibleTotal);
+
+        return { amount: roundCurrency(amount), freeShipping: false };
+    }
+
+    // Check total and per-customer usage limits
+    async checkUsage(promotion, { email, sessionId }, connection = null) {
+        const query = async (sql, params) => {
+            if (connection) {
+                const [[row]] = await connection.execute(sql, params);
+                return row;
+            }
+            return db.get(sql, params);
+        };
+
+        if (promotion.max_uses) {
+            const used = await query(`
+                SELECT COUNT(*) as count FROM promotion_redemptions
+                WHERE promotion_id = ? AND ${COUNTED_REDEMPTIONS} AND (session_id <> ? OR session_id IS NULL)
+            `, [promotion.id, sessionId || '']);
+            if (used.count >= promotion.max_uses) {
+                return 'Promotion usage limit reached';
+            }
+        }
+
+        if (promotion.max_uses_per_customer && email) {
+            const used = await query(`
+                SELECT COUNT(*) as count FROM promotion_redemptions
+                WHERE promotion_id = ? AND customer_email = ? AND ${COUNTED_REDEMPTIONS}
+                  AND (session_id <> ? OR session_id IS NULL)
+            `, [promotion.id, email.toLowerCase(), sessionId || '']);
+            if (used.count >= promotion.max_uses_per_customer) {
+                return 'You have already used this promotion';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Work out the discounts for a cart
+     * @param {Object} params
+     * @param {Array} params.items - Priced cart items (from catalog.priceItems)
+     * @param {string} params.code - Discount code entered by the customer
+     * @param {string} params.tier - Wyatt World tier of the signed-in member
+     * @param {string} params.email - Customer email (for per-customer limits)
+     * @returns {Object} { discount, freeShipping, promotions, code }
+     * @throws {Error} status 400 when the entered code cannot be used
+     */
+    async evaluate({ items, code, tier = 'free', email, sessionId }) {
+        const candidates = [];
+
+        if (code) {
+            const promotion = await this.findByCode(code);
+            if (!promotion) {
+                throw promotionError('Invalid discount code');
+            }
+            const result = this.applyPromotion(promotion, items);
+            const usageError = result.error ? null : await this.checkUsage(promotion, { email, sessionId });
+            if (result.error || usageError) {
+                throw promotionError(result.error || usageError);
+            }
+            candidates.push({ promotion, ...result });
+        }
+
+        for (const promotion of await this.getAutomaticPromotions()) {
+            if (promotion.tier && !tierResolver.meets(tier, promotion.tier)) {
+                continue;
+            }
+            const result = this.applyPromotion(promotion, items);
+            if (!result.error && !(await this.checkUsage(promotion, { email, sessionId }))) {
+                candidates.push({ promotion, ...result });
+            }
+        }
+
+        const bestDiscount = candidates
+            .filter(c => c.amount > 0)
+            .sort((a, b) => b.amount - a.amount)[0];
+        const freeShipping = candidates.find(c => c.freeShipping);
+
+        const applied = [bestDiscount, freeShipping].filter(Boolean);
+
+        return {
+            discount: bestDiscount ? bestDiscount.amount : 0,
+            freeShipping: Boolean(freeShipping),
+            code: applied.find(c => c.promotion.code)?.promotion.code || null,
+            promotions: applied.map(c => ({
+                id: c.promotion.id,
+                code: c.promotion.code,
+                name: c.promotion.name,
+                type: c.promotion.type,
+                amount: c.amount
+            }))
+        };
+    }
+
+    /**
+     * Hold the applied promotions for a checkout session so usage limits
+     * cannot be exceeded by carts paying at the same time
+     * @throws {Error} status 409 when a limit was reached in the meantime
+     */
+    async reserve(sessionId, { promotions, email, worldUserId }) {
+        if (promotions.length === 0) {
+            return;
+        }
+
+        await db.transaction(async (connection) => {
+            for (const applied of promotions) {
+                const [[promotion]] = await connection.execute('SELECT * FROM promotions WHERE id = ? FOR UPDATE', [applied.id]);
+                const usageError = await this.checkUsage(promotion, { email, sessionId }, connection);
+                if (usageError) {
+                    throw promotionError(usageError, 409);
+                }
+            }
+
+            await connection.execute(
+                "UPDATE promotion_redemptions SET status = 'released' WHERE session_id = ? AND status = 'reserved'",
+                [sessionId]
+            );
+
+            for (const applied of promotions) {
+                await connection.execute(`
+                    INSERT INTO promotion_redemptions (
+                        promotion_id, session_id, customer_email, world_user_id, discount_amount, status, expires_at
+                    ) VALUES (?, ?, ?, ?, ?, 'reserved', DATE_ADD(NOW(), INTERVAL ? MINUTE))
+                `, [applied.id, sessionId, email.toLowerCase(), worldUserId || null, applied.amount, this.holdMinutes]);
+            }
+        });
+    }
+
+    /**
+     * Mark a session's promotions as used by its order. Runs inside the
+     * order transaction; holds that have lapsed are re-checked against the
+     * usage limits first.
+     * @throws {Error} status 409 when a lapsed hold can no longer be honoured
+     */
+    async redeem(connection, sessionId, orderId) {
+        const [redemptions] = await connection.execute(`
+            SELECT * FROM promotion_redemptions
+            WHERE session_id = ? AND status <> 'redeemed'
+              AND id IN (SELECT MAX(id) FROM promotion_redemptions WHERE session_id = ? GROUP BY promotion_id)
+            ORDER BY promotion_id
+        `, [sessionId, sessionId]);
+
+        for (const redemption of redemptions) {
+            const [[promotion]] = await connection.execute('SELECT * FROM promotions WHERE id = ? FOR UPDATE', [redemption.promotion_id]);
+            const lapsed = redemption.status !== 'reserved' || new Date(redemption.expires_at) <= new Date();
+            if (lapsed) {
+                const usageError = await this.checkUsage(promotion, { email: redemption.customer_email, sessionId }, connection);
+                if (usageError) {
+                    throw promotionError(usageError, 409);
+                }
+            }
+
+            await connection.execute(
+                "UPDATE promotion_redemptions SET status = 'redeemed', order_id = ? WHERE id = ?",
+                [orderId, redemption.id]
+            );
+            await connection.execute('UPDATE promotions SET used_count = used_count + 1 WHERE id = ?', [promotion.id]);
+        }
+    }
+
+    // Give back every promotion a session is holding
+    async release(sessionId) {
+        const result = await db.run(
+            "UPDATE promotion_redemptions SET status = 'released' WHERE session_id = ? AND status = 'reserved'",
+            [sessionId]
+        );
+        return result.changes;
+    }
+
+    // Sweeper: release holds from sessions that were never completed
+    async releaseExpired() {
+        const result = await db.run(`
+            UPDATE promotion_redemptions SET status = 'released'
+            WHERE status = 'reserved' AND expires_at <= NOW()
+        `);
+        return { released: result.changes };
+    }
+}
+
+// Create singleton instance
+export const promotions = new PromotionEngine({
+    holdMinutes: parseInt(process.env.CHECKOUT_SESSION_MINUTES) || 60
+});
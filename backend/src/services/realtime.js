@@ -0,0 +1,473 @@
+/**
+ * Realtime Gateway
+ * A WebSocket endpoint (REALTIME_PATH, default /api/world/realtime) that
+ * pushes Wyatt World conversation events to the people in a conversation:
+ * new messages, delivery and read receipts, and typing indicators.
+ *
+ * Clients connect with their World access token (?token=...). The socket is
+ * closed with code 4001 when the token expires or is revoked; reconnect with
+ * a refreshed one. Messages are still sent with POST
+ * /api/world/conversations/:id/messages. The socket carries the events, plus
+ * typing, delivered and read notices from the client.
+ *
+ * Events go through a pub/sub adapter so that every server instance can reach
+ * its own sockets. The default in-process adapter only works with a single
+ * instance. With more than one, set REALTIME_PUBSUB=database (events pass
+ * through the realtime_events table), or hand realtime.useAdapter() any
+ * object with publish(payload), subscribe(handler) and close().
+ */
+
+import { EventEmitter } from 'events';
+import { WebSocketServer, WebSocket } from 'ws';
+import db from '../config/database.js';
+import { resolveWorldUser } from '../middleware/world-auth.js';
+
+// Close codes (4000-4999 are free for applications)
+const CLOSE_TOKEN_EXPIRED = 4001;
+
+// Typing notices from one socket for one conversation are passed on at most this often
+const TYPING_THROTTLE_MS = 2000;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// ============================================
+// Pub/sub adapters
+// ============================================
+
+// One server instance: events go straight to this process's sockets
+export class MemoryPubSub {
+    constructor() {
+        this.emitter = new EventEmitter();
+    }
+
+    async publish(payload) {
+        this.emitter.emit('event', payload);
+    }
+
+    subscribe(handler) {
+        this.emitter.on('event', handler);
+    }
+
+    async close() {
+        this.emitter.removeAllListeners();
+    }
+}
+
+// Several instances: events are written to realtime_events and every
+// instance polls for rows it has not seen
+export class DatabasePubSub {
+    constructor({ pollMs = 1000, retentionMinutes = 10 } = {}) {
+        this.pollMs = pollMs;
+        this.retentionMinutes = retentionMinutes;
+        this.lastId = null;
+        this.polling = false;
+    }
+
+    async publish(payload) {
+        await db.run('INSERT INTO realtime_events (payload) VALUES (?)', [JSON.stringify(payload)]);
+    }
+
+    subscribe(handler) {
+        this.handler = handler;
+        this.timer = setInterval(() => this.poll(), this.pollMs);
+        this.timer.unref();
+    }
+
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+        try {
+            // Start from the newest event; nothing from before this instance started is replayed
+            if (this.lastId === null) {
+                const latest = await db.get('SELECT COALESCE(MAX(id), 0) AS id FROM realtime_events');
+                this.lastId = Number(latest.id);
+                return;
+            }
+
+            const rows = await db.all(
+                'SELECT id, payload FROM realtime_events WHERE id > ? ORDER BY id LIMIT 500',
+                [this.lastId]
+            );
+            for (const row of rows) {
+                this.lastId = Number(row.id);
+                this.handler(parseJson(row.payload));
+            }
+        } catch (error) {
+            console.error('Realtime poll error:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    // Delete events every instance has had time to see (run by the scheduler)
+    async purge() {
+        const result = await db.run(
+            'DELETE FROM realtime_events WHERE created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)',
+            [this.retentionMinutes]
+        );
+        return { purged: result.changes };
+    }
+
+    async close() {
+        clearInterval(this.timer);
+    }
+}
+
+// ============================================
+// Gateway
+// ============================================
+
+export class RealtimeGateway {
+    constructor({ path = '/api/world/realtime', adapter = new MemoryPubSub(), allowedOrigin = null, heartbeatMs = 30000, maxSocketsPerUser = 5 } = {}) {
+        this.path = path;
+        this.adapter = adapter;
+        this.allowedOrigin = allowedOrigin;
+        this.heartbeatMs = heartbeatMs;
+        this.maxSocketsPerUser = maxSocketsPerUser;
+        // World user id -> open sockets on this instance
+        this.sockets = new Map();
+    }
+
+    useAdapter(adapter) {
+        const previous = this.adapter;
+        this.adapter = adapter;
+        if (this.wss) {
+            previous.close();
+            adapter.subscribe(payload => this.deliver(payload));
+        }
+    }
+
+    // Start accepting WebSocket connections on an HTTP server
+    attach(server) {
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+        this.wss.on('connection', (ws, req, user, token) => this.onConnection(ws, user, token));
+
+        server.on('upgrade', (req, socket, head) => {
+            this.handleUpgrade(req, socket, head).catch(error => {
+                console.error('Realtime upgrade error:', error);
+                socket.destroy();
+            });
+        });
+
+        this.adapter.subscribe(payload => this.deliver(payload));
+
+        this.heartbeat = setInterval(() => this.checkSockets(), this.heartbeatMs);
+        this.heartbeat.unref();
+        return this;
+    }
+
+    async handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        const reject = (status, reason) => {
+            socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+            socket.destroy();
+        };
+
+        if (url.pathname !== this.path) {
+            return reject(404, 'Not Found');
+        }
+        // Browsers always send Origin; other clients are let through on their token alone
+        if (this.allowedOrigin && req.headers.origin && req.headers.origin !== this.allowedOrigin) {
+            return reject(403, 'Forbidden');
+        }
+
+        const token = url.searchParams.get('token');
+        const { user } = token ? await resolveWorldUser(token) : {};
+        if (!user) {
+            return reject(401, 'Unauthorized');
+        }
+        if ((this.sockets.get(user.id)?.size || 0) >= this.maxSocketsPerUser) {
+            return reject(429, 'Too Many Requests');
+        }
+
+        this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req, user, token));
+    }
+
+    onConnection(ws, user, token) {
+        ws.user = user;
+        ws.token = token;
+        ws.alive = true;
+        ws.conversations = new Set();
+        ws.typingAt = new Map();
+
+        if (!this.sockets.has(user.id)) {
+            this.sockets.set(user.id, new Set());
+        }
+        this.sockets.get(user.id).add(ws);
+
+        // Close when the access token runs out; the client reconnects with a refreshed one
+        ws.expiry = setTimeout(() => ws.close(CLOSE_TOKEN_EXPIRED, 'Token expired'), Math.max(user.exp * 1000 - Date.now(), 0));
+
+        ws.on('pong', () => {
+            ws.alive = true;
+        });
+        ws.on('message', (data) => {
+            this.onMessage(ws, data).catch(error => {
+                console.error('Realtime message error:', error);
+                this.send(ws, { type: 'error', error: 'Failed to handle message' });
+            });
+        });
+        ws.on('close', () => {
+            clearTimeout(ws.expiry);
+            const sockets = this.sockets.get(user.id);
+            sockets.delete(ws);
+            if (sockets.size === 0) {
+                this.sockets.delete(user.id);
+            }
+        });
+
+        this.send(ws, { type: 'ready', userId: user.id });
+    }
+
+    /**
+     * Messages from the client:
+     *   { type: 'typing', conversationId, isTyping }
+     *   { type: 'delivered', conversationId, messageId }
+     *   { type: 'read', conversationId, messageId }  (messageId optional: everything so far)
+     *   { type: 'ping' }
+     */
+    async onMessage(ws, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return this.send(ws, { type: 'error', error: 'Messages must be JSON' });
+        }
+
+        if (message.type === 'ping') {
+            return this.send(ws, { type: 'pong' });
+        }
+
+        const conversationId = parseInt(message.conversationId);
+        if (!['typing', 'delivered', 'read'].includes(message.type)) {
+            return this.send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+        }
+        if (!await this.isParticipant(ws, conversationId)) {
+            return this.send(ws, { type: 'error', error: 'Not a participant in this conversation', conversationId: message.conversationId });
+        }
+
+        switch (message.type) {
+            case 'typing': {
+                const isTyping = message.isTyping !== false;
+                const last = ws.typingAt.get(conversationId) || 0;
+                if (isTyping && Date.now() - last < TYPING_THROTTLE_MS) {
+                    return;
+                }
+                ws.typingAt.set(conversationId, isTyping ? Date.now() : 0);
+                await this.publishToConversation(conversationId, {
+                    type: 'typing',
+                    conversationId,
+                    userId: ws.user.id,
+                    username: ws.user.username,
+                    isTyping
+                }, { exceptUserId: ws.user.id });
+                return;
+            }
+            case 'delivered':
+                await this.markDelivered(conversationId, ws.user.id, parseInt(message.messageId));
+                return;
+            case 'read':
+                await this.markRead(conversationId, ws.user.id, message.messageId ? parseInt(message.messageId) : null);
+                return;
+        }
+    }
+
+    // Participation is checked once per socket and conversation
+    async isParticipant(ws, conversationId) {
+        if (ws.conversations.has(conversationId)) {
+            return true;
+        }
+        const participant = await db.get(
+            'SELECT id FROM world_conversation_participants WHERE conversation_id = ? AND user_id = ?',
+            [conversationId, ws.user.id]
+        );
+        if (participant) {
+            ws.conversations.add(conversationId);
+        }
+        return Boolean(participant);
+    }
+
+    // Ping every socket; drop the ones that did not answer the last ping or
+    // whose token has been revoked since they connected
+    async checkSockets() {
+        for (const ws of this.wss.clients) {
+            if (!ws.alive) {
+                ws.terminate();
+                continue;
+            }
+            ws.alive = false;
+            ws.ping();
+
+            try {
+                const { user } = await resolveWorldUser(ws.token);
+                if (!user) {
+                    ws.close(CLOSE_TOKEN_EXPIRED, 'Token revoked');
+                }
+            } catch (error) {
+                console.error('Realtime token check error:', error);
+            }
+        }
+    }
+
+    send(ws, event) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(event));
+        }
+    }
+
+    // Hand an event from the adapter to this instance's sockets
+    deliver({ userIds, event }) {
+        for (const userId of userIds) {
+            for (const ws of this.sockets.get(userId) || []) {
+                if (event.type === 'message.created') {
+                    // Same message shape as GET /conversations/:id/messages. Paid
+                    // messages carry a locked copy for everyone but the sender.
+                    const { locked, ...rest } = event;
+                    const isMe = event.message.sender.id === userId;
+                    const message = locked && !isMe ? locked : event.message;
+                    this.send(ws, { ...rest, message: { ...message, sender: { ...message.sender, is_me: isMe } } });
+                } else {
+                    this.send(ws, event);
+                }
+            }
+        }
+    }
+
+    // ============================================
+    // Publishing
+    // ============================================
+
+    /**
+     * Send an event to every participant of a conversation, on any instance.
+     * Never throws: a failed push must not fail the request that caused it.
+     */
+    async publishToConversation(conversationId, event, { exceptUserId = null } = {}) {
+        try {
+            const participants = await db.all(
+                'SELECT user_id FROM world_conversation_participants WHERE conversation_id = ?',
+                [conversationId]
+            );
+            const userIds = participants.map(row => row.user_id).filter(id => id !== exceptUserId);
+            if (userIds.length > 0) {
+                await this.adapter.publish({ userIds, event });
+            }
+        } catch (error) {
+            console.error('Realtime publish error:', error);
+        }
+    }
+
+    /**
+     * A message was sent (to everyone in the conversation, including the sender's other devices)
+     * @param {Object} locked - What the other participants get instead, for paid messages
+     */
+    async messageCreated(conversationId, message, locked = null) {
+        const event = { type: 'message.created', conversationId, message };
+        await this.publishToConversation(conversationId, locked ? { ...event, locked } : event);
+    }
+
+    /**
+     * Record that a participant's client has received messages up to messageId
+     * @returns {boolean} Whether anything changed
+     */
+    async markDelivered(conversationId, userId, messageId) {
+        const message = await db.get(
+            'SELECT id FROM world_messages WHERE id = ? AND conversation_id = ? AND sender_id != ?',
+            [messageId, conversationId, userId]
+        );
+        if (!message) {
+            return false;
+        }
+
+        const result = await db.run(`
+            UPDATE world_conversation_participants SET last_delivered_message_id = ?
+            WHERE conversation_id = ? AND user_id = ?
+              AND (last_delivered_message_id IS NULL OR last_delivered_message_id < ?)
+        `, [message.id, conversationId, userId, message.id]);
+
+        if (result.changes > 0) {
+            await this.publishToConversation(conversationId, {
+                type: 'message.delivered',
+                conversationId,
+                userId,
+                messageId: message.id
+            }, { exceptUserId: userId });
+        }
+        return result.changes > 0;
+    }
+
+    /**
+     * Record that a participant has read messages up to messageId (default:
+     * the latest). Reading implies delivery.
+     * @returns {boolean} Whether anything changed
+     */
+    async markRead(conversationId, userId, messageId = null) {
+        const latest = await db.get(`
+            SELECT MAX(id) AS id FROM world_messages
+            WHERE conversation_id = ? AND sender_id != ? ${messageId ? 'AND id <= ?' : ''}
+        `, messageId ? [conversationId, userId, messageId] : [conversationId, userId]);
+        if (!latest || !latest.id) {
+            return false;
+        }
+        const readId = Number(latest.id);
+
+        const result = await db.run(`
+            UPDATE world_conversation_participants
+            SET last_read_message_id = ?,
+                last_delivered_message_id = GREATEST(COALESCE(last_delivered_message_id, 0), ?),
+                last_read_at = CURRENT_TIMESTAMP
+            WHERE conversation_id = ? AND user_id = ?
+              AND (last_read_message_id IS NULL OR last_read_message_id < ?)
+        `, [readId, readId, conversationId, userId, readId]);
+        if (result.changes === 0) {
+            return false;
+        }
+
+        await db.run(`
+            UPDATE world_messages SET is_read = 1
+            WHERE conversation_id = ? AND sender_id != ? AND id <= ? AND is_read = 0
+        `, [conversationId, userId, readId]);
+
+        await this.publishToConversation(conversationId, {
+            type: 'message.read',
+            conversationId,
+            userId,
+            messageId: readId
+        }, { exceptUserId: userId });
+        return true;
+    }
+
+    /**
+     * How far the other participants have got, for showing a sender's
+     * message status ('sent', 'delivered' once everyone has it, 'read' once
+     * everyone has read it)
+     * @returns {Function} messageId -> status
+     */
+    async receipts(conversationId, userId) {
+        const row = await db.get(`
+            SELECT MIN(COALESCE(last_delivered_message_id, 0)) AS delivered,
+                   MIN(COALESCE(last_read_message_id, 0)) AS read_up_to
+            FROM world_conversation_participants
+            WHERE conversation_id = ? AND user_id != ?
+        `, [conversationId, userId]);
+        const delivered = Number(row?.delivered || 0);
+        const read = Number(row?.read_up_to || 0);
+        return (messageId) => (messageId <= read ? 'read' : messageId <= delivered ? 'delivered' : 'sent');
+    }
+
+    // Delete old events from the database adapter (run by the scheduler)
+    async purgeEvents() {
+        return this.adapter.purge ? this.adapter.purge() : { purged: 0 };
+    }
+}
+
+// Create singleton instance
+export const realtime = new RealtimeGateway({
+    path: process.env.REALTIME_PATH || '/api/world/realtime',
+    adapter: process.env.REALTIME_PUBSUB === 'database'
+        ? new DatabasePubSub({ pollMs: parseInt(process.env.REALTIME_POLL_MS) || 1000 })
+        : new MemoryPubSub(),
+    allowedOrigin: process.env.FRONTEND_URL || null,
+    maxSocketsPerUser: parseInt(process.env.REALTIME_MAX_SOCKETS_PER_USER) || 5
+});
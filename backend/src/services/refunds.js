@@ -0,0 +1,455 @@
+/**
+ * Order Refunds
+ * Full, partial and line-item refunds of shop orders, issued through the
+ * payment provider that took the payment.
+ *
+ * A refund covers whole or part order lines, optionally the shipping, and
+ * the tax charged on them, all in the order currency. Line amounts carry
+ * their share of the order discount; tax is refunded in proportion to the
+ * taxable amount given back. The refund is recorded in order_refunds and
+ * added to orders.refunded_amount before the processor is called, so two
+ * refunds at once cannot give back more than was paid. The order moves to
+ * `refunded` once all of it has been refunded.
+ *
+ * A checkout can also be paid for and then fail to become an order (the
+ * stock or a single-use code ran out in between). Its payment is refunded
+ * straight away and kept in unplaced_checkout_payments, where the admin can
+ * see it and retry refunds the processor refused.
+ */
+
+import db from '../config/database.js';
+import { paymentManager } from './payment-providers.js';
+import { inventory } from './inventory.js';
+import { promotions } from './promotions.js';
+import { digitalDelivery } from './digital-delivery.js';
+import { taxCalculator } from './tax-calculator.js';
+import { transitionOrder } from './payment-events.js';
+import { sendRefundNotification } from '../utils/email.js';
+
+// Orders whose payment can be given back
+export const REFUNDABLE_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+const refundError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Merge repeated lines: [{ index, quantity }] -> Map(index -> quantity)
+function quantitiesByLine(items) {
+    const quantities = new Map();
+    for (const item of items) {
+        const index = parseInt(item.index);
+        quantities.set(index, (quantities.get(index) || 0) + parseInt(item.quantity));
+    }
+    return quantities;
+}
+
+export class RefundService {
+    /**
+     * What earlier refunds of an order have already given back
+     * @param {Array} rows - order_refunds rows that did not fail
+     * @returns {Object} { quantities: Map(line index -> quantity), shipping, tax }
+     */
+    summarize(rows) {
+        const quantities = new Map();
+        let shipping = 0;
+        let tax = 0;
+
+        for (const row of rows) {
+            for (const line of parseJson(row.items) || []) {
+                quantities.set(line.index, (quantities.get(line.index) || 0) + line.quantity);
+            }
+            shipping += Number(row.shipping_amount);
+            tax += Number(row.tax_amount);
+        }
+
+        return { quantities, shipping: roundCurrency(shipping), tax: roundCurrency(tax) };
+    }
+
+    // Was tax charged on this order's shipping? (US states differ; VAT and GST always tax it)
+    shippingTaxed(order) {
+        const address = parseJson(order.shipping_address) || {};
+        return address.country === 'US' ? taxCalculator.isShippingTaxable(String(address.state || '').toUpperCase()) : true;
+    }
+
+    /**
+     * Work out a refund
+     * @param {Object} order - orders row
+     * @param {Object} previous - Output of summarize() for the order's earlier refunds
+     * @param {Object} params
+     * @param {Array} params.items - [{ index, quantity }] order lines to refund
+     * @param {boolean} params.refundShipping - Also give back the shipping charge
+     * @param {number} params.amount - Refund this amount instead (goodwill or partial credit)
+     * @returns {Object} { amount, itemsAmount, shippingAmount, taxAmount, lines }
+     * @throws {Error} status 400 when the lines or amount are not refundable
+     */
+    calculate(order, previous, { items = [], refundShipping = false, amount = null }) {
+        const orderItems = parseJson(order.items);
+        const subtotal = Number(order.subtotal);
+        const goods = subtotal - Number(order.discount || 0);
+        const shipping = Number(order.shipping || 0);
+        const tax = Number(order.tax || 0);
+        const inclusive = Boolean(Number(order.prices_include_tax));
+        const remaining = roundCurrency(Number(order.total) - Number(order.refunded_amount || 0));
+
+        if (remaining <= 0) {
+            throw refundError('Order has already been refunded in full');
+        }
+
+        const requested = quantitiesByLine(items);
+        const lines = [];
+        for (const [index, quantity] of requested) {
+            const item = orderItems[index];
+            if (!item) {
+                throw refundError(`Order has no line ${index}`);
+            }
+            const available = item.quantity - (previous.quantities.get(index) || 0);
+            if (quantity < 1 || quantity > available) {
+                throw refundError(`Only ${available} of ${item.title} can be refunded`);
+            }
+            lines.push({
+                index,
+                productId: item.productId,
+                variantId: item.variantId || null,
+                sku: item.sku || null,
+                title: item.title,
+                quantity,
+                isDigital: Boolean(item.isDigital),
+                amount: subtotal > 0 ? roundCurrency(item.price * quantity * goods / subtotal) : 0
+            });
+        }
+
+        const itemsAmount = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+        const shippingAmount = refundShipping ? roundCurrency(shipping - previous.shipping) : 0;
+
+        const shippingTaxed = this.shippingTaxed(order);
+        const taxBase = goods + (shippingTaxed ? shipping : 0);
+        let taxAmount = taxBase > 0
+            ? roundCurrency(tax * (itemsAmount + (shippingTaxed ? shippingAmount : 0)) / taxBase)
+            : 0;
+        // With tax-inclusive prices the tax is already part of the line amounts
+        let refundAmount = roundCurrency(itemsAmount + shippingAmount + (inclusive ? 0 : taxAmount));
+
+        // The last refund takes whatever is left, so rounding never strands a few cents
+        const allLinesRefunded = orderItems.every((item, index) =>
+            (previous.quantities.get(index) || 0) + (requested.get(index) || 0) >= item.quantity);
+        const allShippingRefunded = shipping === 0 || previous.shipping + shippingAmount >= shipping;
+        if (allLinesRefunded && allShippingRefunded && (lines.length > 0 || shippingAmount > 0)) {
+            refundAmount = remaining;
+            taxAmount = roundCurrency(tax - previous.tax);
+        }
+
+        if (amount !== null && amount !== undefined) {
+            refundAmount = roundCurrency(Number(amount));
+            taxAmount = Number(order.total) > 0 ? roundCurrency(refundAmount * tax / Number(order.total)) : 0;
+        }
+
+        if (refundAmount <= 0) {
+            throw refundError('Nothing to refund');
+        }
+        if (refundAmount > remaining) {
+            throw refundError(`Only ${remaining.toFixed(2)} ${order.currency} can still be refunded`);
+        }
+
+        return { amount: refundAmount, itemsAmount, shippingAmount, taxAmount, lines };
+    }
+
+    /**
+     * Refund an order through its payment provider
+     * @param {number} orderId - orders.id
+     * @param {Object} params - calculate() params, plus:
+     * @param {boolean} params.restock - Put the refunded physical items back into stock
+     * @param {string} params.reason - Shown to the customer and kept with the refund
+     * @param {number} params.returnId - Return request the refund settles
+     * @returns {Object} Stored refund (status 'succeeded', or 'pending' until the processor confirms)
+     * @throws {Error} status 400/404 when the order cannot be refunded, 502 when the processor refuses
+     */
+    async issue(orderId, { items = [], refundShipping = false, amount = null, restock = false, reason = null, returnId = null }) {
+        const { order, refundId, refund } = await db.transaction(async (connection) => {
+            const [[order]] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+            if (!order) {
+                throw refundError('Order not found', 404);
+            }
+            if (!REFUNDABLE_STATUSES.includes(order.status)) {
+                throw refundError(`Cannot refund a ${order.status} order`);
+            }
+            if (!order.payment_intent_id) {
+                throw refundError('Order has no payment to refund');
+            }
+
+            const [rows] = await connection.execute(
+                "SELECT items, shipping_amount, tax_amount FROM order_refunds WHERE order_id = ? AND status <> 'failed'",
+                [order.id]
+            );
+            const refund = this.calculate(order, this.summarize(rows), { items, refundShipping, amount });
+
+            const [result] = await connection.execute(`
+                INSERT INTO order_refunds (
+                    order_id, return_id, amount, items_amount, shipping_amount, tax_amount,
+                    currency, items, reason, status, provider, restock
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+            `, [
+                order.id,
+                returnId,
+                refund.amount,
+                refund.itemsAmount,
+                refund.shippingAmount,
+                refund.taxAmount,
+                order.currency,
+                JSON.stringify(refund.lines),
+                reason,
+                order.payment_provider,
+                restock ? 1 : 0
+            ]);
+
+            await connection.execute(
+                'UPDATE orders SET refunded_amount = refunded_amount + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [refund.amount, order.id]
+            );
+
+            return { order, refundId: result.insertId, refund };
+        });
+
+        let result;
+        try {
+            result = await paymentManager.refund(order.payment_intent_id, {
+                amount: refund.amount,
+                currency: order.currency,
+                reason
+            });
+        } catch (error) {
+            result = { status: 'failed', providerRefundId: null, message: error.message };
+        }
+
+        if (result.status === 'failed') {
+            await db.transaction(async (connection) => {
+                await connection.execute(
+                    "UPDATE order_refunds SET status = 'failed', message = ? WHERE id = ?",
+                    [result.message || null, refundId]
+                );
+                await connection.execute(
+                    'UPDATE orders SET refunded_amount = refunded_amount - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [refund.amount, order.id]
+                );
+            });
+            throw refundError(`Refund failed: ${result.message || 'declined by the payment provider'}`, 502);
+        }
+
+        // Stock only goes back once the money has; pending refunds restock when they settle
+        const restockLines = restock && result.status === 'succeeded' ? refund.lines.filter(line => !line.isDigital) : [];
+        await db.transaction(async (connection) => {
+            await connection.execute(`
+                UPDATE order_refunds
+                SET status = ?, provider_refund_id = ?, message = ?, restocked = ?
+                WHERE id = ?
+            `, [result.status, result.providerRefundId || null, result.message || null, restockLines.length > 0 ? 1 : 0, refundId]);
+
+            await inventory.restock(connection, restockLines);
+        });
+
+        // Refunded digital lines lose their download links
+        await digitalDelivery.revokeLines(order.id, refund.lines.filter(line => line.isDigital).map(line => line.index));
+
+        // Pending refunds move the order once the processor confirms them (see payment-events.js)
+        const refunded = roundCurrency(Number(order.refunded_amount) + refund.amount);
+        if (result.status === 'succeeded' && refunded >= Number(order.total)) {
+            await transitionOrder(order, 'refunded');
+        }
+
+        await sendRefundNotification(order, { ...refund, status: result.status, reason });
+
+        return this.get(refundId);
+    }
+
+    /**
+     * The processor has confirmed a refund: settle the refunds still waiting on it
+     * (hosted payment pages only report refunds made in their portal by postback)
+     */
+    async settlePending(orderId) {
+        return db.transaction(async (connection) => {
+            const [pending] = await connection.execute(
+                "SELECT id, items, restock FROM order_refunds WHERE order_id = ? AND status = 'pending' FOR UPDATE",
+                [orderId]
+            );
+
+            for (const row of pending) {
+                // Restocking was held back until the processor confirmed the refund
+                const restockLines = row.restock ? (parseJson(row.items) || []).filter(line => !line.isDigital) : [];
+                await connection.execute(
+                    "UPDATE order_refunds SET status = 'succeeded', restocked = ? WHERE id = ?",
+                    [restockLines.length > 0 ? 1 : 0, row.id]
+                );
+                await inventory.restock(connection, restockLines);
+            }
+            return pending.length;
+        });
+    }
+
+    // ============================================
+    // Payments without an order
+    // ============================================
+
+    /**
+     * Give back the payment for a checkout that could not be placed. The
+     * session is closed and its holds released, so it cannot be completed
+     * again after the refund.
+     * @param {Object} session - checkout_sessions row whose payment was taken
+     * @param {string} reason - Why the order could not be placed
+     * @returns {Object|null} The unplaced payment, formatted (null if another request already closed the session)
+     */
+    async refundUnplacedCheckout(session, reason) {
+        const paymentId = await db.transaction(async (connection) => {
+            const [deleted] = await connection.execute('DELETE FROM checkout_sessions WHERE session_id = ?', [session.session_id]);
+            if (deleted.affectedRows === 0) {
+                return null;
+            }
+            const [result] = await connection.execute(`
+                INSERT INTO unplaced_checkout_payments (
+                    session_id, payment_intent_id, provider, email, items, amount, currency, reason, refund_status
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+            `, [
+                session.session_id,
+                session.payment_intent_id,
+                session.payment_provider,
+                session.email,
+                JSON.stringify(parseJson(session.items)),
+                session.total,
+                session.currency,
+                reason
+            ]);
+            return result.insertId;
+        });
+        if (!paymentId) {
+            return null;
+        }
+
+        await inventory.release(session.session_id);
+        await promotions.release(session.session_id);
+        return this.retryUnplaced(paymentId);
+    }
+
+    /**
+     * Ask the processor to refund an unplaced payment (again)
+     * @throws {Error} status 404 for unknown payments, 400 once refunded or resolved
+     */
+    async retryUnplaced(paymentId) {
+        const payment = await db.get('SELECT * FROM unplaced_checkout_payments WHERE id = ?', [paymentId]);
+        if (!payment) {
+            throw refundError('Payment not found', 404);
+        }
+        if (payment.resolved_at) {
+            throw refundError('This payment has already been dealt with');
+        }
+
+        let result;
+        try {
+            result = await paymentManager.refund(payment.payment_intent_id, {
+                amount: Number(payment.amount),
+                currency: payment.currency,
+                reason: payment.reason
+            });
+        } catch (error) {
+            result = { status: 'failed', providerRefundId: null, message: error.message };
+        }
+
+        await db.run(`
+            UPDATE unplaced_checkout_payments
+            SET refund_status = ?, provider_refund_id = ?, refund_message = ?, attempts = attempts + 1,
+                resolved_at = IF(? = 'succeeded', CURRENT_TIMESTAMP, NULL)
+            WHERE id = ?
+        `, [result.status, result.providerRefundId || null, result.message || null, result.status, payment.id]);
+
+        if (result.status === 'failed') {
+            console.error(`Refund of unplaced checkout ${payment.session_id} failed:`, result.message);
+        }
+        return this.getUnplaced(payment.id);
+    }
+
+    /**
+     * Mark an unplaced payment as dealt with by hand (refunded in the portal, order placed manually)
+     * @throws {Error} status 404 for unknown payments, 400 when already resolved
+     */
+    async resolveUnplaced(paymentId, note = null) {
+        const result = await db.run(`
+            UPDATE unplaced_checkout_payments
+            SET resolved_at = CURRENT_TIMESTAMP, refund_message = COALESCE(?, refund_message)
+            WHERE id = ? AND resolved_at IS NULL
+        `, [note, paymentId]);
+        if (result.changes === 0) {
+            const payment = await this.getUnplaced(paymentId);
+            throw payment ? refundError('This payment has already been dealt with') : refundError('Payment not found', 404);
+        }
+        return this.getUnplaced(paymentId);
+    }
+
+    async getUnplaced(paymentId) {
+        const row = await db.get('SELECT * FROM unplaced_checkout_payments WHERE id = ?', [paymentId]);
+        return row ? this.formatUnplaced(row) : null;
+    }
+
+    // Unplaced payments, the ones still needing attention first
+    async listUnplaced({ includeResolved = false } = {}) {
+        const rows = await db.all(`
+            SELECT * FROM unplaced_checkout_payments
+            ${includeResolved ? '' : 'WHERE resolved_at IS NULL'}
+            ORDER BY resolved_at IS NULL DESC, created_at DESC
+            LIMIT 200
+        `);
+        return rows.map(row => this.formatUnplaced(row));
+    }
+
+    formatUnplaced(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            paymentIntentId: row.payment_intent_id,
+            provider: row.provider,
+            email: row.email,
+            items: parseJson(row.items) || [],
+            amount: Number(row.amount),
+            currency: row.currency,
+            reason: row.reason,
+            refundStatus: row.refund_status,
+            providerRefundId: row.provider_refund_id,
+            refundMessage: row.refund_message,
+            attempts: row.attempts,
+            resolvedAt: row.resolved_at,
+            createdAt: row.created_at
+        };
+    }
+
+    async get(refundId) {
+        const row = await db.get('SELECT * FROM order_refunds WHERE id = ?', [refundId]);
+        return row ? this.format(row) : null;
+    }
+
+    async getForOrder(orderId) {
+        const rows = await db.all('SELECT * FROM order_refunds WHERE order_id = ? ORDER BY created_at, id', [orderId]);
+        return rows.map(row => this.format(row));
+    }
+
+    format(row) {
+        return {
+            id: row.id,
+            orderId: row.order_id,
+            returnId: row.return_id,
+            amount: Number(row.amount),
+            itemsAmount: Number(row.items_amount),
+            shippingAmount: Number(row.shipping_amount),
+            taxAmount: Number(row.tax_amount),
+            currency: row.currency,
+            items: parseJson(row.items) || [],
+            reason: row.reason,
+            status: row.status,
+            provider: row.provider,
+            providerRefundId: row.provider_refund_id,
+            message: row.message,
+            restocked: Boolean(row.restocked),
+            createdAt: row.created_at
+        };
+    }
+}
+
+// Create singleton instance
+export const refunds = new RefundService();
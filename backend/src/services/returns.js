@@ -0,0 +1,348 @@
+/**
+ * Returns (RMA)
+ * Customers ask to send items back with their order number and email.
+ * Admins approve or reject the request, mark the parcel as received (which
+ * puts resaleable items back into stock) and then refund what came back
+ * through the refund service.
+ *
+ * requested -> approved -> received -> refunded, or requested -> rejected
+ *
+ * Follows the published returns policy (returns.html): shipped orders,
+ * within RETURN_WINDOW_DAYS of delivery; digital and signed items are final sale.
+ */
+
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { inventory } from './inventory.js';
+import { refunds } from './refunds.js';
+import { sendReturnUpdate, sendReturnRequestNotification } from '../utils/email.js';
+
+export const RETURN_REASONS = ['wrong_size', 'not_as_described', 'damaged', 'defective', 'changed_mind', 'other'];
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+// Requests that still hold on to their items
+const OPEN_STATUSES = ['requested', 'approved', 'received'];
+
+// Orders that can have items sent back
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered'];
+
+// Signed and personalized merchandise is final sale
+const FINAL_SALE_CATEGORIES = ['limited'];
+
+const returnError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export class ReturnService {
+    constructor({ windowDays = 30 } = {}) {
+        this.windowDays = windowDays;
+    }
+
+    generateNumber() {
+        return 'RMA-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+
+    // Last day a return can be requested (counted from delivery, or shipping if no delivery scan)
+    returnDeadline(order) {
+        const from = new Date(order.delivered_at || order.shipped_at || order.created_at);
+        return new Date(from.getTime() + this.windowDays * 24 * 60 * 60 * 1000);
+    }
+
+    isFinalSale(item) {
+        return Boolean(item.isDigital) || FINAL_SALE_CATEGORIES.includes(item.category);
+    }
+
+    // Quantity of each order line already in a return or refunded (index -> quantity)
+    async claimedQuantities(connection, orderId) {
+        const claimed = new Map();
+        const add = (lines) => {
+            for (const line of parseJson(lines) || []) {
+                claimed.set(line.index, (claimed.get(line.index) || 0) + line.quantity);
+            }
+        };
+
+        const [requests] = await connection.execute(
+            `SELECT items FROM return_requests WHERE order_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+            [orderId, ...OPEN_STATUSES]
+        );
+        requests.forEach(request => add(request.items));
+
+        const [refundRows] = await connection.execute(
+            "SELECT items FROM order_refunds WHERE order_id = ? AND status <> 'failed'",
+            [orderId]
+        );
+        refundRows.forEach(refund => add(refund.items));
+
+        return claimed;
+    }
+
+    /**
+     * Open a return request for a customer
+     * @param {Object} params
+     * @param {string} params.orderNumber - orders.order_number
+     * @param {string} params.email - Must match the order's email
+     * @param {Array} params.items - [{ index, quantity }] order lines to send back
+     * @param {string} params.reason - One of RETURN_REASONS
+     * @param {string} params.notes - Customer's description
+     * @returns {Object} The new return request
+     * @throws {Error} status 404 for an unknown order/email, 400 when the items cannot be returned
+     */
+    async create({ orderNumber, email, items, reason, notes = null }) {
+        const returnId = await db.transaction(async (connection) => {
+            // Locking the order serializes requests for it, so items cannot be claimed twice
+            const [[order]] = await connection.execute(
+                'SELECT * FROM orders WHERE order_number = ? FOR UPDATE',
+                [orderNumber]
+            );
+            if (!order || order.customer_email.toLowerCase() !== String(email).toLowerCase()) {
+                throw returnError('Order not found', 404);
+            }
+            if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+                throw returnError(order.status === 'refunded'
+                    ? 'This order has already been refunded'
+                    : 'Items can be returned once the order has shipped');
+            }
+            if (new Date() > this.returnDeadline(order)) {
+                throw returnError(`The ${this.windowDays}-day return window for this order has closed`);
+            }
+
+            const orderItems = parseJson(order.items);
+            const claimed = await this.claimedQuantities(connection, order.id);
+            const lines = new Map();
+
+            for (const { index: rawIndex, quantity: rawQuantity } of items) {
+                const index = parseInt(rawIndex);
+                const item = orderItems[index];
+                if (!item) {
+                    throw returnError(`Order has no line ${index}`);
+                }
+                if (this.isFinalSale(item)) {
+                    throw returnError(`${item.title} is final sale and cannot be returned`);
+                }
+
+                const line = lines.get(index) || {
+                    index,
+                    productId: item.productId,
+                    variantId: item.variantId || null,
+                    sku: item.sku || null,
+                    title: item.title,
+                    quantity: 0
+                };
+                line.quantity += parseInt(rawQuantity);
+
+                const available = item.quantity - (claimed.get(index) || 0);
+                if (line.quantity > available) {
+                    throw returnError(available > 0
+                        ? `Only ${available} of ${item.title} can be returned`
+                        : `${item.title} is already being returned`);
+                }
+                lines.set(index, line);
+            }
+
+            const [result] = await connection.execute(`
+                INSERT INTO return_requests (rma_number, order_id, items, reason, customer_notes)
+                VALUES (?, ?, ?, ?, ?)
+            `, [this.generateNumber(), order.id, JSON.stringify([...lines.values()]), reason, notes]);
+
+            return result.insertId;
+        });
+
+        const request = await this.get(returnId);
+        await sendReturnRequestNotification(request);
+        await sendReturnUpdate(request);
+        return request;
+    }
+
+    async get(id) {
+        const row = await db.get(`
+            SELECT r.*, o.order_number, o.customer_email, o.customer_name, o.currency
+            FROM return_requests r
+            JOIN orders o ON o.id = r.order_id
+            WHERE r.id = ?
+        `, [id]);
+        return row ? this.format(row) : null;
+    }
+
+    // Customer lookup: the email must match the order's
+    async getByNumber(rmaNumber, email) {
+        const row = await db.get(`
+            SELECT r.*, o.order_number, o.customer_email, o.customer_name, o.currency
+            FROM return_requests r
+            JOIN orders o ON o.id = r.order_id
+            WHERE r.rma_number = ?
+        `, [rmaNumber]);
+        if (!row || row.customer_email.toLowerCase() !== String(email).toLowerCase()) {
+            return null;
+        }
+        return this.format(row);
+    }
+
+    async list({ status = null, page = 1, limit = 20 } = {}) {
+        const where = status ? 'WHERE r.status = ?' : '';
+        const params = status ? [status] : [];
+
+        const rows = await db.all(`
+            SELECT r.*, o.order_number, o.customer_email, o.customer_name, o.currency
+            FROM return_requests r
+            JOIN orders o ON o.id = r.order_id
+            ${where}
+            ORDER BY r.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, (page - 1) * limit]);
+        const total = await db.get(`SELECT COUNT(*) as count FROM return_requests r ${where}`, params);
+
+        return { returns: rows.map(row => this.format(row)), total: total.count };
+    }
+
+    format(row) {
+        return {
+            id: row.id,
+            rmaNumber: row.rma_number,
+            orderId: row.order_id,
+            orderNumber: row.order_number,
+            customerEmail: row.customer_email,
+            customerName: row.customer_name,
+            currency: row.currency,
+            status: row.status,
+            reason: row.reason,
+            items: parseJson(row.items) || [],
+            receivedItems: parseJson(row.received_items),
+            customerNotes: row.customer_notes,
+            adminNotes: row.admin_notes,
+            instructions: row.instructions,
+            refundId: row.refund_id,
+            approvedAt: row.approved_at,
+            receivedAt: row.received_at,
+            refundedAt: row.refunded_at,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Move a request on, only if it is still in the expected status
+     * @throws {Error} 404 for unknown requests, 409 when it has moved on already
+     */
+    async transition(id, from, to, fields = {}) {
+        const columns = Object.keys(fields);
+        const result = await db.run(`
+            UPDATE return_requests
+            SET status = ?, ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `, [to, ...Object.values(fields), id, from]);
+
+        if (result.changes === 0) {
+            const request = await this.get(id);
+            if (!request) {
+                throw returnError('Return not found', 404);
+            }
+            throw returnError(`Return is ${request.status}, not ${from}`, 409);
+        }
+        return this.get(id);
+    }
+
+    // Accept a request; instructions (e.g. a prepaid label link) are emailed to the customer
+    async approve(id, { instructions = null, notes = null } = {}) {
+        const request = await this.transition(id, 'requested', 'approved', {
+            instructions,
+            admin_notes: notes,
+            approved_at: new Date()
+        });
+        await sendReturnUpdate(request);
+        return request;
+    }
+
+    async reject(id, { notes }) {
+        const request = await this.transition(id, 'requested', 'rejected', { admin_notes: notes });
+        await sendReturnUpdate(request);
+        return request;
+    }
+
+    /**
+     * Record what came back and restock it
+     * @param {number} id - return_requests.id
+     * @param {Object} params
+     * @param {Array} params.items - [{ index, quantity, restock }] defaults to everything requested, restocked
+     * @param {string} params.notes - Condition notes
+     */
+    async receive(id, { items = null, notes = null } = {}) {
+        await db.transaction(async (connection) => {
+            const [[row]] = await connection.execute('SELECT * FROM return_requests WHERE id = ? FOR UPDATE', [id]);
+            if (!row) {
+                throw returnError('Return not found', 404);
+            }
+            if (row.status !== 'approved') {
+                throw returnError(`Return is ${row.status}, not approved`, 409);
+            }
+
+            const requested = parseJson(row.items);
+            const received = (items || requested.map(line => ({ index: line.index, quantity: line.quantity, restock: true })))
+                .map(({ index, quantity, restock = true }) => {
+                    const line = requested.find(requestedLine => requestedLine.index === parseInt(index));
+                    if (!line) {
+                        throw returnError(`Line ${index} is not part of this return`);
+                    }
+                    if (parseInt(quantity) > line.quantity) {
+                        throw returnError(`Only ${line.quantity} of ${line.title} were requested`);
+                    }
+                    return { ...line, quantity: parseInt(quantity), restock: Boolean(restock) };
+                })
+                .filter(line => line.quantity > 0);
+
+            await inventory.restock(connection, received.filter(line => line.restock));
+
+            await connection.execute(`
+                UPDATE return_requests
+                SET status = 'received', received_items = ?, admin_notes = COALESCE(?, admin_notes),
+                    received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [JSON.stringify(received), notes, id]);
+        });
+
+        return this.get(id);
+    }
+
+    /**
+     * Refund the received items through the payment provider
+     * @param {number} id - return_requests.id
+     * @param {Object} params
+     * @param {boolean} params.refundShipping - Also refund the original shipping (damaged or wrong items)
+     * @param {number} params.amount - Refund a different amount (e.g. less a restocking fee)
+     * @returns {Object} { return, refund }
+     */
+    async refund(id, { refundShipping = false, amount = null } = {}) {
+        const request = await this.get(id);
+        if (!request) {
+            throw returnError('Return not found', 404);
+        }
+        if (request.status !== 'received') {
+            throw returnError(`Return is ${request.status}, not received`, 409);
+        }
+
+        const items = (request.receivedItems || []).map(line => ({ index: line.index, quantity: line.quantity }));
+        if (items.length === 0 && amount === null) {
+            throw returnError('Nothing was received for this return');
+        }
+
+        // Items were restocked when the parcel was received
+        const refund = await refunds.issue(request.orderId, {
+            items,
+            refundShipping,
+            amount,
+            restock: false,
+            reason: `Return ${request.rmaNumber}`,
+            returnId: request.id
+        });
+
+        const updated = await this.transition(id, 'received', 'refunded', {
+            refund_id: refund.id,
+            refunded_at: new Date()
+        });
+        return { return: updated, refund };
+    }
+}
+
+// Create singleton instance
+export const returns = new ReturnService({
+    windowDays: parseInt(process.env.RETURN_WINDOW_DAYS) || 30
+});
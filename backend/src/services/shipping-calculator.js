@@ -1,8 +1,16 @@
 /**
  * Shipping Calculator Service
- * Calculates shipping rates based on destination, weight, and carrier
+ * Calculates shipping rates based on destination, weight, and carrier.
+ *
+ * Table rates assume everything ships from the LA base. For carts with
+ * print-on-demand items, getAllRates asks each mapped provider for a live
+ * quote and adds the table rate for whatever ships from LA.
  */
 
+import { fulfillment } from './fulfillment.js';
+import { podManager } from './pod-providers.js';
+import { currencyConverter, BASE_CURRENCY } from './currency.js';
+
 // Shipping zones for US
 const US_SHIPPING_ZONES = {
     // Zone 1: West Coast (from LA base)
@@ -130,10 +138,22 @@ const FREE_SHIPPING = {
     }
 };
 
+// Reject a provider quote that takes too long, so checkout falls back to table rates
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('Shipping quote timed out')), ms).unref();
+    })
+]);
+
 export class ShippingCalculator {
     constructor(options = {}) {
         this.freeShippingEnabled = options.freeShippingEnabled ?? true;
         this.handlingFee = options.handlingFee ?? 0;
+        this.liveQuotesEnabled = options.liveQuotesEnabled ?? true;
+        this.quoteCacheMinutes = options.quoteCacheMinutes ?? 30;
+        this.quoteTimeoutMs = options.quoteTimeoutMs ?? 5000;
+        this.quoteCache = new Map();
     }
 
     /**
@@ -226,9 +246,55 @@ export class ShippingCalculator {
     }
 
     /**
-     * Get all shipping rates for a destination
+     * Get all shipping rates for a destination.
+     * Pass the priced cart items to quote print-on-demand items live; without
+     * them (or if no item is POD-mapped) the table rates are returned.
+     * @param {Object} params
+     * @param {string} params.country - 2-letter country code
+     * @param {string} params.state - State/province code
+     * @param {string} params.postalCode - Postal/ZIP code (used by live quotes)
+     * @param {Object} params.address - Full address, if known (line1, city, ...)
+     * @param {number} params.weight - Total package weight in pounds
+     * @param {number} params.subtotal - Order subtotal (for free shipping check)
+     * @param {Array} params.items - Priced cart items (from catalog.priceItems)
+     * @returns {Promise<Array>} Rates sorted by price
      */
-    getAllRates({ country, state, weight = 1, subtotal = 0 }) {
+    async getAllRates({ country, state, postalCode, address, weight = 1, subtotal = 0, items = null }) {
+        if (this.liveQuotesEnabled && items && podManager.getProviders().length > 0) {
+            const liveRates = await this.getLiveRates({
+                address: { ...address, country, state, postalCode },
+                subtotal,
+                items
+            });
+            if (liveRates) {
+                return liveRates;
+            }
+        }
+
+        return this.getTableRates({ country, state, weight, subtotal });
+    }
+
+    /**
+     * Rate for one method for a cart, live-quoted where possible
+     * @returns {Promise<Object>} Same shape as calculate()
+     * @throws {Error} status 400 when the cart's POD providers cannot ship by that method
+     */
+    async calculateForCart({ country, state, postalCode, address, weight = 1, subtotal = 0, method = 'standard', items = null }) {
+        const rates = await this.getAllRates({ country, state, postalCode, address, weight, subtotal, items });
+        const rate = rates.find(r => r.method === method);
+        if (rate) {
+            return rate;
+        }
+        if (rates.some(r => r.source === 'live')) {
+            throw Object.assign(new Error(`${method} shipping is not available for this cart`), { status: 400 });
+        }
+        return this.calculate({ country, state, weight, subtotal, method });
+    }
+
+    /**
+     * Table rates for every method available at a destination
+     */
+    getTableRates({ country, state, weight = 1, subtotal = 0 }) {
         const methods = this.getAvailableMethods(country);
         const rates = [];
 
@@ -243,6 +309,162 @@ export class ShippingCalculator {
         return rates;
     }
 
+    /**
+     * Combine live POD provider quotes with table rates for the rest of the cart
+     * @returns {Promise<Array|null>} Rates, or null when nothing could be quoted live
+     */
+    async getLiveRates({ address, subtotal, items }) {
+        const { groups, unmapped } = await fulfillment.routeItems(items);
+        if (groups.size === 0) {
+            return null;
+        }
+
+        const itemWeight = (item) => (item.weight || 0.5) * item.quantity;
+
+        // Items shipped from LA, plus any provider that could not quote, use the table rates
+        let tableWeight = unmapped.reduce((sum, item) => sum + itemWeight(item), 0);
+        const parts = [];
+
+        const providerResults = await Promise.all([...groups].map(async ([provider, lines]) => ({
+            provider,
+            lines,
+            quotes: await this.getProviderQuotes(provider, address, lines)
+        })));
+
+        for (const { provider, lines, quotes } of providerResults) {
+            if (quotes && quotes.length > 0) {
+                parts.push({ provider, quotes });
+            } else {
+                tableWeight += lines.reduce((sum, { item }) => sum + itemWeight(item), 0);
+            }
+        }
+
+        if (parts.length === 0) {
+            return null;
+        }
+
+        const { country, state } = address;
+        const isUS = country === 'US';
+        const freeShipping = this.checkFreeShipping(country, subtotal);
+        const availableMethods = this.getAvailableMethods(country);
+        const rates = [];
+
+        for (const method of availableMethods) {
+            // A method is only offered when every provider in the cart can ship it
+            const providerQuotes = parts.map(part => part.quotes.find(quote => quote.method === method));
+            if (providerQuotes.some(quote => !quote)) {
+                continue;
+            }
+
+            const table = tableWeight > 0 ? this.calculate({ country, state, weight: tableWeight, subtotal: 0, method }) : null;
+            const methodInfo = isUS ? SHIPPING_METHODS[method] : INTERNATIONAL_METHODS[method];
+            const tableDays = methodInfo?.estimatedDays || { min: 5, max: 10 };
+
+            const breakdown = parts.map((part, index) => ({
+                provider: part.provider,
+                cost: Math.round(providerQuotes[index].cost * 100) / 100
+            }));
+            if (table) {
+                breakdown.push({ provider: 'warehouse', cost: table.total });
+            }
+
+            const baseRate = breakdown.reduce((sum, part) => sum + part.cost, 0);
+            const days = [
+                ...providerQuotes.map(quote => ({ min: quote.minDays || tableDays.min, max: quote.maxDays || tableDays.max })),
+                ...(table ? [tableDays] : [])
+            ];
+
+            // Free shipping is absorbed by the shop, whoever ships
+            const total = freeShipping.eligible && method === freeShipping.method ? 0 : baseRate;
+
+            rates.push({
+                method,
+                methodName: methodInfo?.name || 'Standard Shipping',
+                description: methodInfo?.description,
+                zone: table ? table.zone : null,
+                baseRate: Math.round(baseRate * 100) / 100,
+                weightSurcharge: table ? table.weightSurcharge : 0,
+                handlingFee: table ? table.handlingFee : 0,
+                total: Math.round(total * 100) / 100,
+                freeShipping,
+                deliveryEstimate: this.getDeliveryEstimate({
+                    min: Math.max(...days.map(d => d.min)),
+                    max: Math.max(...days.map(d => d.max))
+                }),
+                availableMethods,
+                source: 'live',
+                breakdown
+            });
+        }
+
+        if (rates.length === 0) {
+            return null;
+        }
+
+        rates.sort((a, b) => a.total - b.total);
+        return rates;
+    }
+
+    /**
+     * Quotes from one provider in the base currency, cached per destination
+     * and item set. Failures are cached too (as null) so a provider outage
+     * does not slow every checkout down.
+     */
+    async getProviderQuotes(providerName, address, lines) {
+        const key = [
+            providerName,
+            address.country,
+            address.state || '',
+            address.postalCode || '',
+            ...lines
+                .map(({ item, mapping }) => `${mapping.provider_variant_id || mapping.provider_product_id}x${item.quantity}`)
+                .sort()
+        ].join('|');
+
+        const cached = this.quoteCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.quotes;
+        }
+
+        let quotes = null;
+        let ttlMinutes = this.quoteCacheMinutes;
+        try {
+            quotes = await withTimeout(podManager.getProvider(providerName).quoteShipping(address, lines), this.quoteTimeoutMs);
+            quotes = await this.toBaseCurrency(providerName, quotes);
+        } catch (error) {
+            console.error(`Shipping quote ${providerName} error:`, error.message);
+            ttlMinutes = Math.min(ttlMinutes, 5);
+        }
+
+        // Drop the oldest entry rather than letting the cache grow without bound
+        if (this.quoteCache.size >= 1000) {
+            this.quoteCache.delete(this.quoteCache.keys().next().value);
+        }
+        this.quoteCache.set(key, { quotes, expiresAt: Date.now() + ttlMinutes * 60000 });
+
+        return quotes;
+    }
+
+    /**
+     * Convert provider quotes to the base currency using the admin exchange
+     * rates. Quotes in a currency without a rate are dropped, so that
+     * provider falls back to the table rates.
+     */
+    async toBaseCurrency(providerName, quotes) {
+        const rates = await currencyConverter.getRates();
+        const converted = [];
+        for (const quote of quotes) {
+            const currency = quote.currency || BASE_CURRENCY;
+            const rate = currency === BASE_CURRENCY ? 1 : rates.get(currency)?.rate;
+            if (!(rate > 0)) {
+                console.error(`Shipping quote ${providerName}: no exchange rate for ${currency}, quote ignored`);
+                continue;
+            }
+            converted.push({ ...quote, cost: Math.round(quote.cost / rate * 100) / 100, currency: BASE_CURRENCY });
+        }
+        return converted;
+    }
+
     /**
      * Get available shipping methods for a country
      */
@@ -458,6 +680,10 @@ export class ShippingCalculator {
 }
 
 // Create singleton
-export const shippingCalculator = new ShippingCalculator();
+export const shippingCalculator = new ShippingCalculator({
+    liveQuotesEnabled: process.env.SHIPPING_LIVE_QUOTES !== 'false',
+    quoteCacheMinutes: parseInt(process.env.SHIPPING_QUOTE_CACHE_MINUTES) || 30,
+    quoteTimeoutMs: parseInt(process.env.SHIPPING_QUOTE_TIMEOUT_MS) || 5000
+});
 
 export default shippingCalculator;
@@ -1,8 +1,25 @@
 /**
  * Tax Calculator Service
  * Handles sales tax calculation for US states and international VAT
+ *
+ * US orders use the combined state + local rate for the destination ZIP
+ * when one has been imported (tax_zip_rates), falling back to the state
+ * rate. Rates and nexus states are loaded into memory by load() so that
+ * calculate() stays synchronous.
+ *
+ * Digital items sold to EU and UK buyers are taxed at the VAT rate of the
+ * buyer's country, located by two agreeing pieces of evidence (billing
+ * address, IP country, delivery address). Businesses with a valid VAT
+ * number account for the VAT themselves (reverse charge).
+ *
+ * Shoppers in the EU, UK and Australia see prices with VAT/GST included.
+ * With pricesIncludeTax the subtotal and shipping are gross amounts and the
+ * tax is the part of them that is VAT, rather than an amount added on top.
  */
 
+import db from '../config/database.js';
+import { currencyConverter } from './currency.js';
+
 // US State Sales Tax Rates (2024)
 const US_STATE_TAX_RATES = {
     'AL': 0.04, // Alabama
@@ -118,6 +135,66 @@ const CANADIAN_PROVINCIAL_TAX = {
     'YT': 0.00, // Yukon
 };
 
+// Whether separately stated shipping charges are taxable, per state.
+// States not listed do not tax shipping.
+const SHIPPING_TAX_RULES = {
+    'AR': 'taxable',
+    'CT': 'taxable',
+    'DC': 'taxable',
+    'GA': 'taxable',
+    'HI': 'taxable',
+    'IN': 'taxable',
+    'KS': 'taxable',
+    'KY': 'taxable',
+    'MI': 'taxable',
+    'MN': 'taxable',
+    'MS': 'taxable',
+    'NE': 'taxable',
+    'NJ': 'taxable',
+    'NM': 'taxable',
+    'NY': 'taxable',
+    'NC': 'taxable',
+    'ND': 'taxable',
+    'OH': 'taxable',
+    'PA': 'taxable',
+    'RI': 'taxable',
+    'SC': 'taxable',
+    'SD': 'taxable',
+    'TN': 'taxable',
+    'TX': 'taxable',
+    'VT': 'taxable',
+    'WA': 'taxable',
+    'WV': 'taxable',
+    'WI': 'taxable',
+};
+
+// Local rate components, in breakdown order
+const LOCAL_RATE_COMPONENTS = [
+    ['state_rate', 'State Sales Tax'],
+    ['county_rate', 'County Tax'],
+    ['city_rate', 'City Tax'],
+    ['special_rate', 'Special District Tax'],
+];
+
+// Accepted CSV headers for each tax_zip_rates column (Avalara rate table
+// headers first, then our own column names)
+const ZIP_RATE_COLUMNS = {
+    zip: ['ZipCode', 'zip'],
+    state: ['State', 'state'],
+    region_name: ['TaxRegionName', 'region_name'],
+    state_rate: ['StateRate', 'state_rate'],
+    county_rate: ['EstimatedCountyRate', 'county_rate'],
+    city_rate: ['EstimatedCityRate', 'city_rate'],
+    special_rate: ['EstimatedSpecialRate', 'special_rate'],
+    combined_rate: ['EstimatedCombinedRate', 'combined_rate'],
+};
+
+const IMPORT_BATCH_SIZE = 500;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const taxError = (message, status = 400, details = undefined) => Object.assign(new Error(message), { status, details });
+
 // Product tax categories
 const TAX_CATEGORIES = {
     'apparel': { taxable: true, reducedRate: false },
@@ -127,10 +204,204 @@ const TAX_CATEGORIES = {
     'limited': { taxable: true, reducedRate: false },
 };
 
+// EU member states
+const EU_COUNTRIES = ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+    'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'];
+
+// Where digital sales owe VAT at the buyer's rate from the first sale (EU OSS, UK)
+const DIGITAL_VAT_COUNTRIES = [...EU_COUNTRIES, 'GB'];
+
+// Where consumer prices are shown with VAT/GST included
+const TAX_INCLUSIVE_COUNTRIES = [...EU_COUNTRIES, 'GB', 'AU'];
+
+// VAT number formats by prefix (the part after the prefix). These are format
+// checks only; they do not confirm the number is registered (VIES / HMRC).
+const VAT_ID_FORMATS = {
+    'AT': /^U\d{8}$/,
+    'BE': /^[01]\d{9}$/,
+    'BG': /^\d{9,10}$/,
+    'HR': /^\d{11}$/,
+    'CY': /^\d{8}[A-Z]$/,
+    'CZ': /^\d{8,10}$/,
+    'DK': /^\d{8}$/,
+    'EE': /^\d{9}$/,
+    'FI': /^\d{8}$/,
+    'FR': /^[0-9A-HJ-NP-Z]{2}\d{9}$/,
+    'DE': /^\d{9}$/,
+    'EL': /^\d{9}$/, // Greece
+    'HU': /^\d{8}$/,
+    'IE': /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+    'IT': /^\d{11}$/,
+    'LV': /^\d{11}$/,
+    'LT': /^(\d{9}|\d{12})$/,
+    'LU': /^\d{8}$/,
+    'MT': /^\d{8}$/,
+    'NL': /^\d{9}B\d{2}$/,
+    'PL': /^\d{10}$/,
+    'PT': /^\d{9}$/,
+    'RO': /^\d{2,10}$/,
+    'SK': /^\d{10}$/,
+    'SI': /^\d{8}$/,
+    'ES': /^[0-9A-Z]\d{7}[0-9A-Z]$/,
+    'SE': /^\d{10}01$/,
+    'GB': /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+    'XI': /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/, // Northern Ireland
+};
+
+// VAT number prefixes that differ from the ISO country code
+const VAT_ID_COUNTRIES = { 'EL': 'GR', 'XI': 'GB' };
+
 export class TaxCalculator {
     constructor(nexusStates = []) {
-        // States where you have tax nexus (physical presence or economic nexus)
+        // States where you have tax nexus (physical presence or economic nexus).
+        // Empty means tax is collected in every state.
+        this.defaultNexusStates = nexusStates;
         this.nexusStates = nexusStates;
+
+        // 5-digit ZIP -> { state, region_name, state_rate, county_rate, city_rate, special_rate, combined_rate }
+        this.zipRates = new Map();
+    }
+
+    /**
+     * Load ZIP rates and registered nexus states from the database.
+     * Registered states (tax_registrations) replace the constructor default.
+     */
+    async load() {
+        const rates = await db.all('SELECT * FROM tax_zip_rates');
+        this.zipRates = new Map(rates.map(rate => [rate.zip, {
+            state: rate.state,
+            region_name: rate.region_name,
+            state_rate: Number(rate.state_rate),
+            county_rate: Number(rate.county_rate),
+            city_rate: Number(rate.city_rate),
+            special_rate: Number(rate.special_rate),
+            combined_rate: Number(rate.combined_rate)
+        }]));
+
+        const registrations = await db.all('SELECT state FROM tax_registrations WHERE is_active = 1');
+        this.nexusStates = registrations.length > 0
+            ? registrations.map(registration => registration.state)
+            : this.defaultNexusStates;
+
+        return { zipRates: this.zipRates.size, nexusStates: this.nexusStates.length };
+    }
+
+    // Local rate for a ZIP (ZIP+4 is accepted), only when it belongs to the given state
+    getZipRate(postalCode, stateCode) {
+        const zip = String(postalCode || '').trim().slice(0, 5);
+        const rate = this.zipRates.get(zip);
+        return rate && rate.state === stateCode ? rate : null;
+    }
+
+    /**
+     * Validate rows from a ZIP rate CSV
+     * @param {Array} rows - Parsed CSV rows (objects keyed by header)
+     * @returns {Object} { rates, errors } - errors are "Row n: message" strings
+     */
+    parseZipRates(rows) {
+        const rates = [];
+        const errors = [];
+
+        rows.forEach((row, index) => {
+            const value = (column) => {
+                const header = ZIP_RATE_COLUMNS[column].find(name => row[name] !== undefined);
+                return header ? row[header] : '';
+            };
+            const line = index + 2; // header is line 1
+
+            // Spreadsheets drop leading zeros from ZIP codes
+            const zip = value('zip').padStart(5, '0');
+            const state = value('state').toUpperCase();
+            if (!/^\d{3,5}$/.test(value('zip'))) {
+                errors.push(`Row ${line}: invalid ZIP code "${value('zip')}"`);
+                return;
+            }
+            if (!/^[A-Z]{2}$/.test(state)) {
+                errors.push(`Row ${line}: invalid state "${value('state')}"`);
+                return;
+            }
+
+            const rate = { zip, state, region_name: value('region_name') || null };
+            for (const column of ['state_rate', 'county_rate', 'city_rate', 'special_rate', 'combined_rate']) {
+                const raw = value(column);
+                const number = raw === '' ? 0 : Number(raw);
+                if (!Number.isFinite(number) || number < 0 || number >= 1) {
+                    errors.push(`Row ${line}: ${column} must be a decimal rate between 0 and 1`);
+                    return;
+                }
+                rate[column] = number;
+            }
+
+            // Combined rate defaults to the sum of its parts
+            if (value('combined_rate') === '') {
+                rate.combined_rate = rate.state_rate + rate.county_rate + rate.city_rate + rate.special_rate;
+            }
+
+            rates.push(rate);
+        });
+
+        return { rates, errors };
+    }
+
+    /**
+     * Import ZIP rates from parsed CSV rows and reload them into memory
+     * @param {Array} rows - Parsed CSV rows
+     * @param {Object} options
+     * @param {boolean} options.replace - Remove existing ZIPs of the imported states that are not in the file
+     * @returns {Object} { imported, removed, states }
+     * @throws {Error} status 400 when any row is invalid (nothing is imported)
+     */
+    async importZipRates(rows, { replace = false } = {}) {
+        const { rates, errors } = this.parseZipRates(rows);
+        if (errors.length > 0) {
+            throw taxError(`${errors.length} invalid row${errors.length === 1 ? '' : 's'}`, 400, errors.slice(0, 50));
+        }
+        if (rates.length === 0) {
+            throw taxError('No rates found in file');
+        }
+
+        const states = [...new Set(rates.map(rate => rate.state))].sort();
+        let removed = 0;
+
+        await db.transaction(async (connection) => {
+            for (let i = 0; i < rates.length; i += IMPORT_BATCH_SIZE) {
+                const batch = rates.slice(i, i + IMPORT_BATCH_SIZE);
+                await connection.execute(`
+                    INSERT INTO tax_zip_rates (zip, state, region_name, state_rate, county_rate, city_rate, special_rate, combined_rate)
+                    VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                    ON DUPLICATE KEY UPDATE
+                        state = VALUES(state),
+                        region_name = VALUES(region_name),
+                        state_rate = VALUES(state_rate),
+                        county_rate = VALUES(county_rate),
+                        city_rate = VALUES(city_rate),
+                        special_rate = VALUES(special_rate),
+                        combined_rate = VALUES(combined_rate)
+                `, batch.flatMap(rate => [
+                    rate.zip, rate.state, rate.region_name, rate.state_rate,
+                    rate.county_rate, rate.city_rate, rate.special_rate, rate.combined_rate
+                ]));
+            }
+
+            if (replace) {
+                const zipsByState = new Map(states.map(state => [state, rates.filter(rate => rate.state === state).map(rate => rate.zip)]));
+                for (const [state, zips] of zipsByState) {
+                    const [result] = await connection.execute(
+                        `DELETE FROM tax_zip_rates WHERE state = ? AND zip NOT IN (${zips.map(() => '?').join(', ')})`,
+                        [state, ...zips]
+                    );
+                    removed += result.affectedRows;
+                }
+            }
+        });
+
+        await this.load();
+
+        return { imported: rates.length, removed, states };
+    }
+
+    isShippingTaxable(stateCode) {
+        return SHIPPING_TAX_RULES[stateCode] === 'taxable';
     }
 
     /**
@@ -142,9 +413,15 @@ export class TaxCalculator {
      * @param {string} params.postalCode - Postal/ZIP code
      * @param {string} params.category - Product category
      * @param {number} params.shipping - Shipping cost
+     * @param {number} params.digitalSubtotal - Part of the subtotal that is digital items
+     * @param {Object} params.evidence - Buyer location evidence for digital items
+     *   ({ billingCountry, ipCountry, shippingCountry }); defaults to the country
+     * @param {string} params.vatId - Buyer's VAT number (EU/UK reverse charge)
+     * @param {boolean} params.pricesIncludeTax - Subtotal and shipping already include VAT
      * @returns {Object} Tax calculation result
+     * @throws {Error} status 400 for a malformed VAT number
      */
-    calculate({ subtotal, country, state, postalCode, category = 'apparel', shipping = 0 }) {
+    calculate({ subtotal, country, state, postalCode, category = 'apparel', shipping = 0, digitalSubtotal = 0, evidence = null, vatId = null, pricesIncludeTax = false }) {
         const result = {
             subtotal,
             shipping,
@@ -153,7 +430,8 @@ export class TaxCalculator {
             taxAmount: 0,
             total: subtotal + shipping,
             breakdown: [],
-            jurisdiction: null
+            jurisdiction: null,
+            pricesIncludeTax
         };
 
         // Check if product category is taxable
@@ -162,13 +440,26 @@ export class TaxCalculator {
             return result;
         }
 
+        // Digital items sold into the EU or UK are taxed where the buyer is
+        if (digitalSubtotal > 0) {
+            const location = this.resolveDigitalLocation(evidence || { billingCountry: country });
+            if (DIGITAL_VAT_COUNTRIES.includes(location.country)) {
+                const goodsSubtotal = subtotal - digitalSubtotal;
+                const goods = goodsSubtotal > 0 || shipping > 0
+                    ? this.calculate({ subtotal: goodsSubtotal, country, state, postalCode, category, shipping, vatId, pricesIncludeTax })
+                    : { ...result, subtotal: 0, taxableAmount: 0, total: 0 };
+                return this.addDigitalVAT(goods, digitalSubtotal, location, vatId);
+            }
+            result.location = location;
+        }
+
         // Calculate based on country
         if (country === 'US') {
             return this.calculateUSTax(result, state, postalCode, shipping);
         } else if (country === 'CA') {
             return this.calculateCanadianTax(result, state, shipping);
         } else if (INTERNATIONAL_VAT_RATES[country]) {
-            return this.calculateVAT(result, country, shipping);
+            return this.calculateVAT(result, country, shipping, vatId);
         }
 
         // No tax for countries without configured rates
@@ -187,33 +478,50 @@ export class TaxCalculator {
             return result;
         }
 
-        const stateTaxRate = US_STATE_TAX_RATES[stateCode] || 0;
+        const zipRate = this.getZipRate(postalCode, stateCode);
+        const taxRate = zipRate ? zipRate.combined_rate : (US_STATE_TAX_RATES[stateCode] || 0);
 
-        if (stateTaxRate === 0) {
+        if (taxRate === 0) {
             result.jurisdiction = `${stateCode} - No state sales tax`;
             return result;
         }
 
-        // Some states tax shipping, some don't
-        const statesTaxingShipping = ['AR', 'CT', 'DC', 'GA', 'HI', 'IN', 'KS', 'KY',
-            'MI', 'MN', 'MS', 'NE', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'PA', 'SD',
-            'TN', 'TX', 'VT', 'WA', 'WV', 'WI'];
-
-        const taxableAmount = statesTaxingShipping.includes(stateCode)
+        const taxableAmount = this.isShippingTaxable(stateCode)
             ? result.subtotal + shipping
             : result.subtotal;
 
-        const taxAmount = Math.round(taxableAmount * stateTaxRate * 100) / 100;
+        const taxAmount = roundCurrency(taxableAmount * taxRate);
 
         result.taxableAmount = taxableAmount;
-        result.taxRate = stateTaxRate;
+        result.taxRate = taxRate;
         result.taxAmount = taxAmount;
         result.total = result.subtotal + shipping + taxAmount;
-        result.jurisdiction = stateCode;
-        result.breakdown.push({
-            name: `${stateCode} State Sales Tax`,
-            rate: stateTaxRate,
-            amount: taxAmount
+
+        if (!zipRate) {
+            result.jurisdiction = stateCode;
+            result.breakdown.push({
+                name: `${stateCode} State Sales Tax`,
+                rate: taxRate,
+                amount: taxAmount
+            });
+            return result;
+        }
+
+        result.jurisdiction = zipRate.region_name ? `${stateCode} - ${zipRate.region_name}` : stateCode;
+
+        // One line per jurisdiction; the last one absorbs rounding so the lines add up
+        const components = LOCAL_RATE_COMPONENTS.filter(([key]) => zipRate[key] > 0);
+        let allocated = 0;
+        components.forEach(([key, label], index) => {
+            const amount = index === components.length - 1
+                ? roundCurrency(taxAmount - allocated)
+                : roundCurrency(taxableAmount * zipRate[key]);
+            allocated += amount;
+            result.breakdown.push({
+                name: key === 'state_rate' ? `${stateCode} ${label}` : label,
+                rate: zipRate[key],
+                amount
+            });
         });
 
         return result;
@@ -268,7 +576,7 @@ export class TaxCalculator {
     /**
      * Calculate VAT for international orders
      */
-    calculateVAT(result, country, shipping) {
+    calculateVAT(result, country, shipping, vatId = null) {
         const vatRate = INTERNATIONAL_VAT_RATES[country] || 0;
 
         if (vatRate === 0) {
@@ -277,12 +585,23 @@ export class TaxCalculator {
 
         // VAT typically applies to total including shipping
         const taxableAmount = result.subtotal + shipping;
-        const vatAmount = Math.round(taxableAmount * vatRate * 100) / 100;
 
-        result.taxableAmount = taxableAmount;
+        const reverseChargeId = DIGITAL_VAT_COUNTRIES.includes(country) ? this.reverseChargeId(vatId, country) : null;
+        if (reverseChargeId) {
+            result.taxableAmount = taxableAmount;
+            result.jurisdiction = country;
+            result.vatId = reverseChargeId;
+            result.reverseCharge = true;
+            result.breakdown.push({ name: 'VAT reverse charge', rate: 0, amount: 0 });
+            return result;
+        }
+
+        const vatAmount = this.taxOn(taxableAmount, vatRate, result.pricesIncludeTax);
+
+        result.taxableAmount = result.pricesIncludeTax ? roundCurrency(taxableAmount - vatAmount) : taxableAmount;
         result.taxRate = vatRate;
         result.taxAmount = vatAmount;
-        result.total = result.subtotal + shipping + vatAmount;
+        result.total = result.subtotal + shipping + (result.pricesIncludeTax ? 0 : vatAmount);
         result.jurisdiction = country;
         result.breakdown.push({
             name: 'VAT',
@@ -293,12 +612,120 @@ export class TaxCalculator {
         return result;
     }
 
+    /**
+     * Add VAT on digital items at the buyer's country rate to a goods result
+     */
+    addDigitalVAT(result, amount, location, vatId) {
+        const country = location.country;
+        const rate = INTERNATIONAL_VAT_RATES[country];
+        const reverseChargeId = this.reverseChargeId(vatId, country);
+        const vatAmount = reverseChargeId ? 0 : this.taxOn(amount, rate, result.pricesIncludeTax);
+        const net = result.pricesIncludeTax ? amount - vatAmount : amount;
+
+        result.subtotal += amount;
+        result.taxableAmount += net;
+        result.taxAmount = roundCurrency(result.taxAmount + vatAmount);
+        result.total = result.subtotal + result.shipping + (result.pricesIncludeTax ? 0 : result.taxAmount);
+        result.taxRate = result.taxableAmount > 0
+            ? Math.round(result.taxAmount / result.taxableAmount * 10000) / 10000
+            : 0;
+        result.jurisdiction = result.jurisdiction && result.jurisdiction !== country
+            ? `${result.jurisdiction}; ${country} (digital)`
+            : country;
+        result.breakdown.push({
+            name: reverseChargeId ? 'VAT reverse charge (digital)' : `VAT ${country} (digital)`,
+            rate: reverseChargeId ? 0 : rate,
+            amount: vatAmount
+        });
+        result.location = location;
+        result.digital = { country, net: roundCurrency(net), rate, amount: vatAmount, reverseCharge: Boolean(reverseChargeId) };
+
+        if (reverseChargeId) {
+            result.vatId = reverseChargeId;
+            result.reverseCharge = true;
+        }
+
+        return result;
+    }
+
+    /**
+     * Work out which country a digital sale is consumed in. EU and UK rules
+     * need two pieces of evidence that agree.
+     * @param {Object} evidence - { billingCountry, ipCountry, shippingCountry } (any may be missing)
+     * @returns {Object} { country, sources, confirmed, conflict, evidence }
+     *   conflict is true when EU/UK VAT may be due but no two pieces agree
+     */
+    resolveDigitalLocation(evidence) {
+        const votes = new Map();
+        for (const [source, value] of Object.entries(evidence)) {
+            const country = String(value || '').trim().toUpperCase();
+            if (/^[A-Z]{2}$/.test(country)) {
+                votes.set(country, [...(votes.get(country) || []), source]);
+            }
+        }
+
+        // Most votes wins; ties go to the first source (billing address)
+        const [country, sources] = [...votes.entries()].sort((a, b) => b[1].length - a[1].length)[0] || [null, []];
+        const confirmed = sources.length >= 2;
+        const vatDue = [...votes.keys()].some(code => DIGITAL_VAT_COUNTRIES.includes(code));
+
+        return { country, sources, confirmed, conflict: vatDue && !confirmed, evidence };
+    }
+
+    /**
+     * Check the format of a VAT number
+     * @param {string} vatId - VAT number with its prefix (e.g. "DE 123 456 789")
+     * @returns {Object} { valid, vatId (normalised), country (ISO code) }
+     */
+    validateVatId(vatId) {
+        const normalized = String(vatId || '').toUpperCase().replace(/[\s.-]/g, '');
+        const prefix = normalized.slice(0, 2);
+        const format = VAT_ID_FORMATS[prefix];
+
+        return {
+            valid: Boolean(format && format.test(normalized.slice(2))),
+            vatId: normalized,
+            country: VAT_ID_COUNTRIES[prefix] || prefix
+        };
+    }
+
+    /**
+     * VAT number to reverse charge a sale to this country, if one was given
+     * @throws {Error} status 400 when the number is malformed or from another country
+     */
+    reverseChargeId(vatId, country) {
+        if (!vatId) {
+            return null;
+        }
+        const check = this.validateVatId(vatId);
+        if (!check.valid) {
+            throw taxError('Invalid VAT number');
+        }
+        if (check.country !== country) {
+            throw taxError(`VAT number must be registered in ${country}`);
+        }
+        return check.vatId;
+    }
+
+    // Tax on an amount, or the tax contained in it when the amount includes tax
+    taxOn(amount, rate, inclusive = false) {
+        return roundCurrency(inclusive ? amount - amount / (1 + rate) : amount * rate);
+    }
+
+    // Whether prices are shown (and charged) with tax included. Businesses
+    // quoting a VAT number see net prices.
+    pricesIncludeTax(country, vatId = null) {
+        return TAX_INCLUSIVE_COUNTRIES.includes(String(country || '').toUpperCase()) && !vatId;
+    }
+
     /**
      * Get tax rate for display purposes
      */
-    getTaxRate(country, state) {
+    getTaxRate(country, state, postalCode) {
         if (country === 'US') {
-            return US_STATE_TAX_RATES[state?.toUpperCase()] || 0;
+            const stateCode = state?.toUpperCase();
+            const zipRate = this.getZipRate(postalCode, stateCode);
+            return zipRate ? zipRate.combined_rate : (US_STATE_TAX_RATES[stateCode] || 0);
         } else if (country === 'CA') {
             const gst = 0.05;
             const pst = CANADIAN_PROVINCIAL_TAX[state?.toUpperCase()] || 0;
@@ -311,11 +738,8 @@ export class TaxCalculator {
     /**
      * Format tax for display
      */
-    formatTax(amount, currency = 'USD') {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: currency
-        }).format(amount);
+    formatTax(amount, currency = 'USD', locale = 'en-US') {
+        return currencyConverter.format(amount, currency, locale);
     }
 
     /**
@@ -330,10 +754,10 @@ export class TaxCalculator {
     }
 }
 
-// Create singleton with default nexus states (update based on your business)
-export const taxCalculator = new TaxCalculator([
-    // Add states where you have nexus
-    // 'CA', 'NY', 'TX', etc.
-]);
+// Create singleton. Default nexus states come from TAX_NEXUS_STATES (e.g. "AL,GA")
+// until registrations are recorded in tax_registrations.
+export const taxCalculator = new TaxCalculator(
+    (process.env.TAX_NEXUS_STATES || '').split(',').map(state => state.trim().toUpperCase()).filter(Boolean)
+);
 
 export default taxCalculator;
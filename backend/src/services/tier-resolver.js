@@ -0,0 +1,91 @@
+/**
+ * Membership Tier Resolver
+ * Works out a world user's current tier from live membership state so that
+ * access checks never rely on what a token claimed when it was issued.
+ * The tier is cached briefly per user and billing changes invalidate the
+ * cache. is_active and token_version are always read fresh, so suspensions
+ * and logouts take effect on the next request, on every server.
+ */
+
+import db from '../config/database.js';
+import { TIER_ORDER } from '../config/membership-tiers.js';
+
+export class TierResolver {
+    constructor({ ttlSeconds = 30 } = {}) {
+        this.ttl = ttlSeconds * 1000;
+        this.cache = new Map();
+    }
+
+    /**
+     * Get the live account state for a world user
+     * @returns {Object|null} { id, username, membership_tier, is_active, token_version }
+     */
+    async resolve(userId) {
+        const account = await db.get('SELECT is_active, token_version FROM world_users WHERE id = ?', [userId]);
+        if (!account) {
+            this.cache.delete(userId);
+            return null;
+        }
+
+        const cached = this.cache.get(userId);
+        let user = cached && cached.expiresAt > Date.now() ? cached.user : null;
+        if (!user) {
+            user = await this.load(userId);
+            this.cache.set(userId, { user, expiresAt: Date.now() + this.ttl });
+        }
+
+        return user && { ...user, is_active: Boolean(account.is_active), token_version: account.token_version };
+    }
+
+    async load(userId) {
+        const user = await db.get(`
+            SELECT id, username, membership_tier, is_active, token_version
+            FROM world_users WHERE id = ?
+        `, [userId]);
+        if (!user) {
+            return null;
+        }
+
+        // Only memberships that were paid for count; a signup abandoned before payment
+        // is cancelled without ever getting a period (ends_at)
+        const memberships = await db.all(`
+            SELECT tier, status, ends_at, grace_ends_at FROM world_memberships
+            WHERE user_id = ? AND status NOT IN ('pending', 'failed')
+              AND (ends_at IS NOT NULL OR status = 'active')
+        `, [userId]);
+
+        // Accounts without any paid membership keep their assigned tier (comped members)
+        if (memberships.length === 0) {
+            return { ...user, is_active: Boolean(user.is_active) };
+        }
+
+        const now = new Date();
+        const tier = memberships
+            .filter(m => (m.status === 'active' && (!m.ends_at || new Date(m.ends_at) > now)) ||
+                (m.status === 'past_due' && m.grace_ends_at && new Date(m.grace_ends_at) > now))
+            .map(m => m.tier)
+            .reduce((best, current) => TIER_ORDER.indexOf(current) > TIER_ORDER.indexOf(best) ? current : best, 'free');
+
+        // Keep the stored tier in step for profile displays until the lapse job catches up
+        if (tier !== user.membership_tier) {
+            await db.run('UPDATE world_users SET membership_tier = ? WHERE id = ?', [tier, userId]);
+        }
+
+        return { ...user, membership_tier: tier, is_active: Boolean(user.is_active) };
+    }
+
+    // Drop the cached state after a billing or account change
+    invalidate(userId) {
+        this.cache.delete(userId);
+    }
+
+    // Check a tier against a minimum tier
+    meets(tier, minTier) {
+        return TIER_ORDER.indexOf(tier) >= TIER_ORDER.indexOf(minTier);
+    }
+}
+
+// Create singleton instance
+export const tierResolver = new TierResolver({
+    ttlSeconds: parseInt(process.env.WORLD_TIER_CACHE_SECONDS) || 30
+});
@@ -0,0 +1,114 @@
+/**
+ * VAT Reporting
+ * Quarterly totals of VAT charged on digital sales to EU buyers, for the
+ * One-Stop Shop (OSS) return, and to UK buyers, for the UK VAT return.
+ *
+ * Built from the tax details recorded on each order at checkout. Amounts
+ * are grouped by the currency the order was paid in; OSS returns are filed
+ * in EUR at the ECB rate for the last day of the quarter.
+ */
+
+import db from '../config/database.js';
+import { toCsv } from '../utils/csv.js';
+
+// Orders that count as completed sales
+const REPORTED_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+const REPORT_COLUMNS = ['scheme', 'country', 'rate', 'currency', 'taxable_amount', 'vat_amount', 'orders'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export class VatReporter {
+    // [start, end) dates of a calendar quarter
+    quarterRange(year, quarter) {
+        const startMonth = (quarter - 1) * 3 + 1;
+        const start = `${year}-${String(startMonth).padStart(2, '0')}-01`;
+        const end = quarter === 4
+            ? `${year + 1}-01-01`
+            : `${year}-${String(startMonth + 3).padStart(2, '0')}-01`;
+        return [start, end];
+    }
+
+    // The quarter before the current one (the one being filed)
+    previousQuarter(date = new Date()) {
+        const quarter = Math.floor(date.getMonth() / 3) + 1;
+        return quarter === 1
+            ? { year: date.getFullYear() - 1, quarter: 4 }
+            : { year: date.getFullYear(), quarter: quarter - 1 };
+    }
+
+    /**
+     * Digital VAT totals for a quarter, per country, rate and currency
+     * @returns {Object} { year, quarter, period, supplies, reverseCharged }
+     *   supplies: [{ scheme ('oss' | 'uk'), country, rate, currency, taxable_amount, vat_amount, orders }]
+     *   reverseCharged: B2B sales with no VAT charged, for the EC sales list
+     */
+    async getQuarter(year, quarter) {
+        const [start, end] = this.quarterRange(year, quarter);
+
+        const orders = await db.all(`
+            SELECT id, order_number, tax_details, vat_id, currency, created_at
+            FROM orders
+            WHERE tax_details IS NOT NULL
+              AND status IN (${REPORTED_STATUSES.map(() => '?').join(', ')})
+              AND created_at >= ? AND created_at < ?
+            ORDER BY created_at
+        `, [...REPORTED_STATUSES, start, end]);
+
+        const supplies = new Map();
+        const reverseCharged = [];
+
+        for (const order of orders) {
+            const digital = parseJson(order.tax_details).digital;
+            if (!digital) {
+                continue;
+            }
+
+            if (digital.reverseCharge) {
+                reverseCharged.push({
+                    orderNumber: order.order_number,
+                    country: digital.country,
+                    vatId: order.vat_id,
+                    currency: order.currency,
+                    net: digital.net,
+                    date: order.created_at
+                });
+                continue;
+            }
+
+            const key = `${digital.country}:${digital.rate}:${order.currency}`;
+            const supply = supplies.get(key) || {
+                scheme: digital.country === 'GB' ? 'uk' : 'oss',
+                country: digital.country,
+                rate: digital.rate,
+                currency: order.currency,
+                taxable_amount: 0,
+                vat_amount: 0,
+                orders: 0
+            };
+            supply.taxable_amount = roundCurrency(supply.taxable_amount + Number(digital.net));
+            supply.vat_amount = roundCurrency(supply.vat_amount + Number(digital.amount));
+            supply.orders += 1;
+            supplies.set(key, supply);
+        }
+
+        return {
+            year,
+            quarter,
+            period: { start, end },
+            supplies: [...supplies.values()].sort((a, b) => a.scheme.localeCompare(b.scheme) || a.country.localeCompare(b.country)),
+            reverseCharged
+        };
+    }
+
+    // CSV of one scheme's supplies (e.g. the OSS lines only)
+    toCsv(report, scheme = null) {
+        const rows = scheme ? report.supplies.filter(supply => supply.scheme === scheme) : report.supplies;
+        return toCsv(rows, REPORT_COLUMNS);
+    }
+}
+
+// Create singleton instance
+export const vatReporter = new VatReporter();
@@ -0,0 +1,252 @@
+/**
+ * World Polls
+ * A World post can carry one poll (world_polls) with two to four options. Each
+ * signed-in member gets one vote (world_poll_votes), and a poll can be limited
+ * to members of a tier and up (min_tier), e.g. Inner Circle votes on upcoming
+ * content. Counts are shown once you have voted, to the post's author, and to
+ * everyone after the poll closes.
+ *
+ * Polls close at ends_at. A job marks them closed and notifies the author and
+ * everyone who voted of the result. A poll on a locked pay-per-view post is
+ * locked with it.
+ */
+
+import db from '../config/database.js';
+import { tierResolver } from './tier-resolver.js';
+
+const pollError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export const POLL_OPTION_LIMITS = { min: 2, max: 4 };
+
+// Poll durations, in hours
+export const POLL_DURATION_LIMITS = { min: 1, max: 30 * 24, default: 24 };
+
+const isClosed = (poll) => Boolean(poll.closed_at) || (poll.ends_at && new Date(poll.ends_at) <= new Date());
+
+export class WorldPolls {
+    /**
+     * Attach a poll to a new post
+     * @param {number} postId
+     * @param {Object} poll
+     * @param {string} poll.question - Defaults to the post itself
+     * @param {Array<string>} poll.options
+     * @param {number} poll.durationHours - See POLL_DURATION_LIMITS
+     * @param {string} poll.minTier - Lowest tier that can vote
+     * @returns {number} world_polls id
+     */
+    async create(postId, { question = null, options, durationHours = POLL_DURATION_LIMITS.default, minTier = 'free' }) {
+        const result = await db.run(`
+            INSERT INTO world_polls (post_id, question, options, min_tier, ends_at)
+            VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))
+        `, [postId, question, JSON.stringify(options.map(text => ({ text }))), minTier, durationHours]);
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Vote counts per option
+     * @returns {Object} { [pollId]: [count per option] }
+     */
+    async tallies(polls) {
+        if (polls.length === 0) {
+            return {};
+        }
+        const rows = await db.all(`
+            SELECT poll_id, option_index, COUNT(*) AS votes FROM world_poll_votes
+            WHERE poll_id IN (${polls.map(() => '?').join(', ')})
+            GROUP BY poll_id, option_index
+        `, polls.map(poll => poll.id));
+
+        const counts = {};
+        for (const poll of polls) {
+            counts[poll.id] = parseJson(poll.options).map(() => 0);
+        }
+        for (const row of rows) {
+            if (row.option_index < counts[row.poll_id].length) {
+                counts[row.poll_id][row.option_index] = Number(row.votes);
+            }
+        }
+        return counts;
+    }
+
+    // Which option the user picked in each poll
+    async votesBy(userId, pollIds) {
+        if (!userId || pollIds.length === 0) {
+            return new Map();
+        }
+        const rows = await db.all(`
+            SELECT poll_id, option_index FROM world_poll_votes
+            WHERE user_id = ? AND poll_id IN (${pollIds.map(() => '?').join(', ')})
+        `, [userId, ...pollIds]);
+        return new Map(rows.map(row => [row.poll_id, row.option_index]));
+    }
+
+    /**
+     * Polls for a page of posts, as each viewer may see them
+     * @param {Array} posts - world_posts rows
+     * @param {Object|null} viewer - req.worldUser
+     * @returns {Object} Formatted polls keyed by post id
+     */
+    async forPosts(posts, viewer) {
+        if (posts.length === 0) {
+            return {};
+        }
+        const polls = await db.all(`
+            SELECT * FROM world_polls WHERE is_active = 1 AND post_id IN (${posts.map(() => '?').join(', ')})
+        `, posts.map(post => post.id));
+
+        const counts = await this.tallies(polls);
+        const votes = await this.votesBy(viewer?.id, polls.map(poll => poll.id));
+        const authors = new Map(posts.map(post => [post.id, post.author_id]));
+
+        const byPost = {};
+        for (const poll of polls) {
+            byPost[poll.post_id] = this.format(poll, {
+                counts: counts[poll.id],
+                viewer,
+                votedOption: votes.get(poll.id),
+                isAuthor: Boolean(viewer && authors.get(poll.post_id) === viewer.id)
+            });
+        }
+        return byPost;
+    }
+
+    async get(pollId, viewer) {
+        const poll = await db.get(`
+            SELECT pl.*, p.author_id FROM world_polls pl
+            JOIN world_posts p ON p.id = pl.post_id
+            WHERE pl.id = ? AND pl.is_active = 1
+        `, [pollId]);
+        if (!poll) {
+            return null;
+        }
+        const counts = await this.tallies([poll]);
+        const votes = await this.votesBy(viewer?.id, [poll.id]);
+        return this.format(poll, {
+            counts: counts[poll.id],
+            viewer,
+            votedOption: votes.get(poll.id),
+            isAuthor: Boolean(viewer && poll.author_id === viewer.id)
+        });
+    }
+
+    format(poll, { counts, viewer = null, votedOption, isAuthor = false }) {
+        const closed = isClosed(poll);
+        const total = counts.reduce((sum, votes) => sum + votes, 0);
+        const showResults = closed || votedOption !== undefined || isAuthor;
+        const tierAllowed = Boolean(viewer) && tierResolver.meets(viewer.membership_tier, poll.min_tier || 'free');
+
+        return {
+            id: poll.id,
+            question: poll.question,
+            options: parseJson(poll.options).map((option, index) => ({
+                index,
+                text: option.text,
+                ...(showResults ? {
+                    votes: counts[index],
+                    percentage: total > 0 ? Math.round(counts[index] / total * 100) : 0
+                } : {})
+            })),
+            total_votes: showResults ? total : undefined,
+            min_tier: poll.min_tier || 'free',
+            ends_at: poll.ends_at,
+            is_closed: closed,
+            voted_option: votedOption ?? null,
+            can_vote: tierAllowed && !closed && votedOption === undefined
+        };
+    }
+
+    /**
+     * Cast a member's vote
+     * @param {Object} poll - world_polls row, on a post the voter can see
+     * @param {Object} user - req.worldUser
+     * @throws {Error} 403 below the poll's tier, 409 when closed or already voted
+     */
+    async vote(poll, user, optionIndex) {
+        if (isClosed(poll)) {
+            throw pollError('This poll has closed', 409);
+        }
+        if (!tierResolver.meets(user.membership_tier, poll.min_tier || 'free')) {
+            throw pollError(`${poll.min_tier} membership required to vote`, 403);
+        }
+        if (optionIndex >= parseJson(poll.options).length) {
+            throw pollError('Invalid option');
+        }
+
+        const result = await db.run(
+            'INSERT IGNORE INTO world_poll_votes (poll_id, user_id, option_index) VALUES (?, ?, ?)',
+            [poll.id, user.id, optionIndex]
+        );
+        if (result.changes === 0) {
+            throw pollError('You have already voted on this poll', 409);
+        }
+        await db.run('UPDATE world_polls SET total_votes = total_votes + 1 WHERE id = ?', [poll.id]);
+    }
+
+    /**
+     * Close polls past their end time and tell the author and voters the
+     * result (run by the scheduler)
+     * @returns {Object} { closed, notified }
+     */
+    async closeExpired() {
+        const expired = await db.all(`
+            SELECT pl.*, p.author_id, p.is_wyatt_post, p.content FROM world_polls pl
+            JOIN world_posts p ON p.id = pl.post_id
+            WHERE pl.closed_at IS NULL AND pl.ends_at <= NOW()
+        `);
+
+        let closed = 0;
+        let notified = 0;
+        for (const poll of expired) {
+            // Claim the poll so it is only announced once
+            const claimed = await db.run('UPDATE world_polls SET closed_at = CURRENT_TIMESTAMP WHERE id = ? AND closed_at IS NULL', [poll.id]);
+            if (claimed.changes === 0) {
+                continue;
+            }
+            closed++;
+            if (!poll.is_active) {
+                continue;
+            }
+
+            const counts = (await this.tallies([poll]))[poll.id];
+            const message = this.resultMessage(poll, counts);
+            const voters = await db.all('SELECT user_id FROM world_poll_votes WHERE poll_id = ?', [poll.id]);
+            const recipients = new Set(voters.map(row => row.user_id));
+            if (poll.author_id && !poll.is_wyatt_post) {
+                recipients.add(poll.author_id);
+            }
+
+            for (const userId of recipients) {
+                await db.run(`
+                    INSERT INTO world_notifications (user_id, type, title, message)
+                    VALUES (?, 'poll_results', 'Poll Results', ?)
+                `, [userId, message]);
+            }
+            notified += recipients.size;
+        }
+        return { closed, notified };
+    }
+
+    // e.g. 'The poll "Next shoot?" has closed: "Beach" won with 62% of 40 votes'
+    resultMessage(poll, counts) {
+        const question = poll.question || poll.content || '';
+        const label = question.length > 80 ? question.slice(0, 77) + '...' : question;
+        const total = counts.reduce((sum, votes) => sum + votes, 0);
+        if (total === 0) {
+            return `The poll "${label}" has closed with no votes`;
+        }
+
+        const options = parseJson(poll.options);
+        const top = Math.max(...counts);
+        const winners = options.filter((option, index) => counts[index] === top).map(option => `"${option.text}"`);
+        const share = Math.round(top / total * 100);
+        const votes = `${total} vote${total === 1 ? '' : 's'}`;
+        return winners.length === 1
+            ? `The poll "${label}" has closed: ${winners[0]} won with ${share}% of ${votes}`
+            : `The poll "${label}" has closed: ${winners.join(' and ')} tied with ${share}% each of ${votes}`;
+    }
+}
+
+// Create singleton instance
+export const worldPolls = new WorldPolls();
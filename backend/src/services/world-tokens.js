@@ -0,0 +1,157 @@
+/**
+ * Wyatt World Session Tokens
+ * Short-lived JWT access tokens plus opaque, rotating refresh tokens.
+ *
+ * Refresh tokens belong to a family (one per login). Each refresh replaces
+ * the presented token; presenting an already-replaced token revokes the whole
+ * family, since it means the token was copied.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../config/database.js';
+
+const JWT_SECRET = process.env.WORLD_JWT_SECRET || process.env.JWT_SECRET || 'wyatt-world-secret-key-change-in-prod';
+
+const ACCESS_TOKEN_TTL = process.env.WORLD_ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.WORLD_REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign an access token. Tier is deliberately not a claim; it is resolved
+ * from the database on each request.
+ */
+export function signAccessToken(user) {
+    return jwt.sign(
+        { id: user.id, username: user.username, ver: user.token_version || 0 },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+    );
+}
+
+// Verify an access token's signature and expiry (throws if invalid)
+export function verifyAccessToken(token) {
+    return jwt.verify(token, JWT_SECRET);
+}
+
+async function createRefreshToken(userId, familyId, userAgent) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    const result = await db.run(`
+        INSERT INTO world_refresh_tokens (user_id, token_hash, family_id, user_agent, expires_at)
+        VALUES (?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY))
+    `, [userId, hashToken(token), familyId, userAgent ? String(userAgent).slice(0, 255) : null, REFRESH_TOKEN_DAYS]);
+
+    return { token, id: result.lastInsertRowid };
+}
+
+/**
+ * Start a new session for a user
+ * @returns {Object} { token, refresh_token, expires_in }
+ */
+export async function issueSession(user, userAgent = null) {
+    const refresh = await createRefreshToken(user.id, crypto.randomUUID(), userAgent);
+    return formatSession(user, refresh.token);
+}
+
+function formatSession(user, refreshToken) {
+    const token = signAccessToken(user);
+    const { exp, iat } = jwt.decode(token);
+    return { token, refresh_token: refreshToken, expires_in: exp - iat };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * @returns {Object|null} New session, or null if the token is not usable
+ */
+export async function rotateRefreshToken(refreshToken, userAgent = null) {
+    const stored = await db.get(`
+        SELECT rt.*, u.username, u.token_version, u.is_active
+        FROM world_refresh_tokens rt
+        JOIN world_users u ON u.id = rt.user_id
+        WHERE rt.token_hash = ?
+    `, [hashToken(refreshToken)]);
+
+    if (!stored) {
+        return null;
+    }
+
+    if (stored.revoked_at) {
+        // A replaced token came back: treat the family as stolen
+        await revokeFamily(stored.family_id);
+        return null;
+    }
+
+    if (new Date(stored.expires_at) <= new Date() || !stored.is_active) {
+        return null;
+    }
+
+    // Conditional update so two concurrent refreshes cannot both succeed
+    const claimed = await db.run(`
+        UPDATE world_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND revoked_at IS NULL
+    `, [stored.id]);
+
+    if (claimed.changes === 0) {
+        await revokeFamily(stored.family_id);
+        return null;
+    }
+
+    const next = await createRefreshToken(stored.user_id, stored.family_id, userAgent);
+    await db.run('UPDATE world_refresh_tokens SET replaced_by = ? WHERE id = ?', [next.id, stored.id]);
+
+    const user = { id: stored.user_id, username: stored.username, token_version: stored.token_version };
+    return formatSession(user, next.token);
+}
+
+export async function revokeFamily(familyId) {
+    await db.run(`
+        UPDATE world_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE family_id = ? AND revoked_at IS NULL
+    `, [familyId]);
+}
+
+// Revoke the session a refresh token belongs to (only if it is the caller's)
+export async function revokeRefreshToken(refreshToken, userId) {
+    const stored = await db.get('SELECT family_id FROM world_refresh_tokens WHERE token_hash = ? AND user_id = ?',
+        [hashToken(refreshToken), userId]);
+    if (stored) {
+        await revokeFamily(stored.family_id);
+    }
+}
+
+// Block a single access token until it would have expired anyway
+export async function revokeAccessToken(decoded) {
+    if (!decoded.jti) {
+        return;
+    }
+    await db.run(`
+        INSERT IGNORE INTO world_revoked_tokens (jti, user_id, expires_at)
+        VALUES (?, ?, FROM_UNIXTIME(?))
+    `, [decoded.jti, decoded.id, decoded.exp]);
+}
+
+export async function isAccessTokenRevoked(jti) {
+    if (!jti) {
+        return false;
+    }
+    const row = await db.get('SELECT jti FROM world_revoked_tokens WHERE jti = ?', [jti]);
+    return Boolean(row);
+}
+
+// Invalidate every token a user holds (bumps the version embedded in access tokens)
+export async function revokeAllSessions(userId) {
+    await db.run('UPDATE world_users SET token_version = token_version + 1 WHERE id = ?', [userId]);
+    await db.run(`
+        UPDATE world_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND revoked_at IS NULL
+    `, [userId]);
+}
+
+// Remove revocation records and refresh tokens that can no longer be used
+export async function purgeExpiredTokens() {
+    const revoked = await db.run('DELETE FROM world_revoked_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+    const refresh = await db.run('DELETE FROM world_refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+    return { revoked_tokens: revoked.changes, refresh_tokens: refresh.changes };
+}
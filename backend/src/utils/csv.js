@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV parsing (quoted fields, escaped quotes, CRLF line endings)
+
+// Split CSV text into rows of raw field values
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+// Parse CSV text with a header row into objects keyed by (trimmed) header name
+export const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+  return rows.map(values => Object.fromEntries(keys.map((key, index) => [key, (values[index] ?? '').trim()])));
+};
+
+// Quote a value when it contains a separator, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from objects, with one column per key in `columns`
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
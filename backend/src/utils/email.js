@@ -28,6 +28,11 @@ const createTransporter = () => {
 
 const transporter = createTransporter();
 
+const formatMoney = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency
+}).format(Number(amount));
+
 export const sendEmail = async ({ to, subject, text, html }) => {
   try {
     const result = await transporter.sendMail({
@@ -98,8 +103,26 @@ Submitted: ${new Date().toISOString()}
 };
 
 export const sendOrderConfirmation = async (order) => {
+  const currency = order.currency || 'USD';
   const items = JSON.parse(order.items);
-  const itemsList = items.map(i => `- ${i.title} x${i.quantity}: $${(i.price * i.quantity).toFixed(2)}`).join('\n');
+  const itemsList = items.map(i => `- ${i.title} x${i.quantity}: ${formatMoney(i.price * i.quantity, currency)}`).join('\n');
+
+  const discount = Number(order.discount || 0);
+  const discountLine = discount > 0
+    ? `Discount${order.promotion_code ? ` (${order.promotion_code})` : ''}: -${formatMoney(discount, currency)}\n`
+    : '';
+
+  // B2B sales to the EU/UK with a VAT number: the customer accounts for the VAT
+  let taxLine = `Tax: ${formatMoney(order.tax || 0, currency)}\n`;
+  if (order.vat_id) {
+    taxLine = `VAT: reverse charge (customer VAT number ${order.vat_id})\n`;
+  } else if (Number(order.prices_include_tax)) {
+    taxLine = `Includes VAT: ${formatMoney(order.tax || 0, currency)}\n`;
+  }
+
+  const downloadNote = items.some(i => i.isDigital)
+    ? '\nDownload links for your digital items are on their way in a separate email.\n'
+    : '';
 
   const subject = `Order Confirmation #${order.order_number}`;
   const text = `
@@ -110,10 +133,10 @@ Order Number: ${order.order_number}
 Items:
 ${itemsList}
 
-Subtotal: $${order.subtotal.toFixed(2)}
-Shipping: $${order.shipping.toFixed(2)}
-Total: $${order.total.toFixed(2)}
-
+Subtotal: ${formatMoney(order.subtotal, currency)}
+${discountLine}Shipping: ${formatMoney(order.shipping, currency)}
+${taxLine}Total: ${formatMoney(order.total, currency)}
+${downloadNote}
 We'll notify you when your order ships.
 
 - WYATT XXX COLE
@@ -126,6 +149,225 @@ We'll notify you when your order ships.
   });
 };
 
+export const sendShippingNotification = async (order, { items, shipments }) => {
+  const itemsList = items.map(i => `- ${i.title} x${i.quantity}`).join('\n');
+  const trackingList = shipments.length > 0
+    ? shipments.map(s => `${s.carrier || 'Carrier'}: ${s.trackingNumber}${s.trackingUrl ? `\n${s.trackingUrl}` : ''}`).join('\n\n')
+    : 'Tracking details will follow once the carrier has scanned your package.';
+
+  const subject = `Your order #${order.order_number} has shipped`;
+  const text = `
+Good news${order.customer_name ? `, ${order.customer_name}` : ''}! Your order is on its way.
+
+Order Number: ${order.order_number}
+
+Shipped:
+${itemsList}
+
+Tracking:
+${trackingList}
+
+- WYATT XXX COLE
+  `;
+
+  return sendEmail({
+    to: order.customer_email,
+    subject,
+    text
+  });
+};
+
+export const sendDeliveryNotification = async (order) => {
+  const subject = `Your order #${order.order_number} has been delivered`;
+  const text = `
+Your order #${order.order_number} has been delivered.
+
+We hope you love it. Tag us when you wear it!
+
+- WYATT XXX COLE
+  `;
+
+  return sendEmail({
+    to: order.customer_email,
+    subject,
+    text
+  });
+};
+
+export const sendDigitalDownloads = async (order, downloads) => {
+  const downloadsList = downloads.map(d => `${d.title} - ${d.filename}\n${d.url}\n(${d.remaining} download${d.remaining === 1 ? '' : 's'} left, link expires ${new Date(d.expiresAt).toDateString()})`).join('\n\n');
+
+  const subject = `Your downloads for order #${order.order_number}`;
+  const text = `
+Your digital items are ready${order.customer_name ? `, ${order.customer_name}` : ''}!
+
+Order Number: ${order.order_number}
+
+${downloadsList}
+
+Save your files somewhere safe. If a link expires, reply to this email and we'll send you a new one.
+
+- WYATT XXX COLE
+  `;
+
+  return sendEmail({
+    to: order.customer_email,
+    subject,
+    text
+  });
+};
+
+const RETURN_REASON_LABELS = {
+  wrong_size: 'Wrong size',
+  not_as_described: 'Not as described',
+  damaged: 'Arrived damaged',
+  defective: 'Defective',
+  changed_mind: 'Changed my mind',
+  other: 'Other'
+};
+
+export const sendReturnRequestNotification = async (request) => {
+  const itemsList = request.items.map(i => `- ${i.title} x${i.quantity}`).join('\n');
+
+  const subject = `Return request ${request.rmaNumber} for order #${request.orderNumber}`;
+  const text = `
+New return request!
+
+Return: ${request.rmaNumber}
+Order: ${request.orderNumber}
+Customer: ${request.customerName || 'N/A'} <${request.customerEmail}>
+Reason: ${RETURN_REASON_LABELS[request.reason] || request.reason}
+
+Items:
+${itemsList}
+
+Notes:
+${request.customerNotes || 'No additional details provided.'}
+
+---
+Submitted: ${new Date().toISOString()}
+  `;
+
+  return sendEmail({
+    to: process.env.RETURNS_EMAIL || process.env.BOOKING_EMAIL || 'returns@wyattxxxcole.xxx',
+    subject,
+    text
+  });
+};
+
+export const sendReturnUpdate = async (request) => {
+  const itemsList = request.items.map(i => `- ${i.title} x${i.quantity}`).join('\n');
+
+  const messages = {
+    requested: `We've received your return request. We'll review it and email you the next steps, usually within 2 business days.`,
+    approved: `Your return has been approved. Please pack the items securely and include your return number ${request.rmaNumber}.${request.instructions ? `\n\n${request.instructions}` : ''}\n\nRefunds are processed within 5-7 business days of receiving your return.`,
+    rejected: `Unfortunately we can't accept this return.${request.adminNotes ? `\n\n${request.adminNotes}` : ''}\n\nQuestions? Reply to this email or contact support@wyattxxxcole.xxx.`
+  };
+  if (!messages[request.status]) {
+    return null;
+  }
+
+  const subject = `Return ${request.rmaNumber} for order #${request.orderNumber}: ${request.status}`;
+  const text = `
+${messages[request.status]}
+
+Return Number: ${request.rmaNumber}
+Order Number: ${request.orderNumber}
+
+Items:
+${itemsList}
+
+- WYATT XXX COLE
+  `;
+
+  return sendEmail({
+    to: request.customerEmail,
+    subject,
+    text
+  });
+};
+
+export const sendRefundNotification = async (order, refund) => {
+  const currency = order.currency || 'USD';
+  const itemsList = refund.lines.length > 0
+    ? `\nItems:\n${refund.lines.map(i => `- ${i.title} x${i.quantity}`).join('\n')}\n`
+    : '';
+  const shippingLine = refund.shippingAmount > 0 ? `Shipping: ${formatMoney(refund.shippingAmount, currency)}\n` : '';
+  const timing = refund.status === 'pending'
+    ? 'It will be sent to your original payment method shortly'
+    : 'It has been sent to your original payment method';
+
+  const subject = `Refund for order #${order.order_number}`;
+  const text = `
+We've refunded ${formatMoney(refund.amount, currency)} for your order #${order.order_number}.
+${timing}; please allow 5-10 business days for it to appear on your statement.
+${itemsList}
+${shippingLine}${refund.reason ? `Reason: ${refund.reason}\n` : ''}Refund total: ${formatMoney(refund.amount, currency)}
+
+- WYATT XXX COLE
+  `;
+
+  return sendEmail({
+    to: order.customer_email,
+    subject,
+    text
+  });
+};
+
+export const sendOrderAccessLink = async (email, url, minutes) => {
+  const subject = 'Your sign-in link for your orders';
+  const text = `
+Here's your link to see your orders and tracking:
+
+${url}
+
+It works once and expires in ${minutes} minutes. If you didn't ask for it, you can ignore this email.
+
+- WYATT XXX COLE
+  `;
+
+  return sendEmail({
+    to: email,
+    subject,
+    text
+  });
+};
+
+export const sendCheckoutReminder = async (session, { url, code, discountPercent, codeDays }) => {
+  const currency = session.currency || 'USD';
+  const items = typeof session.items === 'string' ? JSON.parse(session.items) : session.items;
+  const itemsList = items.map(i => `- ${i.title} x${i.quantity}: ${formatMoney(i.price * i.quantity, currency)}`).join('\n');
+
+  const codeNote = code
+    ? `\nUse code ${code} for ${discountPercent}% off. It works once and expires in ${codeDays} days.\n`
+    : '';
+
+  const subject = 'You left something in your cart';
+  const text = `
+Still thinking it over?
+
+Your cart is waiting for you:
+${itemsList}
+
+Total: ${formatMoney(session.total, currency)}
+${codeNote}
+Pick up where you left off: ${url}
+
+Items aren't held, so popular sizes can sell out.
+
+- WYATT XXX COLE
+
+---
+To stop these emails, visit: ${process.env.FRONTEND_URL}/unsubscribe?email=${encodeURIComponent(session.email)}
+  `;
+
+  return sendEmail({
+    to: session.email,
+    subject,
+    text
+  });
+};
+
 export const sendNewsletterWelcome = async (email) => {
   const subject = 'Welcome to the Neon Rebellion!';
   const text = `